@@ -5,12 +5,13 @@
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const db = require('./db');
+const glicko = require('./glicko');
 
 // In-memory session store: token -> { userId, username }
 const sessions = new Map();
 
 // ---- RANKING SYSTEM ----
-// Curling-themed Elo tiers
+// Curling-themed rating tiers
 const RANK_TIERS = [
     { name: 'Novice',         minRating: 0,    color: '#9e9e9e' },  // grey
     { name: 'Lead',           minRating: 900,  color: '#8d6e63' },  // brown
@@ -23,31 +24,43 @@ const RANK_TIERS = [
     { name: 'World Class',    minRating: 2300, color: '#ffd54f' },  // gold
 ];
 
-function getRank(rating) {
+// `deviation` is the Glicko-2 rating deviation when known; a rating
+// that's still settling is marked provisional
+function getRank(rating, deviation) {
     let tier = RANK_TIERS[0];
     for (const t of RANK_TIERS) {
         if (rating >= t.minRating) tier = t;
     }
-    return { name: tier.name, color: tier.color, rating };
+    const rank = { name: tier.name, color: tier.color, rating };
+    if (deviation !== undefined) {
+        rank.deviation = Math.round(deviation);
+        rank.provisional = glicko.isProvisional(deviation);
+    }
+    return rank;
+}
+
+// Rank for a users row with its Glicko-2 columns. Time away since the
+// last rated game shows as extra uncertainty.
+function currentRank(row) {
+    return getRank(row.rating, glicko.decayedDeviation(ratingState(row), Date.now()));
 }
 
-// Elo calculation: K=32
-function calculateElo(winnerRating, loserRating) {
-    const K = 32;
-    const expectedWinner = 1 / (1 + Math.pow(10, (loserRating - winnerRating) / 400));
-    const expectedLoser = 1 - expectedWinner;
-    const newWinner = Math.round(winnerRating + K * (1 - expectedWinner));
-    const newLoser = Math.max(0, Math.round(loserRating + K * (0 - expectedLoser)));
-    return { newWinner, newLoser };
+// 'up' / 'down' when a rating change crosses into another tier
+function rankChange(rankBefore, rankAfter) {
+    const before = RANK_TIERS.findIndex(t => t.name === rankBefore);
+    const after = RANK_TIERS.findIndex(t => t.name === rankAfter);
+    if (before < 0 || after < 0 || before === after) return null;
+    return after > before ? 'up' : 'down';
 }
 
-function calculateDrawElo(rating1, rating2) {
-    const K = 32;
-    const expected1 = 1 / (1 + Math.pow(10, (rating2 - rating1) / 400));
-    const expected2 = 1 - expected1;
-    const new1 = Math.max(0, Math.round(rating1 + K * (0.5 - expected1)));
-    const new2 = Math.max(0, Math.round(rating2 + K * (0.5 - expected2)));
-    return { new1, new2 };
+// A users row's Glicko-2 state (see glicko.js)
+function ratingState(row) {
+    return {
+        rating: row && row.rating !== null ? row.rating : glicko.DEFAULT_RATING,
+        deviation: row && row.rating_deviation !== null ? row.rating_deviation : glicko.DEFAULT_DEVIATION,
+        volatility: row && row.rating_volatility !== null ? row.rating_volatility : glicko.DEFAULT_VOLATILITY,
+        ratedAt: row ? row.rated_at : null,
+    };
 }
 
 async function register(username, password, country, securityQuestion, securityAnswer, firstName, lastName) {
@@ -139,12 +152,29 @@ async function getProfile(userId) {
 
     try {
         const result = await db.query(
-            'SELECT username, country, wins, losses, draws, rating, created_at FROM users WHERE id = $1',
+            `SELECT username, country, wins, losses, draws, rating, rating_deviation, rating_volatility, rated_at, created_at
+             FROM users WHERE id = $1`,
             [userId]
         );
         if (!result.rows[0]) return null;
-        const profile = result.rows[0];
-        profile.rank = getRank(profile.rating);
+        const { rating_deviation, rating_volatility, rated_at, ...profile } = result.rows[0];
+        profile.rank = currentRank(result.rows[0]);
+
+        // Final rank tier of every season played, newest first
+        const seasonsResult = await db.query(
+            `SELECT s.id, s.name, r.rank, r.position, r.rating
+             FROM season_results r JOIN seasons s ON s.id = r.season_id
+             WHERE r.user_id = $1 ORDER BY s.id DESC`,
+            [userId]
+        );
+        profile.seasons = seasonsResult.rows.map(row => ({
+            seasonId: row.id,
+            name: row.name,
+            rank: row.rank,
+            color: (RANK_TIERS.find(t => t.name === row.rank) || RANK_TIERS[0]).color,
+            position: row.position,
+            rating: row.rating,
+        }));
         return profile;
     } catch (e) {
         console.error('Profile fetch error:', e.message);
@@ -152,61 +182,282 @@ async function getProfile(userId) {
     }
 }
 
-async function recordGameResult(redUserId, yellowUserId, redScore, yellowScore, endCount) {
+// `forfeitTeam` ('red' | 'yellow') loses regardless of the score (e.g. out of time).
+// `history` is simulation.getHistory(): stored per end and per shot when given.
+// A casual game (`ranked` false) is recorded and counted in wins/losses/draws
+// but leaves both ratings alone.
+async function recordGameResult(redUserId, yellowUserId, redScore, yellowScore, endCount, forfeitTeam, history, ranked = true) {
     if (!db.isAvailable()) return null;
 
     try {
-        // Fetch current ratings for both players
-        const redResult = await db.query('SELECT rating FROM users WHERE id = $1', [redUserId]);
-        const yellowResult = await db.query('SELECT rating FROM users WHERE id = $1', [yellowUserId]);
-        const redRating = redResult.rows[0]?.rating || 1200;
-        const yellowRating = yellowResult.rows[0]?.rating || 1200;
-
-        let winnerId = null;
-        let newRedRating, newYellowRating;
-
-        if (redScore > yellowScore) {
-            winnerId = redUserId;
-            const elo = calculateElo(redRating, yellowRating);
-            newRedRating = elo.newWinner;
-            newYellowRating = elo.newLoser;
-        } else if (yellowScore > redScore) {
-            winnerId = yellowUserId;
-            const elo = calculateElo(yellowRating, redRating);
-            newYellowRating = elo.newWinner;
-            newRedRating = elo.newLoser;
-        } else {
-            const elo = calculateDrawElo(redRating, yellowRating);
-            newRedRating = elo.new1;
-            newYellowRating = elo.new2;
-        }
+        // The result, both ratings, their history and the game's detail
+        // are written together or not at all
+        return await db.transaction(async (query) => {
+            // Lock both players' rows until the new ratings are written, so a
+            // game either of them finishes at the same time waits its turn.
+            // Rows lock in id order, so two such games can't deadlock.
+            const ratingResult = await query(
+                `SELECT id, rating, rating_deviation, rating_volatility, rated_at FROM users
+                 WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+                [[redUserId, yellowUserId]]
+            );
+            const red = ratingState(ratingResult.rows.find(row => row.id === redUserId));
+            const yellow = ratingState(ratingResult.rows.find(row => row.id === yellowUserId));
+
+            let winnerId = null;
+            if (forfeitTeam === 'yellow' || (!forfeitTeam && redScore > yellowScore)) {
+                winnerId = redUserId;
+            } else if (forfeitTeam === 'red' || yellowScore > redScore) {
+                winnerId = yellowUserId;
+            }
+
+            // Both players are rated against where the other stood before the game
+            const now = Date.now();
+            const newRed = glicko.rate(red, yellow,
+                glicko.gameScore(redScore, yellowScore, forfeitTeam === 'yellow', forfeitTeam === 'red'), now);
+            const newYellow = glicko.rate(yellow, red,
+                glicko.gameScore(yellowScore, redScore, forfeitTeam === 'red', forfeitTeam === 'yellow'), now);
+            const newRedRating = Math.round(newRed.rating);
+            const newYellowRating = Math.round(newYellow.rating);
+
+            // Record game history
+            const gameResult = await query(
+                `INSERT INTO game_history (red_user_id, yellow_user_id, red_score, yellow_score, winner_id, end_count,
+                                           seed, ice, format, forfeit_team, total_ends, ranked)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+                [redUserId, yellowUserId, redScore, yellowScore, winnerId, endCount,
+                    history ? history.seed : null, history ? history.ice : 'standard',
+                    history ? history.format : 'standard', forfeitTeam || null,
+                    history ? history.totalEnds : null, ranked]
+            );
+            const gameId = gameResult.rows[0].id;
+            const redColumn = winnerId === redUserId ? 'wins' : winnerId === yellowUserId ? 'losses' : 'draws';
+            const yellowColumn = winnerId === yellowUserId ? 'wins' : winnerId === redUserId ? 'losses' : 'draws';
+
+            // A failed detail insert is rolled back on its own and still
+            // leaves the result and ratings recorded
+            const recordDetail = async () => {
+                if (!history) return;
+                await query('SAVEPOINT game_detail');
+                try {
+                    await recordGameDetail(query, gameId, history);
+                } catch (err) {
+                    console.error('Record game detail error:', err.message);
+                    await query('ROLLBACK TO SAVEPOINT game_detail');
+                }
+            };
+
+            if (!ranked) {
+                const countQuery = column => `UPDATE users SET ${column} = ${column} + 1 WHERE id = $1`;
+                await query(countQuery(redColumn), [redUserId]);
+                await query(countQuery(yellowColumn), [yellowUserId]);
+                await recordDetail();
+                return { gameId, ranked: false };
+            }
+
+            // Update win/loss/draw counts AND rating
+            const updateQuery = column => `UPDATE users SET ${column} = ${column} + 1, rating = $2,
+                rating_deviation = $3, rating_volatility = $4, rated_at = NOW() WHERE id = $1`;
+            await query(updateQuery(redColumn), [redUserId, newRedRating, newRed.deviation, newRed.volatility]);
+            await query(updateQuery(yellowColumn), [yellowUserId, newYellowRating, newYellow.deviation, newYellow.volatility]);
+
+            // Rating history for both players
+            const redChange = ratingChange(red, newRedRating, newRed.deviation, now);
+            const yellowChange = ratingChange(yellow, newYellowRating, newYellow.deviation, now);
+            await query(
+                `INSERT INTO rating_history (user_id, game_id, rating_before, rating_after, deviation_before, deviation_after,
+                                             rank_before, rank_after)
+                 VALUES ($1, $3, $4, $5, $6, $7, $8, $9), ($2, $3, $10, $11, $12, $13, $14, $15)`,
+                [redUserId, yellowUserId, gameId,
+                    redChange.ratingBefore, redChange.ratingAfter, redChange.deviationBefore, redChange.deviationAfter,
+                    redChange.rankBefore, redChange.rankAfter,
+                    yellowChange.ratingBefore, yellowChange.ratingAfter, yellowChange.deviationBefore, yellowChange.deviationAfter,
+                    yellowChange.rankBefore, yellowChange.rankAfter]
+            );
+
+            await recordDetail();
+
+            // Return updated ratings for both players
+            return {
+                gameId,
+                ranked: true,
+                red: { rating: newRedRating, rank: getRank(newRedRating, newRed.deviation), change: redChange },
+                yellow: { rating: newYellowRating, rank: getRank(newYellowRating, newYellow.deviation), change: yellowChange },
+            };
+        });
+    } catch (e) {
+        console.error('Record game result error:', e.message);
+        return null;
+    }
+}
 
-        // Record game history
-        await db.query(
-            `INSERT INTO game_history (red_user_id, yellow_user_id, red_score, yellow_score, winner_id, end_count)
-             VALUES ($1, $2, $3, $4, $5, $6)`,
-            [redUserId, yellowUserId, redScore, yellowScore, winnerId, endCount]
-        );
+// A finished team game. `players` are its logged-in seats
+// [{ userId, team, seat }], each linked to the game through game_players.
+// It is kept for the record and replays only: a team's result isn't any
+// one seat's, so nobody's wins, losses or rating change.
+async function recordTeamGame(players, redScore, yellowScore, endCount, forfeitTeam, history, teamSize) {
+    if (!db.isAvailable()) return null;
+
+    try {
+        return await db.transaction(async (query) => {
+            const gameResult = await query(
+                `INSERT INTO game_history (red_score, yellow_score, end_count, seed, ice, format, forfeit_team,
+                                           total_ends, ranked, team_size)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, FALSE, $9) RETURNING id`,
+                [redScore, yellowScore, endCount, history.seed, history.ice, history.format,
+                    forfeitTeam || null, history.totalEnds, teamSize]
+            );
+            const gameId = gameResult.rows[0].id;
+            await query(
+                `INSERT INTO game_players (game_id, user_id, team, seat)
+                 SELECT $1, user_id, team, seat
+                 FROM jsonb_to_recordset($2::jsonb) AS p(user_id INTEGER, team VARCHAR, seat INTEGER)
+                 ON CONFLICT DO NOTHING`,
+                [gameId, JSON.stringify(players.map(p => ({ user_id: p.userId, team: p.team, seat: p.seat })))]
+            );
+            await recordGameDetail(query, gameId, history);
+            return { gameId, ranked: false };
+        });
+    } catch (e) {
+        console.error('Record team game error:', e.message);
+        return null;
+    }
+}
+
+// Before/after for a rating_history row and the game-over screen
+function ratingChange(before, ratingAfter, deviationAfter, now) {
+    const deviationBefore = glicko.decayedDeviation(before, now);
+    const rankBefore = getRank(before.rating).name;
+    const rankAfter = getRank(ratingAfter).name;
+    return {
+        ratingBefore: before.rating,
+        ratingAfter,
+        deviationBefore,
+        deviationAfter,
+        rankBefore,
+        rankAfter,
+        rankChange: rankChange(rankBefore, rankAfter),
+    };
+}
+
+// One row per end and per shot. Each table is filled by a single
+// statement that expands a JSON array server-side. `query` runs it
+// inside recordGameResult's transaction.
+async function recordGameDetail(query, gameId, history) {
+    const ends = history.ends.map(e => ({
+        end_number: e.end,
+        hammer: e.hammer,
+        power_play: e.powerPlay,
+        start_stones: e.startStones,
+        scoring_team: e.result ? e.result.team : null,
+        points: e.result ? e.result.points : null,
+    }));
+    const shots = [];
+    for (const e of history.ends) {
+        e.shots.forEach((shot, i) => shots.push({
+            end_number: e.end,
+            shot_number: i + 1,
+            team: shot.team,
+            aim: shot.aim,
+            weight: shot.weight,
+            spin_dir: shot.spinDir,
+            spin_amount: shot.spinAmount,
+            seed: shot.seed,
+            sweep_timeline: shot.sweepTimeline,
+            stones: shot.stones,
+            fgz_violation: shot.fgzViolation,
+        }));
+    }
+
+    await query(
+        `INSERT INTO game_ends (game_id, end_number, hammer, power_play, start_stones, scoring_team, points)
+         SELECT $1, end_number, hammer, power_play, start_stones, scoring_team, points
+         FROM jsonb_to_recordset($2::jsonb) AS e(end_number INTEGER, hammer VARCHAR, power_play VARCHAR,
+              start_stones JSONB, scoring_team VARCHAR, points INTEGER)`,
+        [gameId, JSON.stringify(ends)]
+    );
+    await query(
+        `INSERT INTO game_shots (game_id, end_number, shot_number, team, aim, weight, spin_dir, spin_amount,
+                                 seed, sweep_timeline, stones, fgz_violation)
+         SELECT $1, end_number, shot_number, team, aim, weight, spin_dir, spin_amount,
+                seed, sweep_timeline, stones, fgz_violation
+         FROM jsonb_to_recordset($2::jsonb) AS s(end_number INTEGER, shot_number INTEGER, team VARCHAR,
+              aim DOUBLE PRECISION, weight DOUBLE PRECISION, spin_dir SMALLINT, spin_amount DOUBLE PRECISION,
+              seed BIGINT, sweep_timeline JSONB, stones JSONB, fgz_violation BOOLEAN)`,
+        [gameId, JSON.stringify(shots)]
+    );
+}
+
+// A team game's side, named by its players in seat order
+const TEAM_NAMES = team => `(SELECT string_agg(u.username, ' / ' ORDER BY p.seat)
+                             FROM game_players p JOIN users u ON u.id = p.user_id
+                             WHERE p.game_id = g.id AND p.team = '${team}')`;
+
+// A stored game in the shape simulation.getHistory() produced, plus its
+// players and final score. Null if it doesn't exist.
+async function getGameRecord(gameId) {
+    if (!db.isAvailable()) return null;
 
-        // Update win/loss/draw counts AND rating
-        if (winnerId === redUserId) {
-            await db.query('UPDATE users SET wins = wins + 1, rating = $2 WHERE id = $1', [redUserId, newRedRating]);
-            await db.query('UPDATE users SET losses = losses + 1, rating = $2 WHERE id = $1', [yellowUserId, newYellowRating]);
-        } else if (winnerId === yellowUserId) {
-            await db.query('UPDATE users SET wins = wins + 1, rating = $2 WHERE id = $1', [yellowUserId, newYellowRating]);
-            await db.query('UPDATE users SET losses = losses + 1, rating = $2 WHERE id = $1', [redUserId, newRedRating]);
-        } else {
-            await db.query('UPDATE users SET draws = draws + 1, rating = $2 WHERE id = $1', [redUserId, newRedRating]);
-            await db.query('UPDATE users SET draws = draws + 1, rating = $2 WHERE id = $1', [yellowUserId, newYellowRating]);
+    try {
+        const gameResult = await db.query(
+            `SELECT g.id, g.red_score, g.yellow_score, g.end_count, g.total_ends, g.seed, g.ice, g.format,
+                    g.forfeit_team, g.played_at,
+                    COALESCE(r.username, ${TEAM_NAMES('red')}) AS red_username,
+                    COALESCE(y.username, ${TEAM_NAMES('yellow')}) AS yellow_username
+             FROM game_history g
+             LEFT JOIN users r ON r.id = g.red_user_id
+             LEFT JOIN users y ON y.id = g.yellow_user_id
+             WHERE g.id = $1`,
+            [gameId]
+        );
+        const game = gameResult.rows[0];
+        if (!game) return null;
+
+        const endsResult = await db.query(
+            'SELECT * FROM game_ends WHERE game_id = $1 ORDER BY end_number', [gameId]);
+        const shotsResult = await db.query(
+            'SELECT * FROM game_shots WHERE game_id = $1 ORDER BY end_number, shot_number', [gameId]);
+
+        const ends = endsResult.rows.map(e => ({
+            end: e.end_number,
+            hammer: e.hammer,
+            powerPlay: e.power_play,
+            startStones: e.start_stones,
+            shots: [],
+            result: e.points === null ? null : { team: e.scoring_team, points: e.points },
+        }));
+        const byEnd = new Map(ends.map(e => [e.end, e]));
+        for (const s of shotsResult.rows) {
+            const end = byEnd.get(s.end_number);
+            if (!end) continue;
+            end.shots.push({
+                team: s.team,
+                aim: s.aim,
+                weight: s.weight,
+                spinDir: s.spin_dir,
+                spinAmount: s.spin_amount,
+                seed: Number(s.seed),
+                sweepTimeline: s.sweep_timeline,
+                stones: s.stones,
+                fgzViolation: s.fgz_violation,
+            });
         }
 
-        // Return updated ratings for both players
         return {
-            red: { rating: newRedRating, rank: getRank(newRedRating) },
-            yellow: { rating: newYellowRating, rank: getRank(newYellowRating) },
+            id: game.id,
+            red: { username: game.red_username, score: game.red_score },
+            yellow: { username: game.yellow_username, score: game.yellow_score },
+            endCount: game.end_count,
+            forfeit: game.forfeit_team,
+            playedAt: game.played_at,
+            seed: game.seed === null ? null : Number(game.seed),
+            ice: game.ice,
+            format: game.format,
+            totalEnds: game.total_ends || game.end_count,
+            ends,
         };
     } catch (e) {
-        console.error('Record game result error:', e.message);
+        console.error('Game record fetch error:', e.message);
         return null;
     }
 }
@@ -272,6 +523,45 @@ async function resetPassword(username, securityAnswer, newPassword) {
     }
 }
 
+// A player's rating changes, oldest first (the most recent `limit`)
+async function getRatingHistory(userId, limit = 200) {
+    if (!db.isAvailable()) return null;
+
+    try {
+        const result = await db.query(
+            `SELECT * FROM (
+                 SELECT h.game_id, h.reason, h.rating_before, h.rating_after, h.deviation_after, h.rank_before, h.rank_after,
+                        h.created_at, o.username AS opponent,
+                        CASE WHEN g.red_user_id = h.user_id THEN g.red_score ELSE g.yellow_score END AS own_score,
+                        CASE WHEN g.red_user_id = h.user_id THEN g.yellow_score ELSE g.red_score END AS opponent_score
+                 FROM rating_history h
+                 LEFT JOIN game_history g ON g.id = h.game_id
+                 LEFT JOIN users o ON o.id = CASE WHEN g.red_user_id = h.user_id THEN g.yellow_user_id ELSE g.red_user_id END
+                 WHERE h.user_id = $1
+                 ORDER BY h.created_at DESC, h.id DESC
+                 LIMIT $2
+             ) recent ORDER BY created_at, game_id`,
+            [userId, limit]
+        );
+        return result.rows.map(row => ({
+            gameId: row.game_id,
+            reason: row.reason,           // 'game', or 'season' for an end-of-season reset
+            playedAt: row.created_at,
+            opponent: row.opponent,
+            score: row.own_score === null ? null : { own: row.own_score, opponent: row.opponent_score },
+            ratingBefore: row.rating_before,
+            ratingAfter: row.rating_after,
+            deviation: Math.round(row.deviation_after),
+            rankBefore: row.rank_before,
+            rankAfter: row.rank_after,
+            rankChange: rankChange(row.rank_before, row.rank_after),
+        }));
+    } catch (e) {
+        console.error('Rating history fetch error:', e.message);
+        return null;
+    }
+}
+
 async function searchUsers(query, excludeUserId) {
     if (!db.isAvailable()) return [];
     if (!query || query.trim().length === 0) return [];
@@ -297,4 +587,4 @@ async function searchUsers(query, excludeUserId) {
     }
 }
 
-module.exports = { register, login, getSession, removeSession, getProfile, recordGameResult, getRank, getSecurityQuestion, resetPassword, searchUsers };
+module.exports = { register, login, getSession, removeSession, getProfile, recordGameResult, recordTeamGame, getGameRecord, getRatingHistory, getRank, currentRank, RANK_TIERS, getSecurityQuestion, resetPassword, searchUsers };
@@ -151,12 +151,14 @@ const CurlingBot = (() => {
         // Is center line blocked? (any stone between hog and house on center)
         const centerBlocked = centerGuards.length > 0;
 
-        // FGZ status
+        // FGZ status (mixed doubles: nothing may be removed for the first stones)
+        const rules = CurlingPhysics.FORMATS[gs.format] || CurlingPhysics.FORMATS.standard;
         const totalThrown = gs.redThrown + gs.yellowThrown;
-        const fgzActive = totalThrown < 5;
+        const noTakeout = totalThrown < rules.noTakeoutStones;
+        const fgzActive = noTakeout || totalThrown < rules.fgzStones;
 
-        // Bot's stone number this end (1-8)
-        const botStoneNum = gs.yellowThrown + 1;
+        // Bot's stone number this end (1-8) — fewer stones count as the last ones of eight
+        const botStoneNum = gs.yellowThrown + 1 + (8 - rules.stonesPerTeam);
 
         // Score differential (positive = bot ahead)
         const scoreDiff = gs.yellowScore - gs.redScore;
@@ -189,6 +191,7 @@ const CurlingBot = (() => {
             centerGuards,
             centerBlocked,
             fgzActive,
+            noTakeout,
             botStoneNum,
             scoreDiff,
             hasHammer,
@@ -529,6 +532,7 @@ const CurlingBot = (() => {
     function makeHitAndRoll(board) {
         // FGZ safety: during free guard zone, only target stones in the house
         // (guards between hog line and house are protected)
+        if (board.noTakeout) return makeDrawToHouse(board);
         // Hit opponent stone with just enough weight to move it,
         // our stone rolls to stay in the house after contact.
         // Avoids targets with friendly stones behind them.
@@ -746,7 +750,7 @@ const CurlingBot = (() => {
 
         // Calculate where stone roughly will end up
         // Simple estimation: distance remaining at current speed with friction
-        const estStopDist = speed * speed / (2 * 0.008 * 9.81); // v²/(2μg)
+        const estStopDist = speed * speed / (2 * CurlingPhysics.FRICTION.muKinetic * 9.81); // v²/(2μg) on this ice
         const estStopY = stone.y + estStopDist * (stone.vy / Math.max(speed, 0.01));
 
         // Sweep strategy depends on shot type
@@ -842,7 +846,7 @@ const CurlingBot = (() => {
         return candidates.slice(0, 4);
     }
 
-    // Estimate outcome of a shot without physics simulation
+    // Estimate outcome of a shot by playing it out with the shot predictor
     function estimateShotOutcome(shot, board) {
         const P = CurlingPhysics.POSITIONS;
         const H = CurlingPhysics.HOUSE;
@@ -851,44 +855,17 @@ const CurlingBot = (() => {
         const teeY = board.teeY;
         const d = DIFFICULTY[difficulty];
 
-        // Clone stone arrays for simulation
-        let botStones = board.botStones.map(s => ({ x: s.x, y: s.y, team: s.team, active: true }));
-        let oppStones = board.oppStones.map(s => ({ x: s.x, y: s.y, team: s.team, active: true }));
-
-        const desc = shot.description;
-
-        if (desc === 'Takeout' || desc === 'Takeout Guard' || desc === 'Peel') {
-            // Remove the target opponent stone, our stone goes through
-            if (oppStones.length > 0) {
-                const target = oppStones.reduce((closest, s) => {
-                    const d1 = distTo(s.x, s.y, shot.targetX, shot.targetY);
-                    const d2 = distTo(closest.x, closest.y, shot.targetX, shot.targetY);
-                    return d1 < d2 ? s : closest;
-                });
-                oppStones = oppStones.filter(s => s !== target);
-            }
-        } else if (desc === 'Hit & Roll') {
-            // Remove target, add our stone near the tee
-            if (oppStones.length > 0) {
-                const target = oppStones.reduce((closest, s) => {
-                    const d1 = distTo(s.x, s.y, shot.targetX, shot.targetY);
-                    const d2 = distTo(closest.x, closest.y, shot.targetX, shot.targetY);
-                    return d1 < d2 ? s : closest;
-                });
-                oppStones = oppStones.filter(s => s !== target);
-                // Our stone rolls to a nearby position
-                botStones.push({ x: shot.targetX + rand(-0.3, 0.3), y: teeY + rand(-0.3, 0.3), team: 'yellow', active: true });
-            }
-        } else if (desc === 'Freeze') {
-            // Add our stone touching the target
-            botStones.push({ x: shot.targetX, y: shot.targetY - SR * 2, team: 'yellow', active: true });
-        } else if (desc === 'Tap') {
-            // Nudge opponent stone back, both stay
-            botStones.push({ x: shot.targetX, y: shot.targetY, team: 'yellow', active: true });
-        } else {
-            // Draw/Guard/Button — add our stone at target position
-            botStones.push({ x: shot.targetX, y: shot.targetY, team: 'yellow', active: true });
-        }
+        // Throw the intended shot (no error, no sweeping) against the real board
+        const prediction = CurlingPhysics.predictShot(board.activeStones, {
+            team: 'yellow',
+            aim: calculateAim(shot),
+            weight: shot.weight,
+            spinDir: shot.spin,
+            spinAmount: shot.spinAmount,
+        });
+        const settled = prediction.stones.filter(s => s.active);
+        const botStones = settled.filter(s => s.team === 'yellow');
+        const oppStones = settled.filter(s => s.team === 'red');
 
         // Apply accuracy factor — hard mode has high accuracy but not perfect
         // Chance that the shot misses badly
@@ -898,8 +875,7 @@ const CurlingBot = (() => {
         }
 
         // Build a pseudo-board for scoring
-        const allStones = [...botStones, ...oppStones].filter(s => s.active);
-        const allSorted = allStones.map(s => ({
+        const allSorted = settled.map(s => ({
             stone: s,
             dist: distTo(s.x, s.y, teeX, teeY),
             team: s.team,
@@ -1011,9 +987,11 @@ const CurlingBot = (() => {
         // Evaluate the board
         const board = evaluateBoard(bridge);
 
-        // Select a shot (hard mode uses lookahead)
-        const shot = (difficulty === 'hard')
-            ? selectShotWithLookahead(board)
+        // Select a shot (hard mode uses lookahead); a Last Stone Draw
+        // stone is always a draw to the button
+        const draw = bridge.gameState.lastStoneDraw;
+        const shot = draw && !draw.result ? makeDrawToButton(board)
+            : (difficulty === 'hard') ? selectShotWithLookahead(board)
             : selectShot(board);
 
         // Calculate aim
@@ -1045,12 +1023,40 @@ const CurlingBot = (() => {
         }, 400); // initial thinking delay
     }
 
+    // --------------------------------------------------------
+    // MIXED DOUBLES POWER PLAY
+    // --------------------------------------------------------
+    // Called when the bot has the hammer and a power play left.
+    // Saves it for the second half unless it's the last chance.
+    // Returns 'left' / 'right' for a power play, null for the standard placement.
+    function decidePowerPlay(bridge) {
+        const gs = bridge.gameState;
+        const scoreDiff = gs.yellowScore - gs.redScore;
+        const lastChance = gs.currentEnd >= gs.regulationEnds;
+        const secondHalf = gs.currentEnd > gs.regulationEnds / 2;
+        if (lastChance || (secondHalf && scoreDiff <= 0)) {
+            return Math.random() < 0.5 ? 'left' : 'right';
+        }
+        return null;
+    }
+
+    // --------------------------------------------------------
+    // LAST STONE DRAW
+    // --------------------------------------------------------
+    // Called when the bot wins the draw: it always takes the hammer.
+    // Returns 'hammer' (the colour choices would swap it to red).
+    function decideDrawChoice() {
+        return 'hammer';
+    }
+
     // --------------------------------------------------------
     // PUBLIC API
     // --------------------------------------------------------
     return {
         takeTurn,
         decideSweep,
+        decidePowerPlay,
+        decideDrawChoice,
         setDifficulty(d) {
             if (DIFFICULTY[d]) difficulty = d;
         },
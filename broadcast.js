@@ -0,0 +1,79 @@
+// ============================================================
+// BROADCAST - Read-only live feeds for streaming overlays
+// Each game in progress has a Server-Sent Events feed at
+// /broadcast/<CODE>/events that a big screen or streaming software
+// can follow without joining the game. Events, all JSON:
+//   state      everything on screen (sent first, and on each new game)
+//   throw      a delivery was released
+//   stones     live stone positions while a delivery is running
+//   settled    the board once a delivery came to rest
+//   end        an end was scored (points, new hammer, running totals)
+//   placement  mixed doubles positioned stones / power play
+//   clock      thinking-time clocks
+//   game_over  final score
+//   closed     the room is gone; the feed ends
+// server.js builds the payloads — this module only keeps subscribers.
+// ============================================================
+
+// Viewers per room (0 turns broadcasting off)
+const MAX_VIEWERS = Math.max(0, parseInt(process.env.MAX_BROADCAST_VIEWERS ?? '10', 10) || 0);
+const KEEPALIVE_MS = 25000; // comment line so proxies don't drop a quiet feed
+
+const feeds = new Map(); // room code -> Set of http responses
+
+function write(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Start a feed for `code` on this request. `state` is the opening
+// `state` event. Returns false (nothing written) if the room is full.
+function subscribe(code, req, res, state) {
+    let feed = feeds.get(code);
+    if (feed && feed.size >= MAX_VIEWERS) return false;
+    if (!feed) {
+        feed = new Set();
+        feeds.set(code, feed);
+    }
+    feed.add(res);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+    });
+    res.write('retry: 3000\n\n');
+    write(res, 'state', state);
+
+    req.on('close', () => {
+        feed.delete(res);
+        if (feed.size === 0 && feeds.get(code) === feed) feeds.delete(code);
+    });
+    return true;
+}
+
+function publish(code, event, data) {
+    const feed = feeds.get(code);
+    if (!feed) return;
+    for (const res of feed) write(res, event, data);
+}
+
+// The room is gone: tell every viewer and end their feeds
+function close(code) {
+    const feed = feeds.get(code);
+    if (!feed) return;
+    feeds.delete(code);
+    for (const res of feed) {
+        write(res, 'closed', {});
+        res.end();
+    }
+}
+
+const keepAlive = setInterval(() => {
+    for (const feed of feeds.values()) {
+        for (const res of feed) res.write(': keep-alive\n\n');
+    }
+}, KEEPALIVE_MS);
+keepAlive.unref();
+
+module.exports = { MAX_VIEWERS, subscribe, publish, close };
@@ -0,0 +1,141 @@
+// ============================================================
+// CLOCK - Thinking time for online rooms
+// Each team has a bank of thinking time that only runs while it
+// is that team's turn to deliver (World Curling style), plus
+// timeouts and breaks between ends. Pure bookkeeping on
+// timestamps — server.js owns the timers and the forfeit.
+// ============================================================
+
+// Times in ms. `perEnd` is scaled by the number of ends, so standard
+// gives the World Curling 38 minutes for a 10-end game; each extra end
+// adds `extraEnd` and one more timeout per team.
+const CLOCK_PRESETS = {
+    standard: { perEnd: 228000, extraEnd: 270000, endBreak: 60000, halftime: 300000, timeouts: 1, timeoutLength: 60000 },
+    rapid: { perEnd: 120000, extraEnd: 140000, endBreak: 30000, halftime: 120000, timeouts: 1, timeoutLength: 45000 },
+    blitz: { perEnd: 60000, extraEnd: 70000, endBreak: 15000, halftime: 30000, timeouts: 1, timeoutLength: 30000 },
+};
+
+// Unknown or missing presets mean no clock
+function normalizeClock(preset) {
+    return Object.prototype.hasOwnProperty.call(CLOCK_PRESETS, preset) ? preset : 'off';
+}
+
+function createClock(preset, totalEnds) {
+    const config = CLOCK_PRESETS[normalizeClock(preset)];
+    if (!config) return null;
+    const bank = config.perEnd * totalEnds;
+    return {
+        preset,
+        config,
+        remaining: { red: bank, yellow: bank },
+        timeoutsLeft: { red: config.timeouts, yellow: config.timeouts },
+        running: null,      // team whose thinking time is running
+        since: 0,           // when the running clock was last charged
+        timeout: null,      // { team, until } while a team is in a timeout
+        breakUntil: 0,      // end of the current between-ends break (0 = none)
+        nextTeam: null,     // team whose clock starts when the break ends
+    };
+}
+
+// Charge the running team for time used since the last charge
+function charge(clock, now) {
+    if (clock.running) {
+        clock.remaining[clock.running] = Math.max(0, clock.remaining[clock.running] - (now - clock.since));
+    }
+    clock.since = now;
+}
+
+// `team` is on the ice to deliver. During a break their clock waits for it to end.
+function startTurn(clock, team, now) {
+    charge(clock, now);
+    if (clock.breakUntil > now) {
+        clock.running = null;
+        clock.nextTeam = team;
+    } else {
+        clock.running = team;
+    }
+}
+
+// A stone was released: nothing runs while it travels. Releasing also
+// ends any break or timeout early.
+function stopTurn(clock, now) {
+    charge(clock, now);
+    clock.running = null;
+    clock.timeout = null;
+    clock.breakUntil = 0;
+    clock.nextTeam = null;
+}
+
+// Only the team whose clock is running can call one. Returns false if refused.
+function callTimeout(clock, team, now) {
+    if (clock.running !== team || clock.timeout || clock.timeoutsLeft[team] <= 0) return false;
+    charge(clock, now);
+    clock.timeoutsLeft[team]--;
+    clock.running = null;
+    clock.timeout = { team, until: now + clock.config.timeoutLength };
+    return true;
+}
+
+// End scored: no clock runs until the break is over, then `nextTeam`'s does
+function startBreak(clock, nextTeam, now, halftime) {
+    charge(clock, now);
+    clock.running = null;
+    clock.timeout = null;
+    clock.breakUntil = now + (halftime ? clock.config.halftime : clock.config.endBreak);
+    clock.nextTeam = nextTeam;
+}
+
+function addExtraEnd(clock) {
+    for (const team of ['red', 'yellow']) {
+        clock.remaining[team] += clock.config.extraEnd;
+        clock.timeoutsLeft[team]++;
+    }
+}
+
+// Bring the clock up to `now`: finish expired timeouts and breaks.
+// Returns the team that has run out of thinking time, if any.
+function advance(clock, now) {
+    if (clock.timeout && now >= clock.timeout.until) {
+        charge(clock, clock.timeout.until);
+        clock.running = clock.timeout.team;
+        clock.timeout = null;
+    }
+    if (clock.breakUntil && now >= clock.breakUntil) {
+        charge(clock, clock.breakUntil);
+        clock.running = clock.nextTeam;
+        clock.breakUntil = 0;
+        clock.nextTeam = null;
+    }
+    charge(clock, now);
+    return clock.running && clock.remaining[clock.running] <= 0 ? clock.running : null;
+}
+
+// Timestamp of the next thing that needs the server's attention, or null
+function nextEvent(clock) {
+    if (clock.timeout) return clock.timeout.until;
+    if (clock.breakUntil) return clock.breakUntil;
+    if (clock.running) return clock.since + clock.remaining[clock.running];
+    return null;
+}
+
+// What clients display. Durations are as of `now`; clients count down
+// the running one from when the message arrives.
+function getClockState(clock, now) {
+    const spent = clock.running ? now - clock.since : 0;
+    const remaining = { red: clock.remaining.red, yellow: clock.remaining.yellow };
+    if (clock.running) remaining[clock.running] = Math.max(0, remaining[clock.running] - spent);
+    return {
+        preset: clock.preset,
+        remaining,
+        running: clock.running,
+        timeoutsLeft: { red: clock.timeoutsLeft.red, yellow: clock.timeoutsLeft.yellow },
+        timeout: clock.timeout ? { team: clock.timeout.team, remaining: Math.max(0, clock.timeout.until - now) } : null,
+        breakRemaining: clock.breakUntil ? Math.max(0, clock.breakUntil - now) : 0,
+        nextTeam: clock.nextTeam,
+    };
+}
+
+module.exports = {
+    CLOCK_PRESETS, normalizeClock, createClock, startTurn, stopTurn, callTimeout,
+    startBreak, addExtraEnd, advance, nextEvent, getClockState,
+};
@@ -74,6 +74,139 @@ async function initSchema() {
             ALTER TABLE users ADD COLUMN IF NOT EXISTS last_name VARCHAR(30) DEFAULT '';
         `);
 
+        // Per-end and per-shot game records (safe migration for existing DBs).
+        // The seed, ice and format let a stored game be re-simulated exactly.
+        await pool.query(`
+            ALTER TABLE game_history ADD COLUMN IF NOT EXISTS seed BIGINT;
+            ALTER TABLE game_history ADD COLUMN IF NOT EXISTS ice VARCHAR(20) DEFAULT 'standard';
+            ALTER TABLE game_history ADD COLUMN IF NOT EXISTS format VARCHAR(20) DEFAULT 'standard';
+            ALTER TABLE game_history ADD COLUMN IF NOT EXISTS forfeit_team VARCHAR(6);
+            ALTER TABLE game_history ADD COLUMN IF NOT EXISTS total_ends INTEGER;
+            ALTER TABLE game_history ADD COLUMN IF NOT EXISTS ranked BOOLEAN DEFAULT TRUE;
+
+            CREATE TABLE IF NOT EXISTS game_ends (
+                id SERIAL PRIMARY KEY,
+                game_id INTEGER REFERENCES game_history(id) ON DELETE CASCADE,
+                end_number INTEGER NOT NULL,
+                hammer VARCHAR(6),
+                power_play VARCHAR(5),
+                start_stones JSONB DEFAULT '[]',
+                scoring_team VARCHAR(6),
+                points INTEGER,
+                UNIQUE(game_id, end_number)
+            );
+
+            CREATE TABLE IF NOT EXISTS game_shots (
+                id SERIAL PRIMARY KEY,
+                game_id INTEGER REFERENCES game_history(id) ON DELETE CASCADE,
+                end_number INTEGER NOT NULL,
+                shot_number INTEGER NOT NULL,
+                team VARCHAR(6),
+                aim DOUBLE PRECISION,
+                weight DOUBLE PRECISION,
+                spin_dir SMALLINT,
+                spin_amount DOUBLE PRECISION,
+                seed BIGINT,
+                sweep_timeline JSONB DEFAULT '[]',
+                stones JSONB DEFAULT '[]',
+                fgz_violation BOOLEAN DEFAULT FALSE,
+                UNIQUE(game_id, end_number, shot_number)
+            );
+        `);
+
+        // Glicko-2 ratings (safe migration for existing DBs). Existing Elo
+        // ratings carry over as the rating; the deviation starts lower the
+        // more games a player already has, so established players don't
+        // swing like new ones. Runs once: only rows without a deviation.
+        await pool.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS rating_deviation DOUBLE PRECISION;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS rating_volatility DOUBLE PRECISION;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS rated_at TIMESTAMP;
+
+            UPDATE users
+            SET rating_deviation = GREATEST(80, 350 - 15 * (wins + losses + draws)),
+                rating_volatility = 0.06,
+                rated_at = CASE WHEN wins + losses + draws > 0 THEN last_seen END
+            WHERE rating_deviation IS NULL;
+
+            ALTER TABLE users ALTER COLUMN rating_deviation SET DEFAULT 350;
+            ALTER TABLE users ALTER COLUMN rating_volatility SET DEFAULT 0.06;
+        `);
+
+        // One row per player per rated game: the rating and rank tier
+        // before and after it, for rating charts and rank-up/down events
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS rating_history (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                game_id INTEGER REFERENCES game_history(id) ON DELETE CASCADE,
+                rating_before INTEGER,
+                rating_after INTEGER,
+                deviation_before DOUBLE PRECISION,
+                deviation_after DOUBLE PRECISION,
+                rank_before VARCHAR(20),
+                rank_after VARCHAR(20),
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS rating_history_user_idx ON rating_history (user_id, created_at);
+        `);
+
+        // Competitive seasons (see seasons.js): one row per season the
+        // server has seen, and each player's final standing once it closes.
+        // Season soft resets show up in rating_history with reason 'season'.
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS seasons (
+                id INTEGER PRIMARY KEY,
+                name VARCHAR(40) NOT NULL,
+                starts_at TIMESTAMP NOT NULL,
+                ends_at TIMESTAMP NOT NULL,
+                closed_at TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS season_results (
+                season_id INTEGER REFERENCES seasons(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                position INTEGER,
+                rating INTEGER,
+                rank VARCHAR(20),
+                wins INTEGER DEFAULT 0,
+                losses INTEGER DEFAULT 0,
+                draws INTEGER DEFAULT 0,
+                PRIMARY KEY (season_id, user_id)
+            );
+
+            ALTER TABLE rating_history ADD COLUMN IF NOT EXISTS reason VARCHAR(10) DEFAULT 'game';
+        `);
+
+        // Tournaments (see tournaments.js): the whole draw is kept as JSON
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tournaments (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(40) NOT NULL,
+                format VARCHAR(20) NOT NULL,
+                status VARCHAR(12) DEFAULT 'registering',
+                organizer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                draw JSONB DEFAULT '{}',
+                created_at TIMESTAMP DEFAULT NOW(),
+                finished_at TIMESTAMP
+            );
+        `);
+
+        // Team games (2v2, 4v4): no one player stands for a side, so their
+        // game_history row leaves the red/yellow users empty and every
+        // seated player is linked here instead
+        await pool.query(`
+            ALTER TABLE game_history ADD COLUMN IF NOT EXISTS team_size INTEGER DEFAULT 1;
+
+            CREATE TABLE IF NOT EXISTS game_players (
+                game_id INTEGER REFERENCES game_history(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                team VARCHAR(6) NOT NULL,
+                seat INTEGER NOT NULL,
+                PRIMARY KEY (game_id, user_id)
+            );
+        `);
+
         // Push notification subscriptions
         await pool.query(`
             CREATE TABLE IF NOT EXISTS push_subscriptions (
@@ -99,8 +232,26 @@ function query(text, params) {
     return pool.query(text, params);
 }
 
+// Run `fn(query)` inside a transaction on one pooled connection:
+// committed if it resolves, rolled back if it throws
+async function transaction(fn) {
+    if (!pool) throw new Error('No database');
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn((text, params) => client.query(text, params));
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
 function isAvailable() {
     return dbAvailable;
 }
 
-module.exports = { init, initSchema, query, isAvailable };
+module.exports = { init, initSchema, query, transaction, isAvailable };
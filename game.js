@@ -44,7 +44,7 @@
     }
 
     function resizeCanvas() {
-        pebblePattern = null; // invalidate cached pattern on canvas resize
+        sheet.resetPattern(); // invalidate cached pattern on canvas resize
 
         if (isMobile() && !isLandscapeMobile()) {
             // Portrait mobile: canvas on top, UI below
@@ -92,6 +92,8 @@
         return meters * scale;
     }
 
+    const sheet = CurlingSheet.createRenderer(canvas, { view: VIEW, toCanvasX, toCanvasY, toCanvasLen });
+
     window.addEventListener('resize', () => {
         resizeCanvas();
     });
@@ -116,28 +118,61 @@
         yellowThrown: 0,
         currentEnd: 1,
         totalEnds: 6,
+        regulationEnds: 6,    // totalEnds before any extra ends
+        format: 'standard',   // game format (CurlingPhysics.FORMATS); server-assigned online
+        powerPlays: { red: 0, yellow: 0 }, // power plays left to call (mixed doubles)
+        powerPlay: null,      // this end's power play side ('left' / 'right'), if called
+        drawStones: 0,        // Last Stone Draw stones a side for local games (0: none)
+        lastStoneDraw: null,  // { stones, distances, result, choice } while/after a Last Stone Draw
+        ice: 'standard',      // ice profile (CurlingPhysics.ICE_PROFILES); server-assigned online
+        iceMap: null,         // runs/patches/wear across the sheet (built from seed + ice)
         redScore: 0,
         yellowScore: 0,
         endScores: [],
+        forfeit: null,       // team that ran out of thinking time (online)
+        history: null,       // this game's record for the replay viewer (see GAME RECORD)
+        serverGameId: null,  // id of the server's stored record once the result is in (online)
+        ratingUpdate: null,  // the server's rating_update for the game just finished (online)
         phase: 'aiming',    // 'aiming', 'delivering', 'settling', 'scoring', 'gameover'
-        sweepLevel: 'none',
-        isSweeping: false,
+        sweepLevel: 'none',  // broom pressure preset used while SWEEP is held
+        isSweeping: false,   // SWEEP held (the brooms ramp toward the preset)
+        sweepOffset: 0,      // broom position across the stone's path (-1 left .. 1 right)
+        sweep: { intensity: 0, offset: 0 }, // sweeping actually applied this step
         deliveredStone: null,
         simSpeed: 3.0,       // simulation speed multiplier for faster gameplay
+        seed: (Math.random() * 0x100000000) >>> 0, // game seed for pebble variation (server-assigned online)
         houseZoom: false,    // toggled by zoom button for close-up house view
         botMode: true,       // 1-player mode (bot plays Yellow)
         onlineMode: false,   // online multiplayer mode
         myTeam: null,        // 'red' or 'yellow' (assigned by server)
+        teamSize: 1,         // players a side online (1, 2 or 4 — see TEAM ROTATION in physics.js)
+        mySeat: 0,           // my position in a team game (0 in 1v1)
+        lineup: null,        // { red: [info], yellow: [info] } by seat, team games
+        calledShot: null,    // skip's call for the next stone ({ aim, weight, spinDir, by }), team games
         roomCode: null,
+        ranked: false,       // online game that changes ratings (server-assigned)
+        spectating: false,   // watching someone else's online game, read-only
+        watchedPlayers: null, // { red, yellow } player info while spectating
         opponentConnected: true,
         opponentInfo: null, // { username, rank: { name, color, rating } }
-        lastOpponentShot: null,         // { aim, weight, spinDir, spinAmount }
+        lastOpponentShot: null,         // { aim, weight, spinDir, spinAmount, seed, wear, sweepTimeline }
         lastOpponentShotStones: null,   // snapshot of stone positions before the shot
         isReplaying: false,             // true during replay animation
-        _pendingAuthState: null,        // deferred authoritative state from thrower
+        _pendingAuthState: null,        // deferred authoritative state from server
+        _pendingPlacement: null,        // server's placement decision that beat our end transition
         _remoteDelivery: false,         // true when opponent is throwing (no local physics)
         _latestStonePositions: null,    // latest stone positions from thrower's stream
         _lastPositionSendTime: 0,       // throttle for position sends (~80ms)
+        _throwStep: 0,                  // physics steps since release (stamps sweep events)
+        _rng: null,                     // seeded RNG for the throw in flight
+        _wearPath: null,                // delivered stone's path, sampled for ice wear
+        _sweepRaw: 0,                   // unquantized broom intensity while ramping
+        _sweepTimeline: [],             // this throw's sweep samples ({ step, intensity, offset })
+        _ownSweep: { step: 0, intensity: 0, offset: 0 }, // my broom's last sample
+        _otherBrooms: {},               // team games: the other brooms on the stone by team+seat
+        _remoteStep: null,              // thrower's last streamed physics step ({ step, at })
+        _replayTimeline: null,          // sweep samples a replay follows ({ step, intensity, offset })
+        _replaySweepIndex: 0,           // next sample of _replayTimeline to apply
     };
 
     // --------------------------------------------------------
@@ -270,7 +305,8 @@
     }
 
     function disableControlsForBot() {
-        document.getElementById('controls-panel').classList.add('bot-disabled');
+        // Team games: the shot caller keeps the sliders to set up the call
+        document.getElementById('controls-panel').classList.toggle('bot-disabled', !isMyShotCall());
     }
 
     function enableControlsForHuman() {
@@ -292,11 +328,52 @@
     // ONLINE HELPERS
     // --------------------------------------------------------
     function isMyTurn() {
-        return gameState.onlineMode && gameState.currentTeam === gameState.myTeam;
+        return gameState.onlineMode && gameState.currentTeam === gameState.myTeam &&
+            throwerSeatOf(gameState.currentTeam) === gameState.mySeat;
     }
 
     function isOnlineOpponentTurn() {
-        return gameState.onlineMode && gameState.currentTeam !== gameState.myTeam;
+        return gameState.onlineMode && !isMyTurn();
+    }
+
+    // Team games (2v2 / 4v4): each seat throws its positions' stones, the
+    // skip — or the vice when the skip throws — calls the shot and the rest
+    // sweep (TEAM ROTATION in physics.js). In 1v1 seat 0 does it all.
+    function throwerSeatOf(team) {
+        const thrown = team === TEAMS.RED ? gameState.redThrown : gameState.yellowThrown;
+        // A running stone still belongs to whoever let it go
+        const inFlight = gameState.phase === 'delivering' || gameState.phase === 'settling';
+        const stone = Math.max(0, inFlight ? thrown - 1 : thrown);
+        return CurlingPhysics.throwerSeat(gameState.teamSize, stone, formatRules().stonesPerTeam);
+    }
+
+    function isMyShotCall() {
+        return gameState.onlineMode && gameState.teamSize > 1 && gameState.phase === 'aiming' &&
+            gameState.currentTeam === gameState.myTeam &&
+            CurlingPhysics.shotCallerSeat(gameState.teamSize, throwerSeatOf(gameState.myTeam)) === gameState.mySeat;
+    }
+
+    // My broom on someone else's stone: 'team' when I'm sweeping for a
+    // teammate, 'behindTee' when I'm the other team's skip (who may only
+    // sweep once it's past the tee line), null otherwise
+    function myBroomRole() {
+        if (!gameState.onlineMode || gameState.spectating || gameState.teamSize < 2 || !gameState._remoteDelivery) return null;
+        if (gameState.currentTeam !== gameState.myTeam) {
+            return gameState.mySeat === gameState.teamSize - 1 ? 'behindTee' : null;
+        }
+        const sweepers = CurlingPhysics.sweeperSeats(gameState.teamSize, throwerSeatOf(gameState.myTeam));
+        return sweepers.includes(gameState.mySeat) ? 'team' : null;
+    }
+
+    function canSweepRemote() {
+        const role = myBroomRole();
+        const ds = gameState.deliveredStone;
+        return role === 'team' || (role === 'behindTee' && !!ds && ds.y > P.farTeeLine);
+    }
+
+    function teammateName(seat) {
+        const info = gameState.lineup ? gameState.lineup[gameState.myTeam][seat] : null;
+        return info && info.username ? info.username : 'Teammate';
     }
 
     // --------------------------------------------------------
@@ -327,12 +404,18 @@
     let hogLineViolation = null; // { x, y, timer }
 
     // Free Guard Zone (FGZ) violation indicator
-    let fgzViolation = null; // { timer }
+    let fgzViolation = null; // { timer, label }
     let extraEndNotice = null; // { timer }
 
     // FGZ snapshots — saved positions of protected stones before each throw
     let fgzSnapshots = []; // [{ stone, x, y }]
 
+    // Thinking-time clocks (online): latest server state and when it arrived
+    let matchClock = null; // { state, receivedAt }
+
+    // Replay viewer (see REPLAY VIEWER); null unless a record is being watched
+    let viewer = null; // { record, positions, end, shot, delivering, playing, camera, speed, iceMap, wear, savedState, timer }
+
     // --------------------------------------------------------
     // FREE GUARD ZONE (5-Rock Rule)
     // --------------------------------------------------------
@@ -340,7 +423,8 @@
     // (12-foot ring), NOT including inside the house.
     // During the first 5 stones of each end, opponent stones in the FGZ
     // cannot be removed. If they are, the thrown stone is removed and
-    // displaced stones are restored.
+    // displaced stones are restored. Mixed doubles instead protects every
+    // stone, positioned ones included, until the 4th stone is delivered.
 
     function isInFreeGuardZone(stone) {
         if (!stone.active) return false;
@@ -349,26 +433,54 @@
         return stone.y >= P.farHogLine && distToTee > HOUSE.twelveFoot + STONE_R;
     }
 
+    // Put this game's ice (and its wear so far) into the shared physics
+    function syncIce() {
+        CurlingPhysics.setIce(gameState.ice,
+            CurlingPhysics.wearProgress(gameState.currentEnd, gameState.regulationEnds, getTotalStonesThrown(), stonesPerEnd()));
+        CurlingPhysics.setIceMap(gameState.iceMap);
+    }
+
+    // Build this game's ice map from its seed and ice profile
+    function buildIceMap() {
+        gameState.iceMap = CurlingPhysics.createIceMap(gameState.seed, gameState.ice);
+        syncIce();
+    }
+
     function getTotalStonesThrown() {
         return gameState.redThrown + gameState.yellowThrown;
     }
 
+    // Rules for this game's format (physics.js FORMATS)
+    function formatRules() {
+        return CurlingPhysics.FORMATS[gameState.format] || CurlingPhysics.FORMATS.standard;
+    }
+
+    // Deliveries in an end, both teams together
+    function stonesPerEnd() {
+        return formatRules().stonesPerTeam * 2;
+    }
+
+    // True once both teams have delivered all their stones (`counts` defaults to this game)
+    function allStonesThrown(counts = gameState) {
+        const perTeam = formatRules().stonesPerTeam;
+        return counts.redThrown >= perTeam && counts.yellowThrown >= perTeam;
+    }
+
     function snapshotFGZStones() {
-        // Only protect during first 5 stones of the end
+        // Only protect during the format's protected stones of the end
         // Snapshot is taken BEFORE the current throw (throw count already incremented)
-        // So we check if total thrown <= 5 (this is the 1st through 5th stone)
+        // So we check e.g. total thrown <= 5 (this is the 1st through 5th stone)
+        const rules = formatRules();
         const totalThrown = getTotalStonesThrown();
-        if (totalThrown > 5) {
-            fgzSnapshots = [];
-            return;
-        }
-
-        // Snapshot all opponent's stones currently in the FGZ
+        const noTakeout = totalThrown <= rules.noTakeoutStones;
         fgzSnapshots = [];
+        if (!noTakeout && totalThrown > rules.fgzStones) return;
+
+        // Snapshot all opponent's stones currently in the FGZ (or every stone under no-takeout)
         for (const stone of gameState.stones) {
             if (stone === gameState.deliveredStone) continue; // skip the just-thrown stone
-            if (stone.team === gameState.currentTeam) continue; // only protect opponent's stones
-            if (isInFreeGuardZone(stone)) {
+            if (!stone.active) continue;
+            if (noTakeout || (stone.team !== gameState.currentTeam && isInFreeGuardZone(stone))) {
                 fgzSnapshots.push({ stone, x: stone.x, y: stone.y });
             }
         }
@@ -401,36 +513,365 @@
         if (violated && gameState.deliveredStone) {
             // Remove the thrown stone from play
             deactivateStone(gameState.deliveredStone, true);
-            fgzViolation = { timer: 2000 }; // show indicator for 2s
+            const shots = currentEndRecord().shots;
+            if (shots.length > 0) shots[shots.length - 1].fgzViolation = true;
+            const label = getTotalStonesThrown() <= formatRules().noTakeoutStones ? 'NO TAKEOUT' : 'FREE GUARD ZONE';
+            fgzViolation = { timer: 2000, label }; // show indicator for 2s
         }
 
         fgzSnapshots = [];
     }
 
-    function deliverStoneWithParams(aimDeg, weightPct, spinDir, spinAmount) {
-        const speed = CurlingPhysics.weightToSpeed(weightPct);
-        const aimRad = aimDeg * Math.PI / 180;
+    // --------------------------------------------------------
+    // POSITIONED STONES (Mixed Doubles)
+    // --------------------------------------------------------
+    // Every mixed doubles end starts with one placed stone per team. While
+    // it has a power play left (regulation ends only), the team with the
+    // hammer first decides whether to shift both stones to one side.
+
+    // Set the game's format and its per-game allowances
+    function setFormat(format) {
+        gameState.format = CurlingPhysics.FORMATS[format] ? format : 'standard';
+        gameState.regulationEnds = gameState.totalEnds;
+        const powerPlays = formatRules().powerPlays;
+        gameState.powerPlays = { red: powerPlays, yellow: powerPlays };
+    }
 
-        // Stone starts at hack, center line, moving toward far end
-        const startX = 0;
-        const startY = P.hack + 1.0; // just past the hack
+    // Called with the board cleared for a new end. Returns true if play
+    // waits on the hammer team's power play decision.
+    function startEnd() {
+        gameState.powerPlay = null;
+        hidePlacementPrompt();
+        if (!formatRules().positioned) return false;
+        if (!CurlingPhysics.canCallPowerPlay(gameState.format, gameState.powerPlays[gameState.hammer],
+            gameState.currentEnd, gameState.regulationEnds)) {
+            placePositionedStones(null);
+            return false;
+        }
+
+        gameState.phase = 'placement';
+        disableControlsForBot();
+        document.getElementById('throw-btn').disabled = true;
+        if (gameState.onlineMode) {
+            // The server's decision may already be here if our end transition ran late
+            if (gameState._pendingPlacement) {
+                const placement = gameState._pendingPlacement;
+                gameState._pendingPlacement = null;
+                placePositionedStones(placement.powerPlay);
+                gameState.phase = 'aiming';
+                return false;
+            }
+            showPlacementPrompt(gameState.myTeam === gameState.hammer);
+        } else if (gameState.botMode && gameState.hammer === TEAMS.YELLOW) {
+            showPlacementPrompt(false);
+            setTimeout(() => resolvePlacement(CurlingBot.decidePowerPlay(window._curlingBridge)), 1200);
+        } else {
+            showPlacementPrompt(true);
+        }
+        return true;
+    }
+
+    function placePositionedStones(powerPlay) {
+        gameState.powerPlay = powerPlay;
+        if (powerPlay) gameState.powerPlays[gameState.hammer]--;
+        gameState.stones = CurlingPhysics.positionedStones(gameState.hammer, powerPlay).map(s => {
+            const stone = createStone(s.team, s.x, s.y);
+            stone.positioned = true;
+            return stone;
+        });
+    }
+
+    // The decision is in ('left' / 'right' / null): place the stones and start the end
+    function resolvePlacement(powerPlay) {
+        if (gameState.phase !== 'placement') return;
+        hidePlacementPrompt();
+        placePositionedStones(powerPlay === 'left' || powerPlay === 'right' ? powerPlay : null);
+        gameState.phase = 'aiming';
+        updateUI();
+        startFirstTurn();
+    }
+
+    // `canChoose` shows the buttons; otherwise the panel says the decision is pending
+    function showPlacementPrompt(canChoose) {
+        const hammerLabel = gameState.onlineMode || gameState.botMode ? 'Your hammer'
+            : (gameState.hammer === TEAMS.RED ? 'Red' : 'Yellow') + ' hammer';
+        document.getElementById('placement-text').textContent = canChoose
+            ? `${hammerLabel} — call the power play? (${gameState.powerPlays[gameState.hammer]} left)`
+            : 'Waiting for the power play decision...';
+        document.getElementById('placement-buttons').style.display = canChoose ? '' : 'none';
+        document.getElementById('placement-panel').style.display = 'block';
+    }
+
+    function hidePlacementPrompt() {
+        document.getElementById('placement-panel').style.display = 'none';
+    }
+
+    document.querySelectorAll('.placement-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (gameState.phase !== 'placement') return;
+            const side = btn.dataset.side === 'none' ? null : btn.dataset.side;
+            if (gameState.onlineMode) {
+                // The server confirms the placement to both players
+                CurlingNetwork.sendPlacement(side);
+                showPlacementPrompt(false);
+            } else {
+                resolvePlacement(side);
+            }
+        });
+    });
+
+    // --------------------------------------------------------
+    // LAST STONE DRAW
+    // --------------------------------------------------------
+    // An optional draw to the button decides the first end's hammer
+    // (CurlingPhysics.LAST_STONE_DRAW). Draw stones are thrown and swept
+    // like any other, but aren't counted or recorded: each one is
+    // measured, shown and cleared for the next. Online, the server
+    // measures them and keeps the draw (simulation.js).
+    const DRAW_SHOW_MS = 1800; // a measured draw stone stays on the sheet this long
+
+    function inLastStoneDraw() {
+        return !!gameState.lastStoneDraw && !gameState.lastStoneDraw.choice;
+    }
+
+    function drawStonesThrown() {
+        const { red, yellow } = gameState.lastStoneDraw.distances;
+        return red.length + yellow.length;
+    }
+
+    // Called instead of startEnd for the first end, with the server's draw
+    // (online) or null for a new local one. Returns false like startEnd:
+    // play starts with the first draw stone.
+    function startLastStoneDraw(draw) {
+        gameState.lastStoneDraw = draw || {
+            stones: gameState.drawStones,
+            distances: { red: [], yellow: [] },
+            result: null,
+            choice: null,
+        };
+        gameState.stones = [];
+        gameState.currentTeam = CurlingPhysics.drawThrower(drawStonesThrown());
+        hideDrawPanel();
+        return false;
+    }
+
+    function formatDrawDistance(cm) {
+        return cm >= CurlingPhysics.LAST_STONE_DRAW.maxDistance ? 'outside the house' : `${cm.toFixed(1)} cm`;
+    }
+
+    function showDrawText(text, showButtons) {
+        document.getElementById('draw-text').textContent = text;
+        document.getElementById('draw-buttons').style.display = showButtons ? '' : 'none';
+        document.getElementById('draw-panel').style.display = 'block';
+    }
+
+    function hideDrawPanel() {
+        document.getElementById('draw-panel').style.display = 'none';
+    }
+
+    // A draw stone came to rest (from nextTurn). Online, the thrower hands
+    // it to the server and everyone waits for the measurement (onDrawStone).
+    function drawStoneSettled() {
+        gameState.phase = 'drawMeasure';
+        disableControlsForBot();
+        document.getElementById('throw-btn').disabled = true;
+        if (gameState.onlineMode) {
+            if (isMyTurn()) CurlingNetwork.sendThrowSettled({ stones: [] });
+            showDrawText('Measuring...', false);
+            return;
+        }
+        const draw = gameState.lastStoneDraw;
+        const stone = gameState.deliveredStone;
+        const distance = CurlingPhysics.drawDistance(stone);
+        draw.distances[stone.team].push(distance);
+        if (drawStonesThrown() >= draw.stones * 2) {
+            draw.result = CurlingPhysics.drawWinner(draw.distances, gameState.seed);
+        }
+        showDrawStone(stone.team, distance, draw.result ? draw.result.winner : CurlingPhysics.drawThrower(drawStonesThrown()));
+    }
+
+    // A measured stone: show its distance, then clear the sheet for the
+    // next thrower — or for the winner's choice once both sides are done
+    function showDrawStone(team, distance, nextTeam) {
+        const draw = gameState.lastStoneDraw;
+        gameState.phase = 'drawMeasure';
+        gameState.deliveredStone = null;
+        VIEW.followStone = false;
+        showDrawText(`${playerLabels()[team]}'s draw: ${formatDrawDistance(distance)}`, false);
+        setTimeout(() => {
+            if (gameState.phase !== 'drawMeasure' || gameState.lastStoneDraw !== draw) return;
+            gameState.stones = [];
+            gameState.currentTeam = nextTeam;
+            if (draw.result) {
+                showDrawChoice();
+                return;
+            }
+            gameState.phase = 'aiming';
+            hideDrawPanel();
+            updateUI();
+            startFirstTurn();
+        }, DRAW_SHOW_MS);
+    }
+
+    function showDrawChoice() {
+        const { red, yellow, winner, toss } = gameState.lastStoneDraw.result;
+        const labels = playerLabels();
+        gameState.phase = 'drawChoice';
+        disableControlsForBot();
+        document.getElementById('throw-btn').disabled = true;
+        updateUI();
+
+        const canChoose = gameState.onlineMode ? !gameState.spectating && winner === gameState.myTeam
+            : !gameState.botMode || winner === TEAMS.RED;
+        const outcome = toss
+            ? `Level at ${formatDrawDistance(red)} — ${labels[winner]} wins the toss`
+            : `${labels[winner]} wins the draw (${labels.red} ${formatDrawDistance(red)}, ${labels.yellow} ${formatDrawDistance(yellow)})`;
+        // The bot always plays yellow, so beating it can't change colours
+        document.querySelector('.draw-choice-btn[data-choice="yellow"]').style.display =
+            gameState.onlineMode || !gameState.botMode ? '' : 'none';
+        showDrawText(canChoose ? `${outcome} — take the hammer or pick a colour` : `${outcome}. Waiting for their choice...`, canChoose);
+
+        if (!gameState.onlineMode && gameState.botMode && winner === TEAMS.YELLOW) {
+            setTimeout(() => resolveDrawChoice(CurlingBot.decideDrawChoice(window._curlingBridge)), 1200);
+        }
+    }
+
+    // Local games: the winner's choice ('hammer', 'red' or 'yellow')
+    function resolveDrawChoice(choice) {
+        if (gameState.phase !== 'drawChoice') return;
+        const draw = gameState.lastStoneDraw;
+        const { hammer, swap } = CurlingPhysics.drawChoice(draw.result.winner, choice);
+        draw.choice = choice;
+        if (!swap) {
+            startFirstEnd(hammer);
+            return;
+        }
+        // Two players on one device change seats; the colours stay put
+        gameState.phase = 'drawMeasure';
+        showDrawText(`Change seats — the draw winner now plays ${choice === TEAMS.RED ? 'Red' : 'Yellow'}`, false);
+        setTimeout(() => startFirstEnd(hammer), DRAW_SHOW_MS);
+    }
+
+    // The draw is decided: the first end starts with `hammer` (in the
+    // colours after any change)
+    function startFirstEnd(hammer) {
+        hideDrawPanel();
+        gameState.stones = [];
+        gameState.hammer = hammer;
+        gameState.currentTeam = hammer === TEAMS.RED ? TEAMS.YELLOW : TEAMS.RED;
+        gameState.phase = 'aiming';
+        const awaitingPlacement = startEnd();
+        updateUI();
+        if (!awaitingPlacement) startFirstTurn();
+    }
 
-        const vx = speed * Math.sin(aimRad);
-        const vy = speed * Math.cos(aimRad);
+    document.querySelectorAll('.draw-choice-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (gameState.phase !== 'drawChoice') return;
+            if (gameState.onlineMode) {
+                // The server confirms the choice (and any change of colours) to everyone
+                CurlingNetwork.sendDrawChoice(btn.dataset.choice);
+                showDrawText('Waiting for the server...', false);
+            } else {
+                resolveDrawChoice(btn.dataset.choice);
+            }
+        });
+    });
 
-        const omega = CurlingPhysics.rotationsToAngularVelocity(spinAmount, speed) * spinDir;
+    // --------------------------------------------------------
+    // GAME RECORD
+    // --------------------------------------------------------
+    // Every game keeps a record in the shape the server stores
+    // (simulation.getHistory): each end's hammer, starting stones and
+    // result, and each throw's parameters, pebble seed, sweep timeline and
+    // the stones left in play once it settled.
+
+    // Stones at rest on the board, as recorded
+    function recordBoard() {
+        return gameState.stones
+            .filter(s => s.active && !s.moving)
+            .map(s => (s.positioned ? { team: s.team, x: s.x, y: s.y, positioned: true } : { team: s.team, x: s.x, y: s.y }));
+    }
 
-        const stone = createStone(gameState.currentTeam, startX, startY, vx, vy, omega);
+    function currentEndRecord() {
+        if (!gameState.history) {
+            gameState.history = {
+                seed: gameState.seed,
+                ice: gameState.ice,
+                format: gameState.format,
+                totalEnds: gameState.regulationEnds,
+                ends: [],
+            };
+        }
+        const ends = gameState.history.ends;
+        const last = ends[ends.length - 1];
+        if (last && last.end === gameState.currentEnd) return last;
+        const record = {
+            end: gameState.currentEnd,
+            hammer: gameState.hammer,
+            powerPlay: gameState.powerPlay,
+            startStones: recordBoard(),
+            shots: [],
+            result: null,
+        };
+        ends.push(record);
+        return record;
+    }
+
+    // A throw's resting stones are the board the next throw (or the scoring) starts from
+    function closeLastShot(record) {
+        const last = record.shots[record.shots.length - 1];
+        if (last && !last.stones) last.stones = recordBoard();
+    }
+
+    // Called as a delivery starts; `shot.sweepTimeline` fills in while it runs
+    function recordShot(shot) {
+        const record = currentEndRecord();
+        closeLastShot(record);
+        record.shots.push({ ...shot, stones: null, fgzViolation: false });
+    }
+
+    function recordEndResult(result) {
+        const record = currentEndRecord();
+        closeLastShot(record);
+        record.result = { team: result.team, points: result.points };
+    }
+
+    function deliverStoneWithParams(aimDeg, weightPct, spinDir, spinAmount) {
+        syncIce();
+
+        // Stone starts at hack, center line, moving toward far end
+        const launch = CurlingPhysics.launchState(aimDeg, weightPct, spinDir, spinAmount);
+
+        const stone = createStone(gameState.currentTeam, launch.x, launch.y, launch.vx, launch.vy, launch.omega);
         stone.moving = true;
-        stoneTrail = [{ x: startX, y: startY }];
+        stoneTrail = [{ x: launch.x, y: launch.y }];
         gameState.stones.push(stone);
         gameState.deliveredStone = stone;
+        gameState._throwStep = 0; // physics steps since release — sweep samples are stamped with this
+        gameState.calledShot = null;
+        resetSweepers();
+        gameState._wearPath = [{ x: launch.x, y: launch.y }];
+
+        // Seeded pebble pattern for this throw (the server derives the same seed)
+        const drawing = inLastStoneDraw();
+        const seed = drawing
+            ? CurlingPhysics.throwSeed(gameState.seed, CurlingPhysics.LAST_STONE_DRAW.seedEnd, drawStonesThrown())
+            : CurlingPhysics.throwSeed(gameState.seed, gameState.currentEnd, getTotalStonesThrown());
+        gameState._rng = CurlingPhysics.createRng(seed);
+
+        // Draw stones aren't part of the game's record or stone count
+        if (!drawing) {
+            recordShot({
+                team: gameState.currentTeam, aim: aimDeg, weight: weightPct, spinDir, spinAmount,
+                seed, sweepTimeline: gameState._sweepTimeline,
+            });
 
-        // Update throw count
-        if (gameState.currentTeam === TEAMS.RED) {
-            gameState.redThrown++;
-        } else {
-            gameState.yellowThrown++;
+            if (gameState.currentTeam === TEAMS.RED) {
+                gameState.redThrown++;
+            } else {
+                gameState.yellowThrown++;
+            }
         }
 
         gameState.phase = 'delivering';
@@ -457,7 +898,8 @@
         // Hide replay button when throwing
         hideReplayButton();
 
-        // If online mode, send throw to server (which relays to opponent).
+        // If online mode, send throw to server (which relays to opponent
+        // and re-simulates it once it settles).
         if (gameState.onlineMode) {
             CurlingNetwork.sendThrow({ aim: aimDeg, weight: weightPct, spinDir, spinAmount });
         }
@@ -507,6 +949,7 @@
 
     function endEnd() {
         const result = calculateEndScore();
+        recordEndResult(result);
 
         gameState.endScores.push(result);
 
@@ -541,6 +984,10 @@
             gameState.currentTeam = result.team; // scoring team goes first (disadvantage)
             // Hammer goes to the team that did NOT score
             gameState.hammer = result.team === TEAMS.RED ? TEAMS.YELLOW : TEAMS.RED;
+        } else if (formatRules().positioned) {
+            // Mixed doubles: a blank end passes the hammer
+            gameState.currentTeam = gameState.hammer;
+            gameState.hammer = gameState.hammer === TEAMS.RED ? TEAMS.YELLOW : TEAMS.RED;
         }
         // If blank end, same team keeps hammer (order stays)
 
@@ -550,26 +997,44 @@
         gameState.phase = 'aiming';
         gameState.deliveredStone = null;
 
+        const awaitingPlacement = startEnd();
         updateUI();
 
         // Delay briefly so player sees the score, then enable controls
-        setTimeout(() => {
-            if (gameState.onlineMode) {
-                if (isMyTurn()) {
-                    enableControlsForHuman();
-                    document.getElementById('throw-btn').disabled = false;
-                    TabNotify.notify();
-                } else {
-                    disableControlsForBot();
-                    document.getElementById('throw-btn').disabled = true;
-                }
-            } else if (isBotTurn()) {
-                triggerBotTurn();
-            } else {
+        if (!awaitingPlacement) setTimeout(startFirstTurn, 500);
+    }
+
+    // Hand the first delivery of an end to whoever throws it
+    function startFirstTurn() {
+        if (gameState.onlineMode) {
+            if (isMyTurn()) {
                 enableControlsForHuman();
                 document.getElementById('throw-btn').disabled = false;
+                TabNotify.notify();
+            } else {
+                disableControlsForBot();
+                document.getElementById('throw-btn').disabled = true;
             }
-        }, 500);
+        } else if (isBotTurn()) {
+            triggerBotTurn();
+        } else {
+            enableControlsForHuman();
+            document.getElementById('throw-btn').disabled = false;
+        }
+    }
+
+    // Score labels — player names in online mode
+    function playerLabels() {
+        if (!gameState.onlineMode) return { red: 'Red', yellow: 'Yellow' };
+        if (gameState.spectating) {
+            const { red, yellow } = gameState.watchedPlayers || {};
+            return { red: red ? red.username : 'Red', yellow: yellow ? yellow.username : 'Yellow' };
+        }
+        const myName = localStorage.getItem('curling_username') || 'You';
+        const oppName = gameState.opponentInfo ? gameState.opponentInfo.username : 'Guest';
+        return gameState.myTeam === TEAMS.RED
+            ? { red: myName, yellow: oppName }
+            : { red: oppName, yellow: myName };
     }
 
     function showGameOver() {
@@ -581,7 +1046,17 @@
         const finalScores = document.getElementById('final-scores');
 
         let winner;
-        if (gameState.redScore > gameState.yellowScore) {
+        if (gameState.spectating) {
+            const labels = playerLabels();
+            const winnerTeam = gameState.forfeit
+                ? (gameState.forfeit === TEAMS.RED ? TEAMS.YELLOW : TEAMS.RED)
+                : gameState.redScore > gameState.yellowScore ? TEAMS.RED
+                    : gameState.yellowScore > gameState.redScore ? TEAMS.YELLOW : null;
+            winner = winnerTeam ? `${labels[winnerTeam]} Wins!` : "It's a Tie!";
+        } else if (gameState.forfeit) {
+            const winnerTeam = gameState.forfeit === TEAMS.RED ? TEAMS.YELLOW : TEAMS.RED;
+            winner = winnerTeam === gameState.myTeam ? 'You Win!' : 'You Lose!';
+        } else if (gameState.redScore > gameState.yellowScore) {
             if (gameState.onlineMode) {
                 winner = gameState.myTeam === TEAMS.RED ? 'You Win!' : 'You Lose!';
             } else {
@@ -599,22 +1074,10 @@
 
         winnerText.textContent = winner;
 
-        // Build score labels — show player names in online mode
-        let redLabel = 'Red';
-        let yellowLabel = 'Yellow';
-        if (gameState.onlineMode) {
-            const myName = localStorage.getItem('curling_username') || 'You';
-            const oppName = gameState.opponentInfo ? gameState.opponentInfo.username : 'Guest';
-            if (gameState.myTeam === TEAMS.RED) {
-                redLabel = myName;
-                yellowLabel = oppName;
-            } else {
-                redLabel = oppName;
-                yellowLabel = myName;
-            }
-        }
+        const { red: redLabel, yellow: yellowLabel } = playerLabels();
 
         finalScores.innerHTML = `
+            ${gameState.forfeit ? `<div style="font-size:16px; color:#888">${gameState.forfeit === TEAMS.RED ? redLabel : yellowLabel} ran out of time</div>` : ''}
             <div style="color:#e53935">${redLabel}: ${gameState.redScore}</div>
             <div style="color:#fdd835">${yellowLabel}: ${gameState.yellowScore}</div>
             <br>
@@ -627,12 +1090,23 @@
 
         showMatchupOnGameOver();
         screen.style.display = 'flex';
+        // A spectator's own record may start part-way through the game
+        const hasRecord = gameState.history && !gameState.spectating;
+        document.getElementById('watch-replay-btn').style.display = hasRecord ? 'inline-block' : 'none';
+        document.getElementById('export-record').style.display = hasRecord ? '' : 'none';
 
         // Show rematch/leave buttons in online mode, hide new-game
         const newGameBtn = document.getElementById('new-game-btn');
         const rematchBtn = document.getElementById('rematch-btn');
         const leaveBtn = document.getElementById('leave-btn');
-        if (gameState.onlineMode) {
+        if (gameState.spectating) {
+            // Spectators just leave; a rematch comes to them as a new game
+            newGameBtn.style.display = 'none';
+            rematchBtn.style.display = 'none';
+            leaveBtn.style.display = 'inline-block';
+            const ratingInfo = document.getElementById('rating-update-info');
+            if (ratingInfo) ratingInfo.style.display = 'none';
+        } else if (gameState.onlineMode) {
             newGameBtn.style.display = 'none';
             rematchBtn.style.display = 'inline-block';
             rematchBtn.textContent = 'Rematch';
@@ -640,9 +1114,11 @@
             leaveBtn.style.display = 'inline-block';
             // Record game result for win/loss tracking
             CurlingNetwork.sendGameOver(gameState.redScore, gameState.yellowScore, gameState.currentEnd);
-            // Reset rating update display (will be populated by rating_update message)
+            // The server records the result as the last stone settles, so its
+            // rating_update may already be here; otherwise it fills this in
             const ratingInfo = document.getElementById('rating-update-info');
-            if (ratingInfo) ratingInfo.style.display = 'none';
+            if (gameState.ratingUpdate) showRatingUpdate(gameState.ratingUpdate);
+            else if (ratingInfo) ratingInfo.style.display = 'none';
         } else {
             newGameBtn.style.display = 'inline-block';
             rematchBtn.style.display = 'none';
@@ -650,13 +1126,27 @@
         }
     }
 
+    // Rating change (or "casual") on the game over screen
+    function showRatingUpdate({ ranked, rank, change }) {
+        const ratingInfo = document.getElementById('rating-update-info');
+        if (!ratingInfo || (ranked && !rank)) return;
+        if (!ranked) {
+            ratingInfo.innerHTML = '<span style="color:#aaa">Casual game — rating unchanged</span>';
+        } else {
+            ratingInfo.innerHTML = `<span class="rank-badge" style="background:${rank.color}">${rank.name}</span> <span style="color:#aaa">${ratingLabel(rank)}</span>`
+                + (change ? ` <span style="color:#888">(${ratingDelta(change)})</span>` : '')
+                + (change && change.rankChange ? `<div class="rank-event ${change.rankChange}">${rankEventText(change)}</div>` : '');
+        }
+        ratingInfo.style.display = 'block';
+    }
+
     // --------------------------------------------------------
     // END-OF-END SAFETY NET
     // --------------------------------------------------------
     // Detects if the game is stuck with all 16 stones thrown but not in scoring.
     // This catches edge cases from reconnects, cached code, or timing issues.
     function checkEndOfEndStuck() {
-        if (gameState.redThrown >= 8 && gameState.yellowThrown >= 8 &&
+        if (allStonesThrown() && !viewer &&
             gameState.phase !== 'scoring' && gameState.phase !== 'gameover' &&
             gameState.phase !== 'delivering' && gameState.phase !== 'settling') {
             console.log('[SAFETY] End-of-end stuck detected! phase=' + gameState.phase +
@@ -677,7 +1167,7 @@
     // with all 16 stones thrown — never during active delivery or settling.
     let _endOfEndStuckTimer = 0;
     function checkEndOfEndStuckPeriodic(dt) {
-        if (gameState.redThrown >= 8 && gameState.yellowThrown >= 8 &&
+        if (allStonesThrown() &&
             gameState.phase !== 'scoring' && gameState.phase !== 'gameover' &&
             gameState.phase !== 'delivering' && gameState.phase !== 'settling') {
             _endOfEndStuckTimer += dt;
@@ -697,8 +1187,17 @@
         const teamLabel = document.getElementById('current-team-label');
         const stonesLabel = document.getElementById('stones-remaining');
 
-        if (gameState.onlineMode) {
-            teamLabel.textContent = isMyTurn() ? "Your Turn" : "Opponent's Turn";
+        if (gameState.spectating) {
+            const labels = playerLabels();
+            teamLabel.textContent = `${labels[gameState.currentTeam]}'s Turn`;
+        } else if (gameState.onlineMode) {
+            if (isMyTurn()) {
+                teamLabel.textContent = "Your Turn";
+            } else if (gameState.currentTeam === gameState.myTeam) {
+                teamLabel.textContent = `${teammateName(throwerSeatOf(gameState.myTeam))}'s Turn`;
+            } else {
+                teamLabel.textContent = "Opponent's Turn";
+            }
         } else if (gameState.botMode) {
             teamLabel.textContent = gameState.currentTeam === TEAMS.RED ? "Your Turn" : "Bot's Turn";
         } else {
@@ -711,19 +1210,30 @@
         void teamLabel.offsetWidth; // force reflow to restart animation
         teamLabel.classList.add('team-change-pulse');
 
-        const thrown = gameState.currentTeam === TEAMS.RED ? gameState.redThrown : gameState.yellowThrown;
-        stonesLabel.textContent = `Stone ${Math.min(thrown + 1, 8)} of 8`;
+        if (inLastStoneDraw()) {
+            const draw = gameState.lastStoneDraw;
+            const drawn = draw.distances[gameState.currentTeam].length;
+            stonesLabel.textContent = `Draw stone ${Math.min(drawn + 1, draw.stones)} of ${draw.stones}`;
+        } else {
+            const thrown = gameState.currentTeam === TEAMS.RED ? gameState.redThrown : gameState.yellowThrown;
+            const perTeam = formatRules().stonesPerTeam;
+            stonesLabel.textContent = `Stone ${Math.min(thrown + 1, perTeam)} of ${perTeam}`;
+        }
 
-        document.getElementById('throw-btn').style.display = 'block';
+        document.getElementById('throw-btn').style.display = gameState.spectating ? 'none' : 'block';
         document.getElementById('sweep-toggle-btn').style.display = 'none';
+        document.getElementById('call-shot-btn').style.display = isMyShotCall() ? '' : 'none';
 
         // Update total ends display
         document.getElementById('total-ends-display').textContent = '/ ' + gameState.totalEnds;
 
-        // Hammer indicator
+        // Hammer indicator (none until the Last Stone Draw decides it)
         const redHammer = document.getElementById('red-hammer');
         const yellowHammer = document.getElementById('yellow-hammer');
-        if (gameState.hammer === TEAMS.RED) {
+        if (inLastStoneDraw()) {
+            redHammer.style.display = 'none';
+            yellowHammer.style.display = 'none';
+        } else if (gameState.hammer === TEAMS.RED) {
             redHammer.style.display = 'inline';
             redHammer.textContent = '\u{1F528}';
             yellowHammer.style.display = 'none';
@@ -734,7 +1244,7 @@
         }
     }
 
-    // Apply authoritative stone positions from the thrower.
+    // Apply authoritative stone positions from the server simulation.
     // This is the single correction point that keeps both clients in sync.
     function applyAuthoritativeState(auth) {
         if (auth.stones && auth.stones.length > 0) {
@@ -742,32 +1252,20 @@
                 const stone = createStone(s.team, s.x, s.y, 0, 0, 0);
                 stone.active = true;
                 stone.moving = false;
+                if (s.positioned) stone.positioned = true;
                 return stone;
             });
         }
         if (auth.currentTeam) gameState.currentTeam = auth.currentTeam;
+        if (auth.powerPlays) gameState.powerPlays = { red: auth.powerPlays.red, yellow: auth.powerPlays.yellow };
         if (auth.redThrown !== undefined) gameState.redThrown = auth.redThrown;
         if (auth.yellowThrown !== undefined) gameState.yellowThrown = auth.yellowThrown;
         if (auth.redScore !== undefined) gameState.redScore = auth.redScore;
         if (auth.yellowScore !== undefined) gameState.yellowScore = auth.yellowScore;
         if (auth.currentEnd !== undefined) gameState.currentEnd = auth.currentEnd;
+        if (auth.iceWear && gameState.iceMap) gameState.iceMap.wear = auth.iceWear.slice();
         updateUI();
         console.log('[AUTH] Applied authoritative state: ' + (auth.stones ? auth.stones.length : 0) + ' stones, currentTeam=' + gameState.currentTeam);
-
-        // Re-send corrected positions to server so the snapshot is accurate
-        CurlingNetwork.sendGameStateSync({
-            currentTeam: gameState.currentTeam,
-            redScore: gameState.redScore,
-            yellowScore: gameState.yellowScore,
-            currentEnd: gameState.currentEnd,
-            redThrown: gameState.redThrown,
-            yellowThrown: gameState.yellowThrown,
-            hammer: gameState.hammer,
-            endScores: gameState.endScores,
-            stones: gameState.stones.filter(s => s.active).map(s => ({
-                team: s.team, x: s.x, y: s.y,
-            })),
-        });
     }
 
     function nextTurn() {
@@ -776,6 +1274,12 @@
         gameState._latestStonePositions = null;
         gameState._lastPositionSendTime = 0;
 
+        // A draw stone is measured, not played on
+        if (inLastStoneDraw()) {
+            drawStoneSettled();
+            return;
+        }
+
         const prevTeam = gameState.currentTeam;
         // Switch teams (alternating throws)
         if (gameState.currentTeam === TEAMS.RED) {
@@ -786,10 +1290,11 @@
         console.log('[NEXT-TURN] Switched ' + prevTeam + ' -> ' + gameState.currentTeam + ' myTeam=' + gameState.myTeam + ' isMyTurn=' + isMyTurn() + ' redThrown=' + gameState.redThrown + ' yellowThrown=' + gameState.yellowThrown);
 
         // In online mode, ALWAYS send throw_settled before doing anything else.
-        // This ensures the opponent gets the authoritative stone positions for
+        // This tells the server the sweep timeline is complete so it can
+        // simulate the throw and send both clients the authoritative stones for
         // scoring, end-of-end transitions, etc. (Without this, the opponent
         // would be stuck in _remoteDelivery forever if we enter scoring.)
-        if (gameState.onlineMode && !isMyTurn()) {
+        if (gameState.onlineMode && !isMyTurn() && !gameState.spectating) {
             const settledStones = gameState.stones.filter(s => s.active).map(s => ({
                 team: s.team, x: s.x, y: s.y,
             }));
@@ -818,16 +1323,16 @@
         }
 
         // Check if all 16 stones have been thrown
-        if (gameState.redThrown >= 8 && gameState.yellowThrown >= 8) {
+        if (allStonesThrown()) {
             gameState.phase = 'scoring';
             setTimeout(() => endEnd(), 1500);
             return;
         }
 
         // If current team has thrown all 8, switch
-        if (gameState.currentTeam === TEAMS.RED && gameState.redThrown >= 8) {
+        if (gameState.currentTeam === TEAMS.RED && gameState.redThrown >= formatRules().stonesPerTeam) {
             gameState.currentTeam = TEAMS.YELLOW;
-        } else if (gameState.currentTeam === TEAMS.YELLOW && gameState.yellowThrown >= 8) {
+        } else if (gameState.currentTeam === TEAMS.YELLOW && gameState.yellowThrown >= formatRules().stonesPerTeam) {
             gameState.currentTeam = TEAMS.RED;
         }
 
@@ -866,469 +1371,81 @@
     // RENDERING
     // --------------------------------------------------------
 
-    // Ice texture colors
-    const ICE_COLOR = '#e8eef5';
-    const ICE_LIGHT = '#edf2f8';
-    const LINE_COLOR = '#c0392b';
-    const CENTER_LINE = '#444';
-
+    // The sheet, house and stones themselves are drawn by sheet.js (shared
+    // with the broadcast overlay) through this view's transforms
     function drawSheet() {
-        // Background
-        ctx.fillStyle = '#1a1a2e';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-        // Ice surface
-        const leftEdge = toCanvasX(-CurlingPhysics.SHEET.width / 2);
-        const rightEdge = toCanvasX(CurlingPhysics.SHEET.width / 2);
-        const topEdge = toCanvasY(VIEW.currentYMax);
-        const bottomEdge = toCanvasY(VIEW.currentYMin);
-
-        // Main ice with subtle gradient (cooler edges, warmer center)
-        const iceGrad = ctx.createRadialGradient(
-            toCanvasX(0), toCanvasY(P.farTeeLine), 0,
-            toCanvasX(0), toCanvasY(P.farTeeLine), Math.max(rightEdge - leftEdge, bottomEdge - topEdge) * 0.7
-        );
-        iceGrad.addColorStop(0, '#eef3fa');  // slightly brighter center
-        iceGrad.addColorStop(0.6, ICE_COLOR);
-        iceGrad.addColorStop(1, '#dde3ec');  // cooler edges
-        ctx.fillStyle = iceGrad;
-        ctx.fillRect(leftEdge, topEdge, rightEdge - leftEdge, bottomEdge - topEdge);
-
-        // Specular highlight — overhead arena light simulation
-        const specGrad = ctx.createRadialGradient(
-            toCanvasX(0), toCanvasY(P.farTeeLine), 0,
-            toCanvasX(0), toCanvasY(P.farTeeLine), toCanvasLen(4)
-        );
-        specGrad.addColorStop(0, 'rgba(255, 255, 255, 0.06)');
-        specGrad.addColorStop(1, 'rgba(255, 255, 255, 0)');
-        ctx.fillStyle = specGrad;
-        ctx.fillRect(leftEdge, topEdge, rightEdge - leftEdge, bottomEdge - topEdge);
-
-        // Pebble texture (subtle dots)
-        drawPebbleTexture(leftEdge, topEdge, rightEdge - leftEdge, bottomEdge - topEdge);
-
-        // Side boards (dark strips along left and right edges)
-        const boardWidth = toCanvasLen(0.15);
-        const boardGradL = ctx.createLinearGradient(leftEdge - boardWidth, 0, leftEdge, 0);
-        boardGradL.addColorStop(0, '#2a2a3e');
-        boardGradL.addColorStop(0.7, '#3a3a50');
-        boardGradL.addColorStop(1, '#555');
-        ctx.fillStyle = boardGradL;
-        ctx.fillRect(leftEdge - boardWidth, topEdge, boardWidth, bottomEdge - topEdge);
-
-        const boardGradR = ctx.createLinearGradient(rightEdge, 0, rightEdge + boardWidth, 0);
-        boardGradR.addColorStop(0, '#555');
-        boardGradR.addColorStop(0.3, '#3a3a50');
-        boardGradR.addColorStop(1, '#2a2a3e');
-        ctx.fillStyle = boardGradR;
-        ctx.fillRect(rightEdge, topEdge, boardWidth, bottomEdge - topEdge);
-
-        // Board top edge highlights
-        ctx.strokeStyle = '#777';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(leftEdge - boardWidth, topEdge);
-        ctx.lineTo(leftEdge - boardWidth, bottomEdge);
-        ctx.stroke();
-        ctx.beginPath();
-        ctx.moveTo(rightEdge + boardWidth, topEdge);
-        ctx.lineTo(rightEdge + boardWidth, bottomEdge);
-        ctx.stroke();
-
-        // Sheet boundary
-        ctx.strokeStyle = '#bbb';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(leftEdge, topEdge, rightEdge - leftEdge, bottomEdge - topEdge);
-
-        // Ice logos (between the hog lines)
-        drawIceLogos();
-
-        // Center line
-        ctx.strokeStyle = CENTER_LINE;
-        ctx.lineWidth = 1;
-        ctx.setLineDash([8, 4]);
-        ctx.beginPath();
-        ctx.moveTo(toCanvasX(0), topEdge);
-        ctx.lineTo(toCanvasX(0), bottomEdge);
-        ctx.stroke();
-        ctx.setLineDash([]);
-
-        // Draw house
-        drawHouse();
-
-        // Hog lines
-        drawLine(P.farHogLine, '#c0392b', 3, 'Hog Line');
-        drawLine(P.nearHogLine, '#c0392b', 3);
-
-        // Tee line
-        drawLine(P.farTeeLine, '#c0392b', 2);
-
-        // Back line
-        drawLine(P.farBackLine, '#c0392b', 2);
-
-        // Hack
-        drawHack();
+        sheet.drawSheet(showIceMapOverlay ? drawIceMapOverlay : null);
     }
 
-    // Pre-generate pebble texture as offscreen canvas
-    let pebblePattern = null;
-    function getPebblePattern() {
-        if (pebblePattern) return pebblePattern;
-        const patSize = 128;
-        const offscreen = document.createElement('canvas');
-        offscreen.width = patSize;
-        offscreen.height = patSize;
-        const octx = offscreen.getContext('2d');
-        octx.fillStyle = 'rgba(180, 195, 215, 0.12)';
-        for (let i = 0; i < 400; i++) {
-            const px = (i * 37 + i * i * 13) % patSize;
-            const py = (i * 53 + i * i * 7) % patSize;
-            octx.beginPath();
-            octx.arc(px, py, 0.8, 0, Math.PI * 2);
-            octx.fill();
-        }
-        pebblePattern = ctx.createPattern(offscreen, 'repeat');
-        return pebblePattern;
-    }
-
-    function drawPebbleTexture(x, y, w, h) {
-        const pat = getPebblePattern();
-        if (!pat) return;
-        ctx.save();
-        ctx.fillStyle = pat;
-        ctx.fillRect(x, y, w, h);
-        ctx.restore();
+    function drawStone(stone) {
+        sheet.drawStone(stone);
     }
 
     // --------------------------------------------------------
-    // ICE LOGO (Olympic Rings)
-    // Drawn between the far hog line and the house
+    // ICE MAP DEBUG OVERLAY
+    // Red = keen (less friction), blue = heavy; the white tick is the curl
+    // multiplier (longer = curls more), arrows show falls, grey is worn pebble.
     // --------------------------------------------------------
-    function drawIceLogos() {
+    let showIceMapOverlay = false;
+
+    function drawIceMapOverlay() {
+        const map = gameState.iceMap;
+        if (!map) return;
+        const MAP = CurlingPhysics.ICE_MAP;
+        const cellW = toCanvasLen(MAP.cellWidth);
+        const cellH = toCanvasLen(MAP.cellLength);
+
         ctx.save();
-        ctx.globalAlpha = 0.45; // painted-on-ice look
-
-        // Place the rings centered between the far hog line and the front of the house
-        const logoTopY = P.farHogLine + 0.3;
-        const logoBottomY = P.farTeeLine - HOUSE.twelveFoot - 0.3;
-        const logoMidY = (logoTopY + logoBottomY) / 2;
-        const logoHeight = logoBottomY - logoTopY;
-
-        // Ring dimensions — constrain to fit within the ice sheet width
-        const sheetWidthPx = toCanvasLen(CurlingPhysics.SHEET.width * 0.80);
-        const totalH = toCanvasLen(logoHeight);
-        // Olympic rings total width ≈ 6.44 * ringRadius (with gaps)
-        // Solve: 6.44 * r = sheetWidthPx → r = sheetWidthPx / 6.44
-        const radiusFromWidth = sheetWidthPx / 6.44;
-        // Also limit by available height (rings span ~2.9 * radius vertically)
-        const radiusFromHeight = totalH / 2.9;
-        const ringRadius = Math.min(radiusFromWidth, radiusFromHeight);
-        const strokeW = ringRadius * 0.18;
-        const gap = ringRadius * 0.22; // horizontal gap between ring centers in same row
-
-        const centerX = toCanvasX(0);
-        const centerY = toCanvasY(logoMidY);
-
-        // Top row y, bottom row y
-        const topY = centerY - ringRadius * 0.45;
-        const botY = centerY + ringRadius * 0.45;
-
-        // Horizontal spacing: rings overlap slightly
-        const dx = ringRadius * 2 + gap;
-
-        // Ring centers: top row (blue, black, red), bottom row (yellow, green)
-        const rings = [
-            { x: centerX - dx,     y: topY, color: '#0081C8' },  // blue
-            { x: centerX,          y: topY, color: '#222222' },  // black (slightly lighter for ice visibility)
-            { x: centerX + dx,     y: topY, color: '#EE334E' },  // red
-            { x: centerX - dx / 2, y: botY, color: '#FCB131' },  // yellow
-            { x: centerX + dx / 2, y: botY, color: '#00A651' },  // green
-        ];
-
-        ctx.lineWidth = strokeW;
-        ctx.lineCap = 'round';
-
-        // Draw all rings as simple overlapping circles (no interlocking needed at this scale)
-        // Draw bottom row first, then top row on top
-        // Bottom row
-        for (let i = 3; i <= 4; i++) {
-            ctx.beginPath();
-            ctx.arc(rings[i].x, rings[i].y, ringRadius, 0, Math.PI * 2);
-            ctx.strokeStyle = rings[i].color;
-            ctx.stroke();
-        }
-        // Top row
-        for (let i = 0; i <= 2; i++) {
-            ctx.beginPath();
-            ctx.arc(rings[i].x, rings[i].y, ringRadius, 0, Math.PI * 2);
-            ctx.strokeStyle = rings[i].color;
-            ctx.stroke();
-        }
+        for (let r = 0; r < map.rows; r++) {
+            const y0 = r * MAP.cellLength;
+            if (y0 + MAP.cellLength < VIEW.currentYMin || y0 > VIEW.currentYMax) continue;
+            const cy = toCanvasY(y0 + MAP.cellLength / 2);
+
+            for (let c = 0; c < map.cols; c++) {
+                const i = r * map.cols + c;
+                const x0 = -P.halfWidth + c * MAP.cellWidth;
+                const cx = toCanvasX(x0 + MAP.cellWidth / 2);
+                const left = toCanvasX(x0);
+                const top = toCanvasY(y0 + MAP.cellLength);
+
+                // Friction: ±4% maps to full strength
+                const df = map.friction[i] - 1;
+                const strength = Math.min(1, Math.abs(df) / 0.04);
+                ctx.fillStyle = df < 0
+                    ? `rgba(229, 57, 53, ${0.35 * strength})`
+                    : `rgba(30, 136, 229, ${0.35 * strength})`;
+                ctx.fillRect(left, top, cellW, cellH);
+
+                if (map.wear[i] > 0) {
+                    ctx.fillStyle = `rgba(90, 90, 90, ${0.4 * map.wear[i]})`;
+                    ctx.fillRect(left, top, cellW, cellH);
+                }
 
-        // Draw interlocking weave: bottom rings pass IN FRONT of top rings on the right side
-        // For each bottom-top pair, redraw a small arc of the bottom ring over the top ring
-        const pairs = [
-            { bot: 3, top: 0 }, // yellow over blue (right intersection)
-            { bot: 3, top: 1 }, // yellow over black (left intersection)
-            { bot: 4, top: 1 }, // green over black (right intersection)
-            { bot: 4, top: 2 }, // green over red (left intersection)
-        ];
-
-        for (let p = 0; p < pairs.length; p++) {
-            const b = rings[pairs[p].bot];
-            const t = rings[pairs[p].top];
-            // Find the angle from bottom ring center to top ring center
-            const angle = Math.atan2(t.y - b.y, t.x - b.x);
-            // The "in front" arc is on the side closer to the top ring
-            // We draw a small arc segment of the bottom ring that overlaps
-            const arcSpan = 0.45; // radians of arc to redraw
-            // For even index pairs (right side), bottom goes in front
-            // For odd index pairs (left side), top goes in front
-            if (p % 2 === 0) {
-                // Bottom ring in front on right side of intersection
-                ctx.beginPath();
-                ctx.arc(b.x, b.y, ringRadius, angle - arcSpan, angle + arcSpan);
-                ctx.strokeStyle = b.color;
-                ctx.stroke();
-            } else {
-                // Top ring in front on left side of intersection
-                const angle2 = Math.atan2(b.y - t.y, b.x - t.x);
+                // Curl multiplier
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.lineWidth = 1;
+                const tick = cellW * 0.4 * map.curl[i];
                 ctx.beginPath();
-                ctx.arc(t.x, t.y, ringRadius, angle2 - arcSpan, angle2 + arcSpan);
-                ctx.strokeStyle = t.color;
+                ctx.moveTo(cx - tick / 2, cy);
+                ctx.lineTo(cx + tick / 2, cy);
                 ctx.stroke();
+
+                // Fall direction
+                const fall = map.fall[i];
+                if (Math.abs(fall) > 0.0002) {
+                    const len = cellW * 0.45 * Math.min(1, Math.abs(fall) / 0.0015) * Math.sign(fall);
+                    ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+                    ctx.beginPath();
+                    ctx.moveTo(cx, cy + 3);
+                    ctx.lineTo(cx + len, cy + 3);
+                    ctx.lineTo(cx + len - Math.sign(fall) * 3, cy + 1);
+                    ctx.stroke();
+                }
             }
         }
-
-        ctx.globalAlpha = 1.0;
         ctx.restore();
     }
 
-
-    function drawHouse() {
-        const cx = toCanvasX(0);
-        const cy = toCanvasY(P.farTeeLine);
-
-        // Spotlight glow behind the house (arena overhead lights)
-        const spotGrad = ctx.createRadialGradient(cx, cy, 0, cx, cy, toCanvasLen(HOUSE.twelveFoot * 1.5));
-        spotGrad.addColorStop(0, 'rgba(255, 255, 255, 0.05)');
-        spotGrad.addColorStop(0.6, 'rgba(255, 255, 255, 0.025)');
-        spotGrad.addColorStop(1, 'rgba(255, 255, 255, 0)');
-        ctx.fillStyle = spotGrad;
-        ctx.beginPath();
-        ctx.arc(cx, cy, toCanvasLen(HOUSE.twelveFoot * 1.5), 0, Math.PI * 2);
-        ctx.fill();
-
-        // Draw from outermost to innermost (painter's algorithm)
-        // 12-foot ring - BLUE
-        ctx.fillStyle = '#2a6cb6';
-        ctx.beginPath();
-        ctx.arc(cx, cy, toCanvasLen(HOUSE.twelveFoot), 0, Math.PI * 2);
-        ctx.fill();
-
-        // 8-foot ring - WHITE
-        ctx.fillStyle = '#eef1f5';
-        ctx.beginPath();
-        ctx.arc(cx, cy, toCanvasLen(HOUSE.eightFoot), 0, Math.PI * 2);
-        ctx.fill();
-
-        // 4-foot ring - RED
-        ctx.fillStyle = '#cc3333';
-        ctx.beginPath();
-        ctx.arc(cx, cy, toCanvasLen(HOUSE.fourFoot), 0, Math.PI * 2);
-        ctx.fill();
-
-        // Button area - WHITE
-        ctx.fillStyle = '#eef1f5';
-        ctx.beginPath();
-        ctx.arc(cx, cy, toCanvasLen(HOUSE.button * 2.5), 0, Math.PI * 2);
-        ctx.fill();
-
-        // Ring outlines
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 1.5;
-        for (const r of [HOUSE.twelveFoot, HOUSE.eightFoot, HOUSE.fourFoot]) {
-            ctx.beginPath();
-            ctx.arc(cx, cy, toCanvasLen(r), 0, Math.PI * 2);
-            ctx.stroke();
-        }
-
-        // Tee line through house
-        const halfW = CurlingPhysics.SHEET.width / 2;
-        ctx.strokeStyle = LINE_COLOR;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(toCanvasX(-halfW), cy);
-        ctx.lineTo(toCanvasX(halfW), cy);
-        ctx.stroke();
-
-        // Center line through house
-        ctx.strokeStyle = LINE_COLOR;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(cx, toCanvasY(P.farTeeLine - HOUSE.twelveFoot - 0.5));
-        ctx.lineTo(cx, toCanvasY(P.farTeeLine + HOUSE.twelveFoot + 0.5));
-        ctx.stroke();
-    }
-
-    function drawLine(yPos, color, width, label) {
-        const halfW = CurlingPhysics.SHEET.width / 2;
-        ctx.strokeStyle = color;
-        ctx.lineWidth = width;
-        ctx.beginPath();
-        ctx.moveTo(toCanvasX(-halfW), toCanvasY(yPos));
-        ctx.lineTo(toCanvasX(halfW), toCanvasY(yPos));
-        ctx.stroke();
-
-        if (label) {
-            ctx.fillStyle = 'rgba(0,0,0,0.5)';
-            ctx.font = '11px sans-serif';
-            ctx.fillText(label, toCanvasX(halfW) + 5, toCanvasY(yPos) + 4);
-        }
-    }
-
-    function drawHack() {
-        const hackY = toCanvasY(P.hack);
-        const cx = toCanvasX(0);
-        const hackW = toCanvasLen(0.15);
-        const hackH = toCanvasLen(0.3);
-
-        ctx.fillStyle = '#333';
-        // Left hack
-        ctx.fillRect(cx - toCanvasLen(0.12) - hackW, hackY - hackH / 2, hackW, hackH);
-        // Right hack
-        ctx.fillRect(cx + toCanvasLen(0.12), hackY - hackH / 2, hackW, hackH);
-    }
-
-    function drawStone(stone) {
-        // Support fade-out: draw while fading, skip when fully gone
-        if (!stone.active && !(stone.fadeOut > 0)) return;
-
-        const cx = toCanvasX(stone.x);
-        const cy = toCanvasY(stone.y);
-        const r = toCanvasLen(STONE_R);
-
-        // Don't draw if off screen
-        if (cy < -r * 2 || cy > canvas.height + r * 2) return;
-        if (cx < -r * 2 || cx > canvas.width + r * 2) return;
-
-        ctx.save();
-
-        // Fade-out effect
-        if (stone.fadeOut > 0) {
-            ctx.globalAlpha = stone.fadeOut;
-        }
-
-        // Settle micro-bounce
-        let settleScale = 1.0;
-        if (stone.settleTime > 0) {
-            // Bounce from 1.06 down to 1.0 over 150ms
-            const t = stone.settleTime / 150;
-            settleScale = 1.0 + 0.06 * t * Math.cos(t * Math.PI);
-        }
-
-        ctx.translate(cx, cy);
-        if (settleScale !== 1.0) ctx.scale(settleScale, settleScale);
-        ctx.rotate(stone.angle);
-
-        // Stone body shadow (scaled with stone size)
-        const shadowOff = Math.max(2, r * 0.12);
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.18)';
-        ctx.beginPath();
-        ctx.arc(shadowOff, shadowOff, r + 1, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Stone body
-        const bodyColor = stone.team === TEAMS.RED ? '#e53935' : '#fdd835';
-        const bodyDark = stone.team === TEAMS.RED ? '#b71c1c' : '#f9a825';
-        const bodyLight = stone.team === TEAMS.RED ? '#ef5350' : '#ffee58';
-
-        // Gradient for 3D effect
-        const grad = ctx.createRadialGradient(-r * 0.2, -r * 0.2, r * 0.1, 0, 0, r);
-        grad.addColorStop(0, bodyLight);
-        grad.addColorStop(0.6, bodyColor);
-        grad.addColorStop(1, bodyDark);
-
-        ctx.fillStyle = grad;
-        ctx.beginPath();
-        ctx.arc(0, 0, r, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Running band (darker ring)
-        ctx.strokeStyle = bodyDark;
-        ctx.lineWidth = Math.max(1, toCanvasLen(0.008));
-        ctx.beginPath();
-        ctx.arc(0, 0, r * 0.85, 0, Math.PI * 2);
-        ctx.stroke();
-
-        // Handle - curved goose-neck shape so rotation is clearly visible
-        const handleLen = r * 0.75;
-        const handleW = Math.max(2, r * 0.16);
-
-        // Handle bar
-        ctx.strokeStyle = '#555';
-        ctx.lineWidth = handleW;
-        ctx.lineCap = 'round';
-        ctx.beginPath();
-        ctx.moveTo(-handleLen * 0.5, 0);
-        ctx.lineTo(handleLen * 0.5, 0);
-        ctx.stroke();
-
-        // Handle highlight
-        ctx.strokeStyle = '#888';
-        ctx.lineWidth = handleW * 0.4;
-        ctx.beginPath();
-        ctx.moveTo(-handleLen * 0.4, 0);
-        ctx.lineTo(handleLen * 0.4, 0);
-        ctx.stroke();
-
-        // Grip dot on one side to show rotation clearly
-        ctx.fillStyle = '#333';
-        ctx.beginPath();
-        ctx.arc(handleLen * 0.4, 0, handleW * 0.5, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Direction indicator line (like the stripe on a curling stone handle)
-        ctx.strokeStyle = 'rgba(255,255,255,0.4)';
-        ctx.lineWidth = Math.max(1, r * 0.04);
-        ctx.beginPath();
-        ctx.moveTo(0, -r * 0.3);
-        ctx.lineTo(0, -r * 0.6);
-        ctx.stroke();
-
-        // Stone edge highlight
-        ctx.strokeStyle = 'rgba(255,255,255,0.25)';
-        ctx.lineWidth = 1.5;
-        ctx.beginPath();
-        ctx.arc(0, 0, r - 1, 0, Math.PI * 2);
-        ctx.stroke();
-
-        ctx.restore();
-
-        // Spin indicator (small arrow when moving)
-        if (stone.moving && Math.abs(stone.omega) > 0.1) {
-            const arrowR = r + 5;
-            const arrowAngle = stone.omega > 0 ? Math.PI * 0.25 : -Math.PI * 0.25;
-            ctx.strokeStyle = 'rgba(255,255,255,0.6)';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(cx, cy, arrowR, arrowAngle - 0.8, arrowAngle + 0.8);
-            ctx.stroke();
-
-            // Arrow head
-            const endAngle = arrowAngle + (stone.omega > 0 ? 0.8 : -0.8);
-            const ax = cx + arrowR * Math.cos(endAngle);
-            const ay = cy + arrowR * Math.sin(endAngle);
-            const dir = stone.omega > 0 ? 1 : -1;
-            ctx.beginPath();
-            ctx.moveTo(ax, ay);
-            ctx.lineTo(ax + dir * 5, ay - 5);
-            ctx.moveTo(ax, ay);
-            ctx.lineTo(ax + dir * 5, ay + 5);
-            ctx.stroke();
-        }
-    }
-
     function drawTrail() {
         if (stoneTrail.length < 2) return;
         if (!gameState.deliveredStone) return;
@@ -1350,7 +1467,8 @@
 
 
     function drawSweepEffect() {
-        if (!gameState.isSweeping || !gameState.deliveredStone || !gameState.deliveredStone.moving) return;
+        const sweep = gameState.sweep;
+        if (sweep.intensity <= 0 || !gameState.deliveredStone || !gameState.deliveredStone.moving) return;
 
         const stone = gameState.deliveredStone;
         const cx = toCanvasX(stone.x);
@@ -1364,13 +1482,16 @@
         const dirX = stone.vx / speed;
         const dirY = stone.vy / speed;
 
-        ctx.strokeStyle = 'rgba(100, 180, 255, 0.4)';
+        // Marks fade with broom pressure and shift toward the swept side
+        // (the stone's right is (dirY, -dirX) in sheet coordinates)
+        const side = sweep.offset * r * 0.8;
+        ctx.strokeStyle = `rgba(100, 180, 255, ${(0.15 + 0.35 * sweep.intensity).toFixed(2)})`;
         ctx.lineWidth = 2;
 
         for (let i = 0; i < 5; i++) {
             const dist = r + 5 + i * 8;
-            const frontX = cx + dirX * dist * (scale > 10 ? 1 : scale / 10);
-            const frontY = cy - dirY * dist * (scale > 10 ? 1 : scale / 10);
+            const frontX = cx + dirX * dist * (scale > 10 ? 1 : scale / 10) + dirY * side;
+            const frontY = cy - dirY * dist * (scale > 10 ? 1 : scale / 10) + dirX * side;
 
             ctx.beginPath();
             ctx.moveTo(frontX - 8, frontY - 4);
@@ -1384,7 +1505,7 @@
     }
 
     // Cache for trajectory preview (easy mode only)
-    let _trajCache = { aim: null, weight: null, spin: null, amount: null, points: null };
+    let _trajCache = { aim: null, weight: null, spin: null, amount: null, board: null, points: null };
 
     function drawAimLine() {
         if (gameState.phase !== 'aiming') return;
@@ -1402,13 +1523,21 @@
             const spinDir = document.getElementById('spin-cw').classList.contains('active') ? 1 : -1;
             const spinAmount = parseFloat(document.getElementById('spin-amount-slider').value);
 
+            // Full prediction against the stones in play, so the line bends off hits
+            const board = gameState.stones.filter(s => s.active);
+            const boardKey = board.map(s => s.x.toFixed(3) + ',' + s.y.toFixed(3)).join(';');
+
             if (_trajCache.aim !== aimDeg || _trajCache.weight !== weightPct ||
-                _trajCache.spin !== spinDir || _trajCache.amount !== spinAmount) {
+                _trajCache.spin !== spinDir || _trajCache.amount !== spinAmount ||
+                _trajCache.board !== boardKey) {
                 _trajCache.aim = aimDeg;
                 _trajCache.weight = weightPct;
                 _trajCache.spin = spinDir;
                 _trajCache.amount = spinAmount;
-                _trajCache.points = CurlingPhysics.simulateTrajectory(aimDeg, weightPct, spinDir, spinAmount);
+                _trajCache.board = boardKey;
+                _trajCache.points = CurlingPhysics.predictShot(board, {
+                    team: gameState.currentTeam, aim: aimDeg, weight: weightPct, spinDir, spinAmount,
+                }, { pathEvery: 20 }).path;
             }
 
             const pts = _trajCache.points;
@@ -1453,9 +1582,38 @@
         drawStone(previewStone);
     }
 
+    // Team games: the skip's broom for the called shot, on the far tee line
+    function drawCalledShot() {
+        const call = gameState.calledShot;
+        if (!call || gameState.phase !== 'aiming') return;
+
+        const startY = P.hack + 1.0;
+        const x = (P.farTeeLine - startY) * Math.tan(call.aim * Math.PI / 180);
+        const cx = toCanvasX(x);
+        const cy = toCanvasY(P.farTeeLine);
+        const r = Math.max(6, toCanvasLen(STONE_R * 0.8));
+
+        ctx.strokeStyle = 'rgba(26, 26, 46, 0.85)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+        ctx.moveTo(cx - r, cy);
+        ctx.lineTo(cx + r, cy);
+        ctx.moveTo(cx, cy - r);
+        ctx.lineTo(cx, cy + r);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(26, 26, 46, 0.85)';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(call.by, cx, cy - r - 4);
+    }
+
     function drawScoreOverlay() {
-        // Show which stones are scoring near the house
-        if (gameState.phase === 'scoring' || gameState.phase === 'aiming' || gameState.phase === 'waitingNextTurn') {
+        // Show which stones are scoring near the house (draw stones don't score)
+        if (inLastStoneDraw()) return;
+        if (gameState.phase === 'scoring' || gameState.phase === 'aiming' || gameState.phase === 'waitingNextTurn' ||
+            (gameState.phase === 'viewing' && !gameState.deliveredStone)) {
             const teeX = 0;
             const teeY = P.farTeeLine;
             const activeStones = gameState.stones.filter(s => s.active);
@@ -1516,7 +1674,14 @@
     };
 
     function updateCamera() {
-        if (gameState.deliveredStone && gameState.deliveredStone.moving) {
+        if (viewer && viewer.camera === 'sheet') {
+            // Replay viewer: the whole sheet, hack to back line
+            VIEW.targetYMin = VIEW.yMinFull;
+            VIEW.targetYMax = VIEW.yMaxFull;
+        } else if (viewer && viewer.camera === 'house') {
+            VIEW.targetYMin = HOUSE_ZOOM.yMin;
+            VIEW.targetYMax = HOUSE_ZOOM.yMax;
+        } else if (gameState.deliveredStone && gameState.deliveredStone.moving) {
             // Auto-exit zoom when delivering
             gameState.houseZoom = false;
             document.getElementById('zoom-btn').classList.remove('zoomed');
@@ -1551,29 +1716,197 @@
     // --------------------------------------------------------
     // MAIN LOOP
     // --------------------------------------------------------
-    const PHYSICS_DT = 1 / 240; // 240 Hz physics (high precision for fast stones)
+    const PHYSICS_DT = CurlingPhysics.FIXED_DT; // 240 Hz physics (high precision for fast stones)
+
+    let lastTime = 0;
+    let physicsAccumulator = 0;
+
+    function resetSweepers() {
+        gameState.sweep = { intensity: 0, offset: 0 };
+        gameState.sweepOffset = 0;
+        gameState._sweepRaw = 0;
+        gameState._sweepTimeline = [];
+        gameState._replaySweepIndex = 0;
+        gameState._ownSweep = { step: 0, intensity: 0, offset: 0 };
+        gameState._otherBrooms = {};
+        gameState._remoteStep = null;
+    }
+
+    // My broom ramps toward what I'm holding at a rate real sweepers can
+    // manage. Returns a new sample when it changes (stamped with `step`
+    // and sent to the server), or null.
+    function rampOwnBroom(dt, step) {
+        const S = CurlingPhysics.SWEEPING;
+        const target = gameState.isSweeping ? S.levels[gameState.sweepLevel] : 0;
+        const maxDelta = S.rampPerSecond * dt;
+        gameState._sweepRaw += Math.max(-maxDelta, Math.min(maxDelta, target - gameState._sweepRaw));
+
+        // Quantize so a steady broom doesn't produce a sample every step
+        const intensity = Math.round(gameState._sweepRaw * 20) / 20;
+        const offset = intensity > 0 ? Math.round(gameState.sweepOffset * 10) / 10 : 0;
+        const own = gameState._ownSweep;
+        if (intensity === own.intensity && offset === own.offset) return null;
+
+        const sample = { step, intensity, offset };
+        gameState._ownSweep = sample;
+        if (gameState.onlineMode) CurlingNetwork.sendSweep(sample);
+        return sample;
+    }
+
+    // Called before every physics step of a throw run locally. In team
+    // games the other brooms on the stone arrive as opponent_sweep and are
+    // folded in the way the server merges them (the other skip's only past
+    // the tee line); the server's replay of the merged timeline settles
+    // it. A replay just follows the recorded timeline instead.
+    function stepSweepers() {
+        const ds = gameState.deliveredStone;
+        if (!ds || !ds.moving) return;
+
+        if (gameState.isReplaying) {
+            const timeline = gameState._replayTimeline || [];
+            while (gameState._replaySweepIndex < timeline.length &&
+                timeline[gameState._replaySweepIndex].step <= gameState._throwStep) {
+                gameState.sweep = timeline[gameState._replaySweepIndex++];
+            }
+            return;
+        }
+
+        rampOwnBroom(PHYSICS_DT, gameState._throwStep);
+        const brooms = [gameState._ownSweep];
+        for (const broom of Object.values(gameState._otherBrooms)) {
+            if (!broom.behindTee || ds.y > P.farTeeLine) brooms.push(broom);
+        }
+        const { intensity, offset } = CurlingPhysics.combineBrooms(brooms);
+        if (intensity === gameState.sweep.intensity && offset === gameState.sweep.offset) return;
+
+        const sample = { step: gameState._throwStep, intensity, offset };
+        gameState.sweep = sample;
+        gameState._sweepTimeline.push(sample);
+    }
+
+    // Team games: my broom on someone else's stone. Their client runs the
+    // physics, so my samples are stamped with an estimate of their step —
+    // the last one streamed plus the time since, at simulation speed.
+    function stepRemoteBroom(frameTime) {
+        if (!gameState.deliveredStone) return;
+        if (!canSweepRemote()) {
+            if (gameState.isSweeping) stopSweeping();
+            if (gameState._sweepRaw === 0) return;
+        }
+        const clock = gameState._remoteStep;
+        const step = clock
+            ? clock.step + Math.round((performance.now() - clock.at) / 1000 * gameState.simSpeed / PHYSICS_DT)
+            : 0;
+        if (rampOwnBroom(frameTime * gameState.simSpeed, Math.max(step, gameState._ownSweep.step))) {
+            showRemoteBrooms();
+        }
+    }
+
+    // What the other clients' brooms and mine look like on the stone in
+    // flight (visual only — the thrower's run and the server decide it)
+    function showRemoteBrooms() {
+        gameState.sweep = CurlingPhysics.combineBrooms([gameState._ownSweep, ...Object.values(gameState._otherBrooms)]);
+    }
+
+    // The server's merged timeline for a settled shot replaces the one
+    // recorded locally, so replays sweep like the result was simulated
+    function adoptSweepTimeline(timeline, seed) {
+        if (!Array.isArray(timeline) || !gameState.history) return;
+        for (const end of gameState.history.ends) {
+            const shot = end.shots.find(s => s.seed === seed);
+            if (shot && shot.sweepTimeline) shot.sweepTimeline.splice(0, shot.sweepTimeline.length, ...timeline);
+        }
+    }
+
+    // One physics step of a throw run locally. The live loop and the
+    // background catch-up both go through here, so a throw settles the
+    // same however the frames arrived.
+    function stepThrow() {
+        // Same step the server simulation runs (sweeping, bounds, hog line)
+        stepSweepers();
+        const step = CurlingPhysics.stepAll(gameState.stones, PHYSICS_DT,
+            gameState.sweep, gameState.deliveredStone, gameState._rng);
+        gameState._throwStep++;
+
+        // Record trail for the delivered stone
+        if (gameState.deliveredStone && gameState.deliveredStone.moving) {
+            const ds = gameState.deliveredStone;
+            const last = stoneTrail[stoneTrail.length - 1];
+            const dx = ds.x - last.x;
+            const dy = ds.y - last.y;
+            if (dx * dx + dy * dy > 0.04) {
+                stoneTrail.push({ x: ds.x, y: ds.y });
+            }
+
+            // Sample the path for pebble wear
+            if (gameState._wearPath && ds.active &&
+                gameState._throwStep % CurlingPhysics.ICE_MAP.pathEvery === 0) {
+                gameState._wearPath.push({ x: ds.x, y: ds.y });
+            }
+        }
+
+        // Fade out stones that went out of play
+        handleRemovedStones(step.removed);
+
+        return step.anyMoving;
+    }
+
+    // Everything on the sheet has stopped: check the FGZ, wear the pebble,
+    // apply the server's result if it is already here and move on
+    function settleThrow() {
+        // If replaying, restore the real game state instead of advancing
+        if (gameState.isReplaying && gameState._replayRestore) {
+            setTimeout(() => {
+                if (gameState._replayRestore) gameState._replayRestore();
+            }, 600);
+            return;
+        }
+
+        // Check FGZ violation before advancing turn
+        checkFGZViolation();
+
+        // Wear the pebble where the stone ran (online, the
+        // server's wear arrives with the authoritative state)
+        if (!gameState.onlineMode) {
+            CurlingPhysics.wearIceMap(gameState.iceMap, gameState._wearPath);
+        }
+        gameState._wearPath = null;
+
+        gameState.phase = 'waitingNextTurn';
+        gameState.isSweeping = false;
+        document.getElementById('sweep-toggle-btn').style.display = 'none';
+
+        // Apply pending authoritative state from the server
+        if (gameState._pendingAuthState) {
+            console.log('[AUTH] Applying deferred auth state (throw settled)');
+            const auth = gameState._pendingAuthState;
+            gameState._pendingAuthState = null;
+            applyAuthoritativeState(auth);
+
+            // If the deferred state says all 16 thrown, enter scoring now
+            if (allStonesThrown()) {
+                console.log('[AUTH] Deferred state: end complete — entering scoring');
+                gameState.phase = 'scoring';
+                setTimeout(() => endEnd(), 1500);
+                return;
+            }
+        }
 
-    let lastTime = 0;
-    let physicsAccumulator = 0;
+        setTimeout(() => {
+            if (gameState.phase === 'waitingNextTurn') {
+                nextTurn();
+            }
+        }, 800);
+    }
 
     // Fast-forward physics to settle all moving stones (used after tab becomes visible)
     function fastForwardPhysics() {
-        const MAX_ITERATIONS = 5000; // safety limit
-        let iterations = 0;
-        while (iterations < MAX_ITERATIONS) {
-            let anyMoving = false;
-            for (const stone of gameState.stones) {
-                if (stone.active && stone.moving) {
-                    anyMoving = true;
-                    break;
-                }
-            }
-            if (!anyMoving) break;
-
-            CurlingPhysics.stepAll(gameState.stones, PHYSICS_DT, gameState.sweepLevel, gameState.isSweeping);
-            checkOutOfBounds();
-            iterations++;
+        const maxSteps = 120 / PHYSICS_DT; // same limit as CurlingPhysics.predictShot
+        for (let i = 0; i < maxSteps; i++) {
+            if (!stepThrow()) break;
         }
+        physicsAccumulator = 0;
+        settleThrow();
     }
 
     // --------------------------------------------------------
@@ -1614,20 +1947,19 @@
         const prevTeam = gameState.currentTeam;
         gameState.currentTeam = replayTeam;
 
-        // Create the stone with correct physics
-        const speed = CurlingPhysics.weightToSpeed(shot.weight);
-        const aimRad = shot.aim * Math.PI / 180;
-        const startX = 0;
-        const startY = P.hack + 1.0;
-        const vx = speed * Math.sin(aimRad);
-        const vy = speed * Math.cos(aimRad);
-        const omega = CurlingPhysics.rotationsToAngularVelocity(shot.spinAmount, speed) * shot.spinDir;
+        // Create the stone with correct physics (same seed and ice = same path)
+        CurlingPhysics.setIce(gameState.ice, shot.wear || 0);
+        const launch = CurlingPhysics.launchState(shot.aim, shot.weight, shot.spinDir, shot.spinAmount);
 
-        const stone = createStone(replayTeam, startX, startY, vx, vy, omega);
+        const stone = createStone(replayTeam, launch.x, launch.y, launch.vx, launch.vy, launch.omega);
         stone.moving = true;
         gameState.stones.push(stone);
         gameState.deliveredStone = stone;
-        stoneTrail = [{ x: startX, y: startY }];
+        gameState._rng = CurlingPhysics.createRng(shot.seed || 0);
+        gameState._throwStep = 0;
+        resetSweepers(); // stepSweepers follows shot.sweepTimeline while replaying
+        gameState._replayTimeline = shot.sweepTimeline || [];
+        stoneTrail = [{ x: launch.x, y: launch.y }];
         gameState.phase = 'delivering';
         VIEW.followStone = true;
 
@@ -1641,11 +1973,416 @@
             gameState.currentTeam = prevTeam;
             gameState.isReplaying = false;
             gameState._replayRestore = null;
+            resetSweepers();
             VIEW.followStone = false;
+            syncIce();
             updateUI();
         };
     }
 
+    // --------------------------------------------------------
+    // REPLAY VIEWER
+    // --------------------------------------------------------
+    // Plays back a game record (this game's, or one the server stored)
+    // end by end and shot by shot. The viewer swaps in a gameState of its
+    // own so the normal renderer draws it. Deliveries re-run through the
+    // same physics with the recorded pebble seed and sweep timeline, and
+    // every throw finishes on its recorded stones.
+    const VIEWER_CAMERAS = ['follow', 'sheet', 'house'];
+    const VIEWER_SPEEDS = [1, 3, 6];
+
+    // Extra ends only ever come one at a time after a tie at the last end
+    function recordTotalEnds(record, endNumber) {
+        return Math.max(record.totalEnds || 0, endNumber);
+    }
+
+    function recordBoardAt(record, endIdx, shot) {
+        const end = record.ends[endIdx];
+        return shot === 0 ? end.startStones : end.shots[shot - 1].stones;
+    }
+
+    // Rebuild the ice as it stood before every throw, and fill in any throw
+    // whose resting stones weren't recorded (e.g. the game ended mid-end)
+    function prepareViewerIce(record) {
+        const iceMap = CurlingPhysics.createIceMap(record.seed >>> 0, record.ice);
+        const perEnd = (CurlingPhysics.FORMATS[record.format] || CurlingPhysics.FORMATS.standard).stonesPerTeam * 2;
+        const wear = []; // wear[endIdx][shot]: pebble wear before that throw
+        record.ends.forEach((end, e) => {
+            wear[e] = [];
+            end.shots.forEach((shot, k) => {
+                if (iceMap.wearRate) wear[e][k] = iceMap.wear.slice();
+                if (!iceMap.wearRate && shot.stones) return;
+                CurlingPhysics.setIce(record.ice,
+                    CurlingPhysics.wearProgress(end.end, record.totalEnds, k, perEnd));
+                CurlingPhysics.setIceMap(iceMap);
+                const prediction = CurlingPhysics.predictShot(recordBoardAt(record, e, k), shot, {
+                    sweepTimeline: shot.sweepTimeline,
+                    rng: CurlingPhysics.createRng(shot.seed),
+                    pathEvery: CurlingPhysics.ICE_MAP.pathEvery,
+                });
+                CurlingPhysics.wearIceMap(iceMap, prediction.path);
+                if (!shot.stones) {
+                    shot.stones = prediction.stones.filter(s => s.active).map(s => ({ team: s.team, x: s.x, y: s.y }));
+                }
+            });
+            if (iceMap.wearRate) wear[e][end.shots.length] = iceMap.wear.slice();
+        });
+        return { iceMap, wear };
+    }
+
+    function openViewer(record) {
+        if (!record || !record.ends || record.ends.length === 0) return;
+        closeViewer();
+        const { iceMap, wear } = prepareViewerIce(record);
+        const positions = [];
+        record.ends.forEach((end, e) => {
+            for (let k = 0; k <= end.shots.length; k++) positions.push([e, k]);
+        });
+
+        viewer = {
+            record,
+            positions,
+            end: 0,
+            shot: 0,
+            delivering: false,
+            playing: false,
+            camera: 'follow',
+            speed: 3,
+            iceMap,
+            wear,
+            savedState: gameState,
+            savedTrail: stoneTrail,
+            timer: null,
+        };
+        gameState = {
+            ...gameState,
+            stones: [],
+            ice: record.ice,
+            iceMap,
+            format: record.format || 'standard',
+            phase: 'viewing',
+            botMode: false,
+            onlineMode: false,
+            isReplaying: true,
+            _replayRestore: null,
+            isSweeping: false,
+            deliveredStone: null,
+            houseZoom: false,
+            sweep: { intensity: 0, offset: 0 },
+        };
+        physicsAccumulator = 0;
+
+        document.getElementById('game-over-screen').style.display = 'none';
+        document.getElementById('replay-viewer').style.display = '';
+        const scrub = document.getElementById('viewer-scrub');
+        scrub.max = positions.length - 1;
+        disableControlsForBot();
+        viewerShow(0, 0);
+    }
+
+    function closeViewer() {
+        if (!viewer) return;
+        clearTimeout(viewer.timer);
+        gameState = viewer.savedState;
+        stoneTrail = viewer.savedTrail;
+        viewer = null;
+        physicsAccumulator = 0;
+        syncIce();
+
+        document.getElementById('replay-viewer').style.display = 'none';
+        document.getElementById('red-total').textContent = gameState.redScore;
+        document.getElementById('yellow-total').textContent = gameState.yellowScore;
+        document.getElementById('current-end').textContent = gameState.currentEnd;
+        updateUI();
+        if (gameState.phase === 'gameover') {
+            document.getElementById('throw-btn').style.display = 'none';
+            document.getElementById('game-over-screen').style.display = 'flex';
+        } else {
+            enableControlsForHuman();
+        }
+    }
+
+    // Put the board as it stood after `shot` throws of end `endIdx`
+    function viewerShow(endIdx, shot) {
+        clearTimeout(viewer.timer);
+        const record = viewer.record;
+        const end = record.ends[endIdx];
+        viewer.end = endIdx;
+        viewer.shot = shot;
+        viewer.delivering = false;
+
+        gameState.stones = recordBoardAt(record, endIdx, shot).map(s => {
+            const stone = createStone(s.team, s.x, s.y);
+            if (s.positioned) stone.positioned = true;
+            return stone;
+        });
+        gameState.deliveredStone = null;
+        stoneTrail = [];
+
+        const played = end.shots.slice(0, shot);
+        gameState.redThrown = played.filter(s => s.team === TEAMS.RED).length;
+        gameState.yellowThrown = played.length - gameState.redThrown;
+        gameState.currentTeam = shot < end.shots.length ? end.shots[shot].team : gameState.currentTeam;
+        gameState.currentEnd = end.end;
+        gameState.totalEnds = recordTotalEnds(record, end.end);
+        gameState.hammer = end.hammer;
+        gameState.powerPlay = end.powerPlay || null;
+
+        // Score through the previous end, plus this one once its last stone is down
+        let red = 0;
+        let yellow = 0;
+        record.ends.forEach((e, i) => {
+            if (!e.result || i > endIdx || (i === endIdx && shot < e.shots.length)) return;
+            if (e.result.team === TEAMS.RED) red += e.result.points;
+            else if (e.result.team === TEAMS.YELLOW) yellow += e.result.points;
+        });
+        gameState.redScore = red;
+        gameState.yellowScore = yellow;
+
+        if (viewer.wear[endIdx][shot]) viewer.iceMap.wear = viewer.wear[endIdx][shot].slice();
+        CurlingPhysics.setIce(record.ice,
+            CurlingPhysics.wearProgress(end.end, record.totalEnds, shot, stonesPerEnd()));
+        CurlingPhysics.setIceMap(viewer.iceMap);
+
+        updateUI();
+        document.getElementById('throw-btn').style.display = 'none';
+        document.getElementById('red-total').textContent = red;
+        document.getElementById('yellow-total').textContent = yellow;
+        document.getElementById('current-end').textContent = end.end;
+        updateViewerControls();
+    }
+
+    function viewerIndex() {
+        return viewer.positions.findIndex(([e, k]) => e === viewer.end && k === viewer.shot);
+    }
+
+    function viewerShowIndex(index) {
+        const i = Math.max(0, Math.min(viewer.positions.length - 1, index));
+        viewerShow(viewer.positions[i][0], viewer.positions[i][1]);
+    }
+
+    // Start the next throw from the board it was played on
+    function viewerDeliver() {
+        const end = viewer.record.ends[viewer.end];
+        const shot = end.shots[viewer.shot];
+        viewerShow(viewer.end, viewer.shot);
+
+        const launch = CurlingPhysics.launchState(shot.aim, shot.weight, shot.spinDir, shot.spinAmount);
+        const stone = createStone(shot.team, launch.x, launch.y, launch.vx, launch.vy, launch.omega);
+        stone.moving = true;
+        gameState.stones.push(stone);
+        gameState.deliveredStone = stone;
+        gameState._rng = CurlingPhysics.createRng(shot.seed);
+        gameState._throwStep = 0;
+        resetSweepers();
+        gameState._replayTimeline = shot.sweepTimeline || [];
+        stoneTrail = [{ x: launch.x, y: launch.y }];
+        physicsAccumulator = 0;
+        viewer.delivering = true;
+        updateViewerControls();
+    }
+
+    // Called from the game loop in place of the game's own physics
+    function stepViewer(frameTime) {
+        if (!viewer.delivering || !viewer.playing) return;
+        physicsAccumulator += frameTime * viewer.speed;
+        while (physicsAccumulator >= PHYSICS_DT) {
+            stepSweepers();
+            const step = CurlingPhysics.stepAll(gameState.stones, PHYSICS_DT,
+                gameState.sweep, gameState.deliveredStone, gameState._rng);
+            gameState._throwStep++;
+
+            const ds = gameState.deliveredStone;
+            if (ds.moving) {
+                const last = stoneTrail[stoneTrail.length - 1];
+                const dx = ds.x - last.x;
+                const dy = ds.y - last.y;
+                if (dx * dx + dy * dy > 0.04) {
+                    stoneTrail.push({ x: ds.x, y: ds.y });
+                }
+            }
+            handleRemovedStones(step.removed);
+            physicsAccumulator -= PHYSICS_DT;
+
+            if (!step.anyMoving) {
+                physicsAccumulator = 0;
+                viewerShotSettled();
+                break;
+            }
+        }
+    }
+
+    function viewerShotSettled() {
+        viewer.delivering = false;
+        const rules = CurlingPhysics.FORMATS[viewer.record.format] || CurlingPhysics.FORMATS.standard;
+        const shot = viewer.record.ends[viewer.end].shots[viewer.shot];
+        if (shot.fgzViolation) {
+            fgzViolation = { timer: 2000, label: viewer.shot < rules.noTakeoutStones ? 'NO TAKEOUT' : 'FREE GUARD ZONE' };
+        }
+        // Let removed stones fade, then settle on the recorded layout
+        viewer.timer = setTimeout(() => {
+            viewerShow(viewer.end, viewer.shot + 1);
+            const endDone = viewer.shot === viewer.record.ends[viewer.end].shots.length;
+            if (viewer.playing) viewer.timer = setTimeout(viewerContinue, endDone ? 2000 : 900);
+        }, 600);
+        updateViewerControls();
+    }
+
+    // Playing: throw the next stone, or move on to the next end
+    function viewerContinue() {
+        if (!viewer || !viewer.playing) return;
+        const end = viewer.record.ends[viewer.end];
+        if (viewer.shot < end.shots.length) {
+            viewerDeliver();
+        } else if (viewer.end + 1 < viewer.record.ends.length) {
+            viewerShow(viewer.end + 1, 0);
+            viewer.timer = setTimeout(viewerContinue, 1200);
+        } else {
+            viewer.playing = false;
+            updateViewerControls();
+        }
+    }
+
+    // Pausing mid-delivery freezes the stones where they are
+    function viewerTogglePlay() {
+        viewer.playing = !viewer.playing;
+        if (viewer.playing && !viewer.delivering) {
+            if (viewerIndex() === viewer.positions.length - 1) viewerShow(0, 0);
+            viewerContinue();
+        }
+        updateViewerControls();
+    }
+
+    // Steps are instant: forward finishes a throw in flight, back undoes it
+    function viewerStep(delta) {
+        viewer.playing = false;
+        const index = viewerIndex();
+        if (viewer.delivering) {
+            viewerShowIndex(delta > 0 ? index + 1 : index);
+        } else {
+            viewerShowIndex(index + delta);
+        }
+    }
+
+    function viewerStepEnd(delta) {
+        viewer.playing = false;
+        if (delta < 0 && (viewer.shot > 0 || viewer.delivering)) {
+            viewerShow(viewer.end, 0);
+        } else {
+            const endIdx = Math.max(0, Math.min(viewer.record.ends.length - 1, viewer.end + delta));
+            viewerShow(endIdx, 0);
+        }
+    }
+
+    function updateViewerControls() {
+        const end = viewer.record.ends[viewer.end];
+        const total = end.shots.length;
+        let status = `End ${end.end} · Shot ${Math.min(viewer.shot + (viewer.delivering ? 1 : 0), total)}/${total}`;
+        if (end.powerPlay) status += ' · Power play';
+        if (viewer.shot === total && end.result) {
+            const players = viewer.record.players || { red: 'Red', yellow: 'Yellow' };
+            status += end.result.team ? ` · ${players[end.result.team]} +${end.result.points}` : ' · Blank';
+        }
+        document.getElementById('viewer-status').textContent = status;
+        document.getElementById('viewer-scrub').value = viewerIndex();
+        document.getElementById('viewer-play').innerHTML = viewer.playing ? '&#10074;&#10074;' : '&#9654;';
+        document.getElementById('viewer-camera').textContent = 'Camera: ' + viewer.camera;
+        document.getElementById('viewer-speed').textContent = viewer.speed + '×';
+    }
+
+    document.getElementById('viewer-play').addEventListener('click', () => viewerTogglePlay());
+    document.getElementById('viewer-prev-shot').addEventListener('click', () => viewerStep(-1));
+    document.getElementById('viewer-next-shot').addEventListener('click', () => viewerStep(1));
+    document.getElementById('viewer-prev-end').addEventListener('click', () => viewerStepEnd(-1));
+    document.getElementById('viewer-next-end').addEventListener('click', () => viewerStepEnd(1));
+    document.getElementById('viewer-close').addEventListener('click', () => closeViewer());
+    document.getElementById('viewer-scrub').addEventListener('input', (e) => {
+        viewer.playing = false;
+        viewerShowIndex(parseInt(e.target.value));
+    });
+    document.getElementById('viewer-camera').addEventListener('click', () => {
+        viewer.camera = VIEWER_CAMERAS[(VIEWER_CAMERAS.indexOf(viewer.camera) + 1) % VIEWER_CAMERAS.length];
+        updateViewerControls();
+    });
+    document.getElementById('viewer-speed').addEventListener('click', () => {
+        viewer.speed = VIEWER_SPEEDS[(VIEWER_SPEEDS.indexOf(viewer.speed) + 1) % VIEWER_SPEEDS.length];
+        updateViewerControls();
+    });
+
+    // Online games replay the server's record when it has one (the
+    // authoritative throws); otherwise, or if it can't be fetched, this
+    // client's own record
+    document.getElementById('watch-replay-btn').addEventListener('click', () => {
+        if (gameState.onlineMode && gameState.serverGameId) {
+            CurlingNetwork.requestGameRecord(gameState.serverGameId);
+        } else {
+            openViewer(gameState.history);
+        }
+    });
+
+    // --------------------------------------------------------
+    // GAME RECORD FILES
+    // --------------------------------------------------------
+    // Save this game as a portable record (record.js) and open saved
+    // ones in the replay viewer.
+    function exportRecord(form) {
+        const players = gameState.botMode ? { red: 'Red', yellow: 'Bot' } : playerLabels();
+        const record = CurlingRecord.fromHistory(gameState.history, {
+            players,
+            playedAt: new Date().toISOString(),
+            forfeit: gameState.forfeit,
+        });
+        const text = form === 'text' ? CurlingRecord.toText(record) : CurlingRecord.toJSON(record);
+        const slug = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'player';
+        const filename = `curling-${record.playedAt.slice(0, 10)}-${slug(players.red)}-vs-${slug(players.yellow)}`
+            + (form === 'text' ? '.txt' : '.json');
+
+        const url = URL.createObjectURL(new Blob([text], { type: form === 'text' ? 'text/plain' : 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Online, a record can only be opened once the game is over — the
+    // viewer takes over gameState while it's open
+    function openRecordFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let record;
+            try {
+                record = CurlingRecord.parse(reader.result);
+            } catch (e) {
+                alert(e.message);
+                return;
+            }
+            if (record.ends.length === 0) {
+                alert('That game record has no ends to replay.');
+                return;
+            }
+            dismissWelcome();
+            openViewer(record);
+        };
+        reader.readAsText(file);
+    }
+
+    document.getElementById('export-record-json').addEventListener('click', () => exportRecord('json'));
+    document.getElementById('export-record-text').addEventListener('click', () => exportRecord('text'));
+    document.querySelectorAll('.open-record-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (gameState.onlineMode && gameState.phase !== 'gameover') return;
+            document.getElementById('record-file-input').click();
+        });
+    });
+    document.getElementById('record-file-input').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // so the same file can be opened again
+        if (file) openRecordFile(file);
+    });
+
     // When tab becomes visible again in online mode, fast-forward any in-flight stones
     // so the game catches up (requestAnimationFrame is throttled/paused in background tabs)
     document.addEventListener('visibilitychange', () => {
@@ -1670,31 +2407,13 @@
                     return;
                 }
 
-                // My throw: fast-forward physics as before
+                // My throw: play it out to rest and settle it as the game loop would
                 fastForwardPhysics();
-                checkFGZViolation();
-                gameState.phase = 'waitingNextTurn';
-                gameState.isSweeping = false;
-                document.getElementById('sweep-toggle-btn').style.display = 'none';
-
-                // Apply pending authoritative state if the thrower already sent one
-                if (gameState._pendingAuthState) {
-                    console.log('[AUTH] Applying deferred auth state (visibility fast-forward)');
-                    const auth = gameState._pendingAuthState;
-                    gameState._pendingAuthState = null;
-                    applyAuthoritativeState(auth);
-                }
 
                 // Show replay button since the player missed seeing the shot
                 if (gameState.lastOpponentShot) {
                     showReplayButton();
                 }
-
-                setTimeout(() => {
-                    if (gameState.phase === 'waitingNextTurn') {
-                        nextTurn();
-                    }
-                }, 300);
             }
         }
     });
@@ -1715,6 +2434,7 @@
         if (frameTime > 0.1) frameTime = 0.1;
 
         // Physics update
+        if (viewer) stepViewer(frameTime);
         if (gameState.phase === 'delivering') {
             if (gameState._remoteDelivery) {
                 // ---- OPPONENT IS THROWING (single-authority: no local physics) ----
@@ -1788,6 +2508,7 @@
                         }
                     }
                 }
+                stepRemoteBroom(frameTime);
                 // Transition to nextTurn is handled by onAuthoritativeState (throw_settled),
                 // NOT by local physics detecting settle.
             } else {
@@ -1808,70 +2529,20 @@
                 physicsAccumulator += frameTime * gameState.simSpeed;
 
                 while (physicsAccumulator >= PHYSICS_DT) {
-                    const sweep = gameState.isSweeping ? gameState.sweepLevel : 'none';
-                    const anyMoving = CurlingPhysics.simulate(gameState.stones, PHYSICS_DT, sweep);
-
-                    // Record trail for the delivered stone
-                    if (gameState.deliveredStone && gameState.deliveredStone.moving) {
-                        const ds = gameState.deliveredStone;
-                        const last = stoneTrail[stoneTrail.length - 1];
-                        const dx = ds.x - last.x;
-                        const dy = ds.y - last.y;
-                        if (dx * dx + dy * dy > 0.04) {
-                            stoneTrail.push({ x: ds.x, y: ds.y });
-                        }
-                    }
-
-                    // Check for stones out of bounds
-                    checkOutOfBounds();
-
+                    const anyMoving = stepThrow();
                     physicsAccumulator -= PHYSICS_DT;
 
                     if (!anyMoving) {
                         physicsAccumulator = 0;
                         if (gameState.phase === 'delivering' || gameState.phase === 'settling') {
-                            // If replaying, restore the real game state instead of advancing
-                            if (gameState.isReplaying && gameState._replayRestore) {
-                                setTimeout(() => {
-                                    if (gameState._replayRestore) gameState._replayRestore();
-                                }, 600);
-                                break;
-                            }
-
-                            // Check FGZ violation before advancing turn
-                            checkFGZViolation();
-
-                            gameState.phase = 'waitingNextTurn';
-                            gameState.isSweeping = false;
-                            document.getElementById('sweep-toggle-btn').style.display = 'none';
-
-                            // Apply pending authoritative state from the thrower
-                            if (gameState._pendingAuthState) {
-                                console.log('[AUTH] Applying deferred auth state (gameLoop settle)');
-                                const auth = gameState._pendingAuthState;
-                                gameState._pendingAuthState = null;
-                                applyAuthoritativeState(auth);
-
-                                // If the deferred state says all 16 thrown, enter scoring now
-                                if (gameState.redThrown >= 8 && gameState.yellowThrown >= 8) {
-                                    console.log('[AUTH] Deferred state: end complete — entering scoring');
-                                    gameState.phase = 'scoring';
-                                    setTimeout(() => endEnd(), 1500);
-                                    break;
-                                }
-                            }
-
-                            setTimeout(() => {
-                                if (gameState.phase === 'waitingNextTurn') {
-                                    nextTurn();
-                                }
-                            }, 800);
+                            settleThrow();
                         }
                         break;
                     }
                 }
 
-                // Stream stone positions to opponent every ~80ms (thrower is authority)
+                // Stream stone positions to opponent every ~80ms (visual only —
+                // the server sends the authoritative result once the throw settles)
                 if (gameState.onlineMode && gameState.deliveredStone &&
                     gameState.deliveredStone.team === gameState.myTeam) {
                     if (!gameState._lastPositionSendTime ||
@@ -1883,9 +2554,10 @@
                                 vx: s.vx, vy: s.vy, moving: s.moving,
                             })),
                             sweep: {
-                                active: gameState.isSweeping,
-                                level: gameState.sweepLevel,
+                                intensity: gameState.sweep.intensity,
+                                offset: gameState.sweep.offset,
                             },
+                            step: gameState._throwStep,
                         });
                     }
                 }
@@ -1903,6 +2575,7 @@
         // Safety: periodic check for stuck end-of-end
         if (gameState.onlineMode) {
             checkEndOfEndStuckPeriodic(frameTime);
+            updateClockDisplay();
         }
 
         // Tick stone animations (settle bounce + fade-out)
@@ -1940,6 +2613,7 @@
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         drawSheet();
         drawAimLine();
+        drawCalledShot();
 
         // Draw trail
         drawTrail();
@@ -2024,7 +2698,7 @@
         ctx.font = 'bold 18px sans-serif';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText('FREE GUARD ZONE', cx, cy + 1);
+        ctx.fillText(fgzViolation.label, cx, cy + 1);
 
         ctx.restore();
     }
@@ -2063,7 +2737,7 @@
         ctx.restore();
     }
 
-// Stone staging display — shows each team's 8 stones on the ice
+// Stone staging display — shows each team's delivered stones on the ice
 // Red stones: top-left corner, Yellow stones: top-right corner
 // 2 columns × 4 rows, ordered by throw number
 // Stones appear on the grid only when out of play; in-play spots are empty
@@ -2076,9 +2750,10 @@ function drawStagedStones() {
     const gapX = STONE_R * 2.8;
     const gapY = STONE_R * 2.8;
 
-    // Gather thrown stones per team in throw order
-    const redStones = gameState.stones.filter(s => s.team === TEAMS.RED);
-    const yellowStones = gameState.stones.filter(s => s.team === TEAMS.YELLOW);
+    // Gather thrown stones per team in throw order (positioned stones were never delivered)
+    const redStones = gameState.stones.filter(s => s.team === TEAMS.RED && !s.positioned);
+    const yellowStones = gameState.stones.filter(s => s.team === TEAMS.YELLOW && !s.positioned);
+    const perTeam = formatRules().stonesPerTeam;
 
     for (let teamIdx = 0; teamIdx < 2; teamIdx++) {
         const isRed = teamIdx === 0;
@@ -2093,7 +2768,7 @@ function drawStagedStones() {
             ? -halfW + STONE_R * 2.5
             : halfW - STONE_R * 2.5 - gapX;
 
-        for (let i = 0; i < 8; i++) {
+        for (let i = 0; i < perTeam; i++) {
             const col = i % 2;
             const row = Math.floor(i / 2);
             const worldX = anchorX + col * gapX;
@@ -2164,35 +2839,13 @@ function drawStagedStones() {
         }
     }
 
-    function checkOutOfBounds() {
-        const halfW = CurlingPhysics.SHEET.width / 2;
-
-        for (const stone of gameState.stones) {
-            if (!stone.active) continue;
-
-            // Past back line and moving away from play
-            if (stone.y > P.farBackLine + STONE_R && stone.vy > 0) {
-                deactivateStone(stone, true);
-            }
-
-            // Behind near back line (bounced way back)
-            if (stone.y < P.hack - 2) {
-                deactivateStone(stone, true);
-            }
-
-            // Side wall — stone touching the boards is out of play (instant removal)
-            if (Math.abs(stone.x) > halfW - STONE_R) {
-                deactivateStone(stone, true);
-            }
-
-            // Didn't completely cross the far hog line
-            // Rule: stone must COMPLETELY cross (leading edge past the line)
-            // Exception: if the delivered stone hit another stone first, it stays in play
-            if (stone === gameState.deliveredStone && !stone.moving && (stone.y - STONE_R) < P.farHogLine) {
-                if (!stone.hasHitStone) {
-                    hogLineViolation = { x: stone.x, y: stone.y, timer: 1500 };
-                    deactivateStone(stone, true);
-                }
+    // Stones taken out of play by CurlingPhysics.stepAll — fade them out
+    // and flag hog-line violations on the ice
+    function handleRemovedStones(removed) {
+        for (const { stone, reason } of removed) {
+            deactivateStone(stone, true);
+            if (reason === 'hogLine') {
+                hogLineViolation = { x: stone.x, y: stone.y, timer: 1500 };
             }
         }
     }
@@ -2210,6 +2863,24 @@ function drawStagedStones() {
         }
     });
 
+    // Team games: the skip sets up the shot on the sliders and calls it
+    document.getElementById('call-shot-btn').addEventListener('click', () => {
+        if (!isMyShotCall()) return;
+        const call = {
+            aim: parseFloat(document.getElementById('aim-slider').value),
+            weight: parseFloat(document.getElementById('weight-slider').value),
+            spinDir: document.getElementById('spin-cw').classList.contains('active') ? 1 : -1,
+        };
+        CurlingNetwork.callShot(call);
+        gameState.calledShot = { ...call, by: 'You' };
+        showChatToast(describeCall(call), 'You');
+    });
+
+    function describeCall(call) {
+        const turn = call.spinDir >= 0 ? 'In-turn' : 'Out-turn';
+        return `${turn} ${CurlingPhysics.weightLabel(call.weight)}, aim ${call.aim.toFixed(1)}\u00B0`;
+    }
+
     document.getElementById('zoom-btn').addEventListener('click', () => {
         if (gameState.phase === 'aiming' || gameState.phase === 'waitingNextTurn') {
             gameState.houseZoom = !gameState.houseZoom;
@@ -2257,13 +2928,25 @@ function drawStagedStones() {
         gameState.sweepLevel = level;
         document.querySelectorAll('.sweep-btn').forEach(b => b.classList.remove('active'));
         document.getElementById('sweep-' + level).classList.add('active');
-        if (gameState.onlineMode && isMyTurn()) {
-            CurlingNetwork.sendSweepChange(level);
-        }
     }
 
     // Keyboard controls
     document.addEventListener('keydown', (e) => {
+        // Replay viewer: Space plays/pauses, arrows step shots (Shift: ends)
+        if (viewer && e.target.tagName !== 'INPUT') {
+            if (e.code === 'Space') {
+                e.preventDefault();
+                viewerTogglePlay();
+            } else if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+                const delta = e.code === 'ArrowLeft' ? -1 : 1;
+                if (e.shiftKey) viewerStepEnd(delta);
+                else viewerStep(delta);
+            } else if (e.code === 'Escape') {
+                closeViewer();
+            }
+            return;
+        }
+
         if (e.code === 'Space') {
             e.preventDefault();
             startSweeping();
@@ -2274,7 +2957,17 @@ function drawStagedStones() {
             deliverStone();
         }
 
-        // Arrow keys for fine aim adjustment
+        // Shift+I: toggle the ice map debug overlay
+        if (e.code === 'KeyI' && e.shiftKey && e.target.tagName !== 'INPUT') {
+            showIceMapOverlay = !showIceMapOverlay;
+        }
+
+        // Arrow keys: broom position while the stone is running,
+        // fine aim adjustment otherwise
+        if ((e.code === 'ArrowLeft' || e.code === 'ArrowRight') && gameState.phase === 'delivering') {
+            gameState.sweepOffset = e.code === 'ArrowLeft' ? -1 : 1;
+            return;
+        }
         if (e.code === 'ArrowLeft') {
             const slider = document.getElementById('aim-slider');
             slider.value = Math.max(-5, parseFloat(slider.value) - 0.1);
@@ -2291,12 +2984,18 @@ function drawStagedStones() {
         if (e.code === 'Space') {
             stopSweeping();
         }
+        if ((e.code === 'ArrowLeft' && gameState.sweepOffset < 0) ||
+            (e.code === 'ArrowRight' && gameState.sweepOffset > 0)) {
+            gameState.sweepOffset = 0;
+        }
     });
 
     function startSweeping() {
         if (gameState.phase === 'delivering' && gameState.deliveredStone?.moving) {
-            if (gameState._remoteDelivery) return; // can't sweep opponent's stone
-            if (isOnlineOpponentTurn()) return; // only sweep your own stone
+            // Someone else's stone only as one of its sweepers (team games)
+            const remoteSweep = canSweepRemote();
+            if (gameState._remoteDelivery && !remoteSweep) return;
+            if (isOnlineOpponentTurn() && !remoteSweep) return; // only sweep your own team's stone
             gameState.isSweeping = true;
             if (gameState.sweepLevel === 'none') {
                 gameState.sweepLevel = 'hard';
@@ -2304,24 +3003,36 @@ function drawStagedStones() {
             }
             document.getElementById('sweep-toggle-btn').classList.add('sweeping');
             document.getElementById('sweep-toggle-btn').textContent = 'SWEEPING!';
-            if (gameState.onlineMode) CurlingNetwork.sendSweepStart();
         }
     }
 
     function stopSweeping() {
-        const wasSweeping = gameState.isSweeping;
         gameState.isSweeping = false;
         document.getElementById('sweep-toggle-btn').classList.remove('sweeping');
         document.getElementById('sweep-toggle-btn').textContent = 'SWEEP';
-        if (gameState.onlineMode && wasSweeping) CurlingNetwork.sendSweepStop();
+    }
+
+    // Where the finger/mouse sits on the SWEEP button picks the broom
+    // position: the middle third sweeps straight ahead, the edges sweep
+    // that side of the stone to drag it that way
+    function setSweepOffsetFromPointer(clientX) {
+        const rect = sweepBtn.getBoundingClientRect();
+        if (rect.width <= 0) return;
+        const t = ((clientX - rect.left) / rect.width) * 2 - 1;
+        gameState.sweepOffset = Math.abs(t) < 1 / 3 ? 0 : Math.max(-1, Math.min(1, (t - Math.sign(t) / 3) * 1.5));
     }
 
     // Touch events for sweep button (touch-and-hold to sweep)
     const sweepBtn = document.getElementById('sweep-toggle-btn');
     sweepBtn.addEventListener('touchstart', (e) => {
         e.preventDefault();
+        setSweepOffsetFromPointer(e.touches[0].clientX);
         startSweeping();
     }, { passive: false });
+    sweepBtn.addEventListener('touchmove', (e) => {
+        e.preventDefault();
+        setSweepOffsetFromPointer(e.touches[0].clientX);
+    }, { passive: false });
     sweepBtn.addEventListener('touchend', (e) => {
         e.preventDefault();
         stopSweeping();
@@ -2331,8 +3042,12 @@ function drawStagedStones() {
     });
     // Also support mouse hold on sweep button (for desktop testing)
     sweepBtn.addEventListener('mousedown', (e) => {
+        setSweepOffsetFromPointer(e.clientX);
         startSweeping();
     });
+    sweepBtn.addEventListener('mousemove', (e) => {
+        if (gameState.isSweeping) setSweepOffsetFromPointer(e.clientX);
+    });
     sweepBtn.addEventListener('mouseup', (e) => {
         stopSweeping();
     });
@@ -2357,6 +3072,7 @@ function drawStagedStones() {
     });
 
     function resetGame() {
+        closeViewer();
         console.log('[RESET_GAME] resetGame called, onlineMode:', gameState.onlineMode, 'phase:', gameState.phase);
         console.trace('[RESET_GAME] stack trace');
         const preserveBotMode = gameState.botMode;
@@ -2364,6 +3080,9 @@ function drawStagedStones() {
         const preserveMyTeam = gameState.myTeam;
         const preserveRoomCode = gameState.roomCode;
         const preserveTotalEnds = gameState.totalEnds;
+        const preserveIce = gameState.ice;
+        const preserveFormat = gameState.format;
+        const preserveDrawStones = gameState.drawStones;
         gameState = {
             stones: [],
             currentTeam: TEAMS.RED,
@@ -2372,27 +3091,60 @@ function drawStagedStones() {
             yellowThrown: 0,
             currentEnd: 1,
             totalEnds: preserveTotalEnds,
+            regulationEnds: preserveTotalEnds,
+            format: preserveFormat,
+            powerPlays: { red: 0, yellow: 0 },
+            powerPlay: null,
+            drawStones: preserveDrawStones,
+            lastStoneDraw: null,
+            ice: preserveIce,
+            iceMap: null,
             redScore: 0,
             yellowScore: 0,
             endScores: [],
+            forfeit: null,
+            history: null,
+            serverGameId: null,
+            ratingUpdate: null,
             phase: 'aiming',
             sweepLevel: 'none',
             isSweeping: false,
+            sweepOffset: 0,
+            sweep: { intensity: 0, offset: 0 },
             deliveredStone: null,
             simSpeed: 3.0,
+            seed: (Math.random() * 0x100000000) >>> 0,
             houseZoom: false,
             botMode: preserveBotMode,
             onlineMode: preserveOnlineMode,
             myTeam: preserveMyTeam,
+            teamSize: 1,
+            mySeat: 0,
+            lineup: null,
+            calledShot: null,
             roomCode: preserveRoomCode,
+            ranked: false,
+            spectating: false,
+            watchedPlayers: null,
             opponentConnected: true,
             lastOpponentShot: null,
             lastOpponentShotStones: null,
             isReplaying: false,
             _pendingAuthState: null,
+            _pendingPlacement: null,
             _remoteDelivery: false,
             _latestStonePositions: null,
             _lastPositionSendTime: 0,
+            _throwStep: 0,
+            _rng: null,
+            _wearPath: null,
+            _sweepRaw: 0,
+            _sweepTimeline: [],
+            _ownSweep: { step: 0, intensity: 0, offset: 0 },
+            _otherBrooms: {},
+            _remoteStep: null,
+            _replayTimeline: null,
+            _replaySweepIndex: 0,
         };
 
         fgzSnapshots = [];
@@ -2400,6 +3152,8 @@ function drawStagedStones() {
         extraEndNotice = null;
         hogLineViolation = null;
         hideReplayButton();
+        buildIceMap();
+        setFormat(preserveFormat);
 
         document.getElementById('zoom-btn').classList.remove('zoomed');
         document.getElementById('red-total').textContent = '0';
@@ -2408,6 +3162,12 @@ function drawStagedStones() {
         document.getElementById('throw-btn').disabled = false;
         enableControlsForHuman();
 
+        // Online games start their first end once the server's settings are in
+        hideDrawPanel();
+        if (!gameState.onlineMode) {
+            if (gameState.drawStones) startLastStoneDraw(null);
+            else startEnd();
+        }
         updateUI();
 
         // Show tutorial for first-time players
@@ -2441,10 +3201,13 @@ function drawStagedStones() {
     // --------------------------------------------------------
     function clearOnlineMode(reason) {
         console.log('[CLEAR_ONLINE] reason=' + (reason || 'unknown'));
+        closeViewer();
         if (gameState.onlineMode) {
             // Don't send 'leave' if we're clearing because opponent left or reconnect failed
             // — the room is already gone / being destroyed server-side.
-            if (reason !== 'opponent-left' && reason !== 'reconnect-failed') {
+            if (gameState.spectating) {
+                if (reason !== 'spectate-ended') CurlingNetwork.stopSpectating();
+            } else if (reason !== 'opponent-left' && reason !== 'reconnect-failed') {
                 CurlingNetwork.sendLeave();
             }
             CurlingNetwork.disconnect();
@@ -2455,16 +3218,21 @@ function drawStagedStones() {
         gameState.myTeam = null;
         gameState.roomCode = null;
         gameState.opponentInfo = null;
+        gameState.spectating = false;
+        gameState.watchedPlayers = null;
         gameState._remoteDelivery = false;
         gameState._latestStonePositions = null;
         gameState._pendingAuthState = null;
         document.getElementById('online-team-badge').style.display = 'none';
         document.getElementById('chat-btn').style.display = 'none';
         document.getElementById('chat-popup').style.display = 'none';
+        document.getElementById('stop-watching-btn').style.display = 'none';
+        showSpectatorCount(0);
         hideReplayButton();
         // Clear player names from scoreboard
         document.getElementById('red-player-name').textContent = '';
         document.getElementById('yellow-player-name').textContent = '';
+        setMatchClock(null);
     }
 
     document.getElementById('mode-1p').addEventListener('click', () => {
@@ -2475,6 +3243,9 @@ function drawStagedStones() {
         document.getElementById('mode-online').classList.remove('active');
         document.getElementById('difficulty-selector').classList.remove('hidden');
         document.getElementById('ends-selector-local').classList.remove('hidden');
+        document.getElementById('ice-selector-local').classList.remove('hidden');
+        document.getElementById('format-selector-local').classList.remove('hidden');
+        document.getElementById('draw-selector-local').classList.remove('hidden');
         // If it's now the bot's turn, trigger it
         if (isBotTurn() && gameState.phase === 'aiming') {
             triggerBotTurn();
@@ -2491,6 +3262,9 @@ function drawStagedStones() {
         document.getElementById('mode-online').classList.remove('active');
         document.getElementById('difficulty-selector').classList.add('hidden');
         document.getElementById('ends-selector-local').classList.remove('hidden');
+        document.getElementById('ice-selector-local').classList.remove('hidden');
+        document.getElementById('format-selector-local').classList.remove('hidden');
+        document.getElementById('draw-selector-local').classList.remove('hidden');
         enableControlsForHuman();
         if (gameState.phase === 'aiming') {
             document.getElementById('throw-btn').disabled = false;
@@ -2523,6 +3297,45 @@ function drawStagedStones() {
         });
     });
 
+    // Ice selector for local/bot games
+    document.querySelectorAll('.ice-local-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.ice-local-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            gameState.ice = btn.dataset.ice;
+            resetGame();
+            updateUI();
+            settingsDropdown.classList.remove('open');
+            settingsToggle.classList.remove('active');
+        });
+    });
+
+    // Format selector for local/bot games
+    document.querySelectorAll('.format-local-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.format-local-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            gameState.format = btn.dataset.format;
+            resetGame();
+            updateUI();
+            settingsDropdown.classList.remove('open');
+            settingsToggle.classList.remove('active');
+        });
+    });
+
+    // Last Stone Draw selector for local/bot games
+    document.querySelectorAll('.draw-local-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.draw-local-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            gameState.drawStones = parseInt(btn.dataset.draw);
+            resetGame();
+            updateUI();
+            settingsDropdown.classList.remove('open');
+            settingsToggle.classList.remove('active');
+        });
+    });
+
     // --------------------------------------------------------
     // ONLINE MULTIPLAYER
     // --------------------------------------------------------
@@ -2537,30 +3350,56 @@ function drawStagedStones() {
         return `${wsProtocol}//${loc.host}`;
     })();
 
+    // Provisional ratings (few games, or back after a long break) are still settling
+    function ratingLabel(rank) {
+        return rank.rating + (rank.provisional ? '? (provisional)' : '');
+    }
+
+    // Season info from the last profile: the current season and the
+    // player's archived season results (newest first)
+    let mySeasons = { current: null, results: [] };
+
+    function seasonBadge(result) {
+        const chip = document.createElement('span');
+        chip.className = 'season-badge';
+        chip.style.background = result.color;
+        chip.textContent = 'S' + result.seasonId;
+        chip.title = `${result.name}: ${result.rank} (#${result.position}, ${result.rating})`;
+        return chip;
+    }
+
     function updateRankBadge(rank) {
         const badge = document.getElementById('user-rank-badge');
         if (badge && rank) {
             badge.textContent = rank.name;
             badge.style.background = rank.color;
             badge.style.display = 'inline-block';
+            // Final tiers of the last few seasons ride along on the badge
+            mySeasons.results.slice(0, 3).forEach(result => badge.appendChild(seasonBadge(result)));
+            badge.title = mySeasons.current
+                ? `${mySeasons.current.name} — ends ${new Date(mySeasons.current.endsAt).toLocaleDateString()}`
+                : '';
             // Show rating number next to badge
             const ratingEl = document.getElementById('user-rating');
             if (ratingEl) {
-                ratingEl.textContent = rank.rating + ' ELO';
+                ratingEl.textContent = ratingLabel(rank);
+                ratingEl.title = rank.deviation !== undefined ? `Rating ${rank.rating} ± ${rank.deviation * 2}` : '';
             }
         }
     }
 
     function showLobbyPanel(panelId) {
-        const panels = ['lobby-menu', 'lobby-ends-panel', 'lobby-create-panel', 'lobby-join-panel', 'lobby-queue-panel', 'lobby-starting-panel', 'auth-panel', 'lobby-friends-panel'];
+        const panels = ['lobby-menu', 'lobby-ends-panel', 'lobby-create-panel', 'lobby-join-panel', 'lobby-watch-panel', 'lobby-queue-panel', 'lobby-starting-panel', 'auth-panel', 'lobby-friends-panel', 'lobby-profile-panel', 'lobby-leaderboard-panel', 'lobby-tournaments-panel', 'lobby-tournament-panel'];
         panels.forEach(id => {
             const el = document.getElementById(id);
             if (el) el.style.display = id === panelId ? 'flex' : 'none';
         });
-        // Always sync friends button visibility when showing lobby menu
+        // Always sync friends/rating history button visibility when showing lobby menu
         if (panelId === 'lobby-menu') {
             const isLoggedIn = !!localStorage.getItem('curling_token');
             document.getElementById('lobby-friends').style.display = isLoggedIn ? 'block' : 'none';
+            document.getElementById('lobby-profile').style.display = isLoggedIn ? 'block' : 'none';
+            document.getElementById('lobby-ranked').style.display = isLoggedIn ? 'block' : 'none';
         }
     }
 
@@ -2611,11 +3450,48 @@ function drawStagedStones() {
 
     function showOnlineTeamBadge() {
         const badge = document.getElementById('online-team-badge');
+        if (gameState.spectating) {
+            badge.className = 'team-spectator';
+            badge.textContent = 'Spectating';
+            badge.style.display = 'block';
+            return;
+        }
         badge.className = gameState.myTeam === TEAMS.RED ? 'team-red' : 'team-yellow';
         badge.textContent = 'You are ' + (gameState.myTeam === TEAMS.RED ? 'Red' : 'Yellow');
+        if (gameState.teamSize > 1) {
+            badge.textContent += ' · ' + CurlingPhysics.seatPositions(gameState.teamSize, gameState.mySeat).join(' & ');
+        }
         badge.style.display = 'block';
     }
 
+    // Create/join waiting panel: who has taken which seat in a team room
+    function showWaitingRoom(teamSize, seats) {
+        const status = document.getElementById('create-waiting-status');
+        const list = document.getElementById('team-seats');
+        list.replaceChildren();
+        if (!(teamSize > 1)) {
+            status.textContent = 'Waiting for opponent...';
+            list.style.display = 'none';
+            return;
+        }
+        const taken = seats ? seats.filter(s => s.taken).length : 1;
+        status.textContent = `Waiting for players (${taken}/${teamSize * 2})...`;
+        for (const s of seats || []) {
+            const li = document.createElement('li');
+            li.className = 'team-seat ' + s.team + (s.taken ? '' : ' empty');
+            const positions = CurlingPhysics.seatPositions(teamSize, s.seat).join(' & ');
+            li.textContent = `${positions}: ${s.taken ? s.name || 'Guest' : 'open'}`;
+            list.appendChild(li);
+        }
+        list.style.display = seats ? '' : 'none';
+    }
+
+    function setTeamSeats(teamSize, seat, lineup) {
+        gameState.teamSize = CurlingPhysics.normalizeTeamSize(teamSize);
+        gameState.mySeat = seat || 0;
+        gameState.lineup = lineup || null;
+    }
+
     // Convert 2-letter ISO country code to Unicode flag emoji
     function countryToFlag(code) {
         if (!code || code.length !== 2) return '';
@@ -2645,20 +3521,166 @@ function drawStagedStones() {
             return;
         }
 
+        if (gameState.spectating) {
+            const { red, yellow } = gameState.watchedPlayers || {};
+            const label = (info, team) => info ? (countryToFlag(info.country || '') + ' ' + info.username).trim() : team;
+            redNameEl.textContent = label(red, 'Red');
+            yellowNameEl.textContent = label(yellow, 'Yellow');
+            return;
+        }
+
         const myFlag = countryToFlag(myCountry);
         const oppFlag = countryToFlag(oppInfo ? oppInfo.country : '');
         const myLabel = myFlag + (myName ? ' ' + myName + ' (you)' : ' You');
         const oppLabel = oppFlag + (oppInfo ? ' ' + oppInfo.username : ' Guest');
 
-        if (myTeam === TEAMS.RED) {
-            redNameEl.textContent = myLabel;
-            yellowNameEl.textContent = oppLabel;
-        } else {
-            yellowNameEl.textContent = myLabel;
-            redNameEl.textContent = oppLabel;
+        if (myTeam === TEAMS.RED) {
+            redNameEl.textContent = myLabel;
+            yellowNameEl.textContent = oppLabel;
+        } else {
+            yellowNameEl.textContent = myLabel;
+            redNameEl.textContent = oppLabel;
+        }
+    }
+
+    // --------------------------------------------------------
+    // SPECTATING (read-only view of someone else's online game)
+    // --------------------------------------------------------
+    // A spectator has no team, so every throw arrives as the "opponent's"
+    // and the controls never unlock.
+    function showSpectatorCount(count) {
+        const el = document.getElementById('spectator-count');
+        el.textContent = `\u{1F441} ${count} watching`;
+        el.style.display = count > 0 ? 'block' : 'none';
+    }
+
+    // Pick the game up from the server's snapshot: when starting to watch,
+    // after a dropped connection and when the players start a rematch
+    function startSpectating(data) {
+        closeViewer();
+        hideLobbyScreen();
+        document.getElementById('game-over-screen').style.display = 'none';
+        gameState.onlineMode = true;
+        gameState.botMode = false;
+        gameState.myTeam = null;
+        gameState.roomCode = data.code;
+        gameState.totalEnds = data.totalEnds;
+        resetGame();
+        gameState.spectating = true;
+        gameState.watchedPlayers = { red: data.red, yellow: data.yellow };
+        gameState.ranked = !!data.ranked;
+        gameState.seed = data.seed;
+        gameState.ice = data.ice || 'standard';
+        buildIceMap();
+        setFormat(data.format);
+
+        const snapshot = data.snapshot;
+        gameState.lastStoneDraw = snapshot.lastStoneDraw || null;
+        applyAuthoritativeState(snapshot);
+        gameState.hammer = snapshot.hammer || TEAMS.YELLOW;
+        gameState.endScores = snapshot.endScores || [];
+        gameState.powerPlay = snapshot.powerPlay || null;
+        if (data.iceWear) gameState.iceMap.wear = data.iceWear.slice();
+
+        setMatchClock(data.clock);
+        showOnlineTeamBadge();
+        updateScoreboardNames();
+        showSpectatorCount(data.spectators);
+        disableControlsForBot();
+        document.getElementById('throw-btn').disabled = true;
+        document.getElementById('chat-btn').style.display = 'none';
+        document.getElementById('stop-watching-btn').style.display = '';
+
+        if (data.finished) {
+            gameState.forfeit = data.forfeit || null;
+            gameState.phase = 'gameover';
+            updateUI();
+            showGameOver();
+        } else if (inLastStoneDraw() && gameState.lastStoneDraw.result) {
+            gameState.stones = [];
+            showDrawChoice();
+        } else if (snapshot.placementPending) {
+            gameState.phase = 'placement';
+            gameState.stones = [];
+            updateUI();
+            showPlacementPrompt(false);
+        } else {
+            gameState.phase = 'aiming';
+            updateUI();
+        }
+    }
+
+    document.getElementById('stop-watching-btn').addEventListener('click', () => {
+        clearOnlineMode('stop-watching');
+        resetGame();
+    });
+
+    // --------------------------------------------------------
+    // THINKING-TIME CLOCKS (online rooms; the server keeps time)
+    // --------------------------------------------------------
+    function setMatchClock(state) {
+        matchClock = state ? { state, receivedAt: performance.now() } : null;
+        updateClockDisplay();
+    }
+
+    function formatClock(ms) {
+        const total = Math.ceil(Math.max(0, ms) / 1000);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    function setClockText(el, text) {
+        if (el.textContent !== text) el.textContent = text;
+    }
+
+    // Called every frame — counts the running clock down between server updates
+    function updateClockDisplay() {
+        const redEl = document.getElementById('red-clock');
+        const yellowEl = document.getElementById('yellow-clock');
+        const statusEl = document.getElementById('clock-status');
+        const timeoutBtn = document.getElementById('timeout-btn');
+
+        if (!matchClock || !gameState.onlineMode) {
+            redEl.style.display = 'none';
+            yellowEl.style.display = 'none';
+            statusEl.style.display = 'none';
+            timeoutBtn.style.display = 'none';
+            return;
+        }
+
+        const { state, receivedAt } = matchClock;
+        const elapsed = performance.now() - receivedAt;
+        for (const [team, el] of [[TEAMS.RED, redEl], [TEAMS.YELLOW, yellowEl]]) {
+            const running = state.running === team && gameState.phase !== 'gameover';
+            const left = state.remaining[team] - (running ? elapsed : 0);
+            setClockText(el, formatClock(left));
+            el.style.display = '';
+            el.classList.toggle('running', running);
+            el.classList.toggle('low', left < 60000);
+        }
+
+        let status = '';
+        if (gameState.phase !== 'gameover') {
+            if (state.timeout) {
+                status = 'Timeout ' + formatClock(state.timeout.remaining - elapsed);
+            } else if (state.breakRemaining > 0) {
+                status = 'Break ' + formatClock(state.breakRemaining - elapsed);
+            }
         }
+        setClockText(statusEl, status);
+        statusEl.style.display = status ? '' : 'none';
+
+        const myTeam = gameState.myTeam;
+        const canCallTimeout = state.running === myTeam && state.timeoutsLeft[myTeam] > 0 &&
+            gameState.phase === 'aiming';
+        timeoutBtn.style.display = canCallTimeout ? '' : 'none';
+        if (canCallTimeout) setClockText(timeoutBtn, `Timeout (${state.timeoutsLeft[myTeam]})`);
     }
 
+    document.getElementById('timeout-btn').addEventListener('click', () => {
+        CurlingNetwork.sendTimeout();
+        document.getElementById('timeout-btn').style.display = 'none';
+    });
+
     function showOpponentStartInfo(opponent) {
         const nameLabel = document.getElementById('opponent-name-label');
         const rankBadge = document.getElementById('opponent-rank-badge');
@@ -2690,6 +3712,14 @@ function drawStagedStones() {
             return;
         }
 
+        if (gameState.spectating) {
+            const { red, yellow } = gameState.watchedPlayers || {};
+            const label = (p, team) => p ? `${countryToFlag(p.country || '')} ${p.username}` : team;
+            info.innerHTML = `<span style="color:#e53935">${label(red, 'Red')}</span> <span>vs</span> <span style="color:#fdd835">${label(yellow, 'Yellow')}</span>`;
+            info.style.display = 'flex';
+            return;
+        }
+
         const myName = localStorage.getItem('curling_username') || 'You';
         const myCountry = localStorage.getItem('curling_country') || '';
         const oppInfo = gameState.opponentInfo;
@@ -2735,12 +3765,21 @@ function drawStagedStones() {
                 <span class="friend-name">${f.username}</span>
                 ${rankHtml}
                 <span class="friend-status-text">${statusLabel}</span>
-                <button class="friend-invite-btn" data-user-id="${f.userId}" ${canInvite ? '' : 'disabled'}>${canInvite ? 'Invite' : statusLabel}</button>
+                ${f.status === 'in_game'
+                    ? `<button class="friend-invite-btn friend-watch-btn" data-user-id="${f.userId}">Watch</button>`
+                    : `<button class="friend-invite-btn" data-user-id="${f.userId}" ${canInvite ? '' : 'disabled'}>${canInvite ? 'Invite' : statusLabel}</button>`}
                 <button class="friend-remove-btn" data-user-id="${f.userId}" title="Remove friend">\u2715</button>
             </div>`;
         }).join('');
 
-        container.querySelectorAll('.friend-invite-btn').forEach(btn => {
+        container.querySelectorAll('.friend-watch-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.getElementById('watch-error').style.display = 'none';
+                CurlingNetwork.spectateFriend(parseInt(btn.dataset.userId));
+            });
+        });
+
+        container.querySelectorAll('.friend-invite-btn:not(.friend-watch-btn)').forEach(btn => {
             btn.addEventListener('click', () => {
                 const userId = parseInt(btn.dataset.userId);
                 CurlingNetwork.sendGameInvite(userId);
@@ -2958,12 +3997,16 @@ function drawStagedStones() {
     }
 
     function setupOnlineHandlers() {
-        CurlingNetwork.onGameStart(({ yourTeam, opponent, totalEnds }) => {
+        CurlingNetwork.onGameStart(({ yourTeam, opponent, totalEnds, seed, ice, clock, format, ranked, tournament, lastStoneDraw, teamSize, seat, lineup }) => {
+            setMatchClock(clock);
             gameState.myTeam = yourTeam;
             gameState.onlineMode = true;
             gameState.botMode = false;
             gameState.roomCode = CurlingNetwork.getRoomCode();
             gameState.opponentInfo = opponent;
+            gameState.spectating = false;
+            document.getElementById('stop-watching-btn').style.display = 'none';
+            showSpectatorCount(0);
 
             // Brief "starting" panel
             showLobbyPanel('lobby-starting-panel');
@@ -2971,27 +4014,30 @@ function drawStagedStones() {
             const teamLabel = document.getElementById('your-team-label');
             teamLabel.textContent = yourTeam === 'red' ? 'Red' : 'Yellow';
             teamLabel.style.color = yourTeam === 'red' ? '#e53935' : '#fdd835';
+            document.getElementById('game-kind-label').textContent = tournament
+                ? `${tournament.name} — ${tournament.label}`
+                : ranked ? 'Ranked game' : 'Casual game — ratings won\'t change';
 
             setTimeout(() => {
                 hideLobbyScreen();
                 resetGame();
+                gameState.ranked = ranked;
+                setTeamSeats(teamSize, seat, lineup);
                 if (totalEnds) gameState.totalEnds = totalEnds;
+                if (seed !== undefined) gameState.seed = seed;
+                gameState.ice = ice || 'standard';
+                buildIceMap();
+                setFormat(format);
+                const awaitingPlacement = lastStoneDraw ? startLastStoneDraw(lastStoneDraw) : startEnd();
                 showOnlineTeamBadge();
                 updateScoreboardNames();
                 updateUI();
                 document.getElementById('chat-btn').style.display = '';
-                if (isMyTurn()) {
-                    enableControlsForHuman();
-                    document.getElementById('throw-btn').disabled = false;
-                    TabNotify.notify();
-                } else {
-                    disableControlsForBot();
-                    document.getElementById('throw-btn').disabled = true;
-                }
+                if (!awaitingPlacement) startFirstTurn();
             }, 1500);
         });
 
-        CurlingNetwork.onOpponentThrow(({ aim, weight, spinDir, spinAmount }) => {
+        CurlingNetwork.onOpponentThrow(({ aim, weight, spinDir, spinAmount, seed }) => {
             try {
                 console.log('[OPP-THROW] Received: currentTeam=' + gameState.currentTeam + ' phase=' + gameState.phase);
                 // If we're mid-replay, cancel it and restore real state first
@@ -3000,11 +4046,20 @@ function drawStagedStones() {
                 }
                 hideReplayButton();
 
-                // Store last opponent shot for replay feature
-                gameState.lastOpponentShot = { aim, weight, spinDir, spinAmount };
-                gameState.lastOpponentShotStones = gameState.stones
-                    .filter(s => s.active)
-                    .map(s => ({ team: s.team, x: s.x, y: s.y, vx: 0, vy: 0, omega: 0, active: true, moving: false }));
+                // Store last opponent shot for replay feature (draw stones
+                // aren't replayed, recorded or counted)
+                const drawing = inLastStoneDraw();
+                if (!drawing) {
+                    const wear = CurlingPhysics.wearProgress(gameState.currentEnd, gameState.regulationEnds, getTotalStonesThrown(), stonesPerEnd());
+                    gameState.lastOpponentShot = { aim, weight, spinDir, spinAmount, seed, wear, sweepTimeline: [] };
+                    recordShot({
+                        team: gameState.currentTeam, aim, weight, spinDir, spinAmount,
+                        seed, sweepTimeline: gameState.lastOpponentShot.sweepTimeline,
+                    });
+                    gameState.lastOpponentShotStones = gameState.stones
+                        .filter(s => s.active)
+                        .map(s => ({ team: s.team, x: s.x, y: s.y, vx: 0, vy: 0, omega: 0, active: true, moving: false, positioned: s.positioned }));
+                }
 
                 // SINGLE-AUTHORITY PHYSICS: Do NOT run local physics for opponent's throw.
                 // Create a visual-only stone; its position will be driven by
@@ -3018,14 +4073,21 @@ function drawStagedStones() {
                 gameState.deliveredStone = stone;
 
                 // Update throw count (must match thrower's count)
-                if (gameState.currentTeam === TEAMS.RED) {
-                    gameState.redThrown++;
-                } else {
-                    gameState.yellowThrown++;
+                if (!drawing) {
+                    if (gameState.currentTeam === TEAMS.RED) {
+                        gameState.redThrown++;
+                    } else {
+                        gameState.yellowThrown++;
+                    }
                 }
 
                 gameState.phase = 'delivering';
                 gameState._remoteDelivery = true;
+                gameState.calledShot = null;
+                resetSweepers();
+                document.getElementById('call-shot-btn').style.display = 'none';
+                // Team games: the sweepers (and the other skip) need the SWEEP button
+                if (myBroomRole()) enableControlsForHuman();
                 gameState._latestStonePositions = null;
                 document.getElementById('throw-btn').disabled = true;
                 document.getElementById('throw-btn').style.display = 'none';
@@ -3044,13 +4106,14 @@ function drawStagedStones() {
         });
 
         // Real-time stone positions from thrower (single-authority physics)
-        CurlingNetwork.onOpponentStonePositions(({ stones, sweep }) => {
+        CurlingNetwork.onOpponentStonePositions(({ stones, sweep, step }) => {
             if (!gameState._remoteDelivery) return;
             gameState._latestStonePositions = stones;
+            if (step !== undefined) gameState._remoteStep = { step, at: performance.now() };
 
             // Update sweep UI from thrower's state (visual only, no physics effect)
-            if (sweep) {
-                if (sweep.active) {
+            if (sweep && !gameState.isSweeping) {
+                if (sweep.intensity > 0) {
                     document.getElementById('sweep-toggle-btn').classList.add('sweeping');
                     document.getElementById('sweep-toggle-btn').textContent = 'SWEEPING!';
                 } else {
@@ -3060,38 +4123,38 @@ function drawStagedStones() {
             }
         });
 
-        CurlingNetwork.onOpponentSweepChange(({ level }) => {
-            if (!gameState._remoteDelivery) gameState.sweepLevel = level;
-            document.querySelectorAll('.sweep-btn').forEach(b => b.classList.remove('active'));
-            document.getElementById('sweep-' + level).classList.add('active');
+        // Everyone else's brooms on the stone, as the server accepted them.
+        // On my own throw they join the physics (stepSweepers); otherwise
+        // they drive the broom marks. The replay gets the server's merged
+        // timeline once the stone settles (adoptSweepTimeline).
+        CurlingNetwork.onOpponentSweep(({ step, intensity, offset, team, seat }) => {
+            if (!gameState.deliveredStone) return;
+            const behindTee = team !== undefined && team !== gameState.deliveredStone.team;
+            gameState._otherBrooms[`${team}${seat}`] = { step, intensity, offset, behindTee };
+            if (gameState._remoteDelivery) showRemoteBrooms();
         });
 
-        CurlingNetwork.onOpponentSweepStart(() => {
-            if (!gameState._remoteDelivery) {
-                gameState.isSweeping = true;
-                if (gameState.sweepLevel === 'none') {
-                    gameState.sweepLevel = 'hard';
-                    document.querySelectorAll('.sweep-btn').forEach(b => b.classList.remove('active'));
-                    document.getElementById('sweep-hard').classList.add('active');
-                }
+        // Team games: the skip's call for my stone (or a teammate's)
+        CurlingNetwork.onShotCalled((call) => {
+            if (gameState.phase !== 'aiming') return;
+            gameState.calledShot = call;
+            showChatToast(describeCall(call), call.by);
+            // The thrower starts from the call and fine-tunes from there
+            if (isMyTurn()) {
+                const spinAmount = parseFloat(document.getElementById('spin-amount-slider').value);
+                animateOpponentSliders(call.aim, call.weight, call.spinDir, spinAmount, null);
             }
-            document.getElementById('sweep-toggle-btn').classList.add('sweeping');
-            document.getElementById('sweep-toggle-btn').textContent = 'SWEEPING!';
-        });
-
-        CurlingNetwork.onOpponentSweepStop(() => {
-            if (!gameState._remoteDelivery) gameState.isSweeping = false;
-            document.getElementById('sweep-toggle-btn').classList.remove('sweeping');
-            document.getElementById('sweep-toggle-btn').textContent = 'SWEEP';
         });
 
-        // Authoritative state from the thrower after their stone settles.
+        // Authoritative state from the server after a throw settles
+        // (sent to both players — the server re-simulates every throw).
         CurlingNetwork.onAuthoritativeState((data) => {
             try {
                 console.log('[AUTH] authoritative_state received, phase=' + gameState.phase +
                     ' remoteDelivery=' + gameState._remoteDelivery +
                     ' currentTeam=' + gameState.currentTeam + ' dataTeam=' + data.currentTeam +
                     ' stones=' + (data.stones ? data.stones.length : 0));
+                adoptSweepTimeline(data.sweepTimeline, data.shotSeed);
 
                 // Helper: set up controls after applying authoritative state
                 function setupTurnControls() {
@@ -3111,9 +4174,9 @@ function drawStagedStones() {
                     }
                 }
 
-                // SINGLE-AUTHORITY: opponent's throw just settled — apply and transition.
+                // Opponent's throw just settled — apply and transition.
                 // DO NOT call nextTurn() here — it would double-switch currentTeam.
-                // The thrower already switched teams before sending throw_settled,
+                // The server already switched teams when simulating the throw,
                 // so data.currentTeam is already correct (it's now our turn).
                 if (gameState._remoteDelivery) {
                     gameState._remoteDelivery = false;
@@ -3134,7 +4197,7 @@ function drawStagedStones() {
 
                     // Check if this was the last stone of the end (all 16 thrown).
                     // The thrower already scored on their side; we must do the same.
-                    if (gameState.redThrown >= 8 && gameState.yellowThrown >= 8) {
+                    if (allStonesThrown()) {
                         console.log('[AUTH] End complete — entering scoring phase');
                         gameState.phase = 'scoring';
                         setTimeout(() => endEnd(), 1500);
@@ -3162,7 +4225,7 @@ function drawStagedStones() {
                 // But only if local physics isn't actively running (no moving stones).
                 // This fixes the case where _remoteDelivery was cleared mid-throw
                 // and the auth state arrives while phase is stuck in 'delivering'.
-                if (data.redThrown >= 8 && data.yellowThrown >= 8 &&
+                if (allStonesThrown(data) &&
                     gameState.phase !== 'scoring' && gameState.phase !== 'gameover') {
                     // Check if any stones are actually moving (local physics active)
                     const anyMoving = gameState.stones.some(s => s.active && s.moving);
@@ -3191,6 +4254,11 @@ function drawStagedStones() {
                     // My local simulation hasn't finished yet — store and apply when it does
                     console.log('[AUTH] Deferring — local sim still running, phase=' + gameState.phase);
                     gameState._pendingAuthState = data;
+                } else if (gameState.phase === 'scoring') {
+                    // My last stone of the end — endEnd() is pending, so swap in the
+                    // server's stones before it scores them
+                    applyAuthoritativeState(data);
+                    console.log('[AUTH] Applied server stones before end scoring');
                 } else {
                     console.log('[AUTH] Ignoring — unexpected phase: ' + gameState.phase);
                 }
@@ -3209,6 +4277,33 @@ function drawStagedStones() {
             }
         });
 
+        CurlingNetwork.onClockUpdate(({ clock }) => {
+            setMatchClock(clock);
+        });
+
+        // The server forfeited a team on time — the game is over whatever the score
+        CurlingNetwork.onTimeExpired(({ team, clock }) => {
+            setMatchClock(clock);
+            if (gameState.phase === 'gameover') return;
+            if (gameState.isReplaying && gameState._replayRestore) gameState._replayRestore();
+            gameState.forfeit = team;
+            gameState.phase = 'gameover';
+            disableControlsForBot();
+            document.getElementById('throw-btn').disabled = true;
+            showGameOver();
+        });
+
+        CurlingNetwork.onGameRecord(({ record }) => {
+            // Fall back to this client's own record if the server has none
+            let stored = null;
+            try {
+                if (record && record.ends.length > 0) stored = CurlingRecord.normalize(record);
+            } catch (e) {
+                console.warn('[REPLAY] Stored game record unusable:', e.message);
+            }
+            openViewer(stored || gameState.history);
+        });
+
         // Connection verified alive after tab refocus (pong received)
         CurlingNetwork.onConnectionVerified(() => {
             gameState._awaitingConnectionVerify = false;
@@ -3240,38 +4335,115 @@ function drawStagedStones() {
             resetGame();
         });
 
+        CurlingNetwork.onSpectateStart((data) => startSpectating(data));
+
+        // The room closed (or couldn't be rejoined after a dropped connection)
+        CurlingNetwork.onSpectateEnded(() => {
+            console.log('[GAME] onSpectateEnded received');
+            if (!gameState.spectating) return;
+            document.getElementById('game-over-screen').style.display = 'none';
+            clearOnlineMode('spectate-ended');
+            resetGame();
+        });
+
+        CurlingNetwork.onSpectateError(({ error }) => {
+            const watchError = document.getElementById('watch-error');
+            watchError.textContent = error;
+            watchError.style.display = 'block';
+            showLobbyPanel('lobby-watch-panel');
+        });
+
+        CurlingNetwork.onSpectatorCount(({ count }) => showSpectatorCount(count));
+
         CurlingNetwork.onRematchRequested(() => {
             // Auto-accept for simplicity: show a brief notification then start
             const rematchBtn = document.getElementById('rematch-btn');
             rematchBtn.textContent = 'Opponent wants rematch!';
         });
 
-        CurlingNetwork.onRematchAccepted(({ yourTeam, opponent, totalEnds }) => {
+        CurlingNetwork.onRematchAccepted(({ yourTeam, opponent, totalEnds, seed, ice, clock, format, ranked, lastStoneDraw, teamSize, seat, lineup }) => {
+            setMatchClock(clock);
             gameState.myTeam = yourTeam;
             gameState.opponentInfo = opponent;
             document.getElementById('game-over-screen').style.display = 'none';
             resetGame();
+            gameState.ranked = ranked;
+            setTeamSeats(teamSize, seat, lineup);
             if (totalEnds) gameState.totalEnds = totalEnds;
+            if (seed !== undefined) gameState.seed = seed;
+            gameState.ice = ice || 'standard';
+            buildIceMap();
+            setFormat(format);
+            const awaitingPlacement = lastStoneDraw ? startLastStoneDraw(lastStoneDraw) : startEnd();
             showOnlineTeamBadge();
             updateScoreboardNames();
             updateUI();
-            if (isMyTurn()) {
-                enableControlsForHuman();
-                document.getElementById('throw-btn').disabled = false;
-                TabNotify.notify();
+            if (!awaitingPlacement) startFirstTurn();
+        });
+
+        // The hammer team's placement decision, confirmed by the server
+        CurlingNetwork.onPlacement(({ powerPlay }) => {
+            if (gameState.phase === 'placement') {
+                resolvePlacement(powerPlay);
             } else {
-                disableControlsForBot();
-                document.getElementById('throw-btn').disabled = true;
+                // Still showing the last end's score — startEnd picks it up
+                gameState._pendingPlacement = { powerPlay };
+            }
+        });
+
+        // Last Stone Draw: the server's measurement of a draw stone
+        CurlingNetwork.onDrawStone(({ team, stone, distance, lastStoneDraw, currentTeam, iceWear }) => {
+            if (!inLastStoneDraw()) return;
+            gameState._remoteDelivery = false;
+            gameState._latestStonePositions = null;
+            gameState.isSweeping = false;
+            document.getElementById('sweep-toggle-btn').style.display = 'none';
+            gameState.stones = stone.active ? [createStone(stone.team, stone.x, stone.y, 0, 0, 0)] : [];
+            gameState.lastStoneDraw = lastStoneDraw;
+            if (iceWear && gameState.iceMap) gameState.iceMap.wear = iceWear.slice();
+            showDrawStone(team, distance, currentTeam);
+        });
+
+        // The draw winner's choice: the first end starts, perhaps in the other colours
+        CurlingNetwork.onDrawResult(({ hammer, swap, lastStoneDraw, yourTeam, opponent, red, yellow }) => {
+            if (!gameState.lastStoneDraw) return;
+            gameState.lastStoneDraw = lastStoneDraw;
+            if (gameState.spectating) {
+                gameState.watchedPlayers = { red, yellow };
+            } else {
+                gameState.myTeam = yourTeam;
+                gameState.opponentInfo = opponent || null;
+            }
+            if (swap) {
+                showOnlineTeamBadge();
+                updateScoreboardNames();
             }
+            startFirstEnd(hammer);
+        });
+
+        CurlingNetwork.onDrawChoiceError((error) => {
+            if (gameState.phase !== 'drawChoice') return;
+            showDrawChoice();
+            document.getElementById('draw-text').textContent = error;
         });
 
-        CurlingNetwork.onRoomCreated(({ code }) => {
+        CurlingNetwork.onRoomCreated(({ code, teamSize }) => {
             document.getElementById('room-code-display').textContent = code;
+            showWaitingRoom(teamSize, null);
             showLobbyPanel('lobby-create-panel');
         });
 
-        CurlingNetwork.onRoomJoined(() => {
-            // Game will start via onGameStart
+        CurlingNetwork.onRoomJoined(({ code, teamSize }) => {
+            // 1v1: the game starts via onGameStart. Team rooms wait for every seat.
+            if (teamSize > 1) {
+                document.getElementById('room-code-display').textContent = code;
+                showWaitingRoom(teamSize, null);
+                showLobbyPanel('lobby-create-panel');
+            }
+        });
+
+        CurlingNetwork.onRoomUpdate(({ teamSize, seats }) => {
+            showWaitingRoom(teamSize, seats);
         });
 
         CurlingNetwork.onRoomError(({ error, code }) => {
@@ -3280,7 +4452,7 @@ function drawStagedStones() {
             if (error === 'Room not found') {
                 joinError.textContent = 'This game room no longer exists. Ask your friend for a new link.';
             } else if (error === 'Room is full') {
-                joinError.textContent = 'This game already has two players.';
+                joinError.textContent = 'This game is already full.';
             } else {
                 joinError.textContent = error;
             }
@@ -3289,21 +4461,35 @@ function drawStagedStones() {
             showLobbyPanel('lobby-join-panel');
         });
 
-        CurlingNetwork.onQueueWaiting(() => {
+        CurlingNetwork.onQueueWaiting(({ pool, waited, estimatedWait, searching, ratingWindow }) => {
             showLobbyPanel('lobby-queue-panel');
+            const seconds = ms => Math.max(1, Math.round(ms / 1000));
+            document.getElementById('queue-detail').textContent =
+                `${{ ranked: 'Ranked', casual: 'Casual', guest: 'Guest' }[pool] || 'Casual'} queue · ${searching} searching · waited ${seconds(waited)}s`
+                + ` · about ${seconds(estimatedWait)}s to go`
+                + (ratingWindow ? ` · within ±${ratingWindow} rating` : '');
         });
 
         CurlingNetwork.onRoomExpired(() => {
             showLobbyPanel('lobby-menu');
         });
 
-        CurlingNetwork.onReconnected(({ yourTeam, currentTeam: serverCurrentTeam, gameSnapshot, opponent }) => {
+        CurlingNetwork.onReconnected(({ yourTeam, currentTeam: serverCurrentTeam, gameSnapshot, opponent, seed, ice, iceWear, clock, format, ranked, spectators, throwInFlight, teamSize, seat, lineup }) => {
+            setMatchClock(clock);
+            showSpectatorCount(spectators);
             console.log('[GAME] onReconnected: myTeam=' + yourTeam + ' serverCurrentTeam=' + serverCurrentTeam + ' snapshot=' + !!gameSnapshot + ' phase=' + gameState.phase);
             gameState._awaitingConnectionVerify = false;
             gameState.myTeam = yourTeam;
             gameState.onlineMode = true;
             gameState.opponentConnected = true;
             gameState.opponentInfo = opponent;
+            gameState.ranked = ranked;
+            setTeamSeats(teamSize, seat, lineup || gameState.lineup);
+            if (seed !== undefined) gameState.seed = seed;
+            if (ice) gameState.ice = ice;
+            if (format) gameState.format = format;
+            buildIceMap();
+            if (iceWear) gameState.iceMap.wear = iceWear.slice();
             hideDisconnectOverlay();
             showOnlineTeamBadge();
             updateScoreboardNames();
@@ -3320,7 +4506,10 @@ function drawStagedStones() {
             // KEY PRINCIPLE: If MY stone is currently being delivered locally,
             // DON'T clobber it with the snapshot. Let physics finish, then
             // nextTurn() will send throw_settled. The snapshot is stale (pre-throw).
-            const myThrowInFlight = (gameState.phase === 'delivering' || gameState.phase === 'settling') && !gameState._remoteDelivery;
+            // (Unless the server already settled it while we were away — then
+            // the snapshot has the result and replaces our local stones.)
+            const myThrowInFlight = (gameState.phase === 'delivering' || gameState.phase === 'settling') &&
+                !gameState._remoteDelivery && throwInFlight;
 
             if (myThrowInFlight) {
                 // My stone is in-flight with local physics — let it finish naturally.
@@ -3362,6 +4551,7 @@ function drawStagedStones() {
                     const stone = createStone(s.team, s.x, s.y, 0, 0, 0);
                     stone.active = true;
                     stone.moving = false;
+                    if (s.positioned) stone.positioned = true;
                     return stone;
                 });
             } else {
@@ -3380,6 +4570,8 @@ function drawStagedStones() {
                 gameState.yellowThrown = gameSnapshot.yellowThrown || 0;
                 gameState.hammer = gameSnapshot.hammer || TEAMS.YELLOW;
                 gameState.endScores = gameSnapshot.endScores || [];
+                if (gameSnapshot.powerPlays) gameState.powerPlays = { red: gameSnapshot.powerPlays.red, yellow: gameSnapshot.powerPlays.yellow };
+                gameState.powerPlay = gameSnapshot.powerPlay || null;
                 document.getElementById('red-total').textContent = gameState.redScore;
                 document.getElementById('yellow-total').textContent = gameState.yellowScore;
                 document.getElementById('current-end').textContent = gameState.currentEnd;
@@ -3403,8 +4595,29 @@ function drawStagedStones() {
                 return;
             }
 
+            // Last Stone Draw: carry on throwing, or wait on the winner's choice
+            if (gameSnapshot) gameState.lastStoneDraw = gameSnapshot.lastStoneDraw || null;
+            if (inLastStoneDraw()) {
+                gameState.stones = [];
+                if (gameState.lastStoneDraw.result) {
+                    showDrawChoice();
+                    return;
+                }
+            }
+
+            // Mixed doubles: the end hasn't started until the hammer team decides
+            if (gameSnapshot && gameSnapshot.placementPending) {
+                gameState.phase = 'placement';
+                gameState.stones = [];
+                updateUI();
+                disableControlsForBot();
+                document.getElementById('throw-btn').disabled = true;
+                showPlacementPrompt(gameState.myTeam === gameState.hammer);
+                return;
+            }
+
             // Check if all 16 stones were thrown — need to enter scoring
-            if (gameState.redThrown >= 8 && gameState.yellowThrown >= 8 &&
+            if (allStonesThrown() &&
                 gameState.phase !== 'scoring') {
                 console.log('[GAME] onReconnected — all 16 thrown, entering scoring');
                 gameState.phase = 'scoring';
@@ -3414,21 +4627,8 @@ function drawStagedStones() {
 
             // Normal case: set to aiming phase
             gameState.phase = 'aiming';
-
-            // Push our state to server for future reconnects
-            CurlingNetwork.sendGameStateSync({
-                currentTeam: gameState.currentTeam,
-                redScore: gameState.redScore,
-                yellowScore: gameState.yellowScore,
-                currentEnd: gameState.currentEnd,
-                redThrown: gameState.redThrown,
-                yellowThrown: gameState.yellowThrown,
-                hammer: gameState.hammer,
-                endScores: gameState.endScores,
-                stones: gameState.stones.filter(s => s.active).map(s => ({
-                    team: s.team, x: s.x, y: s.y,
-                })),
-            });
+            hidePlacementPrompt();
+            hideDrawPanel();
 
             updateUI();
 
@@ -3567,8 +4767,10 @@ function drawStagedStones() {
             CurlingNetwork.sendGetProfile();
             // Set up push notifications for logged-in users
             PushSetup.setup();
-            // Show friends button for logged-in users
+            // Show friends and rating history buttons for logged-in users
             document.getElementById('lobby-friends').style.display = 'block';
+            document.getElementById('lobby-profile').style.display = 'block';
+            document.getElementById('lobby-ranked').style.display = 'block';
         });
 
         CurlingNetwork.onVapidKey(({ key }) => {
@@ -3601,6 +4803,7 @@ function drawStagedStones() {
             if (profile) {
                 document.getElementById('user-record').textContent =
                     `${profile.wins}W / ${profile.losses}L / ${profile.draws}D`;
+                mySeasons = { current: profile.season || null, results: profile.seasons || [] };
                 if (profile.rank) {
                     updateRankBadge(profile.rank);
                 }
@@ -3610,20 +4813,44 @@ function drawStagedStones() {
             }
         });
 
-        CurlingNetwork.onRatingUpdate(({ rank }) => {
-            if (rank) {
-                updateRankBadge(rank);
-                // Show rating change on game over screen
-                const ratingInfo = document.getElementById('rating-update-info');
-                if (ratingInfo) {
-                    ratingInfo.innerHTML = `<span class="rank-badge" style="background:${rank.color}">${rank.name}</span> <span style="color:#aaa">${rank.rating} ELO</span>`;
-                    ratingInfo.style.display = 'block';
-                }
+        CurlingNetwork.onRatingUpdate((update) => {
+            const state = viewer ? viewer.savedState : gameState;
+            // The stored record replays the server's own simulation of the game
+            if (update.gameId) state.serverGameId = update.gameId;
+            state.ratingUpdate = update;
+            if (!update.ranked || update.rank) {
+                if (update.rank) updateRankBadge(update.rank);
+                showRatingUpdate(update);
                 // Refresh profile to update W/L
                 CurlingNetwork.sendGetProfile();
             }
         });
 
+        CurlingNetwork.onRatingHistory(({ userId, profile, history, tiers }) => {
+            if (!profile || !history) {
+                document.getElementById('profile-summary').textContent = 'Profile unavailable.';
+                return;
+            }
+            ratingHistory = { userId, profile, history, tiers };
+            renderRatingHistory();
+        });
+
+        CurlingNetwork.onLeaderboard((data) => renderLeaderboard(data));
+
+        CurlingNetwork.onTournaments((list) => renderTournamentList(list));
+        CurlingNetwork.onTournament((tournament) => {
+            // Updates arrive for every event the player is in; only the open one is shown
+            if (document.getElementById('lobby-tournament-panel').style.display === 'none') return;
+            if (openTournamentId !== null && tournament.id !== openTournamentId) return;
+            renderTournament(tournament);
+        });
+        CurlingNetwork.onTournamentError((error) => {
+            const onDetail = document.getElementById('lobby-tournament-panel').style.display !== 'none';
+            const el = document.getElementById(onDetail ? 'tournament-detail-error' : 'tournament-error');
+            el.textContent = error;
+            el.style.display = 'block';
+        });
+
         CurlingNetwork.onSecurityQuestion(({ question }) => {
             document.getElementById('auth-error').style.display = 'none';
             document.getElementById('recovery-step-1').style.display = 'none';
@@ -3648,6 +4875,9 @@ function drawStagedStones() {
         document.getElementById('mode-2p').classList.remove('active');
         document.getElementById('difficulty-selector').classList.add('hidden');
         document.getElementById('ends-selector-local').classList.add('hidden');
+        document.getElementById('ice-selector-local').classList.add('hidden');
+        document.getElementById('format-selector-local').classList.add('hidden');
+        document.getElementById('draw-selector-local').classList.add('hidden');
         settingsDropdown.classList.remove('open');
         settingsToggle.classList.remove('active');
 
@@ -3694,10 +4924,79 @@ function drawStagedStones() {
         });
     });
 
+    // Format selector buttons
+    document.querySelectorAll('.format-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.format-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
+    });
+
+    // Ice selector buttons
+    document.querySelectorAll('.ice-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.ice-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
+    });
+
+    // Thinking-time selector buttons
+    document.querySelectorAll('.clock-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.clock-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
+    });
+
+    // Team size selector buttons — team games are standard format and casual,
+    // with no Last Stone Draw
+    document.querySelectorAll('.team-size-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.team-size-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            const teamGame = btn.dataset.teamSize !== '1';
+            document.getElementById('format-selector').classList.toggle('locked', teamGame);
+            document.getElementById('ranked-selector').classList.toggle('locked', teamGame);
+            document.getElementById('draw-selector').classList.toggle('locked', teamGame);
+            if (teamGame) {
+                document.querySelector('.format-btn[data-format="standard"]').click();
+                document.querySelector('.ranked-btn[data-ranked="false"]').click();
+                document.querySelector('.draw-btn[data-draw="0"]').click();
+            }
+        });
+    });
+
+    // First-end hammer: fixed or a Last Stone Draw
+    document.querySelectorAll('.draw-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.draw-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
+    });
+
+    // Casual / ranked selector buttons
+    document.querySelectorAll('.ranked-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('.ranked-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+        });
+    });
+
     document.getElementById('lobby-create-confirm').addEventListener('click', () => {
         const activeBtn = document.querySelector('.ends-btn.active');
         const totalEnds = activeBtn ? parseInt(activeBtn.dataset.ends) : 6;
-        CurlingNetwork.createRoom(totalEnds);
+        const activeIce = document.querySelector('.ice-btn.active');
+        const activeClock = document.querySelector('.clock-btn.active');
+        const activeFormat = document.querySelector('.format-btn.active');
+        const activeRanked = document.querySelector('.ranked-btn.active');
+        const activeTeamSize = document.querySelector('.team-size-btn.active');
+        const activeDraw = document.querySelector('.draw-btn.active');
+        CurlingNetwork.createRoom(totalEnds, activeIce ? activeIce.dataset.ice : 'standard',
+            activeClock ? activeClock.dataset.clock : 'off',
+            activeFormat ? activeFormat.dataset.format : 'standard',
+            !!activeRanked && activeRanked.dataset.ranked === 'true',
+            activeTeamSize ? parseInt(activeTeamSize.dataset.teamSize) : 1,
+            activeDraw ? parseInt(activeDraw.dataset.draw) : 0);
     });
 
     document.getElementById('lobby-cancel-ends').addEventListener('click', () => {
@@ -3729,7 +5028,13 @@ function drawStagedStones() {
     });
 
     document.getElementById('lobby-queue').addEventListener('click', () => {
-        CurlingNetwork.joinQueue();
+        document.getElementById('queue-detail').textContent = '';
+        CurlingNetwork.joinQueue(false);
+    });
+
+    document.getElementById('lobby-ranked').addEventListener('click', () => {
+        document.getElementById('queue-detail').textContent = '';
+        CurlingNetwork.joinQueue(true);
     });
 
     document.getElementById('lobby-back').addEventListener('click', () => {
@@ -3788,6 +5093,34 @@ function drawStagedStones() {
         showLobbyPanel('lobby-menu');
     });
 
+    document.getElementById('lobby-watch').addEventListener('click', () => {
+        showLobbyPanel('lobby-watch-panel');
+        document.getElementById('watch-error').style.display = 'none';
+        document.getElementById('watch-code-input').value = '';
+        document.getElementById('watch-code-input').focus();
+    });
+
+    document.getElementById('lobby-watch-submit').addEventListener('click', () => {
+        const code = document.getElementById('watch-code-input').value.trim();
+        if (code.length !== 4) {
+            document.getElementById('watch-error').textContent = 'Code must be 4 characters';
+            document.getElementById('watch-error').style.display = 'block';
+            return;
+        }
+        document.getElementById('watch-error').style.display = 'none';
+        CurlingNetwork.spectate(code);
+    });
+
+    document.getElementById('watch-code-input').addEventListener('keydown', (e) => {
+        if (e.code === 'Enter') {
+            document.getElementById('lobby-watch-submit').click();
+        }
+    });
+
+    document.getElementById('lobby-cancel-watch').addEventListener('click', () => {
+        showLobbyPanel('lobby-menu');
+    });
+
     document.getElementById('lobby-cancel-queue').addEventListener('click', () => {
         CurlingNetwork.leaveQueue();
         showLobbyPanel('lobby-menu');
@@ -3812,6 +5145,497 @@ function drawStagedStones() {
         resetGame();
     });
 
+    // --------------------------------------------------------
+    // RATING HISTORY
+    // --------------------------------------------------------
+    // The rating after every rated game, charted over the rank tier
+    // bands with a marker wherever the player moved up or down a tier.
+    let ratingHistory = null; // { userId, profile, history, tiers } from the server
+    let profileReturnPanel = 'lobby-menu';
+
+    function ratingDelta(change) {
+        const delta = change.ratingAfter - change.ratingBefore;
+        return (delta >= 0 ? '+' : '') + delta;
+    }
+
+    function rankEventText(change) {
+        if (change.rankChange === 'up') return '▲ Promoted to ' + change.rankAfter;
+        if (change.rankChange === 'down') return '▼ Dropped to ' + change.rankAfter;
+        return '';
+    }
+
+    function drawRatingChart() {
+        const canvas = document.getElementById('rating-chart');
+        const { history, tiers } = ratingHistory;
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        const c = canvas.getContext('2d');
+        c.setTransform(dpr, 0, 0, dpr, 0, 0);
+        c.clearRect(0, 0, width, height);
+
+        const ratings = [history[0].ratingBefore, ...history.map(h => h.ratingAfter)];
+        const min = Math.min(...ratings) - 50;
+        const max = Math.max(...ratings) + 50;
+        const left = 36, right = 8, top = 8, bottom = 18;
+        const x = i => left + i * (width - left - right) / Math.max(1, ratings.length - 1);
+        const y = r => top + (max - r) * (height - top - bottom) / (max - min);
+
+        // Rank tier bands, labelled with the rating each one starts at
+        c.font = '10px sans-serif';
+        c.textAlign = 'right';
+        c.textBaseline = 'middle';
+        tiers.forEach((tier, i) => {
+            const lo = Math.max(tier.minRating, min);
+            const hi = Math.min(tiers[i + 1] ? tiers[i + 1].minRating : Infinity, max);
+            if (hi <= lo) return;
+            c.fillStyle = tier.color;
+            c.globalAlpha = 0.12;
+            c.fillRect(left, y(hi), width - left - right, y(lo) - y(hi));
+            c.globalAlpha = 1;
+            if (tier.minRating > min) c.fillText(tier.minRating, left - 4, y(tier.minRating));
+        });
+
+        // Season resets
+        c.strokeStyle = '#666';
+        c.setLineDash([3, 3]);
+        c.lineWidth = 1;
+        history.forEach((h, i) => {
+            if (h.reason !== 'season') return;
+            c.beginPath();
+            c.moveTo(x(i + 0.5), top);
+            c.lineTo(x(i + 0.5), height - bottom);
+            c.stroke();
+        });
+        c.setLineDash([]);
+
+        c.strokeStyle = '#5c9ae6';
+        c.lineWidth = 2;
+        c.beginPath();
+        ratings.forEach((r, i) => (i === 0 ? c.moveTo(x(i), y(r)) : c.lineTo(x(i), y(r))));
+        c.stroke();
+
+        c.textAlign = 'center';
+        history.forEach((h, i) => {
+            if (!h.rankChange) return;
+            c.fillStyle = h.rankChange === 'up' ? '#66bb6a' : '#ef5350';
+            c.fillText(h.rankChange === 'up' ? '▲' : '▼', x(i + 1), y(h.ratingAfter) + (h.rankChange === 'up' ? -8 : 8));
+        });
+
+        c.fillStyle = '#888';
+        c.textAlign = 'left';
+        c.fillText('Game 1', left, height - 6);
+        c.textAlign = 'right';
+        c.fillText('Game ' + history.length, width - right, height - 6);
+    }
+
+    function renderRatingHistory() {
+        const { profile, history } = ratingHistory;
+        const flag = countryToFlag(profile.country);
+        document.getElementById('profile-title').textContent = (flag ? flag + ' ' : '') + profile.username;
+        document.getElementById('profile-player').innerHTML =
+            `<span class="rank-badge" style="background:${profile.rank.color}">${profile.rank.name}</span>`
+            + ` <span class="user-rating-text">${ratingLabel(profile.rank)}</span>`
+            + ` <span id="profile-record">${profile.wins}W / ${profile.losses}L / ${profile.draws}D</span>`;
+        const seasonsEl = document.getElementById('profile-seasons');
+        seasonsEl.innerHTML = '';
+        (profile.seasons || []).forEach(result => seasonsEl.appendChild(seasonBadge(result)));
+
+        const summary = document.getElementById('profile-summary');
+        const events = document.getElementById('rank-events');
+        const empty = history.length === 0;
+        document.getElementById('rating-chart').style.display = empty ? 'none' : 'block';
+        document.getElementById('rating-chart-empty').style.display = empty ? 'block' : 'none';
+        events.innerHTML = '';
+        if (empty) {
+            summary.textContent = '';
+            return;
+        }
+
+        const last = history[history.length - 1];
+        const peak = Math.max(...history.map(h => h.ratingAfter));
+        summary.textContent = `${last.ratingAfter} ± ${last.deviation * 2} · peak ${peak} · ${history.length} rated game${history.length === 1 ? '' : 's'}`;
+        drawRatingChart();
+
+        // Rank changes, newest first
+        history.filter(h => h.rankChange).reverse().forEach(h => {
+            const row = document.createElement('div');
+            row.className = 'rank-event ' + h.rankChange;
+            const when = h.playedAt ? new Date(h.playedAt).toLocaleDateString() : '';
+            const cause = h.reason === 'season' ? 'season reset' : 'vs ' + (h.opponent || 'unknown');
+            row.textContent = `${rankEventText(h)} (${h.ratingAfter}) · ${cause} · ${when}`;
+            events.appendChild(row);
+        });
+    }
+
+    // `userId` null = the logged-in player. Back returns to `returnPanel`.
+    function openPlayerProfile(userId, returnPanel) {
+        profileReturnPanel = returnPanel;
+        showLobbyPanel('lobby-profile-panel');
+        document.getElementById('profile-title').textContent = 'Profile';
+        document.getElementById('profile-player').innerHTML = '';
+        document.getElementById('profile-summary').textContent = 'Loading…';
+        document.getElementById('rating-chart').style.display = 'none';
+        document.getElementById('rating-chart-empty').style.display = 'none';
+        document.getElementById('rank-events').innerHTML = '';
+        CurlingNetwork.requestRatingHistory(userId);
+    }
+
+    document.getElementById('lobby-profile').addEventListener('click', () => {
+        openPlayerProfile(null, 'lobby-menu');
+    });
+
+    document.getElementById('lobby-profile-back').addEventListener('click', () => {
+        showLobbyPanel(profileReturnPanel);
+    });
+
+    // --------------------------------------------------------
+    // LEADERBOARDS
+    // --------------------------------------------------------
+    // Global, country (the player's own), friends and most active this
+    // week, a page at a time. Rows open that player's profile.
+    // `season` null = the current one
+    const leaderboardView = { board: 'global', page: 0, pages: 1, season: null };
+
+    function requestLeaderboard() {
+        document.getElementById('leaderboard-status').textContent = 'Loading…';
+        document.getElementById('leaderboard-list').innerHTML = '';
+        CurlingNetwork.requestLeaderboard(leaderboardView.board, leaderboardView.page,
+            localStorage.getItem('curling_country') || '', leaderboardView.season);
+    }
+
+    function updateSeasonPicker(seasons, selected) {
+        const picker = document.getElementById('leaderboard-season');
+        picker.innerHTML = '';
+        seasons.forEach(season => {
+            const option = document.createElement('option');
+            option.value = season.id;
+            option.textContent = season.closed ? `${season.name} (final)` : `${season.name} (current)`;
+            picker.appendChild(option);
+        });
+        picker.value = selected;
+        // Weekly activity doesn't follow seasons
+        picker.style.display = leaderboardView.board === 'active' ? 'none' : '';
+    }
+
+    function renderLeaderboard(data) {
+        const status = document.getElementById('leaderboard-status');
+        const list = document.getElementById('leaderboard-list');
+        list.innerHTML = '';
+        if (data.error) {
+            status.textContent = data.error;
+            leaderboardView.pages = 1;
+            updateLeaderboardPager();
+            return;
+        }
+        // Ignore a page that arrives after the player moved on
+        if (data.board !== leaderboardView.board || data.page !== leaderboardView.page) return;
+        leaderboardView.pages = data.pages;
+        if (data.seasons) updateSeasonPicker(data.seasons, data.season);
+        status.textContent = data.entries.length === 0 ? 'Nobody here yet — play some rated games!'
+            : data.board === 'country' ? `${countryToFlag(data.country)} ${data.total} ranked players` : '';
+
+        const myName = localStorage.getItem('curling_username');
+        data.entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'leaderboard-row' + (entry.username === myName ? ' me' : '');
+            const flag = countryToFlag(entry.country);
+            const detail = data.board === 'active'
+                ? `${entry.gamesThisWeek} game${entry.gamesThisWeek === 1 ? '' : 's'}`
+                : `${entry.wins}-${entry.losses}-${entry.draws}`;
+            row.innerHTML = `
+                <span class="leaderboard-position">${entry.position}</span>
+                <span class="leaderboard-name">${flag ? flag + ' ' : ''}${entry.username}</span>
+                <span class="rank-badge" style="background:${entry.rank.color}">${entry.rank.name}</span>
+                <span class="leaderboard-rating">${entry.rank.rating}${entry.rank.provisional ? '?' : ''}</span>
+                <span class="leaderboard-detail">${detail}</span>
+            `;
+            row.addEventListener('click', () => openPlayerProfile(entry.userId, 'lobby-leaderboard-panel'));
+            list.appendChild(row);
+        });
+        updateLeaderboardPager();
+    }
+
+    function updateLeaderboardPager() {
+        document.getElementById('leaderboard-page').textContent = `${leaderboardView.page + 1} / ${leaderboardView.pages}`;
+        document.getElementById('leaderboard-prev').disabled = leaderboardView.page === 0;
+        document.getElementById('leaderboard-next').disabled = leaderboardView.page >= leaderboardView.pages - 1;
+    }
+
+    document.getElementById('lobby-leaderboard').addEventListener('click', () => {
+        showLobbyPanel('lobby-leaderboard-panel');
+        requestLeaderboard();
+    });
+
+    document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.leaderboard-tab').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            leaderboardView.board = tab.dataset.board;
+            leaderboardView.page = 0;
+            requestLeaderboard();
+        });
+    });
+
+    document.getElementById('leaderboard-season').addEventListener('change', (e) => {
+        leaderboardView.season = parseInt(e.target.value, 10);
+        leaderboardView.page = 0;
+        requestLeaderboard();
+    });
+
+    document.getElementById('leaderboard-prev').addEventListener('click', () => {
+        if (leaderboardView.page === 0) return;
+        leaderboardView.page--;
+        requestLeaderboard();
+    });
+
+    document.getElementById('leaderboard-next').addEventListener('click', () => {
+        if (leaderboardView.page >= leaderboardView.pages - 1) return;
+        leaderboardView.page++;
+        requestLeaderboard();
+    });
+
+    document.getElementById('lobby-leaderboard-back').addEventListener('click', () => {
+        showLobbyPanel('lobby-menu');
+    });
+
+    // --------------------------------------------------------
+    // TOURNAMENTS
+    // --------------------------------------------------------
+    // Club events: the list, and one event's draw — registration while
+    // it's open, then its games by round (and the table for a round
+    // robin). The server starts each game by itself once both players
+    // are online and not in another game.
+    const TOURNAMENT_FORMATS = { single: 'Single elimination', double: 'Double elimination', round_robin: 'Round robin', league: 'League' };
+    const TOURNAMENT_STATUS = { registering: 'Registration open', running: 'In progress', finished: 'Finished' };
+    let openTournamentId = null; // the event on the detail panel (null while a new one is created)
+
+    function renderTournamentList(list) {
+        const el = document.getElementById('tournament-list');
+        el.innerHTML = '';
+        document.getElementById('tournament-list-status').textContent = list.length === 0 ? 'No tournaments yet.' : '';
+        list.forEach(t => {
+            const row = document.createElement('div');
+            row.className = 'tournament-row';
+            const name = document.createElement('span');
+            name.className = 'tournament-name';
+            name.textContent = t.name;
+            const detail = document.createElement('span');
+            detail.className = 'tournament-detail';
+            detail.textContent = `${TOURNAMENT_FORMATS[t.format]} · ${t.players} player${t.players === 1 ? '' : 's'} · ` +
+                (t.winner ? `🏆 ${t.winner}` : TOURNAMENT_STATUS[t.status]);
+            row.append(name, detail);
+            row.addEventListener('click', () => openTournamentPanel(t.id));
+            el.appendChild(row);
+        });
+    }
+
+    function openTournamentPanel(id) {
+        openTournamentId = id;
+        showLobbyPanel('lobby-tournament-panel');
+        document.getElementById('tournament-title').textContent = 'Loading…';
+        document.getElementById('tournament-info').textContent = '';
+        document.getElementById('tournament-detail-error').style.display = 'none';
+        document.getElementById('tournament-actions').style.display = 'none';
+        ['tournament-hint', 'tournament-standings', 'tournament-draw', 'tournament-players']
+            .forEach(elId => { document.getElementById(elId).innerHTML = ''; });
+        if (id !== null) CurlingNetwork.requestTournament(id);
+    }
+
+    function renderTournament(t) {
+        openTournamentId = t.id;
+        const myName = localStorage.getItem('curling_username');
+        const loggedIn = !!localStorage.getItem('curling_token');
+        const registered = t.players.some(p => p.username === myName);
+        const open = t.status === 'registering';
+
+        document.getElementById('tournament-title').textContent = t.name;
+        document.getElementById('tournament-info').textContent = [
+            TOURNAMENT_FORMATS[t.format],
+            `${t.totalEnds} ends`,
+            t.lastStoneDraw ? `last stone draw (${t.lastStoneDraw} stone${t.lastStoneDraw === 1 ? '' : 's'})` : null,
+            `organized by ${t.organizer}`,
+            t.winner ? `🏆 ${t.winner}` : TOURNAMENT_STATUS[t.status],
+        ].filter(Boolean).join(' · ');
+        document.getElementById('tournament-detail-error').style.display = 'none';
+
+        const joinBtn = document.getElementById('tournament-join-btn');
+        const leaveBtn = document.getElementById('tournament-leave-btn');
+        const startBtn = document.getElementById('tournament-start-btn');
+        joinBtn.style.display = open && loggedIn && !registered ? '' : 'none';
+        leaveBtn.style.display = open && registered ? '' : 'none';
+        startBtn.style.display = open && t.organizer === myName ? '' : 'none';
+        startBtn.disabled = t.players.length < 2;
+        document.getElementById('tournament-actions').style.display = open ? 'flex' : 'none';
+
+        let hint = '';
+        if (open && !loggedIn) hint = 'Log in to register.';
+        else if (t.status === 'running' && registered) {
+            hint = t.format === 'league'
+                ? 'Your game for the week starts by itself when your opponent is online too. Missed games can be made up later.'
+                : 'Your games start by themselves when your opponent is online too.';
+        }
+        if (t.standings) hint += (hint ? ' ' : '') + 'Ties on points go to head-to-head, then the draw shot challenge.';
+        document.getElementById('tournament-hint').textContent = hint;
+
+        renderTournamentStandings(t);
+        renderTournamentDraw(t, myName);
+        renderTournamentPlayers(t);
+    }
+
+    // Seeds (and ratings) once the draw is made, registration order before
+    function renderTournamentPlayers(t) {
+        const el = document.getElementById('tournament-players');
+        el.innerHTML = '';
+        if (t.status === 'finished' || t.players.length === 0) return;
+        const heading = document.createElement('h4');
+        heading.className = 'tournament-round';
+        heading.textContent = `Players (${t.players.length})`;
+        el.appendChild(heading);
+        t.players.forEach(p => {
+            const row = document.createElement('div');
+            row.className = 'tournament-game';
+            const name = document.createElement('span');
+            name.className = 'tournament-side';
+            name.textContent = p.seed ? `${p.seed}. ${p.username}` : p.username;
+            const rating = document.createElement('span');
+            rating.className = 'tournament-result';
+            rating.textContent = p.rating ? String(p.rating) : '';
+            row.append(name, rating);
+            el.appendChild(row);
+        });
+    }
+
+    function renderTournamentStandings(t) {
+        const el = document.getElementById('tournament-standings');
+        el.innerHTML = '';
+        if (!t.standings) return;
+        const table = document.createElement('table');
+        table.className = 'tournament-table';
+        table.innerHTML = '<tr><th></th><th>Player</th><th>W</th><th>L</th><th>T</th><th>PF</th><th>PA</th>' +
+            '<th title="Ends won">E</th><th title="Draw shot challenge: average Last Stone Draw total (cm), lowest first; – with no draw on record">DSC</th><th>Pts</th></tr>';
+        t.standings.forEach((row, i) => {
+            const tr = document.createElement('tr');
+            [i + 1, row.username, row.wins, row.losses, row.ties, row.pointsFor, row.pointsAgainst,
+                row.endsWon, row.dsc === null ? '–' : row.dsc.toFixed(1), row.standingPoints]
+                .forEach(value => {
+                    const td = document.createElement('td');
+                    td.textContent = String(value);
+                    tr.appendChild(td);
+                });
+            table.appendChild(tr);
+        });
+        el.appendChild(table);
+    }
+
+    function tournamentResultText(game) {
+        if (game.bye) return game.red && game.yellow ? 'Not needed' : 'Bye';
+        if (game.status === 'done') return game.score ? `${game.score[0]} – ${game.score[1]}` : 'Final';
+        if (game.status === 'playing') return '▶ Watch';
+        if (game.status === 'ready') return game.playableFrom > Date.now() ? 'Scheduled' : 'Next up';
+        return '';
+    }
+
+    // Games by round; a game being played opens in the spectator view
+    function renderTournamentDraw(t, myName) {
+        const el = document.getElementById('tournament-draw');
+        el.innerHTML = '';
+        let label = null;
+        t.games.forEach(game => {
+            // Round robin rounds and bracket rounds both come in order
+            if (game.label !== label) {
+                label = game.label;
+                const heading = document.createElement('h4');
+                heading.className = 'tournament-round';
+                heading.textContent = game.playableFrom
+                    ? `${label} — from ${new Date(game.playableFrom).toLocaleDateString()}`
+                    : label;
+                el.appendChild(heading);
+            }
+            const row = document.createElement('div');
+            const mine = game.red === myName || game.yellow === myName;
+            const watchable = game.status === 'playing' && !!game.roomCode;
+            row.className = 'tournament-game' + (mine ? ' mine' : '') + (watchable ? ' watchable' : '');
+            const side = (name) => {
+                const span = document.createElement('span');
+                span.className = 'tournament-side' + (name && name === game.winner && !game.bye ? ' won' : '');
+                span.textContent = name || (game.status === 'waiting' ? 'TBD' : '—');
+                return span;
+            };
+            const result = document.createElement('span');
+            result.className = 'tournament-result';
+            result.textContent = tournamentResultText(game);
+            row.append(side(game.red), result, side(game.yellow));
+            if (watchable) {
+                row.addEventListener('click', () => {
+                    showLobbyPanel('lobby-watch-panel');
+                    document.getElementById('watch-code-input').value = game.roomCode;
+                    document.getElementById('lobby-watch-submit').click();
+                });
+            }
+            el.appendChild(row);
+        });
+    }
+
+    document.getElementById('lobby-tournaments').addEventListener('click', () => {
+        showLobbyPanel('lobby-tournaments-panel');
+        document.getElementById('tournament-error').style.display = 'none';
+        document.getElementById('tournament-list-status').textContent = 'Loading…';
+        document.getElementById('tournament-list').innerHTML = '';
+        document.getElementById('tournament-create').style.display = localStorage.getItem('curling_token') ? 'flex' : 'none';
+        CurlingNetwork.requestTournaments();
+    });
+
+    // Round robins and leagues always open each game with a draw (DSC
+    // breaks ties in the table), so "No draw" is only for knockouts
+    document.getElementById('tournament-format').addEventListener('change', (e) => {
+        const table = e.target.value === 'round_robin' || e.target.value === 'league';
+        const drawStones = document.getElementById('tournament-draw-stones');
+        drawStones.querySelector('option[value="0"]').disabled = table;
+        if (table && drawStones.value === '0') drawStones.value = '1';
+    });
+
+    document.getElementById('tournament-create-btn').addEventListener('click', () => {
+        const name = document.getElementById('tournament-name-input').value.trim();
+        if (!name) {
+            document.getElementById('tournament-error').textContent = 'Give the tournament a name';
+            document.getElementById('tournament-error').style.display = 'block';
+            return;
+        }
+        document.getElementById('tournament-name-input').value = '';
+        // The new event's draw page opens when the server confirms it
+        openTournamentPanel(null);
+        CurlingNetwork.createTournament({
+            name,
+            format: document.getElementById('tournament-format').value,
+            totalEnds: parseInt(document.getElementById('tournament-ends').value, 10),
+            lastStoneDraw: parseInt(document.getElementById('tournament-draw-stones').value, 10),
+        });
+    });
+
+    document.getElementById('tournament-join-btn').addEventListener('click', () => {
+        CurlingNetwork.joinTournament(openTournamentId);
+    });
+
+    document.getElementById('tournament-leave-btn').addEventListener('click', () => {
+        CurlingNetwork.leaveTournament(openTournamentId);
+    });
+
+    document.getElementById('tournament-start-btn').addEventListener('click', () => {
+        CurlingNetwork.startTournament(openTournamentId);
+    });
+
+    document.getElementById('lobby-tournaments-back').addEventListener('click', () => {
+        showLobbyPanel('lobby-menu');
+    });
+
+    document.getElementById('lobby-tournament-back').addEventListener('click', () => {
+        openTournamentId = null;
+        document.getElementById('lobby-tournaments').click();
+    });
+
     // --------------------------------------------------------
     // FRIENDS & INVITE BUTTON HANDLERS
     // --------------------------------------------------------
@@ -3957,6 +5781,8 @@ function drawStagedStones() {
     document.getElementById('auth-skip').addEventListener('click', () => {
         document.getElementById('auth-panel').style.display = 'none';
         document.getElementById('lobby-friends').style.display = 'none';
+        document.getElementById('lobby-profile').style.display = 'none';
+        document.getElementById('lobby-ranked').style.display = 'none';
         // If there's a pending join code (from share link), auto-join now
         if (_pendingJoinCode) {
             executePendingJoin();
@@ -4040,6 +5866,8 @@ function drawStagedStones() {
         document.getElementById('user-rank-badge').style.display = 'none';
         document.getElementById('user-rating').textContent = '';
         document.getElementById('lobby-friends').style.display = 'none';
+        document.getElementById('lobby-profile').style.display = 'none';
+        document.getElementById('lobby-ranked').style.display = 'none';
         friendsList = [];
         pendingRequests = { incoming: [], outgoing: [] };
     });
@@ -4116,6 +5944,9 @@ function drawStagedStones() {
         document.getElementById('mode-2p').classList.remove('active');
         document.getElementById('difficulty-selector').classList.add('hidden');
         document.getElementById('ends-selector-local').classList.add('hidden');
+        document.getElementById('ice-selector-local').classList.add('hidden');
+        document.getElementById('format-selector-local').classList.add('hidden');
+        document.getElementById('draw-selector-local').classList.add('hidden');
 
         // Connect to server
         CurlingNetwork.connect(SERVER_URL).then(() => {
@@ -4174,9 +6005,13 @@ function drawStagedStones() {
         document.getElementById('mode-2p').classList.remove('active');
         document.getElementById('difficulty-selector').classList.add('hidden');
         document.getElementById('ends-selector-local').classList.add('hidden');
+        document.getElementById('ice-selector-local').classList.add('hidden');
+        document.getElementById('format-selector-local').classList.add('hidden');
+        document.getElementById('draw-selector-local').classList.add('hidden');
         gameState.onlineMode = true;
         gameState.botMode = false;
         if (session.myTeam) gameState.myTeam = session.myTeam;
+        gameState.mySeat = session.mySeat || 0;
 
         // Connect and send reconnect
         CurlingNetwork.connect(SERVER_URL).then(() => {
@@ -4187,7 +6022,7 @@ function drawStagedStones() {
             }
             // The reconnect message is sent by network.js attemptReconnect automatically,
             // but since this is a fresh page load (not a WS reconnect), we need to send it manually.
-            CurlingNetwork.sendReconnect(session.roomCode, session.myTeam);
+            CurlingNetwork.sendReconnect(session.roomCode, session.myTeam, session.mySeat);
         }).catch(() => {
             console.log('[REJOIN] Connection failed — clearing session');
             CurlingNetwork.clearActiveSession();
@@ -0,0 +1,124 @@
+// ============================================================
+// GLICKO - Glicko-2 player ratings
+// Each player has a rating, a rating deviation (how sure we are
+// of it) and a volatility (how erratic their results are). Each
+// game is rated as its own rating period; time away inflates the
+// deviation so returning players move quickly again. Pure maths
+// on plain objects — auth.js owns the database.
+// See Glickman, "Example of the Glicko-2 system" (2013).
+// ============================================================
+
+const DEFAULT_RATING = 1200;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU = 0.5;                   // how fast volatility may change
+const SCALE = 173.7178;            // Glicko-2 internal scale
+const CENTER = 1500;
+const PROVISIONAL_DEVIATION = 110; // above this a rating is still provisional
+const MIN_DEVIATION = 30;
+const RATING_PERIOD_MS = 14 * 24 * 60 * 60 * 1000; // idle time per step of deviation decay
+
+// A decisive game is worth somewhere between 0.75 and 1 to the winner,
+// reaching 1 at a margin of MARGIN_CAP points (or a forfeit)
+const MARGIN_CAP = 4;
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muOpponent, phiOpponent) {
+    return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+// New volatility (step 5 of the paper, Illinois algorithm)
+function updateVolatility(phi, sigma, v, delta) {
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+        const ex = Math.exp(x);
+        return ex * (delta * delta - phi * phi - v - ex) / (2 * Math.pow(phi * phi + v + ex, 2)) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > 1e-6) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+}
+
+// Deviation after `now - ratedAt` without a rated game
+function decayedDeviation(player, now) {
+    const ratedAt = player.ratedAt ? new Date(player.ratedAt).getTime() : now;
+    const periods = Math.max(0, Math.floor((now - ratedAt) / RATING_PERIOD_MS));
+    if (periods === 0) return player.deviation;
+    const phi = player.deviation / SCALE;
+    const phiIdle = Math.sqrt(phi * phi + periods * player.volatility * player.volatility);
+    return Math.min(DEFAULT_DEVIATION, phiIdle * SCALE);
+}
+
+// 1 / 0.5 / 0 for a win / draw / loss, with decisive results scaled by
+// the score margin. A forfeit counts in full whatever the score.
+function gameScore(ownPoints, opponentPoints, forfeitWin, forfeitLoss) {
+    if (forfeitWin) return 1;
+    if (forfeitLoss) return 0;
+    if (ownPoints === opponentPoints) return 0.5;
+    const weight = 0.75 + 0.25 * Math.min(Math.abs(ownPoints - opponentPoints), MARGIN_CAP) / MARGIN_CAP;
+    return ownPoints > opponentPoints ? weight : 1 - weight;
+}
+
+// Rate one game. `player` and `opponent` are { rating, deviation,
+// volatility, ratedAt } as they stood before it; `score` comes from
+// gameScore. A win never costs rating and a loss never gains it.
+function rate(player, opponent, score, now) {
+    const mu = (player.rating - CENTER) / SCALE;
+    const phi = decayedDeviation(player, now) / SCALE;
+    const muOpponent = (opponent.rating - CENTER) / SCALE;
+    const phiOpponent = decayedDeviation(opponent, now) / SCALE;
+
+    const gOpponent = g(phiOpponent);
+    const E = expectedScore(mu, muOpponent, phiOpponent);
+    const v = 1 / (gOpponent * gOpponent * E * (1 - E));
+    const delta = v * gOpponent * (score - E);
+
+    const volatility = updateVolatility(phi, player.volatility, v, delta);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const muNew = mu + phiNew * phiNew * gOpponent * (score - E);
+
+    let rating = muNew * SCALE + CENTER;
+    if (score > 0.5) rating = Math.max(rating, player.rating);
+    if (score < 0.5) rating = Math.min(rating, player.rating);
+    return {
+        rating: Math.max(0, rating),
+        deviation: Math.max(MIN_DEVIATION, phiNew * SCALE),
+        volatility,
+    };
+}
+
+function isProvisional(deviation) {
+    return deviation > PROVISIONAL_DEVIATION;
+}
+
+module.exports = {
+    DEFAULT_RATING, DEFAULT_DEVIATION, DEFAULT_VOLATILITY, PROVISIONAL_DEVIATION, RATING_PERIOD_MS,
+    decayedDeviation, gameScore, rate, isProvisional,
+};
@@ -0,0 +1,152 @@
+// ============================================================
+// LEADERBOARD - Global, country, friends and weekly-activity
+// rankings, per season. Pages are cached briefly so a busy lobby doesn't
+// re-run the same query for every player browsing them.
+// ============================================================
+
+const db = require('./db');
+const auth = require('./auth');
+const seasons = require('./seasons');
+
+const BOARDS = ['global', 'country', 'friends', 'active'];
+const PAGE_SIZE = 20;
+const MAX_PAGES = 50;
+const CACHE_MS = 60 * 1000;
+
+// key -> { at, result }
+const cache = new Map();
+// { at, seasons }: the season picker, cached alongside the pages
+let seasonCache = null;
+
+const USER_COLUMNS = `u.id, u.username, u.country, u.wins, u.losses, u.draws,
+                      u.rating, u.rating_deviation, u.rating_volatility, u.rated_at`;
+
+// Current season: players ranked by their live rating, counting only
+// those with a rated game since the season started (friends boards show
+// every friend). Closed seasons rank the archived final standings.
+function query(board, { country, userId }, season, offset) {
+    if (board === 'active') {
+        return db.query(
+            `SELECT ${USER_COLUMNS}, a.games AS games_this_week, COUNT(*) OVER () AS total
+             FROM (
+                 SELECT player_id, COUNT(*) AS games FROM (
+                     SELECT red_user_id AS player_id FROM game_history WHERE played_at > NOW() - INTERVAL '7 days'
+                     UNION ALL
+                     SELECT yellow_user_id FROM game_history WHERE played_at > NOW() - INTERVAL '7 days'
+                 ) played GROUP BY player_id
+             ) a
+             JOIN users u ON u.id = a.player_id
+             ORDER BY a.games DESC, u.rating DESC, u.username LIMIT $1 OFFSET $2`,
+            [PAGE_SIZE, offset]
+        );
+    }
+
+    const params = [PAGE_SIZE, offset];
+    const where = [];
+    if (board === 'country') {
+        params.push(country);
+        where.push(`u.country = $${params.length}`);
+    } else if (board === 'friends') {
+        params.push(userId);
+        where.push(`(u.id = $${params.length} OR u.id IN (
+            SELECT CASE WHEN f.user_id = $${params.length} THEN f.friend_id ELSE f.user_id END
+            FROM friendships f
+            WHERE (f.user_id = $${params.length} OR f.friend_id = $${params.length}) AND f.status = 'accepted'
+        ))`);
+    }
+
+    if (season.closed) {
+        params.push(season.id);
+        where.push(`r.season_id = $${params.length}`);
+        return db.query(
+            `SELECT u.id, u.username, u.country, r.wins, r.losses, r.draws, r.rating, COUNT(*) OVER () AS total
+             FROM season_results r JOIN users u ON u.id = r.user_id
+             WHERE ${where.join(' AND ')}
+             ORDER BY r.position LIMIT $1 OFFSET $2`,
+            params
+        );
+    }
+
+    if (board !== 'friends') {
+        params.push(season.startsAt);
+        where.push(`EXISTS (SELECT 1 FROM rating_history h
+                            WHERE h.user_id = u.id AND h.reason = 'game' AND h.created_at >= $${params.length})`);
+    }
+    return db.query(
+        `SELECT ${USER_COLUMNS}, COUNT(*) OVER () AS total
+         FROM users u
+         WHERE ${where.join(' AND ')}
+         ORDER BY u.rating DESC, u.username LIMIT $1 OFFSET $2`,
+        params
+    );
+}
+
+// Seasons, newest first (seasons.listSeasons), without a query per request
+async function listSeasons() {
+    if (seasonCache && Date.now() - seasonCache.at < CACHE_MS) return seasonCache.seasons;
+    const list = await seasons.listSeasons();
+    seasonCache = { at: Date.now(), seasons: list };
+    return list;
+}
+
+// `options`: { country } for the country board, { userId } for friends,
+// { seasonId } for a past season (default: the current one).
+// Returns { board, season, seasons, page, pages, total, entries } or { error }.
+async function getLeaderboard(board, page, options = {}) {
+    if (!db.isAvailable()) return { error: 'Leaderboards not available' };
+    if (!BOARDS.includes(board)) return { error: 'Unknown leaderboard' };
+    if (board === 'country' && !/^[A-Z]{2}$/.test(options.country || '')) return { error: 'Set your country to see this board' };
+    if (board === 'friends' && !options.userId) return { error: 'Log in to see your friends' };
+
+    const seasonList = await listSeasons();
+    const season = seasonList.find(s => s.id === options.seasonId) || seasonList[0];
+    page = Math.min(MAX_PAGES - 1, Math.max(0, parseInt(page, 10) || 0));
+    const key = [board, season.id, page, board === 'country' ? options.country : '', board === 'friends' ? options.userId : ''].join(':');
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.at < CACHE_MS) return { ...cached.result, seasons: seasonList };
+
+    try {
+        const offset = page * PAGE_SIZE;
+        const result = await query(board, options, season, offset);
+        const total = result.rows.length > 0 ? parseInt(result.rows[0].total, 10) : 0;
+        const leaderboard = {
+            board,
+            season: board === 'active' ? null : season.id,
+            country: board === 'country' ? options.country : null,
+            page,
+            pages: Math.min(MAX_PAGES, Math.max(1, Math.ceil(total / PAGE_SIZE))),
+            total,
+            entries: result.rows.map((row, i) => ({
+                position: offset + i + 1,
+                userId: row.id,
+                username: row.username,
+                country: row.country || '',
+                // Archived standings have no live deviation
+                rank: season.closed && board !== 'active' ? auth.getRank(row.rating) : auth.currentRank(row),
+                wins: row.wins,
+                losses: row.losses,
+                draws: row.draws,
+                gamesThisWeek: row.games_this_week === undefined ? undefined : parseInt(row.games_this_week, 10),
+            })),
+        };
+        if (cache.size > 500) {
+            for (const [k, entry] of cache) {
+                if (Date.now() - entry.at >= CACHE_MS) cache.delete(k);
+            }
+        }
+        cache.set(key, { at: Date.now(), result: leaderboard });
+        return { ...leaderboard, seasons: seasonList };
+    } catch (e) {
+        console.error('Leaderboard error:', e.message);
+        return { error: 'Could not load leaderboard' };
+    }
+}
+
+// A rated game moves players around, a rollover closes a season: drop
+// every cached page and the season list
+function invalidate() {
+    cache.clear();
+    seasonCache = null;
+}
+
+module.exports = { BOARDS, PAGE_SIZE, getLeaderboard, invalidate };
@@ -0,0 +1,111 @@
+// ============================================================
+// MATCHMAKING - Pairing players from the quick match queue
+// Logged-in players are paired by rating within a search window
+// that widens the longer they wait, in separate ranked and casual
+// pools; guests have a pool of their own. Pure bookkeeping on queue entries — server.js owns the
+// sockets, the queue array and the timer that re-runs pairing.
+// ============================================================
+
+const BASE_WINDOW = 100;          // rating difference accepted straight away
+const WINDOW_GROWTH = 15;         // extra rating difference per second waited
+const MAX_WAIT_MS = 60000;        // after this, any opponent in the pool will do
+const REMATCH_COOLDOWN_MS = 10 * 60 * 1000; // don't re-pair the last opponent this soon...
+const REMATCH_PATIENCE_MS = 45000;          // ...unless both have waited this long
+const DEFAULT_WAIT_MS = 30000;    // estimate before any waits have been seen
+const WAIT_SAMPLES = 20;
+
+// Last opponent per player key, and recent waits per pool (ms)
+const lastOpponents = new Map(); // key -> { opponent, at }
+const recentWaits = { ranked: [], casual: [], guest: [] };
+
+// `rating` is null for guests, who only ever play casual games. Guests
+// are keyed by socket so a guest isn't re-paired with the guest they
+// just played either.
+let guestCount = 0;
+function createEntry(ws, session, rating, now, ranked) {
+    const loggedIn = !!(session && session.userId);
+    if (!loggedIn && !ws._guestKey) ws._guestKey = 'g' + (++guestCount);
+    return {
+        ws,
+        pool: !loggedIn ? 'guest' : ranked ? 'ranked' : 'casual',
+        key: loggedIn ? 'u' + session.userId : ws._guestKey,
+        rating: loggedIn ? rating : null,
+        joinedAt: now,
+    };
+}
+
+// Largest rating difference `entry` accepts after waiting until `now`
+function searchWindow(entry, now) {
+    const waited = now - entry.joinedAt;
+    if (waited >= MAX_WAIT_MS) return Infinity;
+    return BASE_WINDOW + WINDOW_GROWTH * waited / 1000;
+}
+
+function recentlyPlayed(a, b, now) {
+    const last = lastOpponents.get(a.key);
+    if (!last || last.opponent !== b.key || now - last.at > REMATCH_COOLDOWN_MS) return false;
+    return now - a.joinedAt < REMATCH_PATIENCE_MS || now - b.joinedAt < REMATCH_PATIENCE_MS;
+}
+
+function canPair(a, b, now) {
+    if (a.pool !== b.pool || a.key === b.key) return false;
+    if (recentlyPlayed(a, b, now)) return false;
+    if (a.pool === 'guest') return true;
+    // The longer waiter's patience decides
+    return Math.abs(a.rating - b.rating) <= Math.max(searchWindow(a, now), searchWindow(b, now));
+}
+
+// Pairs to start now, longest-waiting players first, each with the
+// closest-rated opponent they can accept. Doesn't modify `queue`.
+function findPairs(queue, now) {
+    const waiting = queue.slice().sort((a, b) => a.joinedAt - b.joinedAt);
+    const paired = new Set();
+    const pairs = [];
+    for (const a of waiting) {
+        if (paired.has(a)) continue;
+        let best = null;
+        for (const b of waiting) {
+            if (b === a || paired.has(b) || !canPair(a, b, now)) continue;
+            const diff = a.pool === 'guest' ? 0 : Math.abs(a.rating - b.rating);
+            if (!best || diff < best.diff) best = { entry: b, diff };
+        }
+        if (best) {
+            paired.add(a);
+            paired.add(best.entry);
+            pairs.push([a, best.entry]);
+        }
+    }
+    return pairs;
+}
+
+// A pair was started: remember who played whom and how long they waited
+function recordMatch(a, b, now) {
+    lastOpponents.set(a.key, { opponent: b.key, at: now });
+    lastOpponents.set(b.key, { opponent: a.key, at: now });
+    const waits = recentWaits[a.pool];
+    waits.push(now - a.joinedAt, now - b.joinedAt);
+    while (waits.length > WAIT_SAMPLES) waits.shift();
+
+    // Forget pairings too old to matter
+    for (const [key, last] of lastOpponents) {
+        if (now - last.at > REMATCH_COOLDOWN_MS) lastOpponents.delete(key);
+    }
+}
+
+// What `queue_waiting` tells a queued player. The estimate is the
+// pool's median recent wait less what they've waited already.
+function queueStatus(entry, queue, now) {
+    const waits = recentWaits[entry.pool].slice().sort((a, b) => a - b);
+    const typical = waits.length > 0 ? waits[Math.floor(waits.length / 2)] : DEFAULT_WAIT_MS;
+    const waited = now - entry.joinedAt;
+    const window = searchWindow(entry, now);
+    return {
+        pool: entry.pool,
+        waited,
+        estimatedWait: Math.max(5000, typical - waited),
+        searching: queue.filter(e => e.pool === entry.pool).length,
+        ratingWindow: entry.pool !== 'guest' && isFinite(window) ? Math.round(window) : null,
+    };
+}
+
+module.exports = { createEntry, searchWindow, findPairs, recordMatch, queueStatus };
@@ -6,6 +6,7 @@ const CurlingNetwork = (() => {
     let ws = null;
     let serverUrl = null;
     let myTeam = null;
+    let mySeat = 0;                   // position in a team game (0 in 1v1)
     let roomCode = null;
     let reconnectAttempts = 0;
     let reconnectTimer = null;
@@ -14,6 +15,7 @@ const CurlingNetwork = (() => {
     let lastPongTime = Date.now();
     let isReconnecting = false;       // Guard against parallel reconnect cycles
     let hasActiveGame = false;        // True once game_start or reconnected received
+    let spectating = false;           // Watching roomCode rather than playing in it
 
     // Persist active game session to sessionStorage so page refresh/back swipe can rejoin
     function saveActiveSession() {
@@ -23,6 +25,7 @@ const CurlingNetwork = (() => {
             }
             if (myTeam) {
                 sessionStorage.setItem('curling_active_team', myTeam);
+                sessionStorage.setItem('curling_active_seat', String(mySeat));
             }
         } catch (e) { /* sessionStorage unavailable */ }
     }
@@ -30,6 +33,7 @@ const CurlingNetwork = (() => {
         try {
             sessionStorage.removeItem('curling_active_room');
             sessionStorage.removeItem('curling_active_team');
+            sessionStorage.removeItem('curling_active_seat');
         } catch (e) { /* sessionStorage unavailable */ }
     }
 
@@ -37,9 +41,13 @@ const CurlingNetwork = (() => {
     const callbacks = {
         onGameStart: null,
         onOpponentThrow: null,
-        onOpponentSweepChange: null,
-        onOpponentSweepStart: null,
-        onOpponentSweepStop: null,
+        onOpponentSweep: null,
+        onClockUpdate: null,
+        onPlacement: null,
+        onDrawStone: null,
+        onDrawResult: null,
+        onDrawChoiceError: null,
+        onTimeExpired: null,
         onOpponentDisconnected: null,
         onOpponentReconnected: null,
         onOpponentLeft: null,
@@ -56,7 +64,13 @@ const CurlingNetwork = (() => {
         onAuthSuccess: null,
         onAuthError: null,
         onProfileData: null,
+        onGameRecord: null,
         onRatingUpdate: null,
+        onRatingHistory: null,
+        onLeaderboard: null,
+        onTournaments: null,
+        onTournament: null,
+        onTournamentError: null,
         onSecurityQuestion: null,
         onPasswordResetSuccess: null,
         onVapidKey: null,
@@ -86,8 +100,25 @@ const CurlingNetwork = (() => {
         onConnectionVerified: null,
         // Chat
         onChatMessage: null,
+        // Spectating
+        onSpectateStart: null,
+        onSpectateEnded: null,
+        onSpectateError: null,
+        onSpectatorCount: null,
+        // Team games
+        onRoomUpdate: null,
+        onShotCalled: null,
     };
 
+    function sendReconnectMessage() {
+        send({ type: 'reconnect', code: roomCode, team: myTeam || undefined, seat: mySeat });
+    }
+
+    // Seats and lineups in 2v2 / 4v4 games
+    function teamFields(data) {
+        return { teamSize: data.teamSize || 1, seat: data.seat || 0, lineup: data.lineup || null };
+    }
+
     function send(data) {
         if (ws && ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify(data));
@@ -144,13 +175,17 @@ const CurlingNetwork = (() => {
             case 'room_created':
                 roomCode = data.code;
                 saveActiveSession();
-                if (callbacks.onRoomCreated) callbacks.onRoomCreated({ code: data.code });
+                if (callbacks.onRoomCreated) callbacks.onRoomCreated({ code: data.code, teamSize: data.teamSize || 1 });
                 break;
 
             case 'room_joined':
                 roomCode = data.code;
                 saveActiveSession();
-                if (callbacks.onRoomJoined) callbacks.onRoomJoined({ code: data.code });
+                if (callbacks.onRoomJoined) callbacks.onRoomJoined({ code: data.code, teamSize: data.teamSize || 1 });
+                break;
+
+            case 'room_update':
+                if (callbacks.onRoomUpdate) callbacks.onRoomUpdate({ code: data.code, teamSize: data.teamSize, seats: data.seats || [] });
                 break;
 
             case 'room_not_found':
@@ -162,17 +197,24 @@ const CurlingNetwork = (() => {
                 break;
 
             case 'queue_waiting':
-                if (callbacks.onQueueWaiting) callbacks.onQueueWaiting();
+                if (callbacks.onQueueWaiting) {
+                    callbacks.onQueueWaiting({
+                        pool: data.pool, waited: data.waited, estimatedWait: data.estimatedWait,
+                        searching: data.searching, ratingWindow: data.ratingWindow,
+                    });
+                }
                 break;
 
             case 'game_start':
+                spectating = false;
                 myTeam = data.yourTeam;
+                mySeat = data.seat || 0;
                 if (data.roomCode) roomCode = data.roomCode;
                 reconnectAttempts = 0;
                 isReconnecting = false;
                 hasActiveGame = true;
                 saveActiveSession();
-                if (callbacks.onGameStart) callbacks.onGameStart({ yourTeam: data.yourTeam, opponent: data.opponent || null, totalEnds: data.totalEnds || 6 });
+                if (callbacks.onGameStart) callbacks.onGameStart({ yourTeam: data.yourTeam, opponent: data.opponent || null, totalEnds: data.totalEnds || 6, seed: data.seed, ice: data.ice, format: data.format || 'standard', clock: data.clock || null, ranked: !!data.ranked, tournament: data.tournament || null, lastStoneDraw: data.lastStoneDraw || null, ...teamFields(data) });
                 break;
 
             case 'opponent_throw':
@@ -182,24 +224,23 @@ const CurlingNetwork = (() => {
                         weight: data.weight,
                         spinDir: data.spinDir,
                         spinAmount: data.spinAmount,
+                        seed: data.seed,
                     });
                 }
                 break;
 
-            case 'opponent_sweep_change':
-                if (callbacks.onOpponentSweepChange) callbacks.onOpponentSweepChange({ level: data.level });
-                break;
-
-            case 'opponent_sweep_start':
-                if (callbacks.onOpponentSweepStart) callbacks.onOpponentSweepStart();
+            case 'opponent_sweep':
+                if (callbacks.onOpponentSweep) {
+                    callbacks.onOpponentSweep({ step: data.step, intensity: data.intensity, offset: data.offset, team: data.team, seat: data.seat });
+                }
                 break;
 
-            case 'opponent_sweep_stop':
-                if (callbacks.onOpponentSweepStop) callbacks.onOpponentSweepStop();
+            case 'shot_called':
+                if (callbacks.onShotCalled) callbacks.onShotCalled({ aim: data.aim, weight: data.weight, spinDir: data.spinDir, by: data.by });
                 break;
 
             case 'opponent_stone_positions':
-                if (callbacks.onOpponentStonePositions) callbacks.onOpponentStonePositions({ stones: data.stones, sweep: data.sweep });
+                if (callbacks.onOpponentStonePositions) callbacks.onOpponentStonePositions({ stones: data.stones, sweep: data.sweep, step: data.step });
                 break;
 
             case 'chat_message':
@@ -226,13 +267,15 @@ const CurlingNetwork = (() => {
 
             case 'rematch_accepted':
                 myTeam = data.yourTeam;
+                mySeat = data.seat || 0;
                 hasActiveGame = true;
                 saveActiveSession();
-                if (callbacks.onRematchAccepted) callbacks.onRematchAccepted({ yourTeam: data.yourTeam, opponent: data.opponent || null, totalEnds: data.totalEnds || 6 });
+                if (callbacks.onRematchAccepted) callbacks.onRematchAccepted({ yourTeam: data.yourTeam, opponent: data.opponent || null, totalEnds: data.totalEnds || 6, seed: data.seed, ice: data.ice, format: data.format || 'standard', clock: data.clock || null, ranked: !!data.ranked, lastStoneDraw: data.lastStoneDraw || null, ...teamFields(data) });
                 break;
 
             case 'reconnected':
                 myTeam = data.yourTeam;
+                mySeat = data.seat || 0;
                 reconnectAttempts = 0;
                 isReconnecting = false;
                 hasActiveGame = true;
@@ -242,6 +285,15 @@ const CurlingNetwork = (() => {
                     currentTeam: data.currentTeam || null, // server's authoritative turn
                     gameSnapshot: data.gameSnapshot || null,
                     opponent: data.opponent || null,
+                    seed: data.seed,
+                    ice: data.ice,
+                    format: data.format || 'standard',
+                    iceWear: data.iceWear,
+                    clock: data.clock || null,
+                    ranked: !!data.ranked,
+                    spectators: data.spectators || 0,
+                    throwInFlight: !!data.throwInFlight,
+                    ...teamFields(data),
                 });
                 break;
 
@@ -257,7 +309,7 @@ const CurlingNetwork = (() => {
                     // (no need to open a new ws — the connection is fine, slot just isn't free yet)
                     if (ws && ws.readyState === WebSocket.OPEN && roomCode) {
                         setTimeout(() => {
-                            send({ type: 'reconnect', code: roomCode, team: myTeam || undefined });
+                            sendReconnectMessage();
                         }, retryDelay);
                     } else {
                         // Connection is dead — use the full reconnect cycle
@@ -293,8 +345,35 @@ const CurlingNetwork = (() => {
                 if (callbacks.onProfileData) callbacks.onProfileData({ profile: data.profile });
                 break;
 
+            case 'game_record':
+                if (callbacks.onGameRecord) callbacks.onGameRecord({ gameId: data.gameId, record: data.record || null });
+                break;
+
             case 'rating_update':
-                if (callbacks.onRatingUpdate) callbacks.onRatingUpdate({ rank: data.rank });
+                if (callbacks.onRatingUpdate) callbacks.onRatingUpdate({ ranked: data.ranked !== false, rank: data.rank, change: data.change || null, gameId: data.gameId || null });
+                break;
+
+            case 'rating_history':
+                if (callbacks.onRatingHistory) {
+                    callbacks.onRatingHistory({ userId: data.userId, profile: data.profile, history: data.history, tiers: data.tiers });
+                }
+                break;
+
+            case 'leaderboard':
+                if (callbacks.onLeaderboard) callbacks.onLeaderboard(data);
+                break;
+
+            // Tournaments: the event list, one event's draw, or a refusal
+            case 'tournaments':
+                if (callbacks.onTournaments) callbacks.onTournaments(data.tournaments || []);
+                break;
+
+            case 'tournament':
+                if (callbacks.onTournament) callbacks.onTournament(data.tournament);
+                break;
+
+            case 'tournament_error':
+                if (callbacks.onTournamentError) callbacks.onTournamentError(data.error);
                 break;
 
             case 'security_question':
@@ -357,10 +436,73 @@ const CurlingNetwork = (() => {
             case 'search_results':
                 if (callbacks.onSearchResults) callbacks.onSearchResults({ results: data.results || [] });
                 break;
-            // Authoritative state from thrower
+            // Authoritative state from the server simulation
             case 'authoritative_state':
                 if (callbacks.onAuthoritativeState) callbacks.onAuthoritativeState(data);
                 break;
+
+            // Mixed doubles: the hammer team's positioned-stone decision
+            case 'placement':
+                if (callbacks.onPlacement) callbacks.onPlacement({ team: data.team, powerPlay: data.powerPlay || null });
+                break;
+
+            // Last Stone Draw: a measured draw stone, then the winner's choice
+            case 'draw_stone':
+                if (callbacks.onDrawStone) callbacks.onDrawStone(data);
+                break;
+
+            case 'draw_result':
+                // Choosing a colour can move us to the other side
+                if (data.yourTeam) {
+                    myTeam = data.yourTeam;
+                    saveActiveSession();
+                }
+                if (callbacks.onDrawResult) callbacks.onDrawResult(data);
+                break;
+
+            case 'draw_choice_error':
+                if (callbacks.onDrawChoiceError) callbacks.onDrawChoiceError(data.error);
+                break;
+
+            // Thinking-time clocks (server-timed; we only count down between updates)
+            case 'clock_update':
+                if (callbacks.onClockUpdate) callbacks.onClockUpdate({ clock: data.clock });
+                break;
+
+            case 'time_expired':
+                if (callbacks.onTimeExpired) callbacks.onTimeExpired({ team: data.team, clock: data.clock });
+                break;
+
+            // Spectating: the whole game so far, then the same stream the players get
+            case 'spectate_start':
+                spectating = true;
+                roomCode = data.code;
+                myTeam = null;
+                reconnectAttempts = 0;
+                isReconnecting = false;
+                if (callbacks.onSpectateStart) callbacks.onSpectateStart(data);
+                break;
+
+            case 'spectate_ended':
+                spectating = false;
+                roomCode = null;
+                if (callbacks.onSpectateEnded) callbacks.onSpectateEnded();
+                break;
+
+            case 'spectate_error':
+                // Also the answer to a re-spectate after a dropped connection
+                if (spectating) {
+                    spectating = false;
+                    roomCode = null;
+                    if (callbacks.onSpectateEnded) callbacks.onSpectateEnded();
+                } else if (callbacks.onSpectateError) {
+                    callbacks.onSpectateError({ error: data.error });
+                }
+                break;
+
+            case 'spectators':
+                if (callbacks.onSpectatorCount) callbacks.onSpectatorCount({ count: data.count || 0 });
+                break;
         }
     }
 
@@ -426,7 +568,11 @@ const CurlingNetwork = (() => {
                 isReconnecting = false;
                 startHeartbeat();
                 // Try to rejoin room (include team hint to preserve original slot)
-                send({ type: 'reconnect', code: roomCode, team: myTeam || undefined });
+                if (spectating) {
+                    send({ type: 'spectate', code: roomCode });
+                } else {
+                    sendReconnectMessage();
+                }
                 // Re-auth with saved token if available
                 const savedToken = localStorage.getItem('curling_token');
                 if (savedToken) {
@@ -559,6 +705,7 @@ const CurlingNetwork = (() => {
             }
             myTeam = null;
             roomCode = null;
+            spectating = false;
             reconnectAttempts = 0;
             clearActiveSession();
         },
@@ -568,36 +715,53 @@ const CurlingNetwork = (() => {
         },
 
         // Rejoin active game after page refresh / back swipe
-        sendReconnect(code, team) {
-            roomCode = code;
+        sendReconnect(code, team, seat) {
+            roomCode = code.toUpperCase();
             if (team) myTeam = team;
+            mySeat = seat || 0;
             hasActiveGame = true;
-            send({ type: 'reconnect', code: code.toUpperCase(), team: myTeam || undefined });
+            sendReconnectMessage();
         },
 
         // Lobby
-        createRoom(totalEnds) { send({ type: 'create_room', totalEnds: totalEnds || 6 }); },
+        createRoom(totalEnds, ice, clock, format, ranked, teamSize, lastStoneDraw) {
+            send({ type: 'create_room', totalEnds: totalEnds || 6, ice: ice || 'standard', clock: clock || 'off', format: format || 'standard', ranked: !!ranked, teamSize: teamSize || 1, lastStoneDraw: lastStoneDraw || 0 });
+        },
         joinRoom(code) { send({ type: 'join_room', code: code.toUpperCase() }); },
-        joinQueue() { send({ type: 'join_queue' }); },
+        joinQueue(ranked) { send({ type: 'join_queue', ranked: !!ranked }); },
         leaveQueue() { send({ type: 'leave_queue' }); },
 
+        // Spectating: a room by code, or a friend's current game
+        spectate(code) { send({ type: 'spectate', code: code.toUpperCase() }); },
+        spectateFriend(userId) { send({ type: 'spectate', userId }); },
+        stopSpectating() {
+            spectating = false;
+            roomCode = null;
+            send({ type: 'stop_spectating' });
+        },
+
         // Gameplay
         sendThrow(params) {
             send({ type: 'throw', aim: params.aim, weight: params.weight, spinDir: params.spinDir, spinAmount: params.spinAmount });
         },
-        sendSweepChange(level) { send({ type: 'sweep_change', level }); },
-        sendSweepStart() { send({ type: 'sweep_start' }); },
-        sendSweepStop() { send({ type: 'sweep_stop' }); },
-        // Real-time stone positions during delivery (thrower → opponent)
-        sendStonePositions(data) { send({ type: 'stone_positions', stones: data.stones, sweep: data.sweep }); },
+        // Sweep samples carry the thrower's physics step so the server can replay them
+        sendSweep(sample) { send({ type: 'sweep', step: sample.step, intensity: sample.intensity, offset: sample.offset }); },
+        // Real-time stone positions during delivery (thrower → everyone else),
+        // with the physics step so other sweepers can stamp their samples
+        sendStonePositions(data) { send({ type: 'stone_positions', stones: data.stones, sweep: data.sweep, step: data.step }); },
         sendTurnComplete() { send({ type: 'turn_complete' }); },
         sendRematch() { send({ type: 'rematch' }); },
         sendLeave() { send({ type: 'leave' }); },
         sendChatMessage(text) { send({ type: 'chat_message', text }); },
-
-        // Game state sync (for reconnection)
-        sendGameStateSync(snapshot) { send({ type: 'game_state_sync', snapshot }); },
-        // Authoritative throw result (thrower sends after stone settles)
+        sendTimeout() { send({ type: 'timeout' }); },
+        // Mixed doubles: 'left' / 'right' power play, or null for the standard positions
+        sendPlacement(powerPlay) { send({ type: 'placement', powerPlay }); },
+        // Last Stone Draw winner: 'hammer', or the colour to play ('red' / 'yellow')
+        sendDrawChoice(choice) { send({ type: 'draw_choice', choice }); },
+        // Team games: the skip's call for the next stone
+        callShot(call) { send({ type: 'call_shot', aim: call.aim, weight: call.weight, spinDir: call.spinDir }); },
+
+        // Thrower's stone settled — server simulates the throw and broadcasts the result
         sendThrowSettled(data) { send({ type: 'throw_settled', ...data }); },
 
         // Game over (record result)
@@ -610,6 +774,17 @@ const CurlingNetwork = (() => {
         sendRegister(username, password, country, securityQuestion, securityAnswer, firstName, lastName) { send({ type: 'register', username, password, country, securityQuestion, securityAnswer, firstName, lastName }); },
         sendTokenLogin(token) { send({ type: 'token_login', token }); },
         sendGetProfile() { send({ type: 'get_profile' }); },
+        requestGameRecord(gameId) { send({ type: 'get_game_record', gameId }); },
+        requestRatingHistory(userId) { send({ type: 'get_rating_history', userId }); },
+        requestLeaderboard(board, page, country, season) { send({ type: 'get_leaderboard', board, page, country, season }); },
+
+        // Tournaments
+        requestTournaments() { send({ type: 'get_tournaments' }); },
+        requestTournament(id) { send({ type: 'get_tournament', id }); },
+        createTournament(options) { send({ type: 'create_tournament', name: options.name, format: options.format, totalEnds: options.totalEnds, lastStoneDraw: options.lastStoneDraw }); },
+        joinTournament(id) { send({ type: 'join_tournament', id }); },
+        leaveTournament(id) { send({ type: 'leave_tournament', id }); },
+        startTournament(id) { send({ type: 'start_tournament', id }); },
         sendGetSecurityQuestion(username) { send({ type: 'get_security_question', username }); },
         sendResetPassword(username, answer, newPassword) { send({ type: 'reset_password', username, answer, newPassword }); },
         sendGetVapidKey() { send({ type: 'get_vapid_key' }); },
@@ -634,9 +809,7 @@ const CurlingNetwork = (() => {
         // Event registration
         onGameStart(cb) { callbacks.onGameStart = cb; },
         onOpponentThrow(cb) { callbacks.onOpponentThrow = cb; },
-        onOpponentSweepChange(cb) { callbacks.onOpponentSweepChange = cb; },
-        onOpponentSweepStart(cb) { callbacks.onOpponentSweepStart = cb; },
-        onOpponentSweepStop(cb) { callbacks.onOpponentSweepStop = cb; },
+        onOpponentSweep(cb) { callbacks.onOpponentSweep = cb; },
         onOpponentStonePositions(cb) { callbacks.onOpponentStonePositions = cb; },
         onOpponentDisconnected(cb) { callbacks.onOpponentDisconnected = cb; },
         onOpponentReconnected(cb) { callbacks.onOpponentReconnected = cb; },
@@ -654,7 +827,13 @@ const CurlingNetwork = (() => {
         onAuthSuccess(cb) { callbacks.onAuthSuccess = cb; },
         onAuthError(cb) { callbacks.onAuthError = cb; },
         onProfileData(cb) { callbacks.onProfileData = cb; },
+        onGameRecord(cb) { callbacks.onGameRecord = cb; },
         onRatingUpdate(cb) { callbacks.onRatingUpdate = cb; },
+        onRatingHistory(cb) { callbacks.onRatingHistory = cb; },
+        onLeaderboard(cb) { callbacks.onLeaderboard = cb; },
+        onTournaments(cb) { callbacks.onTournaments = cb; },
+        onTournament(cb) { callbacks.onTournament = cb; },
+        onTournamentError(cb) { callbacks.onTournamentError = cb; },
         onSecurityQuestion(cb) { callbacks.onSecurityQuestion = cb; },
         onPasswordResetSuccess(cb) { callbacks.onPasswordResetSuccess = cb; },
         onVapidKey(cb) { callbacks.onVapidKey = cb; },
@@ -678,21 +857,40 @@ const CurlingNetwork = (() => {
         onSearchResults(cb) { callbacks.onSearchResults = cb; },
         // Authoritative state
         onAuthoritativeState(cb) { callbacks.onAuthoritativeState = cb; },
+        // Thinking-time clocks
+        onClockUpdate(cb) { callbacks.onClockUpdate = cb; },
+        onTimeExpired(cb) { callbacks.onTimeExpired = cb; },
+        // Mixed doubles positioned stones
+        onPlacement(cb) { callbacks.onPlacement = cb; },
+        // Last Stone Draw
+        onDrawStone(cb) { callbacks.onDrawStone = cb; },
+        onDrawResult(cb) { callbacks.onDrawResult = cb; },
+        onDrawChoiceError(cb) { callbacks.onDrawChoiceError = cb; },
         // Connection verified
         onConnectionVerified(cb) { callbacks.onConnectionVerified = cb; },
         // Chat
         onChatMessage(cb) { callbacks.onChatMessage = cb; },
+        // Spectating
+        onSpectateStart(cb) { callbacks.onSpectateStart = cb; },
+        onSpectateEnded(cb) { callbacks.onSpectateEnded = cb; },
+        onSpectateError(cb) { callbacks.onSpectateError = cb; },
+        onSpectatorCount(cb) { callbacks.onSpectatorCount = cb; },
+        // Team games
+        onRoomUpdate(cb) { callbacks.onRoomUpdate = cb; },
+        onShotCalled(cb) { callbacks.onShotCalled = cb; },
 
         // State
         getMyTeam() { return myTeam; },
         getRoomCode() { return roomCode; },
+        isSpectating() { return spectating; },
 
         // Active game session persistence (for page refresh / back swipe recovery)
         getActiveSession() {
             try {
                 const code = sessionStorage.getItem('curling_active_room');
                 const team = sessionStorage.getItem('curling_active_team');
-                if (code) return { roomCode: code, myTeam: team || null };
+                const seat = parseInt(sessionStorage.getItem('curling_active_seat'), 10) || 0;
+                if (code) return { roomCode: code, myTeam: team || null, mySeat: seat };
             } catch (e) { /* sessionStorage unavailable */ }
             return null;
         },
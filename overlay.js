@@ -0,0 +1,349 @@
+// ============================================================
+// BROADCAST OVERLAY - Big-screen view of a live online game
+// Follows a room's broadcast feed (broadcast.js on the server), draws
+// the house with the shared sheet renderer and keeps a TV-style
+// linescore with hammer and clocks. Open overlay.html?room=CODE as a
+// browser source in streaming software.
+// ============================================================
+
+(function () {
+    const canvas = document.getElementById('overlay-canvas');
+    const P = CurlingPhysics.POSITIONS;
+
+    // --------------------------------------------------------
+    // VIEW - the house end, like the game's default camera
+    // --------------------------------------------------------
+    const VIEW = {
+        currentYMin: 28,
+        currentYMax: 41.5,
+        xPadding: 0.5,
+    };
+
+    let scale = 1;
+    let offsetX = 0;
+    let offsetY = 0;
+
+    function resizeCanvas() {
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+
+        const viewHeight = VIEW.currentYMax - VIEW.currentYMin;
+        const viewWidth = CurlingPhysics.SHEET.width + VIEW.xPadding * 2;
+        scale = Math.min(canvas.width / viewWidth, canvas.height / viewHeight);
+        offsetX = (canvas.width - viewWidth * scale) / 2 + VIEW.xPadding * scale;
+        offsetY = canvas.height;
+        sheet.resetPattern();
+    }
+
+    function toCanvasX(realX) {
+        return offsetX + (realX + CurlingPhysics.SHEET.width / 2) * scale;
+    }
+
+    function toCanvasY(realY) {
+        return offsetY - (realY - VIEW.currentYMin) * scale;
+    }
+
+    function toCanvasLen(meters) {
+        return meters * scale;
+    }
+
+    const sheet = CurlingSheet.createRenderer(canvas, { view: VIEW, toCanvasX, toCanvasY, toCanvasLen });
+
+    window.addEventListener('resize', resizeCanvas);
+
+    // --------------------------------------------------------
+    // STATE (rebuilt from each `state` event, then kept up to date)
+    // --------------------------------------------------------
+    const END_PAUSE_MS = 6000; // an end's stones stay up this long after it's scored
+    const DRAW_PAUSE_MS = 3000; // a measured Last Stone Draw stone stays up this long
+
+    let game = null;
+    let targetStones = [];  // where the feed says the stones are
+    let shownStones = [];   // what's drawn, eased toward targetStones
+    let clearTimer = null;
+    let matchClock = null;  // { state, receivedAt }
+    let feed = null;
+
+    function setStones(stones) {
+        if (clearTimer) clearTimeout(clearTimer);
+        clearTimer = null;
+        targetStones = (stones || []).map(s => ({ team: s.team, x: s.x, y: s.y, moving: !!s.moving }));
+    }
+
+    function setClock(state) {
+        matchClock = state ? { state, receivedAt: performance.now() } : null;
+    }
+
+    function teamName(info, fallback) {
+        return info && info.username ? info.username : fallback;
+    }
+
+    // The Last Stone Draw before the first end, until the winner chooses
+    function inLastStoneDraw() {
+        return !!game && !!game.lastStoneDraw && !game.lastStoneDraw.choice;
+    }
+
+    function formatDrawDistance(cm) {
+        return cm >= CurlingPhysics.LAST_STONE_DRAW.maxDistance ? 'out' : `${cm.toFixed(1)} cm`;
+    }
+
+    // --------------------------------------------------------
+    // LINESCORE
+    // --------------------------------------------------------
+    function cell(tag, text, className) {
+        const el = document.createElement(tag);
+        el.textContent = text;
+        if (className) el.className = className;
+        return el;
+    }
+
+    // Points per end go to the scoring team (0 to the other, 0-0 for a
+    // blank); the end being played is highlighted, later ends left empty
+    function renderLinescore() {
+        const ends = game && game.endScores ? game.endScores : [];
+        const totalEnds = Math.max(game ? game.totalEnds : 6, ends.length);
+        const playing = game && game.status === 'playing';
+
+        const header = document.getElementById('ls-ends');
+        header.replaceChildren(cell('th', '', 'ls-team'));
+        for (let i = 0; i < totalEnds; i++) {
+            header.appendChild(cell('th', String(i + 1), playing && i === game.currentEnd - 1 ? 'current' : ''));
+        }
+        header.appendChild(cell('th', 'T', 'ls-total'));
+
+        for (const team of ['red', 'yellow']) {
+            const row = document.getElementById('ls-' + team);
+            const nameCell = row.querySelector('.ls-team');
+            row.replaceChildren(nameCell);
+            nameCell.querySelector('.ls-name').textContent = teamName(game && game[team], team === 'red' ? 'Red' : 'Yellow');
+            nameCell.querySelector('.ls-hammer').style.visibility =
+                playing && game.hammer === team && !inLastStoneDraw() ? 'visible' : 'hidden';
+
+            for (let i = 0; i < totalEnds; i++) {
+                const result = ends[i];
+                const text = result ? String(result.team === team ? result.points : 0) : '';
+                row.appendChild(cell('td', text, playing && i === game.currentEnd - 1 ? 'current' : ''));
+            }
+            const score = game ? game[team + 'Score'] || 0 : 0;
+            row.appendChild(cell('td', String(score), 'ls-total'));
+            row.classList.toggle('winner', !!game && game.status === 'finished' && game.winner === team);
+        }
+        renderStatus();
+    }
+
+    function renderStatus() {
+        let status = '';
+        if (!game) {
+            status = '';
+        } else if (game.status === 'waiting') {
+            status = 'Waiting for players';
+        } else if (game.status === 'finished') {
+            status = game.forfeit ? `Final — ${game.forfeit === 'red' ? 'Red' : 'Yellow'} ran out of time` : 'Final';
+        } else if (inLastStoneDraw()) {
+            const draw = game.lastStoneDraw;
+            const name = team => teamName(game[team], team === 'red' ? 'Red' : 'Yellow');
+            if (draw.result) {
+                status = `Last stone draw — ${name(draw.result.winner)} chooses` +
+                    ` (${formatDrawDistance(draw.result.red)} v ${formatDrawDistance(draw.result.yellow)})`;
+            } else {
+                const team = game.currentTeam;
+                status = `Last stone draw — ${name(team)}, stone ${Math.min(draw.distances[team].length + 1, draw.stones)} of ${draw.stones}`;
+            }
+        } else if (game.placementPending) {
+            status = `End ${game.currentEnd} — placing stones`;
+        } else {
+            const team = game.currentTeam;
+            const thrown = team === 'red' ? game.redThrown : game.yellowThrown;
+            const name = teamName(game[team], team === 'red' ? 'Red' : 'Yellow');
+            status = `End ${game.currentEnd} — ${name}, stone ${Math.min(thrown + 1, game.stonesPerTeam)} of ${game.stonesPerTeam}`;
+            if (game.powerPlay) status += ' · Power play';
+        }
+        document.getElementById('ls-status').textContent = status;
+    }
+
+    function formatClock(ms) {
+        const total = Math.ceil(Math.max(0, ms) / 1000);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    // Called every frame — counts the running clock down between updates
+    function updateClocks() {
+        const clocks = document.getElementById('ls-clocks');
+        if (!matchClock) {
+            clocks.style.display = 'none';
+            return;
+        }
+        clocks.style.display = '';
+        const { state, receivedAt } = matchClock;
+        const elapsed = performance.now() - receivedAt;
+        for (const team of ['red', 'yellow']) {
+            const el = document.getElementById(`ls-${team}-clock`);
+            const running = state.running === team && game && game.status === 'playing';
+            const text = formatClock(state.remaining[team] - (running ? elapsed : 0));
+            if (el.textContent !== text) el.textContent = text;
+            el.classList.toggle('running', running);
+        }
+    }
+
+    // --------------------------------------------------------
+    // FEED
+    // --------------------------------------------------------
+    function showMessage(text) {
+        const el = document.getElementById('overlay-message');
+        el.textContent = text;
+        el.style.display = text ? '' : 'none';
+    }
+
+    const handlers = {
+        state(data) {
+            game = data;
+            setStones(data.stones);
+            setClock(data.clock);
+            showMessage(data.status === 'waiting' ? `Room ${data.code} — waiting for the game to start` : '');
+        },
+        throw(data) {
+            game.currentTeam = data.team;
+        },
+        stones(data) {
+            setStones(data.stones);
+        },
+        settled(data) {
+            setStones(data.stones);
+            Object.assign(game, {
+                currentTeam: data.currentTeam,
+                redThrown: data.redThrown,
+                yellowThrown: data.yellowThrown,
+                currentEnd: data.currentEnd,
+            });
+        },
+        end(data) {
+            game.endScores = game.endScores.slice(0, data.end - 1).concat([{ team: data.team, points: data.points }]);
+            Object.assign(game, {
+                redScore: data.redScore,
+                yellowScore: data.yellowScore,
+                hammer: data.hammer,
+                totalEnds: data.totalEnds,
+                currentEnd: data.currentEnd,
+                currentTeam: data.currentTeam,
+                redThrown: 0,
+                yellowThrown: 0,
+                powerPlay: null,
+            });
+            // Leave the scored end on screen for a moment before clearing the house
+            clearTimer = setTimeout(() => {
+                clearTimer = null;
+                targetStones = [];
+            }, END_PAUSE_MS);
+        },
+        draw(data) {
+            setStones(data.stone.active ? [data.stone] : []);
+            game.lastStoneDraw = data.lastStoneDraw;
+            game.currentTeam = data.currentTeam;
+            clearTimer = setTimeout(() => {
+                clearTimer = null;
+                targetStones = [];
+            }, DRAW_PAUSE_MS);
+        },
+        placement(data) {
+            setStones(data.stones);
+            game.placementPending = false;
+            game.powerPlay = data.powerPlay;
+            game.currentTeam = data.currentTeam;
+        },
+        clock(data) {
+            setClock(data);
+        },
+        game_over(data) {
+            Object.assign(game, {
+                status: 'finished',
+                redScore: data.redScore,
+                yellowScore: data.yellowScore,
+                endScores: data.endScores,
+                winner: data.winner,
+                forfeit: data.forfeit,
+            });
+        },
+        closed() {
+            showMessage('This game has ended');
+            feed.close();
+        },
+    };
+
+    function follow(code) {
+        if (feed) feed.close();
+        document.getElementById('overlay-join').style.display = 'none';
+        showMessage('Connecting…');
+        feed = new EventSource(`/broadcast/${encodeURIComponent(code)}/events`);
+        for (const [event, handler] of Object.entries(handlers)) {
+            feed.addEventListener(event, (e) => {
+                if (!game && event !== 'state') return;
+                handler(JSON.parse(e.data));
+                renderLinescore();
+            });
+        }
+        // EventSource retries dropped feeds itself; a refused one (no such
+        // room) is closed for good
+        feed.onerror = () => {
+            if (feed.readyState === EventSource.CLOSED) {
+                showMessage(game ? 'This game has ended' : `No game in room ${code}`);
+                document.getElementById('overlay-join').style.display = '';
+            } else {
+                showMessage('Reconnecting…');
+            }
+        };
+        feed.onopen = () => showMessage('');
+    }
+
+    document.getElementById('overlay-join').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const code = document.getElementById('overlay-code').value.trim().toUpperCase();
+        if (!code) return;
+        history.replaceState(null, '', `?room=${code}`);
+        game = null;
+        setStones([]);
+        setClock(null);
+        renderLinescore();
+        follow(code);
+    });
+
+    // --------------------------------------------------------
+    // RENDER LOOP
+    // --------------------------------------------------------
+    // Live positions arrive every ~80ms; ease toward them in between
+    function easeStones() {
+        const sameStones = shownStones.length === targetStones.length &&
+            shownStones.every((s, i) => s.team === targetStones[i].team);
+        if (!sameStones) {
+            shownStones = targetStones.map(s => ({ ...s, active: true, angle: 0 }));
+            return;
+        }
+        for (let i = 0; i < shownStones.length; i++) {
+            const shown = shownStones[i];
+            const target = targetStones[i];
+            shown.x += (target.x - shown.x) * 0.35;
+            shown.y += (target.y - shown.y) * 0.35;
+            shown.moving = target.moving;
+        }
+    }
+
+    function frame() {
+        easeStones();
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        sheet.drawSheet();
+        for (const stone of shownStones) sheet.drawStone(stone);
+        updateClocks();
+        requestAnimationFrame(frame);
+    }
+
+    resizeCanvas();
+    renderLinescore();
+    const room = new URLSearchParams(location.search).get('room');
+    if (room) {
+        follow(room.trim().toUpperCase());
+    } else {
+        showMessage('');
+        document.getElementById('overlay-join').style.display = '';
+    }
+    requestAnimationFrame(frame);
+})();
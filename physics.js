@@ -6,6 +6,86 @@
 // ============================================================
 
 const CurlingPhysics = (() => {
+    // --------------------------------------------------------
+    // DETERMINISM
+    // --------------------------------------------------------
+    // Every caller (live game loop, background catch-up, replays, server)
+    // steps the sheet at this fixed rate, so a throw is always integrated
+    // with exactly the same sequence of steps.
+    const FIXED_DT = 1 / 240;
+
+    // Math.exp/sin/cos are only "implementation-approximated" by the spec,
+    // so JS engines may disagree in the last bit. The simulation uses these
+    // versions instead, built only from + - * / (exact under IEEE 754), so the
+    // same inputs settle bit-identically in any browser and in Node.
+    const LN2_HI = 6.93147180369123816490e-01;
+    const LN2_LO = 1.90821492927058770002e-10;
+    const TWO_PI = 2 * Math.PI;
+
+    function detExp(x) {
+        if (x > 709) return Infinity;
+        if (x < -745) return 0;
+        // x = k*ln2 + r, |r| <= ln2/2
+        const k = Math.round(x / Math.LN2);
+        const r = (x - k * LN2_HI) - k * LN2_LO;
+        let term = 1;
+        let sum = 1;
+        for (let n = 1; n < 20; n++) {
+            term *= r / n;
+            sum += term;
+        }
+        // Scale by 2^k (exact: multiplying by a power of two)
+        const base = k > 0 ? 2 : 0.5;
+        for (let i = Math.abs(k); i > 0; i--) sum *= base;
+        return sum;
+    }
+
+    function detSin(x) {
+        x -= TWO_PI * Math.round(x / TWO_PI);
+        const x2 = x * x;
+        let term = x;
+        let sum = x;
+        for (let n = 1; n < 16; n++) {
+            term *= -x2 / ((2 * n) * (2 * n + 1));
+            sum += term;
+        }
+        return sum;
+    }
+
+    function detCos(x) {
+        x -= TWO_PI * Math.round(x / TWO_PI);
+        const x2 = x * x;
+        let term = 1;
+        let sum = 1;
+        for (let n = 1; n < 16; n++) {
+            term *= -x2 / ((2 * n - 1) * (2 * n));
+            sum += term;
+        }
+        return sum;
+    }
+
+    // Seeded PRNG (mulberry32) — 32-bit integer ops only, so identical everywhere.
+    // Returns a function yielding floats in [0, 1).
+    function createRng(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Per-throw seed derived from the game seed, so every throw of a game
+    // gets its own reproducible pebble pattern without extra messages.
+    function throwSeed(gameSeed, end, stoneIndex) {
+        let h = (gameSeed >>> 0) ^ Math.imul(end, 0x9E3779B1) ^ Math.imul(stoneIndex + 1, 0x85EBCA77);
+        h = Math.imul(h ^ (h >>> 16), 0x7FEB352D);
+        h = Math.imul(h ^ (h >>> 15), 0x846CA68B);
+        return (h ^ (h >>> 16)) >>> 0;
+    }
+
     // --------------------------------------------------------
     // REAL DIMENSIONS (all in meters)
     // World Curling Federation official specifications
@@ -54,7 +134,7 @@ const CurlingPhysics = (() => {
         getMu(speed) {
             if (speed < 0.001) return this.muStatic;
             return this.muKinetic + (this.muStatic - this.muKinetic) *
-                Math.exp(-speed / this.velocityTransition);
+                detExp(-speed / this.velocityTransition);
         }
     };
 
@@ -114,11 +194,22 @@ const CurlingPhysics = (() => {
         get minSep() { return STONE.radius * 2.0; }
     };
 
+    // Pebble variation — pebbled ice is never perfectly uniform, so each
+    // moving stone sees slightly different friction every step. Only applied
+    // when the caller passes a seeded RNG, so a seed always replays the same.
+    const PEBBLE = {
+        frictionVariation: 0.02, // ±2% friction per step
+    };
+
     // Sweeping parameters
+    // Sweeping is a continuous input: intensity 0 (none) to 1 (flat out),
+    // and offset -1..1 for where the brooms are relative to the stone's
+    // path (0 = right in front, +1 = on the stone's right-hand side as it
+    // travels, -1 = left-hand side).
     const SWEEPING = {
         // Sweeping reduces friction by creating a water film
-        // Light sweep: ~15% friction reduction
-        // Hard sweep: ~30% friction reduction
+        // Light sweep (intensity 0.5): ~15% friction reduction
+        // Hard sweep (intensity 1): ~30% friction reduction
         frictionReduction: {
             none: 1.0,
             light: 0.85,
@@ -129,9 +220,336 @@ const CurlingPhysics = (() => {
             none: 1.0,
             light: 0.75,
             hard: 0.50
+        },
+        // Intensity of the preset levels (UI buttons, bot)
+        levels: { none: 0, light: 0.5, hard: 1 },
+        // Brooms off to one side only clean half the running path, don't
+        // straighten the stone, and drag it toward the swept side instead
+        sideFrictionLoss: 0.5,
+        steer: 0.006,           // m/s^2 sideways at full intensity, full offset
+        // Sweepers can't go from standing to flat out instantly: intensity
+        // changes by at most this much per second (enforced on the server)
+        rampPerSecond: 4,
+    };
+
+    // Piecewise-linear through none (0), light (0.5) and hard (1)
+    function sweepCurve(table, intensity) {
+        if (intensity <= 0) return table.none;
+        if (intensity <= 0.5) return table.none + (table.light - table.none) * (intensity * 2);
+        return table.light + (table.hard - table.light) * ((intensity - 0.5) * 2);
+    }
+
+    // Multipliers for a sweep input { intensity, offset }
+    function sweepEffect(sweep) {
+        const side = Math.abs(sweep.offset);
+        return {
+            friction: sweepCurve(SWEEPING.frictionReduction, sweep.intensity * (1 - SWEEPING.sideFrictionLoss * side)),
+            curl: sweepCurve(SWEEPING.curlReduction, sweep.intensity * (1 - side)),
+            steer: SWEEPING.steer * sweep.intensity * sweep.offset,
+        };
+    }
+
+    // Clean up a recorded sweep timeline: [{ step, intensity, offset }],
+    // each sample holding until the next. Drops malformed samples, clamps
+    // values, keeps steps non-decreasing and limits how fast intensity can
+    // change, so a replayed or uploaded timeline is one a real team could sweep.
+    function sanitizeSweepTimeline(timeline, maxSamples) {
+        const out = [];
+        if (!Array.isArray(timeline)) return out;
+        const limit = maxSamples || 4000;
+        for (const raw of timeline) {
+            if (out.length >= limit) break;
+            const sample = sanitizeSweepSample(raw, out.length ? out[out.length - 1] : null);
+            if (sample) out.push(sample);
         }
+        return out;
+    }
+
+    // Validate one sample against the previous one (or null for the first)
+    function sanitizeSweepSample(raw, prev) {
+        if (!raw || typeof raw !== 'object') return null;
+        const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+        let step = Number.isInteger(raw.step) && raw.step >= 0 ? raw.step : null;
+        let intensity = num(raw.intensity);
+        const offset = num(raw.offset);
+        if (step === null || intensity === null) return null;
+
+        intensity = Math.max(0, Math.min(1, intensity));
+        const prevStep = prev ? prev.step : 0;
+        const prevIntensity = prev ? prev.intensity : 0;
+        if (step < prevStep) step = prevStep; // timeline never runs backwards
+        const maxChange = SWEEPING.rampPerSecond * (step - prevStep) * FIXED_DT + 0.05;
+        intensity = Math.max(prevIntensity - maxChange, Math.min(prevIntensity + maxChange, intensity));
+
+        return {
+            step,
+            intensity,
+            offset: offset === null ? 0 : Math.max(-1, Math.min(1, offset)),
+        };
+    }
+
+    // Several brooms on one stone (team games) act as one: the hardest
+    // sets the intensity and the sweeping ones' positions average out.
+    // `brooms` are sweep inputs { intensity, offset } (null = not sweeping).
+    function combineBrooms(brooms) {
+        let intensity = 0;
+        let offsetSum = 0;
+        let sweeping = 0;
+        for (const broom of brooms) {
+            if (!broom || !(broom.intensity > 0)) continue;
+            intensity = Math.max(intensity, broom.intensity);
+            offsetSum += broom.offset;
+            sweeping++;
+        }
+        return { intensity, offset: sweeping > 0 ? Math.round(offsetSum / sweeping * 10) / 10 : 0 };
+    }
+
+    // One timeline from several players' sweep timelines, combined with
+    // combineBrooms at every step any of them changes
+    function mergeSweepTimelines(timelines) {
+        const tracks = timelines.filter(t => Array.isArray(t) && t.length > 0);
+        if (tracks.length <= 1) return tracks.length ? tracks[0].slice() : [];
+
+        const steps = [...new Set(tracks.flatMap(t => t.map(sample => sample.step)))].sort((a, b) => a - b);
+        const next = tracks.map(() => 0);
+        const held = tracks.map(() => null);
+        const merged = [];
+        for (const step of steps) {
+            tracks.forEach((track, i) => {
+                while (next[i] < track.length && track[next[i]].step <= step) held[i] = track[next[i]++];
+            });
+            const broom = combineBrooms(held);
+            const prev = merged.length ? merged[merged.length - 1] : { intensity: 0, offset: 0 };
+            if (broom.intensity === prev.intensity && broom.offset === prev.offset) continue;
+            merged.push({ step, ...broom });
+        }
+        return merged;
+    }
+
+    // --------------------------------------------------------
+    // ICE PROFILES
+    // --------------------------------------------------------
+    // Named sheet conditions. setIce copies one into FRICTION, CURL and
+    // SWEEPING, so everything that reads those (game loop, predictor, bot,
+    // server referee) plays on the same ice. A profile with `worn` values
+    // drifts toward them as the pebble wears over the game. `map` sets how
+    // uneven the sheet is and how fast stone paths wear (see ICE MAP).
+    const ICE_PROFILES = {
+        standard: {
+            label: 'Club',
+            muStatic: 0.016, muKinetic: 0.008, velocityTransition: 0.3,
+            curlCoefficient: 0.38,
+            sweepFriction: { light: 0.85, hard: 0.70 },
+            sweepCurl: { light: 0.75, hard: 0.50 },
+            map: { variation: 1.0, wear: 0 },
+        },
+        keen: {
+            // Fresh arena ice: fast and swingy
+            label: 'Arena',
+            muStatic: 0.0155, muKinetic: 0.0078, velocityTransition: 0.3,
+            curlCoefficient: 0.45,
+            sweepFriction: { light: 0.87, hard: 0.74 },
+            sweepCurl: { light: 0.78, hard: 0.55 },
+            map: { variation: 0.6, wear: 0 },
+        },
+        heavy: {
+            // Soft, slow club ice: needs more weight, curls less
+            label: 'Heavy',
+            muStatic: 0.017, muKinetic: 0.0085, velocityTransition: 0.3,
+            curlCoefficient: 0.32,
+            sweepFriction: { light: 0.85, hard: 0.70 },
+            sweepCurl: { light: 0.75, hard: 0.50 },
+            map: { variation: 1.2, wear: 0 },
+        },
+        frosty: {
+            // Outdoor ice with frost on it: slow and straight, but sweeping
+            // clears the frost so it carries a stone much further
+            label: 'Frosty',
+            muStatic: 0.018, muKinetic: 0.0088, velocityTransition: 0.32,
+            curlCoefficient: 0.27,
+            sweepFriction: { light: 0.80, hard: 0.62 },
+            sweepCurl: { light: 0.70, hard: 0.45 },
+            map: { variation: 1.5, wear: 0.5 },
+        },
+        wearing: {
+            // Starts keen; the pebble flattens out and the ice gets heavier
+            label: 'Wearing',
+            muStatic: 0.0155, muKinetic: 0.0078, velocityTransition: 0.3,
+            curlCoefficient: 0.44,
+            sweepFriction: { light: 0.85, hard: 0.70 },
+            sweepCurl: { light: 0.75, hard: 0.50 },
+            worn: { muStatic: 0.017, muKinetic: 0.0085, curlCoefficient: 0.33 },
+            map: { variation: 1.0, wear: 1.0 },
+        },
+    };
+
+    let currentIce = 'standard';
+
+    // progress: 0 at the first stone of the game, 1 at the last (see wearProgress)
+    function setIce(name, progress) {
+        currentIce = ICE_PROFILES[name] ? name : 'standard';
+        const profile = ICE_PROFILES[currentIce];
+        const t = Math.max(0, Math.min(1, progress || 0));
+        const value = (key) => (profile.worn && key in profile.worn)
+            ? profile[key] + (profile.worn[key] - profile[key]) * t
+            : profile[key];
+
+        FRICTION.muStatic = value('muStatic');
+        FRICTION.muKinetic = value('muKinetic');
+        FRICTION.velocityTransition = value('velocityTransition');
+        CURL.curlCoefficient = value('curlCoefficient');
+        SWEEPING.frictionReduction.light = profile.sweepFriction.light;
+        SWEEPING.frictionReduction.hard = profile.sweepFriction.hard;
+        SWEEPING.curlReduction.light = profile.sweepCurl.light;
+        SWEEPING.curlReduction.hard = profile.sweepCurl.hard;
+    }
+
+    function getIce() {
+        return currentIce;
+    }
+
+    // How far through the game a stone is thrown (0-1), for pebble wear.
+    // stonesThrown counts stones already delivered this end, out of the
+    // format's stonesPerEnd (both teams: 16 standard, 10 mixed doubles).
+    // regulationEnds excludes extra ends, which play on fully worn ice.
+    function wearProgress(end, regulationEnds, stonesThrown, stonesPerEnd) {
+        return Math.min(1, ((end - 1) * stonesPerEnd + stonesThrown) / (regulationEnds * stonesPerEnd));
+    }
+
+    // --------------------------------------------------------
+    // ICE MAP (spatial variation)
+    // --------------------------------------------------------
+    // A grid over the sheet of friction and curl multipliers plus a "fall"
+    // (sideways drift, m/s^2) — the runs and slow/swingy patches of a real
+    // sheet. It is generated from the game seed, so every client and the
+    // server build the same one. The `wear` layer is the only part that
+    // changes: wearIceMap flattens the pebble along a delivered stone's path,
+    // making that lane heavier and straighter.
+    const ICE_MAP = {
+        cellWidth: 0.25,        // m across the sheet
+        cellLength: 1.0,        // m down the sheet
+        pathEvery: 24,          // physics steps between wear path samples
+        wearPerPass: 0.04,      // wear added per pass (before the profile's map.wear)
+        wornFriction: 0.06,     // fully worn: +6% friction
+        wornCurl: 0.35,         // fully worn: -35% curl
     };
 
+    let iceMap = null;          // active map (null = perfectly uniform sheet)
+    const iceSample = { friction: 1, curl: 1, fall: 0 };
+
+    function createIceMap(seed, profileName) {
+        const profile = ICE_PROFILES[profileName] || ICE_PROFILES.standard;
+        const variation = profile.map.variation;
+        const cols = Math.ceil(SHEET.width / ICE_MAP.cellWidth);
+        const rows = Math.ceil(POSITIONS.sheetEnd / ICE_MAP.cellLength);
+        const rng = createRng((seed ^ 0x1CE3A9) >>> 0);
+        const spread = () => rng() * 2 - 1;
+
+        // Runs: long lanes down the sheet that push a stone to one side
+        const runs = [];
+        for (let i = 0; i < 2; i++) {
+            const y0 = POSITIONS.nearHogLine + rng() * 18;
+            runs.push({
+                x: spread() * 1.6,
+                width: 0.4 + rng() * 0.6,
+                y0,
+                y1: y0 + 8 + rng() * 14,
+                fall: spread() * 0.0015 * variation,
+            });
+        }
+        // Patches: rounded areas that run faster/slower and curl more/less
+        const patches = [];
+        for (let i = 0; i < 5; i++) {
+            patches.push({
+                x: spread() * 1.8,
+                y: POSITIONS.nearHogLine + rng() * (POSITIONS.farBackLine - POSITIONS.nearHogLine),
+                radius: 0.8 + rng() * 1.7,
+                friction: spread() * 0.04 * variation,
+                curl: spread() * 0.2 * variation,
+            });
+        }
+
+        const friction = new Array(cols * rows).fill(1);
+        const curl = new Array(cols * rows).fill(1);
+        const fall = new Array(cols * rows).fill(0);
+        for (let r = 0; r < rows; r++) {
+            const y = (r + 0.5) * ICE_MAP.cellLength;
+            for (let c = 0; c < cols; c++) {
+                const x = -POSITIONS.halfWidth + (c + 0.5) * ICE_MAP.cellWidth;
+                const i = r * cols + c;
+                for (const p of patches) {
+                    const d2 = (x - p.x) * (x - p.x) + (y - p.y) * (y - p.y);
+                    const k = detExp(-d2 / (2 * p.radius * p.radius));
+                    friction[i] += p.friction * k;
+                    curl[i] += p.curl * k;
+                }
+                for (const run of runs) {
+                    if (y < run.y0 || y > run.y1) continue;
+                    const dx = x - run.x;
+                    fall[i] += run.fall * detExp(-dx * dx / (2 * run.width * run.width));
+                }
+            }
+        }
+
+        return {
+            cols, rows, friction, curl, fall,
+            wear: new Array(cols * rows).fill(0),
+            wearRate: ICE_MAP.wearPerPass * profile.map.wear,
+        };
+    }
+
+    function setIceMap(map) {
+        iceMap = map || null;
+    }
+
+    function getIceMap() {
+        return iceMap;
+    }
+
+    // Multipliers at a sheet position, bilinearly blended between cell
+    // centres. Returns a shared scratch object — copy it if you keep it.
+    function sampleIceMap(x, y) {
+        if (!iceMap) {
+            iceSample.friction = 1;
+            iceSample.curl = 1;
+            iceSample.fall = 0;
+            return iceSample;
+        }
+        const { cols, rows } = iceMap;
+        const gx = Math.max(0, Math.min(cols - 1, (x + POSITIONS.halfWidth) / ICE_MAP.cellWidth - 0.5));
+        const gy = Math.max(0, Math.min(rows - 1, y / ICE_MAP.cellLength - 0.5));
+        const c0 = Math.floor(gx), r0 = Math.floor(gy);
+        const c1 = Math.min(cols - 1, c0 + 1), r1 = Math.min(rows - 1, r0 + 1);
+        const tx = gx - c0, ty = gy - r0;
+        const blend = (arr) => {
+            const top = arr[r0 * cols + c0] * (1 - tx) + arr[r0 * cols + c1] * tx;
+            const bottom = arr[r1 * cols + c0] * (1 - tx) + arr[r1 * cols + c1] * tx;
+            return top * (1 - ty) + bottom * ty;
+        };
+        const wear = blend(iceMap.wear);
+        iceSample.friction = blend(iceMap.friction) * (1 + ICE_MAP.wornFriction * wear);
+        iceSample.curl = blend(iceMap.curl) * (1 - ICE_MAP.wornCurl * wear);
+        iceSample.fall = blend(iceMap.fall);
+        return iceSample;
+    }
+
+    // Wear the pebble along a stone's path ([{ x, y }], e.g. predictShot's
+    // path with pathEvery = ICE_MAP.pathEvery). The running band is narrow,
+    // so only the cell under the stone wears, once per cell per pass.
+    function wearIceMap(map, path) {
+        if (!map || !map.wearRate || !path) return;
+        const touched = new Set();
+        for (const pt of path) {
+            const c = Math.floor((pt.x + POSITIONS.halfWidth) / ICE_MAP.cellWidth);
+            const r = Math.floor(pt.y / ICE_MAP.cellLength);
+            if (c < 0 || c >= map.cols || r < 0 || r >= map.rows) continue;
+            touched.add(r * map.cols + c);
+        }
+        for (const i of touched) {
+            map.wear[i] = Math.min(1, map.wear[i] + map.wearRate);
+        }
+    }
+
     // Delivery speed mapping (weight slider 0-100 -> m/s)
     // Guard: ~2.0 m/s, Draw: ~2.7 m/s, Takeout: ~3.5 m/s, Peel: ~3.8 m/s
     function weightToSpeed(weightPercent) {
@@ -161,14 +579,29 @@ const CurlingPhysics = (() => {
         return (2 * Math.PI * totalRotations) / travelTime;
     }
 
+    // Initial state of a delivered stone from the slider values
+    // (shared by local throws, replays and the server simulation)
+    function launchState(aimDeg, weightPct, spinDir, spinAmount) {
+        const speed = weightToSpeed(weightPct);
+        const aimRad = aimDeg * Math.PI / 180;
+        return {
+            x: 0,
+            y: POSITIONS.hack + 1.0, // just past the hack
+            vx: speed * detSin(aimRad),
+            vy: speed * detCos(aimRad),
+            omega: rotationsToAngularVelocity(spinAmount, speed) * spinDir,
+        };
+    }
+
     // --------------------------------------------------------
     // PHYSICS SIMULATION STEP
     // --------------------------------------------------------
-    function simulate(stones, dt, sweepLevel) {
+    // sweep (optional): { stone, intensity, offset } — the stone being swept
+    // rng (optional): seeded generator from createRng for pebble variation
+    // onContact (optional): called with (i, j) for each stone-on-stone hit
+    function simulate(stones, dt, sweep, rng, onContact) {
         const g = 9.81;
-        const sweepKey = sweepLevel || 'none';
-        const frictionMult = SWEEPING.frictionReduction[sweepKey];
-        const curlMult = SWEEPING.curlReduction[sweepKey];
+        const swept = sweep && sweep.intensity > 0 ? sweepEffect(sweep) : null;
 
         let anyMoving = false;
 
@@ -192,8 +625,13 @@ const CurlingPhysics = (() => {
             stone.moving = true;
             anyMoving = true;
 
-            // Velocity-dependent friction coefficient
-            const mu = FRICTION.getMu(speed) * frictionMult;
+            // Velocity-dependent friction coefficient, varied by the ice underfoot
+            const ice = sampleIceMap(stone.x, stone.y);
+            const pebble = rng ? 1 + PEBBLE.frictionVariation * (rng() * 2 - 1) : 1;
+            const effect = swept && stone === sweep.stone ? swept : null;
+            const frictionMult = effect ? effect.friction : 1;
+            const curlMult = effect ? effect.curl : 1;
+            const mu = FRICTION.getMu(speed) * frictionMult * pebble * ice.friction;
 
             // Friction deceleration (opposing motion)
             const frictionForce = mu * STONE.mass * g;
@@ -206,7 +644,7 @@ const CurlingPhysics = (() => {
                 // Curl force (perpendicular to motion, in direction of spin)
                 let curlFx = 0, curlFy = 0;
                 if (Math.abs(stone.omega) > 0.05) {
-                    const curlMagnitude = CURL.getForce(stone.omega, speed, frictionForce) * curlMult;
+                    const curlMagnitude = CURL.getForce(stone.omega, speed, frictionForce) * curlMult * ice.curl;
                     // Perpendicular to velocity, direction matches spin sign
                     // For stone moving in +y direction (toward house):
                     //   positive omega (CW viewed from top) -> curl in +x (right)
@@ -234,6 +672,17 @@ const CurlingPhysics = (() => {
                 // Apply curl force separately (lateral, doesn't fight friction)
                 stone.vx += curlFx * dt;
                 stone.vy += curlFy * dt;
+
+                // Fall: the sheet drifts the stone sideways in a run
+                stone.vx += ice.fall * dt;
+
+                // Side sweeping drags the stone toward the swept side
+                if (effect && effect.steer !== 0) {
+                    const rightX = stone.vy / speed;
+                    const rightY = -stone.vx / speed;
+                    stone.vx += rightX * effect.steer * dt;
+                    stone.vy += rightY * effect.steer * dt;
+                }
             }
 
             // Angular deceleration (spin friction)
@@ -267,26 +716,54 @@ const CurlingPhysics = (() => {
             if (!stones[i].active) continue;
             for (let j = i + 1; j < stones.length; j++) {
                 if (!stones[j].active) continue;
-                resolveCollision(stones[i], stones[j]);
+                if (resolveCollision(stones[i], stones[j]) && onContact) onContact(i, j);
             }
         }
 
-        // Boundary checks
+        return anyMoving;
+    }
+
+    // --------------------------------------------------------
+    // MULTI-STONE STEP (motion + rules)
+    // --------------------------------------------------------
+    // One fixed step for the whole sheet: the live game loop, background-tab
+    // catch-up and the server simulation all go through here so they agree.
+    //   sweep: { intensity, offset } the thrower's team is sweeping with, or null.
+    //     It acts on the delivered stone, and only while that stone is travelling.
+    //   delivered: the stone just thrown (sweeping, hog-line rule), optional.
+    //   rng: seeded generator for the throw (createRng(throwSeed(...))), optional.
+    //   onContact: collision callback, see simulate, optional.
+    // Removed stones are deactivated here; the caller decides how to show it.
+    // Returns { anyMoving, removed: [{ stone, reason }] }.
+    function stepAll(stones, dt, sweep, delivered, rng, onContact) {
+        const swept = sweep && delivered && delivered.moving
+            ? { stone: delivered, intensity: sweep.intensity, offset: sweep.offset }
+            : null;
+        const anyMoving = simulate(stones, dt, swept, rng, onContact);
+
+        const removed = [];
         for (const stone of stones) {
             if (!stone.active) continue;
-            checkBounds(stone);
+            let reason = checkBounds(stone);
+            if (!reason && stone === delivered) reason = checkHogLine(stone);
+            if (reason) {
+                stone.active = false;
+                stone.moving = false;
+                removed.push({ stone, reason });
+            }
         }
 
-        return anyMoving;
+        return { anyMoving, removed };
     }
 
+    // Returns true if the stones were in contact and an impulse was applied
     function resolveCollision(a, b) {
         const dx = b.x - a.x;
         const dy = b.y - a.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
         const minDist = COLLISION.minSep;
 
-        if (dist >= minDist || dist < 0.001) return;
+        if (dist >= minDist || dist < 0.001) return false;
 
         // Normal vector (from a to b)
         const nx = dx / dist;
@@ -298,7 +775,7 @@ const CurlingPhysics = (() => {
         const dvn = dvx * nx + dvy * ny;
 
         // Only resolve if stones are approaching
-        if (dvn <= 0) return;
+        if (dvn <= 0) return false;
 
         // Impulse magnitude (equal mass)
         const e = COLLISION.restitution;
@@ -333,14 +810,27 @@ const CurlingPhysics = (() => {
         // (used for hog-line exception: stones that hit another stone stay in play)
         a.hasHitStone = true;
         b.hasHitStone = true;
+        return true;
     }
 
     // Playing area bounds check
-    // Stones out of bounds (past back line or off sides) are removed
+    // Returns why a stone is out of play, or null if it's still in play
     function checkBounds(stone) {
-        // These will be set by the game based on coordinate system
-        // The game translates real meters to canvas pixels
-        // Bounds are checked in real coordinates
+        // Wholly past the back line — however it got there, moving or not
+        if (stone.y > POSITIONS.farBackLine + STONE.radius) return 'backLine';
+        // Behind near back line (bounced way back)
+        if (stone.y < POSITIONS.hack - 2) return 'hack';
+        // Side boards — a stone touching the boards is out of play
+        if (Math.abs(stone.x) > POSITIONS.halfWidth - STONE.radius) return 'sideBoard';
+        return null;
+    }
+
+    // Delivered stone must COMPLETELY cross the far hog line once it stops.
+    // Exception: if it hit another stone first, it stays in play.
+    function checkHogLine(stone) {
+        if (stone.moving || stone.hasHitStone) return null;
+        if (stone.y - STONE.radius < POSITIONS.farHogLine) return 'hogLine';
+        return null;
     }
 
     // --------------------------------------------------------
@@ -370,9 +860,233 @@ const CurlingPhysics = (() => {
         halfWidth: SHEET.width / 2,
     };
 
+    // --------------------------------------------------------
+    // GAME FORMATS
+    // --------------------------------------------------------
+    // Rules that differ between formats, shared by game.js and the
+    // server referee so both set up and judge an end the same way.
+    //   stonesPerTeam:   deliveries per team per end
+    //   fgzStones:       Free Guard Zone (5-rock rule) covers this many deliveries
+    //   noTakeoutStones: no stone at all may be removed for this many deliveries
+    //   positioned:      each end starts with one placed stone per team
+    //   powerPlays:      power plays per team per game (not in extra ends)
+    const FORMATS = {
+        standard: { stonesPerTeam: 8, fgzStones: 5, noTakeoutStones: 0, positioned: false, powerPlays: 0 },
+        doubles: { stonesPerTeam: 5, fgzStones: 0, noTakeoutStones: 3, positioned: true, powerPlays: 1 },
+    };
+
+    // Mixed doubles positioned stones. The team with the decision takes the
+    // stone in the house (and the hammer); the other team's stone is the
+    // centre guard and they deliver first. In a power play both stones
+    // move to the `side` ('left' | 'right') with the house stone's back
+    // edge on the tee line, half outside the 8-foot.
+    const POSITIONED = {
+        guardY: POSITIONS.farTeeLine - (POSITIONS.farTeeLine - POSITIONS.farHogLine + HOUSE.twelveFoot) / 2, // midway hog line to house
+        houseY: POSITIONS.farTeeLine + HOUSE.fourFoot - STONE.radius, // back edge on the back of the 4-foot
+        powerPlayX: HOUSE.eightFoot,
+        powerPlayHouseY: POSITIONS.farTeeLine - STONE.radius,
+    };
+
+    // Returns the two placed stones: [guard, house] as [{ team, x, y }]
+    function positionedStones(hammerTeam, powerPlay) {
+        const guardTeam = hammerTeam === 'red' ? 'yellow' : 'red';
+        if (powerPlay === 'left' || powerPlay === 'right') {
+            const x = powerPlay === 'left' ? -POSITIONED.powerPlayX : POSITIONED.powerPlayX;
+            return [
+                { team: guardTeam, x, y: POSITIONED.guardY },
+                { team: hammerTeam, x, y: POSITIONED.powerPlayHouseY },
+            ];
+        }
+        return [
+            { team: guardTeam, x: 0, y: POSITIONED.guardY },
+            { team: hammerTeam, x: 0, y: POSITIONED.houseY },
+        ];
+    }
+
+    // Does the team with the decision get to choose a power play this end?
+    function canCallPowerPlay(format, powerPlaysLeft, end, regulationEnds) {
+        return (FORMATS[format] || FORMATS.standard).powerPlays > 0 && powerPlaysLeft > 0 && end <= regulationEnds;
+    }
+
+    // --------------------------------------------------------
+    // TEAM ROTATION
+    // --------------------------------------------------------
+    // Team games seat 1, 2 or 4 players a side (standard format only).
+    // Each of the four positions throws two consecutive stones; with two
+    // players a side, seat 0 throws lead and third and seat 1 second and
+    // skip. The skip (last seat) calls every shot but their own, which
+    // the seat before them calls; whoever else is free sweeps.
+    const TEAM_SIZES = [1, 2, 4];
+    const TEAM_POSITIONS = ['Lead', 'Second', 'Third', 'Skip'];
+
+    function normalizeTeamSize(teamSize) {
+        return TEAM_SIZES.includes(teamSize) ? teamSize : 1;
+    }
+
+    // Position (0 lead .. 3 skip) of a team's `thrown`th stone (0-based) this end
+    function positionOfStone(thrown, stonesPerTeam) {
+        return Math.min(3, Math.floor(thrown * 4 / stonesPerTeam));
+    }
+
+    // The seat that throws a team's `thrown`th stone
+    function throwerSeat(teamSize, thrown, stonesPerTeam) {
+        return positionOfStone(thrown, stonesPerTeam) % teamSize;
+    }
+
+    // The seat calling the shot for `thrower`, or -1 with nobody to call it
+    function shotCallerSeat(teamSize, thrower) {
+        if (teamSize < 2) return -1;
+        const skip = teamSize - 1;
+        return thrower === skip ? skip - 1 : skip;
+    }
+
+    // Seats sweeping `thrower`'s stone: the rest of the team, leaving the
+    // shot caller in the house when there's anyone else to sweep
+    function sweeperSeats(teamSize, thrower) {
+        const caller = shotCallerSeat(teamSize, thrower);
+        const others = [];
+        for (let seat = 0; seat < teamSize; seat++) {
+            if (seat !== thrower) others.push(seat);
+        }
+        return others.length > 1 ? others.filter(seat => seat !== caller) : others;
+    }
+
+    // Positions a seat plays, e.g. ['Lead', 'Third'] for seat 0 of a pair
+    function seatPositions(teamSize, seat) {
+        return TEAM_POSITIONS.filter((_, position) => position % teamSize === seat);
+    }
+
+    // --------------------------------------------------------
+    // LAST STONE DRAW
+    // --------------------------------------------------------
+    // An optional draw to the button before the game decides the first
+    // end's hammer. Each side throws one or two stones on a clear sheet,
+    // alternating from red. A stone is measured from the tee to its
+    // centre in centimetres; one finishing outside the house (or out of
+    // play) counts as the house radius plus a stone's. The lower total
+    // chooses the hammer or their stone colour — choosing a colour gives
+    // the other side the hammer. Level totals go to a toss.
+    const LAST_STONE_DRAW = {
+        stoneCounts: [0, 1, 2], // stones a side (0: no draw, yellow has the hammer)
+        seedEnd: 0,             // throwSeed end for draw stones (game ends count from 1)
+        maxDistance: Math.round((HOUSE.twelveFoot + STONE.radius) * 1000) / 10, // cm
+    };
+
+    function normalizeDrawStones(stones) {
+        return LAST_STONE_DRAW.stoneCounts.includes(stones) ? stones : 0;
+    }
+
+    // Team throwing draw stone `index` (0-based, both sides together)
+    function drawThrower(index) {
+        return index % 2 === 0 ? 'red' : 'yellow';
+    }
+
+    // A settled draw stone's distance ({ x, y, active }), in cm to 0.1
+    function drawDistance(stone) {
+        if (!stone || stone.active === false) return LAST_STONE_DRAW.maxDistance;
+        const meters = Math.sqrt(stone.x * stone.x + (stone.y - POSITIONS.farTeeLine) ** 2);
+        return Math.min(LAST_STONE_DRAW.maxDistance, Math.round(meters * 1000) / 10);
+    }
+
+    // Totals and who chooses, from { red: [cm], yellow: [cm] }. `seed`
+    // (the game's) decides a toss, so every client agrees on it.
+    function drawWinner(distances, seed) {
+        const total = team => Math.round(distances[team].reduce((sum, d) => sum + d, 0) * 10) / 10;
+        const red = total('red');
+        const yellow = total('yellow');
+        const toss = red === yellow;
+        const winner = toss ? (createRng(seed)() < 0.5 ? 'red' : 'yellow') : red < yellow ? 'red' : 'yellow';
+        return { red, yellow, winner, toss };
+    }
+
+    // The winner's choice: 'hammer', or a colour to play ('red' / 'yellow').
+    // Returns the first end's hammer, in the colours after the choice, and
+    // whether the two sides swap colours.
+    function drawChoice(winner, choice) {
+        if (choice === 'red' || choice === 'yellow') {
+            return { hammer: choice === 'red' ? 'yellow' : 'red', swap: choice !== winner };
+        }
+        return { hammer: winner, swap: false };
+    }
+
+    // --------------------------------------------------------
+    // SHOT PREDICTION (full sheet)
+    // --------------------------------------------------------
+    // Plays a delivery out against a board with the same stepAll the game
+    // and server use — collisions, sweeping, boundaries and the hog line.
+    //   board: stones at rest [{ team, x, y }]
+    //   shot: { team, aim, weight, spinDir, spinAmount }
+    //   options (all optional):
+    //     sweepTimeline: [{ step, intensity, offset }] where step counts
+    //       FIXED_DT steps since release; each sample holds until the next
+    //     rng: seeded generator for pebble variation (omit for the mean path)
+    //     pathEvery: record the delivered stone every N steps (0 = no path)
+    //     maxSteps: safety limit (default 2 minutes of ice time)
+    // Returns {
+    //   stones:    final layout, board order then the delivered stone
+    //              [{ team, x, y, active }]
+    //   delivered: index of the delivered stone in `stones`
+    //   contacts:  [{ step, a, b }] stone indices for every hit
+    //   removed:   [{ index, reason, step }] stones that left play
+    //   path:      [{ x, y }] of the delivered stone (if pathEvery > 0)
+    //   steps:     steps until everything stopped
+    // }
+    function predictShot(board, shot, options) {
+        const opts = options || {};
+        const maxSteps = opts.maxSteps || 120 / FIXED_DT;
+        const pathEvery = opts.pathEvery || 0;
+
+        const stones = board.map(s => ({
+            team: s.team, x: s.x, y: s.y, vx: 0, vy: 0, omega: 0, angle: 0,
+            active: true, moving: false, hasHitStone: false,
+        }));
+        const launch = launchState(shot.aim, shot.weight, shot.spinDir, shot.spinAmount);
+        const delivered = {
+            team: shot.team, x: launch.x, y: launch.y, vx: launch.vx, vy: launch.vy,
+            omega: launch.omega, angle: 0, active: true, moving: true, hasHitStone: false,
+        };
+        stones.push(delivered);
+        const deliveredIndex = stones.length - 1;
+
+        const timeline = opts.sweepTimeline || [];
+        let nextSample = 0;
+        let sweep = null;
+
+        const contacts = [];
+        const removed = [];
+        const path = pathEvery ? [{ x: delivered.x, y: delivered.y }] : null;
+        let step = 0;
+        const onContact = (a, b) => contacts.push({ step, a, b });
+
+        for (; step < maxSteps; step++) {
+            while (nextSample < timeline.length && timeline[nextSample].step <= step) {
+                sweep = timeline[nextSample++];
+            }
+
+            const result = stepAll(stones, FIXED_DT, sweep, delivered, opts.rng, onContact);
+            for (const r of result.removed) {
+                removed.push({ index: stones.indexOf(r.stone), reason: r.reason, step });
+            }
+            if (path && delivered.active && step % pathEvery === 0) {
+                path.push({ x: delivered.x, y: delivered.y });
+            }
+            if (!result.anyMoving) break;
+        }
+
+        return {
+            stones: stones.map(s => ({ team: s.team, x: s.x, y: s.y, active: s.active })),
+            delivered: deliveredIndex,
+            contacts,
+            removed,
+            path,
+            steps: step,
+        };
+    }
+
     // --------------------------------------------------------
     // TRAJECTORY PREDICTION (for aim preview)
     // Simplified single-stone physics — no collisions, no sweeping
+    // (follows the active ice map)
     // --------------------------------------------------------
     function simulateTrajectory(aimDeg, weightPct, spinDir, spinAmount) {
         const speed = weightToSpeed(weightPct);
@@ -383,8 +1097,8 @@ const CurlingPhysics = (() => {
         const g = 9.81;
 
         let x = 0, y = POSITIONS.hack + 1.0;
-        let vx = speed * Math.sin(aimRad);
-        let vy = speed * Math.cos(aimRad);
+        let vx = speed * detSin(aimRad);
+        let vy = speed * detCos(aimRad);
         let w = omega;
 
         const points = [{ x, y }];
@@ -394,7 +1108,8 @@ const CurlingPhysics = (() => {
             if (spd < 0.01) break;
 
             // Friction
-            const mu = FRICTION.getMu(spd);
+            const ice = sampleIceMap(x, y);
+            const mu = FRICTION.getMu(spd) * ice.friction;
             const frictionForce = mu * STONE.mass * g;
             const frictionAccel = frictionForce / STONE.mass;
             const ax = -(vx / spd) * frictionAccel;
@@ -403,7 +1118,7 @@ const CurlingPhysics = (() => {
             // Curl
             let curlAx = 0, curlAy = 0;
             if (Math.abs(w) > 0.05) {
-                const curlForce = CURL.getForce(w, spd, frictionForce);
+                const curlForce = CURL.getForce(w, spd, frictionForce) * ice.curl;
                 const perpX = vy / spd;
                 const perpY = -vx / spd;
                 const sign = w > 0 ? 1 : -1;
@@ -411,7 +1126,7 @@ const CurlingPhysics = (() => {
                 curlAy = sign * perpY * curlForce / STONE.mass;
             }
 
-            vx += (ax + curlAx) * dt;
+            vx += (ax + curlAx + ice.fall) * dt;
             vy += (ay + curlAy) * dt;
             x += vx * dt;
             y += vy * dt;
@@ -434,6 +1149,7 @@ const CurlingPhysics = (() => {
     }
 
     return {
+        FIXED_DT,
         SHEET,
         HOUSE,
         STONE,
@@ -441,12 +1157,56 @@ const CurlingPhysics = (() => {
         CURL,
         COLLISION,
         SWEEPING,
+        sweepEffect,
+        sanitizeSweepTimeline,
+        sanitizeSweepSample,
+        combineBrooms,
+        mergeSweepTimelines,
+        PEBBLE,
+        ICE_PROFILES,
+        ICE_MAP,
         POSITIONS,
+        FORMATS,
+        POSITIONED,
+        positionedStones,
+        canCallPowerPlay,
+        TEAM_SIZES,
+        TEAM_POSITIONS,
+        normalizeTeamSize,
+        positionOfStone,
+        throwerSeat,
+        shotCallerSeat,
+        sweeperSeats,
+        seatPositions,
+        LAST_STONE_DRAW,
+        normalizeDrawStones,
+        drawThrower,
+        drawDistance,
+        drawWinner,
+        drawChoice,
         simulate,
+        stepAll,
         resolveCollision,
         weightToSpeed,
         weightLabel,
         rotationsToAngularVelocity,
+        launchState,
         simulateTrajectory,
+        predictShot,
+        createRng,
+        throwSeed,
+        setIce,
+        getIce,
+        wearProgress,
+        createIceMap,
+        setIceMap,
+        getIceMap,
+        sampleIceMap,
+        wearIceMap,
     };
 })();
+
+// Node (server-side simulation) — browsers use the global above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurlingPhysics;
+}
@@ -0,0 +1,404 @@
+// ============================================================
+// GAME RECORD FILES
+// Portable, versioned game records: a JSON form and a compact
+// text form, each with everything needed to replay the game —
+// players, ends, hammer, every throw's parameters, pebble seed,
+// sweep timeline and the stones left in play once it settled.
+// Shared by the browser (export/import, replay viewer) and node
+// (offline tools, e.g. bot analysis: require('./record.js')).
+// ============================================================
+//
+// JSON (version 1):
+//
+//   {
+//     "record": "curling-game",
+//     "version": 1,
+//     "players": { "red": "Alice", "yellow": "Bob" },
+//     "playedAt": "2026-10-19T18:30:00.000Z",     // or null
+//     "seed": 123456789,                            // pebble seed for the game
+//     "ice": "standard",
+//     "format": "standard",                         // or "doubles"
+//     "totalEnds": 8,                               // regulation ends
+//     "forfeit": null,                              // team that ran out of time
+//     "score": { "red": 5, "yellow": 3 },
+//     "ends": [{
+//       "end": 1,
+//       "hammer": "yellow",
+//       "powerPlay": null,                          // "left" / "right" (mixed doubles)
+//       "startStones": [{ "team": "red", "x": 0, "y": 36.2, "positioned": true }],
+//       "shots": [{
+//         "team": "red", "aim": 0.35, "weight": 62, "spinDir": 1, "spinAmount": 2.5,
+//         "seed": 3456789012,
+//         "sweepTimeline": [{ "step": 120, "intensity": 1, "offset": 0 }],
+//         "stones": [{ "team": "red", "x": 0.12, "y": 38.3 }],   // after it settled
+//         "fgzViolation": false
+//       }],
+//       "result": { "team": "red", "points": 2 }   // team null = blank; null = unfinished
+//     }]
+//   }
+//
+// Text (same version number) — one item per line, '#' lines after the
+// header are comments:
+//
+//   #curling-record 1
+//   red Alice
+//   yellow Bob
+//   played 2026-10-19T18:30:00.000Z
+//   game 123456789 standard standard 8        seed, ice, format, regulation ends
+//   forfeit red                                only if someone ran out of time
+//   end 1 yellow -                             number, hammer, power play side or -
+//   start R:0,36.2                             stones: r/y = team, upper case = positioned
+//   shot r 0.35 62 1 2.5 3456789012 fgz        team, aim, weight, spin dir, spin amount,
+//                                              seed, then "fgz" if it broke the rule
+//   sweep 120:1:0 300:0.5:0.2                  step:intensity:offset (omitted if none)
+//   stones r:0.12,38.3                         board after the throw (- if empty)
+//   score red 2                                or "score - 0" for a blank end
+//
+// Throw parameters keep full precision so re-simulating is exact; the
+// text form rounds stone positions to 0.1 mm.
+//
+// Records without a version (the in-game history, simulation.getHistory,
+// the server's stored game records) load as version 0 and are upgraded.
+
+const CurlingRecord = (() => {
+    const RECORD_VERSION = 1;
+    const TEXT_HEADER = '#curling-record';
+    const TEAMS = ['red', 'yellow'];
+
+    // --------------------------------------------------------
+    // VERSIONING
+    // --------------------------------------------------------
+    // UPGRADES[n] turns a version n record into version n + 1
+    const UPGRADES = {
+        0(raw) {
+            // Server records carry players as { username, score }
+            const players = raw.players || {
+                red: raw.red && raw.red.username ? raw.red.username : 'Red',
+                yellow: raw.yellow && raw.yellow.username ? raw.yellow.username : 'Yellow',
+            };
+            return {
+                record: 'curling-game',
+                version: 1,
+                players,
+                playedAt: raw.playedAt ? new Date(raw.playedAt).toISOString() : null,
+                seed: raw.seed,
+                ice: raw.ice,
+                format: raw.format,
+                totalEnds: raw.totalEnds,
+                forfeit: raw.forfeit || null,
+                ends: raw.ends,
+            };
+        },
+    };
+
+    function upgrade(raw) {
+        let record = raw;
+        let version = typeof raw.version === 'number' ? raw.version : 0;
+        if (version > RECORD_VERSION) {
+            throw new Error(`Game record version ${version} is newer than this game supports (${RECORD_VERSION})`);
+        }
+        while (version < RECORD_VERSION) {
+            record = UPGRADES[version](record);
+            version++;
+        }
+        return record;
+    }
+
+    // --------------------------------------------------------
+    // VALIDATION
+    // --------------------------------------------------------
+    function fail(message) {
+        throw new Error('Invalid game record: ' + message);
+    }
+
+    function team(value, where) {
+        if (!TEAMS.includes(value)) fail(`${where}: unknown team "${value}"`);
+        return value;
+    }
+
+    function number(value, where) {
+        if (typeof value !== 'number' || !isFinite(value)) fail(`${where}: expected a number`);
+        return value;
+    }
+
+    function board(stones, where) {
+        if (!Array.isArray(stones)) fail(`${where}: expected a list of stones`);
+        return stones.map(s => {
+            const stone = { team: team(s.team, where), x: number(s.x, where), y: number(s.y, where) };
+            if (s.positioned) stone.positioned = true;
+            return stone;
+        });
+    }
+
+    function shot(s, where) {
+        return {
+            team: team(s.team, where),
+            aim: number(s.aim, where),
+            weight: number(s.weight, where),
+            spinDir: number(s.spinDir, where) < 0 ? -1 : 1,
+            spinAmount: number(s.spinAmount, where),
+            seed: number(s.seed, where) >>> 0,
+            sweepTimeline: (s.sweepTimeline || []).map(p => ({
+                step: number(p.step, where),
+                intensity: number(p.intensity, where),
+                offset: number(p.offset || 0, where),
+            })),
+            // Unsettled throws (a game that ended mid-delivery) are filled in by replaying
+            stones: s.stones ? board(s.stones, where) : null,
+            fgzViolation: !!s.fgzViolation,
+        };
+    }
+
+    function end(e, i) {
+        const where = `end ${i + 1}`;
+        if (!Array.isArray(e.shots)) fail(`${where}: missing shots`);
+        return {
+            end: number(e.end, where),
+            hammer: team(e.hammer, where),
+            powerPlay: e.powerPlay === 'left' || e.powerPlay === 'right' ? e.powerPlay : null,
+            startStones: board(e.startStones || [], where),
+            shots: e.shots.map((s, k) => shot(s, `${where} shot ${k + 1}`)),
+            result: e.result ? { team: e.result.team ? team(e.result.team, where) : null, points: number(e.result.points, where) } : null,
+        };
+    }
+
+    function totalScore(ends) {
+        const score = { red: 0, yellow: 0 };
+        for (const e of ends) {
+            if (e.result && e.result.team) score[e.result.team] += e.result.points;
+        }
+        return score;
+    }
+
+    // Any version of a record (or an unversioned game history) → a
+    // checked current-version record. Throws on anything unusable.
+    function normalize(raw) {
+        if (!raw || typeof raw !== 'object') fail('not an object');
+        const record = upgrade(raw);
+        if (!Array.isArray(record.ends)) fail('missing ends');
+        if (typeof record.ice !== 'string' || typeof record.format !== 'string') fail('missing ice or format');
+        const ends = record.ends.map(end);
+        const players = record.players || {};
+        return {
+            record: 'curling-game',
+            version: RECORD_VERSION,
+            players: { red: String(players.red || 'Red'), yellow: String(players.yellow || 'Yellow') },
+            playedAt: record.playedAt || null,
+            seed: number(record.seed, 'seed') >>> 0,
+            ice: record.ice,
+            format: record.format,
+            totalEnds: number(record.totalEnds, 'totalEnds'),
+            forfeit: TEAMS.includes(record.forfeit) ? record.forfeit : null,
+            score: totalScore(ends),
+            ends,
+        };
+    }
+
+    // A game history (see game.js GAME RECORD / simulation.getHistory)
+    // plus who played it → a current-version record
+    function fromHistory(history, { players, playedAt, forfeit } = {}) {
+        return normalize({ ...history, players, playedAt, forfeit });
+    }
+
+    // --------------------------------------------------------
+    // TEXT FORM
+    // --------------------------------------------------------
+    function formatPos(value) {
+        return String(Math.round(value * 10000) / 10000);
+    }
+
+    function formatBoard(stones) {
+        if (stones.length === 0) return '-';
+        return stones.map(s => {
+            const letter = s.team === 'red' ? 'r' : 'y';
+            return (s.positioned ? letter.toUpperCase() : letter) + ':' + formatPos(s.x) + ',' + formatPos(s.y);
+        }).join(' ');
+    }
+
+    function toText(record) {
+        const r = normalize(record);
+        const lines = [
+            `${TEXT_HEADER} ${RECORD_VERSION}`,
+            `red ${r.players.red}`,
+            `yellow ${r.players.yellow}`,
+        ];
+        if (r.playedAt) lines.push(`played ${r.playedAt}`);
+        lines.push(`game ${r.seed} ${r.ice} ${r.format} ${r.totalEnds}`);
+        if (r.forfeit) lines.push(`forfeit ${r.forfeit}`);
+        for (const e of r.ends) {
+            lines.push(`end ${e.end} ${e.hammer} ${e.powerPlay || '-'}`);
+            lines.push(`start ${formatBoard(e.startStones)}`);
+            for (const s of e.shots) {
+                lines.push(`shot ${s.team[0]} ${s.aim} ${s.weight} ${s.spinDir} ${s.spinAmount} ${s.seed}${s.fgzViolation ? ' fgz' : ''}`);
+                if (s.sweepTimeline.length > 0) {
+                    lines.push('sweep ' + s.sweepTimeline.map(p => `${p.step}:${p.intensity}:${p.offset}`).join(' '));
+                }
+                if (s.stones) lines.push(`stones ${formatBoard(s.stones)}`);
+            }
+            if (e.result) lines.push(`score ${e.result.team || '-'} ${e.result.points}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    function parseTeam(letter, where) {
+        if (letter === 'r' || letter === 'red') return 'red';
+        if (letter === 'y' || letter === 'yellow') return 'yellow';
+        return fail(`${where}: unknown team "${letter}"`);
+    }
+
+    function parseBoard(fields, where) {
+        if (fields.length === 1 && fields[0] === '-') return [];
+        return fields.map(field => {
+            const match = /^([rRyY]):(-?[\d.e+-]+),(-?[\d.e+-]+)$/.exec(field);
+            if (!match) fail(`${where}: bad stone "${field}"`);
+            const stone = { team: parseTeam(match[1].toLowerCase(), where), x: parseFloat(match[2]), y: parseFloat(match[3]) };
+            if (match[1] === match[1].toUpperCase()) stone.positioned = true;
+            return stone;
+        });
+    }
+
+    function fromText(text) {
+        const lines = text.split(/\r?\n/);
+        const header = /^#curling-record\s+(\d+)\s*$/.exec(lines[0].trim());
+        if (!header) fail('missing "#curling-record" header');
+        const raw = { version: parseInt(header[1], 10), players: {}, ends: [] };
+        let currentEnd = null;
+        let lastShot = null;
+
+        lines.slice(1).forEach((line, i) => {
+            const where = `line ${i + 2}`;
+            const trimmed = line.trim();
+            if (!trimmed || trimmed[0] === '#') return;
+            const space = trimmed.indexOf(' ');
+            const key = space < 0 ? trimmed : trimmed.slice(0, space);
+            const rest = space < 0 ? '' : trimmed.slice(space + 1).trim();
+            const fields = rest ? rest.split(/\s+/) : [];
+
+            switch (key) {
+                case 'red':
+                case 'yellow':
+                    raw.players[key] = rest;
+                    break;
+                case 'played':
+                    raw.playedAt = rest;
+                    break;
+                case 'game':
+                    raw.seed = Number(fields[0]);
+                    raw.ice = fields[1];
+                    raw.format = fields[2];
+                    raw.totalEnds = Number(fields[3]);
+                    break;
+                case 'forfeit':
+                    raw.forfeit = parseTeam(rest, where);
+                    break;
+                case 'end':
+                    currentEnd = {
+                        end: Number(fields[0]),
+                        hammer: parseTeam(fields[1], where),
+                        powerPlay: fields[2] && fields[2] !== '-' ? fields[2] : null,
+                        startStones: [],
+                        shots: [],
+                        result: null,
+                    };
+                    lastShot = null;
+                    raw.ends.push(currentEnd);
+                    break;
+                case 'start':
+                    if (!currentEnd) fail(`${where}: "start" before "end"`);
+                    currentEnd.startStones = parseBoard(fields, where);
+                    break;
+                case 'shot':
+                    if (!currentEnd) fail(`${where}: "shot" before "end"`);
+                    lastShot = {
+                        team: parseTeam(fields[0], where),
+                        aim: Number(fields[1]),
+                        weight: Number(fields[2]),
+                        spinDir: Number(fields[3]),
+                        spinAmount: Number(fields[4]),
+                        seed: Number(fields[5]),
+                        sweepTimeline: [],
+                        stones: null,
+                        fgzViolation: fields[6] === 'fgz',
+                    };
+                    currentEnd.shots.push(lastShot);
+                    break;
+                case 'sweep':
+                    if (!lastShot) fail(`${where}: "sweep" before "shot"`);
+                    lastShot.sweepTimeline = fields.map(field => {
+                        const [step, intensity, offset] = field.split(':').map(Number);
+                        return { step, intensity, offset: offset || 0 };
+                    });
+                    break;
+                case 'stones':
+                    if (!lastShot) fail(`${where}: "stones" before "shot"`);
+                    lastShot.stones = parseBoard(fields, where);
+                    break;
+                case 'score':
+                    if (!currentEnd) fail(`${where}: "score" before "end"`);
+                    currentEnd.result = { team: fields[0] === '-' ? null : parseTeam(fields[0], where), points: Number(fields[1]) };
+                    break;
+                default:
+                    fail(`${where}: unknown line "${key}"`);
+            }
+        });
+        return normalize(raw);
+    }
+
+    // --------------------------------------------------------
+    // FILES
+    // --------------------------------------------------------
+    function toJSON(record) {
+        return JSON.stringify(normalize(record), null, 2) + '\n';
+    }
+
+    // Either form, detected from the content
+    function parse(text) {
+        const trimmed = String(text).trim();
+        if (trimmed.startsWith(TEXT_HEADER)) return fromText(trimmed);
+        if (trimmed[0] === '{') {
+            let raw;
+            try {
+                raw = JSON.parse(trimmed);
+            } catch (e) {
+                fail(e.message);
+            }
+            return normalize(raw);
+        }
+        return fail('not a JSON or text game record');
+    }
+
+    // Every throw with the board it was played onto and the board it left —
+    // the unit an analysis tool works through
+    function listThrows(record) {
+        const throws = [];
+        record.ends.forEach(e => {
+            e.shots.forEach((s, k) => {
+                throws.push({
+                    end: e.end,
+                    shot: k + 1,
+                    hammer: e.hammer,
+                    before: k === 0 ? e.startStones : e.shots[k - 1].stones,
+                    throw: s,
+                    after: s.stones,
+                });
+            });
+        });
+        return throws;
+    }
+
+    return {
+        RECORD_VERSION,
+        normalize,
+        fromHistory,
+        toJSON,
+        toText,
+        fromText,
+        parse,
+        listThrows,
+    };
+})();
+
+// Node (offline tools) — browsers use the global above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurlingRecord;
+}
@@ -0,0 +1,159 @@
+// ============================================================
+// SEASONS - Competitive seasons
+// Ratings carry on between seasons, but when one ends every
+// player's final standing and rank tier is archived and their
+// rating is pulled part of the way back toward the starting
+// rating. server.js checks for a rollover on its cleanup timer.
+// ============================================================
+
+const db = require('./db');
+const auth = require('./auth');
+const glicko = require('./glicko');
+
+// Calendar. SEASON_CALENDAR lists season start dates (comma-separated,
+// e.g. "2026-01-01,2026-03-15,2026-07-01"); after the last listed date,
+// or without a list, seasons run SEASON_MONTHS months from SEASON_START.
+const SEASON_MONTHS = parseInt(process.env.SEASON_MONTHS, 10) || 3;
+const CALENDAR = (process.env.SEASON_CALENDAR || process.env.SEASON_START || '2026-01-01')
+    .split(',')
+    .map(date => new Date(date.trim() + (date.includes('T') ? '' : 'T00:00:00Z')))
+    .filter(date => !isNaN(date))
+    .sort((a, b) => a - b);
+if (CALENDAR.length === 0) CALENDAR.push(new Date('2026-01-01T00:00:00Z'));
+
+const SOFT_RESET_KEEP = 0.5;    // share of the distance from the starting rating a player keeps
+const SEASON_DEVIATION = 100;   // deviation floor after a reset, so ratings re-settle quickly
+
+function addMonths(date, months) {
+    const d = new Date(date);
+    d.setUTCMonth(d.getUTCMonth() + months);
+    return d;
+}
+
+function seasonStart(id) {
+    if (id <= CALENDAR.length) return CALENDAR[id - 1];
+    return addMonths(CALENDAR[CALENDAR.length - 1], (id - CALENDAR.length) * SEASON_MONTHS);
+}
+
+// The season `time` falls in. Anything before the calendar starts is season 1.
+function seasonAt(time) {
+    let id = 1;
+    while (seasonStart(id + 1) <= time) id++;
+    return { id, name: `Season ${id}`, startsAt: seasonStart(id), endsAt: seasonStart(id + 1) };
+}
+
+function currentSeason() {
+    return seasonAt(Date.now());
+}
+
+// Archive a season's final standings, soft-reset ratings and mark it
+// closed — all or nothing, so a failure is simply retried next check
+async function closeSeason(season) {
+    await db.transaction(async (query) => {
+        // Claim it first: a concurrent check finds it already closed
+        const claimed = await query(
+            'UPDATE seasons SET closed_at = NOW() WHERE id = $1 AND closed_at IS NULL RETURNING id', [season.id]);
+        if (claimed.rows.length === 0) return;
+
+        // Everyone who played a rated game this season, with their record in it
+        const players = await query(
+            `SELECT u.id, u.rating, s.wins, s.losses, s.draws
+             FROM (
+                 SELECT p.user_id,
+                        COUNT(*) FILTER (WHERE g.winner_id = p.user_id) AS wins,
+                        COUNT(*) FILTER (WHERE g.winner_id IS NOT NULL AND g.winner_id <> p.user_id) AS losses,
+                        COUNT(*) FILTER (WHERE g.winner_id IS NULL) AS draws
+                 FROM game_history g
+                 CROSS JOIN LATERAL (VALUES (g.red_user_id), (g.yellow_user_id)) AS p(user_id)
+                 WHERE g.played_at >= $1 AND g.played_at < $2 AND g.ranked
+                 GROUP BY p.user_id
+             ) s
+             JOIN users u ON u.id = s.user_id
+             ORDER BY u.rating DESC, u.username`,
+            [season.starts_at, season.ends_at]
+        );
+        const results = players.rows.map((row, i) => ({
+            user_id: row.id,
+            position: i + 1,
+            rating: row.rating,
+            rank: auth.getRank(row.rating).name,
+            wins: parseInt(row.wins, 10),
+            losses: parseInt(row.losses, 10),
+            draws: parseInt(row.draws, 10),
+        }));
+        await query(
+            `INSERT INTO season_results (season_id, user_id, position, rating, rank, wins, losses, draws)
+             SELECT $1, user_id, position, rating, rank, wins, losses, draws
+             FROM jsonb_to_recordset($2::jsonb) AS r(user_id INTEGER, position INTEGER, rating INTEGER,
+                  rank VARCHAR, wins INTEGER, losses INTEGER, draws INTEGER)
+             ON CONFLICT DO NOTHING`,
+            [season.id, JSON.stringify(results)]
+        );
+
+        // Soft reset every rated player, logged in their rating history
+        const reset = await query(
+            `UPDATE users u SET rating = ROUND($1::integer + (u.rating - $1::integer) * $2::float8),
+                                rating_deviation = GREATEST(u.rating_deviation, $3::float8)
+             FROM users old
+             WHERE old.id = u.id AND u.rated_at IS NOT NULL AND u.rating <> $1::integer
+             RETURNING u.id, old.rating AS rating_before, u.rating AS rating_after,
+                       old.rating_deviation AS deviation_before, u.rating_deviation AS deviation_after`,
+            [glicko.DEFAULT_RATING, SOFT_RESET_KEEP, SEASON_DEVIATION]
+        );
+        const history = reset.rows.map(row => ({
+            user_id: row.id,
+            rating_before: row.rating_before,
+            rating_after: row.rating_after,
+            deviation_before: row.deviation_before,
+            deviation_after: row.deviation_after,
+            rank_before: auth.getRank(row.rating_before).name,
+            rank_after: auth.getRank(row.rating_after).name,
+        }));
+        await query(
+            `INSERT INTO rating_history (user_id, rating_before, rating_after, deviation_before, deviation_after,
+                                         rank_before, rank_after, reason)
+             SELECT user_id, rating_before, rating_after, deviation_before, deviation_after, rank_before, rank_after, 'season'
+             FROM jsonb_to_recordset($1::jsonb) AS h(user_id INTEGER, rating_before INTEGER, rating_after INTEGER,
+                  deviation_before DOUBLE PRECISION, deviation_after DOUBLE PRECISION, rank_before VARCHAR, rank_after VARCHAR)`,
+            [JSON.stringify(history)]
+        );
+        console.log(`[SEASON] ${season.name} closed: ${results.length} players archived, ${history.length} ratings reset`);
+    });
+}
+
+// Make sure the current season is on record and close any earlier ones
+// still open. Returns true if a season was closed.
+async function checkRollover() {
+    if (!db.isAvailable()) return false;
+    const current = currentSeason();
+    await db.query(
+        `INSERT INTO seasons (id, name, starts_at, ends_at) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (id) DO NOTHING`,
+        [current.id, current.name, current.startsAt, current.endsAt]
+    );
+    const open = await db.query(
+        'SELECT id, name, starts_at, ends_at FROM seasons WHERE closed_at IS NULL AND id < $1 ORDER BY id', [current.id]);
+    for (const season of open.rows) {
+        await closeSeason(season);
+    }
+    return open.rows.length > 0;
+}
+
+// Seasons for the leaderboard picker, newest first
+async function listSeasons() {
+    const current = currentSeason();
+    const seasons = [{ id: current.id, name: current.name, startsAt: current.startsAt, endsAt: current.endsAt, closed: false }];
+    if (!db.isAvailable()) return seasons;
+    try {
+        const result = await db.query(
+            'SELECT id, name, starts_at, ends_at FROM seasons WHERE closed_at IS NOT NULL ORDER BY id DESC');
+        for (const row of result.rows) {
+            seasons.push({ id: row.id, name: row.name, startsAt: row.starts_at, endsAt: row.ends_at, closed: true });
+        }
+    } catch (e) {
+        console.error('List seasons error:', e.message);
+    }
+    return seasons;
+}
+
+module.exports = { seasonAt, currentSeason, checkRollover, listSeasons };
@@ -11,6 +11,14 @@ const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const db = require('./db');
 const auth = require('./auth');
+const leaderboard = require('./leaderboard');
+const seasons = require('./seasons');
+const matchmaking = require('./matchmaking');
+const simulation = require('./simulation');
+const CurlingPhysics = require('./physics');
+const clock = require('./clock');
+const broadcast = require('./broadcast');
+const tournaments = require('./tournaments');
 const webpush = require('web-push');
 
 const PORT = process.env.PORT || 3000;
@@ -76,6 +84,13 @@ const MIME_TYPES = {
 const PUBLIC_DIR = __dirname; // game files are in same directory
 
 const httpServer = http.createServer((req, res) => {
+    // Live broadcast feed for overlays (see broadcast.js)
+    const feed = req.url.match(/^\/broadcast\/([A-Za-z0-9]+)\/events(?:\?|$)/);
+    if (feed && req.method === 'GET') {
+        serveBroadcast(feed[1].toUpperCase(), req, res);
+        return;
+    }
+
     // Serve static files
     let filePath = req.url === '/' ? '/index.html' : req.url;
     // Remove query strings
@@ -116,9 +131,10 @@ const wss = new WebSocket.Server({ server: httpServer });
 const rooms = new Map();          // code -> Room
 const playerRooms = new Map();    // ws -> roomCode
 const playerSessions = new Map(); // ws -> { userId, username }
-const matchmakingQueue = [];      // [ws, ...]
+const matchmakingQueue = [];      // [matchmaking entry, ...] (see matchmaking.js)
 const onlineUsers = new Map();    // userId -> ws (for presence tracking)
 const pendingInvites = new Map(); // inviteId -> { fromUserId, fromUsername, toUserId, toUsername, fromWs, createdAt }
+const spectatorRooms = new Map(); // ws -> roomCode (spectators only — never in playerRooms)
 
 // Characters for room codes (excluding ambiguous: 0/O, 1/I/L)
 const CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
@@ -134,24 +150,44 @@ function generateRoomCode() {
     return code;
 }
 
-function createRoom(hostWs, totalEnds) {
+// `teamSize` players a side (1, 2 or 4 — see TEAM ROTATION in physics.js).
+// Team games are standard format and never ranked.
+function createRoom(hostWs, totalEnds, ice, clockPreset, format, ranked, teamSize, drawStones) {
+    stopSpectating(hostWs);
     const code = generateRoomCode();
     // Validate totalEnds to one of the allowed values
     const allowedEnds = [4, 6, 8, 10];
     const ends = allowedEnds.includes(totalEnds) ? totalEnds : 6;
+    const size = CurlingPhysics.normalizeTeamSize(teamSize);
+    const slots = size * 2;
     const room = {
         code,
-        players: [hostWs, null], // index 0 = red (host), index 1 = yellow
-        sessions: [null, null],  // cached session refs for resilient player info lookup
+        teamSize: size,
+        // Slot i: even = red, odd = yellow, seat i >> 1 (slot 0 = red host, 1 = yellow)
+        players: [hostWs, ...new Array(slots - 1).fill(null)],
+        sessions: new Array(slots).fill(null), // cached session refs for resilient player info lookup
         totalEnds: ends,
+        ice: simulation.normalizeIce(ice), // ice profile for every game in this room
+        format: size > 1 ? 'standard' : simulation.normalizeFormat(format), // 'standard' or 'doubles' (mixed doubles)
+        clockPreset: clock.normalizeClock(clockPreset), // thinking time (clock.js), 'off' for none
+        ranked: !!ranked && size === 1, // only ranked games change ratings; casual ones still count in stats
+        lastStoneDraw: size === 1 ? CurlingPhysics.normalizeDrawStones(drawStones) : 0, // draw stones a side for the hammer (0: none)
+        clock: null,             // thinking-time clocks for the current game
+        spectators: new Set(),   // read-only sockets watching the game
+        playerInfo: new Array(slots).fill(null), // player info per slot (lineups, spectators)
+        rematchVotes: new Set(), // players who asked for a rematch
+        clockTimer: null,        // fires at the clock's next event (break/timeout end, flag fall)
         state: {
             currentTeam: 'red',
             phase: 'waiting', // waiting | playing | finished
         },
         gameSnapshot: null,      // stored game state for reconnection resync
+        match: null,             // server-authoritative board + score (simulation.js)
+        pendingThrow: null,      // { team, slot, params, sweepTracks, deadline } while a stone is in flight
+        tournament: null,        // { id, game, players, name, label } for a tournament game
         resultRecorded: false,   // prevent duplicate game result recording
         createdAt: Date.now(),
-        disconnectTimers: [null, null],
+        disconnectTimers: new Array(slots).fill(null),
     };
     rooms.set(code, room);
     playerRooms.set(hostWs, code);
@@ -161,80 +197,169 @@ function createRoom(hostWs, totalEnds) {
 function joinRoom(code, joinerWs) {
     const room = rooms.get(code.toUpperCase());
     if (!room) return { error: 'room_not_found' };
-    if (room.players[1] !== null) return { error: 'room_full' };
+    // Seats fill red, yellow, red, ... so the teams stay level
+    const slot = room.players.indexOf(null);
+    if (slot === -1) return { error: 'room_full' };
 
-    room.players[1] = joinerWs;
+    room.players[slot] = joinerWs;
     playerRooms.set(joinerWs, code);
     return { room };
 }
 
+// Team rooms fill up before the game starts: tell everyone seated who's in
+async function sendRoomUpdate(room) {
+    const infos = await Promise.all(room.players.map(p => p ? getPlayerInfo(p) : null));
+    const seats = room.players.map((p, i) => ({
+        team: slotTeam(i),
+        seat: i >> 1,
+        taken: !!p,
+        name: infos[i] ? infos[i].username : null,
+    }));
+    for (const player of room.players) {
+        send(player, { type: 'room_update', code: room.code, teamSize: room.teamSize, seats });
+    }
+}
+
+// Shared by both clients and the referee so pebble variation matches
+function newGameSeed() {
+    return (Math.random() * 0x100000000) >>> 0;
+}
+
 async function startGame(room) {
     room.state.phase = 'playing';
     room.state.currentTeam = 'red';
-    room.gameSnapshot = null;
+    room.match = simulation.createMatch(room.totalEnds || 6, newGameSeed(), room.ice, room.format, room.lastStoneDraw);
+    // Mixed doubles starts with positioned stones, so a reconnect needs them from the first delivery
+    room.gameSnapshot = simulation.getSnapshot(room.match);
+    clearPendingThrow(room);
     room.resultRecorded = false;
 
     // Cache sessions in the room for resilient lookup
     // (guards against race conditions where ws references change)
-    room.sessions[0] = playerSessions.get(room.players[0]) || room.sessions[0];
-    room.sessions[1] = playerSessions.get(room.players[1]) || room.sessions[1];
+    cacheSessions(room);
 
     // Fetch player info for opponent display
-    let redInfo = await getPlayerInfo(room.players[0]);
-    let yellowInfo = await getPlayerInfo(room.players[1]);
+    let infos = await Promise.all(room.players.map(getPlayerInfo));
 
-    // If either info is null, the session may not be registered yet
+    // If any info is null, the session may not be registered yet
     // (async race with token_login). Wait a moment and retry once.
-    if (!redInfo || !yellowInfo) {
-        console.log('[startGame] Missing player info — red:', !!redInfo, 'yellow:', !!yellowInfo, '— retrying in 500ms');
+    if (infos.includes(null)) {
+        console.log('[startGame] Missing player info for slots', missingSlots(infos), '— retrying in 500ms');
         await new Promise(r => setTimeout(r, 500));
         // Re-cache sessions after the delay
-        room.sessions[0] = playerSessions.get(room.players[0]) || room.sessions[0];
-        room.sessions[1] = playerSessions.get(room.players[1]) || room.sessions[1];
-        if (!redInfo) redInfo = await getPlayerInfo(room.players[0]);
-        if (!yellowInfo) yellowInfo = await getPlayerInfo(room.players[1]);
-        if (!redInfo || !yellowInfo) {
-            console.log('[startGame] STILL missing after retry — red:', !!redInfo, 'yellow:', !!yellowInfo);
+        cacheSessions(room);
+        infos = await Promise.all(room.players.map((p, i) => infos[i] || getPlayerInfo(p)));
+        if (infos.includes(null)) {
+            console.log('[startGame] STILL missing after retry — slots', missingSlots(infos));
         }
     }
+    // A guest in a ranked room makes it a casual game
+    if (room.sessions.some(s => !s?.userId)) room.ranked = false;
+    room.playerInfo = infos;
+    room.players.slice(1).forEach(stopSpectating);
+
+    // Red's thinking time starts once everyone is told the game is on
+    // (after the Last Stone Draw, if there is one)
+    startClock(room);
+    room.players.forEach((player, slot) => {
+        send(player, { type: 'game_start', ...gameStartFields(room, slot), roomCode: room.code });
+    });
 
-    send(room.players[0], {
-        type: 'game_start',
-        yourTeam: 'red',
-        opponent: yellowInfo,
-        totalEnds: room.totalEnds || 6,
-        roomCode: room.code,
+    // Broadcast in_game presence to friends
+    for (const player of room.players) {
+        const session = playerSessions.get(player);
+        if (session?.userId) broadcastPresenceToFriends(session.userId, 'in_game');
+    }
+    broadcast.publish(room.code, 'state', getBroadcastState(room));
+    syncClock(room);
+}
+
+function cacheSessions(room) {
+    room.players.forEach((player, i) => {
+        room.sessions[i] = playerSessions.get(player) || room.sessions[i];
     });
-    send(room.players[1], {
-        type: 'game_start',
-        yourTeam: 'yellow',
-        opponent: redInfo,
+}
+
+function missingSlots(infos) {
+    return infos.map((info, i) => info ? null : i).filter(i => i !== null);
+}
+
+// What game_start and rematch_accepted tell the player in `slot`.
+// `opponent` is the other team's first seat; team games add the seats.
+function gameStartFields(room, slot) {
+    const team = slotTeam(slot);
+    return {
+        yourTeam: team,
+        opponent: room.playerInfo[team === 'red' ? 1 : 0],
         totalEnds: room.totalEnds || 6,
-        roomCode: room.code,
-    });
+        seed: room.match.seed,
+        ice: room.match.ice,
+        format: room.match.format,
+        clock: getClockState(room),
+        ranked: room.ranked,
+        teamSize: room.teamSize,
+        seat: slot >> 1,
+        lineup: getLineup(room),
+        tournament: room.tournament ? { name: room.tournament.name, label: room.tournament.label } : null,
+        lastStoneDraw: simulation.getLastStoneDraw(room.match),
+    };
+}
 
-    // Broadcast in_game presence to friends
-    const redSess = playerSessions.get(room.players[0]);
-    const yellowSess = playerSessions.get(room.players[1]);
-    if (redSess?.userId) broadcastPresenceToFriends(redSess.userId, 'in_game');
-    if (yellowSess?.userId) broadcastPresenceToFriends(yellowSess.userId, 'in_game');
+// Player info by team, in seat order
+function getLineup(room) {
+    return {
+        red: room.playerInfo.filter((_, i) => i % 2 === 0),
+        yellow: room.playerInfo.filter((_, i) => i % 2 === 1),
+    };
+}
+
+function slotTeam(slot) {
+    return slot % 2 === 0 ? 'red' : 'yellow';
+}
+
+function teamSlot(team, seat) {
+    return seat * 2 + (team === 'red' ? 0 : 1);
+}
+
+// Slot of the player due to throw `team`'s next stone
+function throwerSlot(room, team) {
+    const thrown = team === 'red' ? room.match.redThrown : room.match.yellowThrown;
+    const stonesPerTeam = CurlingPhysics.FORMATS[room.match.format].stonesPerTeam;
+    return teamSlot(team, CurlingPhysics.throwerSeat(room.teamSize, thrown, stonesPerTeam));
 }
 
 function getPlayerIndex(room, ws) {
-    if (room.players[0] === ws) return 0;
-    if (room.players[1] === ws) return 1;
-    return -1;
+    return ws ? room.players.indexOf(ws) : -1;
 }
 
 function getPlayerTeam(room, ws) {
     const idx = getPlayerIndex(room, ws);
-    return idx === 0 ? 'red' : idx === 1 ? 'yellow' : null;
+    return idx === -1 ? null : slotTeam(idx);
+}
+
+// Everyone else seated in the room
+function getOthers(room, ws) {
+    return room.players.filter(p => p && p !== ws);
 }
 
+// The other team's first seat (the only other player in 1v1)
 function getOpponent(room, ws) {
     const idx = getPlayerIndex(room, ws);
     if (idx === -1) return null;
-    return room.players[1 - idx];
+    return room.players[idx % 2 === 0 ? 1 : 0];
+}
+
+// Guests in a team room that hasn't filled up can walk away from their seat
+function isWaitingTeamGuest(room, ws) {
+    return room.teamSize > 1 && room.state.phase === 'waiting' && getPlayerIndex(room, ws) > 0;
+}
+
+function freeSeat(room, ws) {
+    const slot = getPlayerIndex(room, ws);
+    room.players[slot] = null;
+    room.sessions[slot] = null;
+    playerRooms.delete(ws);
+    sendRoomUpdate(room).catch(err => console.error('[ROOM] Seat update error:', err.message));
 }
 
 async function getPlayerInfo(ws) {
@@ -319,12 +444,63 @@ function cleanupInvitesForUser(userId) {
 }
 
 function removeFromQueue(ws) {
-    const idx = matchmakingQueue.indexOf(ws);
+    const idx = matchmakingQueue.findIndex(entry => entry.ws === ws);
     if (idx !== -1) matchmakingQueue.splice(idx, 1);
 }
 
+// Start every pairing the queue allows right now, then tell whoever is
+// still waiting how it's going. Runs on each join and on a timer, since
+// search windows widen as players wait.
+let matchmakingRunning = false;
+let matchmakingAgain = false;   // the queue changed while a run was starting games
+async function runMatchmaking() {
+    if (matchmakingRunning) {
+        matchmakingAgain = true;
+        return;
+    }
+    matchmakingRunning = true;
+    try {
+        // Drop closed sockets, and logged-in players whose session has gone
+        for (const entry of matchmakingQueue.slice()) {
+            const session = playerSessions.get(entry.ws);
+            if (entry.ws.readyState !== WebSocket.OPEN) {
+                removeFromQueue(entry.ws);
+            } else if (entry.pool !== 'guest' && (!session || !session.userId)) {
+                send(entry.ws, { type: 'auth_error', error: 'Session expired' });
+                removeFromQueue(entry.ws);
+            }
+        }
+
+        const now = Date.now();
+        for (const [a, b] of matchmaking.findPairs(matchmakingQueue, now)) {
+            removeFromQueue(a.ws);
+            removeFromQueue(b.ws);
+            matchmaking.recordMatch(a, b, now);
+
+            // Randomly assign teams
+            const [red, yellow] = Math.random() < 0.5 ? [a.ws, b.ws] : [b.ws, a.ws];
+            const room = createRoom(red);
+            room.ranked = a.pool === 'ranked';
+            room.players[1] = yellow;
+            playerRooms.set(yellow, room.code);
+            await startGame(room);
+        }
+
+        for (const entry of matchmakingQueue) {
+            send(entry.ws, { type: 'queue_waiting', ...matchmaking.queueStatus(entry, matchmakingQueue, Date.now()) });
+        }
+    } finally {
+        matchmakingRunning = false;
+    }
+    if (matchmakingAgain) {
+        matchmakingAgain = false;
+        await runMatchmaking();
+    }
+}
+
 function cleanupPlayer(ws) {
     removeFromQueue(ws);
+    stopSpectating(ws);
 
     const session = playerSessions.get(ws);
     const code = playerRooms.get(ws);
@@ -353,7 +529,8 @@ function cleanupPlayer(ws) {
     }
 
     const playerIdx = getPlayerIndex(room, ws);
-    if (playerIdx === -1) {
+    if (playerIdx === -1 || isWaitingTeamGuest(room, ws)) {
+        if (playerIdx !== -1) freeSeat(room, ws);
         if (session && session.userId) {
             onlineUsers.delete(session.userId);
             broadcastPresenceToFriends(session.userId, 'offline');
@@ -374,18 +551,25 @@ function cleanupPlayer(ws) {
     // DON'T notify the opponent immediately — give the player a 45-second
     // grace period to reconnect (common when sending a text on mobile).
     // If they reconnect within the grace window, the opponent never sees anything.
-    const opponent = getOpponent(room, ws);
+    const others = getOthers(room, ws);
 
     room.players[playerIdx] = null;
     playerRooms.delete(ws);
 
-    // Grace timer: after 45s, THEN tell opponent about the disconnect
+    // Their stone in flight can't be reported settled any more — settle it
+    // now so the others aren't left waiting (a reconnect resyncs from it)
+    if (room.pendingThrow && room.pendingThrow.slot === playerIdx) {
+        console.log(`[THROW_SETTLED] thrower ${room.pendingThrow.team} disconnected mid-delivery — settling (room ${code})`);
+        settlePendingThrow(room, null);
+    }
+
+    // Grace timer: after 45s, THEN tell the others about the disconnect
     room.disconnectTimers[playerIdx] = setTimeout(() => {
         // Check if the player has already reconnected during grace period
         if (room.players[playerIdx] !== null) return; // They're back!
 
-        if (opponent && opponent.readyState === WebSocket.OPEN) {
-            send(opponent, { type: 'opponent_disconnected' });
+        for (const opponent of others) {
+            if (opponent.readyState === WebSocket.OPEN) send(opponent, { type: 'opponent_disconnected' });
         }
 
         // NOW broadcast offline to friends (grace period expired without reconnect)
@@ -394,9 +578,11 @@ function cleanupPlayer(ws) {
         }
 
         // Now start the 5-minute hard timer for room destruction
-        room.disconnectTimers[playerIdx] = setTimeout(() => {
+        room.disconnectTimers[playerIdx] = setTimeout(async () => {
             // Check again — they may have reconnected after the notification
             if (room.players[playerIdx] !== null) return;
+            await forfeitTournamentGame(room, playerIdx);
+            if (room.players[playerIdx] !== null) return;
 
             // Clean up fully — player gave up
             if (session && session.userId) {
@@ -404,26 +590,656 @@ function cleanupPlayer(ws) {
                 cleanupInvitesForUser(session.userId);
             }
 
-            if (opponent && opponent.readyState === WebSocket.OPEN) {
+            for (const opponent of others) {
+                if (opponent.readyState !== WebSocket.OPEN) continue;
                 send(opponent, { type: 'opponent_left' });
                 playerRooms.delete(opponent);
             }
+            if (room.clockTimer) clearTimeout(room.clockTimer);
+            endSpectating(room);
+            broadcast.close(code);
             rooms.delete(code);
         }, 300000); // 5 minutes after grace period
     }, 45000); // 45 second grace period
 }
 
+// Record a sweep sample against the in-flight throw, on the sweeping
+// player's own track. Returns the sample as the server will simulate it,
+// or null if it was rejected.
+function recordSweepSample(room, ws, data) {
+    const pending = room.pendingThrow;
+    const slot = getPlayerIndex(room, ws);
+    if (!pending || slot === -1 || !canSweep(room, pending, slot)) return null;
+    if (!pending.sweepTracks.has(slot)) pending.sweepTracks.set(slot, []);
+    return simulation.addSweepSample(pending.sweepTracks.get(slot), data);
+}
+
+// Who may sweep the stone in flight: the thrower and, in team games,
+// their team's sweepers and the other team's skip (whose brooms only
+// count behind the tee line — see simulation.mergeSweepTracks)
+function canSweep(room, pending, slot) {
+    if (slot === pending.slot) return true;
+    if (room.teamSize < 2) return false;
+    if (slotTeam(slot) !== pending.team) return slot >> 1 === room.teamSize - 1;
+    return CurlingPhysics.sweeperSeats(room.teamSize, pending.slot >> 1).includes(slot >> 1);
+}
+
+// Every broom on the throw in one timeline for the simulation
+function pendingSweepTimeline(room, pending) {
+    const tracks = [];
+    let behindTee = null;
+    for (const [slot, track] of pending.sweepTracks) {
+        if (slotTeam(slot) === pending.team) tracks.push(track);
+        else behindTee = track;
+    }
+    return simulation.mergeSweepTracks(room.match, pending.team, pending.params, tracks, behindTee);
+}
+
+// A stone in flight is settled by the server anyway if the thrower's
+// client hasn't reported it (withheld, or the tab went away) this long
+// after it should have stopped. The clocks are stopped while it runs, so
+// this also bounds how long a throw can hold them.
+const CLIENT_SIM_SPEED = 3;          // clients play throws at 3x ice time (game.js simSpeed)
+const THROW_SETTLE_GRACE_MS = 10000;
+
+// Hold a released stone until it settles, collecting the sweep timeline
+function holdThrow(room, team, slot, params) {
+    const travelMs = simulation.travelSteps(room.match, team, params) * CurlingPhysics.FIXED_DT / CLIENT_SIM_SPEED * 1000;
+    const pending = { team, slot, params, sweepTracks: new Map(), deadline: null };
+    pending.deadline = setTimeout(() => {
+        if (room.pendingThrow !== pending) return;
+        console.log(`[THROW_SETTLED] ${team} never reported the stone settled — settling it (room ${room.code})`);
+        settlePendingThrow(room, null);
+    }, Math.round(travelMs) + THROW_SETTLE_GRACE_MS);
+    room.pendingThrow = pending;
+}
+
+function clearPendingThrow(room) {
+    if (room.pendingThrow) clearTimeout(room.pendingThrow.deadline);
+    room.pendingThrow = null;
+}
+
+// Simulate the throw in flight and send everyone the result. Normally
+// the thrower's throw_settled (with the stones their client saw) calls
+// this; the deadline and the thrower leaving call it without.
+function settlePendingThrow(room, reportedStones) {
+    const pending = room.pendingThrow;
+    if (!pending || !room.match) return;
+    const code = room.code;
+    clearPendingThrow(room);
+    if (simulation.inLastStoneDraw(room.match)) {
+        settleDrawStone(room, pending);
+        return;
+    }
+
+    const endsBefore = room.match.endScores.length;
+    const totalEndsBefore = room.match.totalEnds;
+    const shotSeed = simulation.nextThrowSeed(room.match);
+    const sweepTimeline = pendingSweepTimeline(room, pending);
+    const settled = simulation.simulateThrow(room.match, pending.team, pending.params, sweepTimeline);
+    room.state.currentTeam = room.match.currentTeam;
+    room.gameSnapshot = simulation.getSnapshot(room.match);
+    if (room.match.finished) room.state.phase = 'finished';
+
+    if (Array.isArray(reportedStones) && reportedStones.length !== settled.stones.length) {
+        console.log(`[DESYNC] ${pending.team} client reported ${reportedStones.length} stones, server has ${settled.stones.length} (room ${code})`);
+    }
+    console.log(`[THROW_SETTLED] currentTeam -> ${room.state.currentTeam} redThrown=${settled.redThrown} yellowThrown=${settled.yellowThrown} sweepSamples=${sweepTimeline.length} brooms=${pending.sweepTracks.size} (room ${code})`);
+
+    // Both clients (thrower included) and any spectators snap to the server's result
+    sendToRoom(room, {
+        type: 'authoritative_state',
+        stones: settled.stones,
+        currentTeam: settled.currentTeam,
+        redThrown: settled.redThrown,
+        yellowThrown: settled.yellowThrown,
+        redScore: settled.redScore,
+        yellowScore: settled.yellowScore,
+        currentEnd: settled.currentEnd,
+        iceWear: simulation.getIceWear(room.match),
+        // Every broom on the throw, as simulated (replays use it)
+        shotSeed,
+        sweepTimeline,
+    });
+    broadcast.publish(code, 'settled', {
+        stones: settled.stones,
+        currentTeam: settled.currentTeam,
+        redThrown: settled.redThrown,
+        yellowThrown: settled.yellowThrown,
+        currentEnd: settled.currentEnd,
+    });
+    if (room.match.endScores.length > endsBefore) {
+        const result = room.match.endScores[endsBefore];
+        broadcast.publish(code, 'end', {
+            end: endsBefore + 1,
+            team: result.team,
+            points: result.points,
+            redScore: room.match.redScore,
+            yellowScore: room.match.yellowScore,
+            hammer: room.match.hammer,
+            totalEnds: room.match.totalEnds,
+            currentEnd: room.match.currentEnd,
+            currentTeam: room.match.currentTeam,
+        });
+    }
+    if (room.match.finished) {
+        broadcastGameOver(room);
+        // The server's result stands whether or not a client reports game_over
+        recordMatchResult(room).catch(err => console.error('[THROW_SETTLED] Record result error:', err.message));
+    }
+
+    // Next team's thinking time starts now — or after the break if
+    // that stone finished an end (a longer one at halftime)
+    if (room.clock && !room.match.finished) {
+        const now = Date.now();
+        if (room.match.endScores.length > endsBefore) {
+            if (room.match.totalEnds > totalEndsBefore) clock.addExtraEnd(room.clock);
+            const halftime = room.match.endScores.length === Math.floor((room.totalEnds || 6) / 2);
+            clock.startBreak(room.clock, clockTeam(room.match), now, halftime);
+        } else {
+            clock.startTurn(room.clock, room.match.currentTeam, now);
+        }
+        syncClock(room);
+    }
+}
+
+// A seat's login, if its player has one
+function slotSession(room, slot) {
+    return (room.players[slot] ? playerSessions.get(room.players[slot]) : null) || room.sessions[slot];
+}
+
+// Team games go on record (and in replays) with every logged-in seat
+// linked to them, but count in no one's wins, losses or rating
+async function recordTeamMatch(room) {
+    const match = room.match;
+    const players = [];
+    for (let slot = 0; slot < room.players.length; slot++) {
+        const session = slotSession(room, slot);
+        if (session) players.push({ userId: session.userId, team: slotTeam(slot), seat: slot >> 1 });
+    }
+    if (players.length === 0) return;
+
+    const result = await auth.recordTeamGame(players, match.redScore, match.yellowScore,
+        match.endScores.length, match.forfeit || null, simulation.getHistory(match), room.teamSize);
+    if (!result) return;
+    for (const player of room.players) {
+        if (player && player.readyState === WebSocket.OPEN) {
+            send(player, { type: 'rating_update', ranked: false, gameId: result.gameId });
+        }
+    }
+}
+
+// Record the finished match (once) and send both players their new rank.
+// A forfeit on time counts as a loss for that team whatever the score.
+async function recordMatchResult(room) {
+    if (room.resultRecorded) return;
+    room.resultRecorded = true;
+    if (room.teamSize > 1) {
+        await recordTeamMatch(room);
+        return;
+    }
+    const match = room.match;
+
+    const redSession = slotSession(room, 0);
+    const yellowSession = slotSession(room, 1);
+
+    // Only record if both players are logged in
+    if (!redSession || !yellowSession) {
+        finishTournamentGame(room, null);
+        return;
+    }
+    const ratingResult = await auth.recordGameResult(
+        redSession.userId,
+        yellowSession.userId,
+        match.redScore,
+        match.yellowScore,
+        match.endScores.length,
+        match.forfeit || null,
+        simulation.getHistory(match),
+        room.ranked
+    );
+    finishTournamentGame(room, ratingResult ? ratingResult.gameId : null);
+
+    // Casual games are on record but leave ratings alone
+    if (ratingResult && !ratingResult.ranked) {
+        for (const player of room.players) {
+            if (player && player.readyState === WebSocket.OPEN) {
+                send(player, { type: 'rating_update', ranked: false, gameId: ratingResult.gameId });
+            }
+        }
+        return;
+    }
+
+    // Send updated rating/rank to both players
+    if (ratingResult) {
+        leaderboard.invalidate();
+        if (room.players[0] && room.players[0].readyState === WebSocket.OPEN) {
+            send(room.players[0], { type: 'rating_update', ranked: true, rank: ratingResult.red.rank, change: ratingResult.red.change, gameId: ratingResult.gameId });
+        }
+        if (room.players[1] && room.players[1].readyState === WebSocket.OPEN) {
+            send(room.players[1], { type: 'rating_update', ranked: true, rank: ratingResult.yellow.rank, change: ratingResult.yellow.change, gameId: ratingResult.gameId });
+        }
+    }
+}
+
 function destroyRoom(code) {
     const room = rooms.get(code);
     if (!room) return;
 
-    for (let i = 0; i < 2; i++) {
+    for (let i = 0; i < room.players.length; i++) {
         if (room.disconnectTimers[i]) clearTimeout(room.disconnectTimers[i]);
         if (room.players[i]) playerRooms.delete(room.players[i]);
     }
+    if (room.clockTimer) clearTimeout(room.clockTimer);
+    clearPendingThrow(room);
+    endSpectating(room);
+    broadcast.close(code);
     rooms.delete(code);
 }
 
+// --------------------------------------------------------
+// SPECTATORS
+// --------------------------------------------------------
+// Spectators get the same throw relay, stone stream, authoritative
+// states and clocks as the players, read-only: they are kept out of
+// room.players and playerRooms, so nothing they send counts as a move.
+// MAX_SPECTATORS caps each room (0 turns spectating off).
+const MAX_SPECTATORS = Math.max(0, parseInt(process.env.MAX_SPECTATORS ?? '20', 10) || 0);
+
+function sendToSpectators(room, data) {
+    for (const spectatorWs of room.spectators) send(spectatorWs, data);
+}
+
+// Both players and everyone watching
+function sendToRoom(room, data) {
+    for (const playerWs of room.players) send(playerWs, data);
+    sendToSpectators(room, data);
+}
+
+// Everything a spectator needs to pick the game up where it stands
+function getSpectateState(room) {
+    return {
+        type: 'spectate_start',
+        code: room.code,
+        red: room.playerInfo[0],
+        yellow: room.playerInfo[1],
+        totalEnds: room.totalEnds || 6,
+        seed: room.match.seed,
+        ice: room.match.ice,
+        format: room.match.format,
+        ranked: room.ranked,
+        clock: getClockState(room),
+        snapshot: { ...room.gameSnapshot, currentTeam: room.state.currentTeam },
+        iceWear: simulation.getIceWear(room.match),
+        finished: room.state.phase === 'finished',
+        forfeit: room.match.forfeit || null,
+        spectators: room.spectators.size,
+    };
+}
+
+// The room to watch: by code, or a friend's current game by user id
+async function findSpectateRoom(ws, data) {
+    if (MAX_SPECTATORS === 0) return { error: 'Spectating is turned off' };
+    if (playerRooms.has(ws)) return { error: 'Leave your game first' };
+
+    let room;
+    if (data.userId) {
+        const session = playerSessions.get(ws);
+        if (!session || !session.userId || !db.isAvailable()) return { error: 'Log in to watch friends' };
+        const friendship = await db.query(
+            `SELECT 1 FROM friendships
+             WHERE ((user_id = $1 AND friend_id = $2) OR (user_id = $2 AND friend_id = $1)) AND status = 'accepted'`,
+            [session.userId, data.userId]
+        );
+        if (friendship.rows.length === 0) return { error: 'You can only watch friends' };
+        const friendWs = onlineUsers.get(data.userId);
+        const code = friendWs ? playerRooms.get(friendWs) : null;
+        room = code ? rooms.get(code) : null;
+    } else {
+        room = rooms.get((data.code || '').toUpperCase());
+    }
+
+    if (!room) return { error: 'Game not found' };
+    if (!room.match) return { error: 'That game hasn\'t started yet' };
+    if (room.spectators.size >= MAX_SPECTATORS && !room.spectators.has(ws)) return { error: 'This game has no room for more spectators' };
+    return { room };
+}
+
+function addSpectator(ws, room) {
+    stopSpectating(ws);
+    room.spectators.add(ws);
+    spectatorRooms.set(ws, room.code);
+    send(ws, getSpectateState(room));
+    sendToRoom(room, { type: 'spectators', count: room.spectators.size });
+}
+
+function stopSpectating(ws) {
+    const code = spectatorRooms.get(ws);
+    if (!code) return;
+    spectatorRooms.delete(ws);
+    const room = rooms.get(code);
+    if (room && room.spectators.delete(ws)) {
+        sendToRoom(room, { type: 'spectators', count: room.spectators.size });
+    }
+}
+
+// The room is going away — send its spectators back to the lobby
+function endSpectating(room) {
+    for (const spectatorWs of room.spectators) {
+        spectatorRooms.delete(spectatorWs);
+        send(spectatorWs, { type: 'spectate_ended' });
+    }
+    room.spectators.clear();
+}
+
+// --------------------------------------------------------
+// BROADCAST FEEDS
+// --------------------------------------------------------
+// Display-ready events for the overlay page (overlay.html). Only the
+// server's own match state goes out — never anything a client claimed,
+// apart from the visual-only live stone stream, which is cleaned up.
+function getBroadcastState(room) {
+    const state = {
+        code: room.code,
+        red: room.playerInfo ? room.playerInfo[0] : null,
+        yellow: room.playerInfo ? room.playerInfo[1] : null,
+        status: !room.match ? 'waiting' : room.state.phase === 'finished' ? 'finished' : 'playing',
+        totalEnds: room.totalEnds || 6,
+        format: room.format,
+        ranked: room.ranked,
+    };
+    if (!room.match) return state;
+    return {
+        ...state,
+        ...room.gameSnapshot,
+        currentTeam: room.state.currentTeam,
+        totalEnds: room.match.totalEnds,
+        format: room.match.format,
+        stonesPerTeam: CurlingPhysics.FORMATS[room.match.format].stonesPerTeam,
+        clock: getClockState(room),
+        forfeit: room.match.forfeit || null,
+    };
+}
+
+function serveBroadcast(code, req, res) {
+    const room = rooms.get(code);
+    if (!room || broadcast.MAX_VIEWERS === 0) {
+        res.writeHead(404);
+        res.end('Not Found');
+        return;
+    }
+    if (!broadcast.subscribe(code, req, res, getBroadcastState(room))) {
+        res.writeHead(503);
+        res.end('Too many viewers');
+    }
+}
+
+// Live positions are relayed from the thrower's client: pass on only
+// what the other clients and the overlay draw
+function cleanStones(stones) {
+    if (!Array.isArray(stones)) return [];
+    const speed = v => Number.isFinite(v) ? v : 0;
+    return stones.slice(0, 16)
+        .filter(s => s && (s.team === 'red' || s.team === 'yellow') && Number.isFinite(s.x) && Number.isFinite(s.y))
+        .map(s => ({ team: s.team, x: s.x, y: s.y, vx: speed(s.vx), vy: speed(s.vy), moving: !!s.moving }));
+}
+
+// The thrower's broom as shown to the others (visual only): intensity 0-1,
+// offset -1 to 1
+function cleanSweep(sweep) {
+    if (!sweep || typeof sweep !== 'object') return null;
+    const clamp = (v, min, max) => Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : 0;
+    return { intensity: clamp(sweep.intensity, 0, 1), offset: clamp(sweep.offset, -1, 1) };
+}
+
+// The thrower streams positions every ~80ms (game.js); however often
+// they arrive, the feed passes them on no faster than that
+const BROADCAST_STONES_MS = 80;
+
+// `stones` as cleanStones returns them
+function publishStones(room, stones) {
+    const now = Date.now();
+    if (now - (room.stonesPublishedAt || 0) < BROADCAST_STONES_MS) return;
+    room.stonesPublishedAt = now;
+    broadcast.publish(room.code, 'stones', { stones });
+}
+
+// 'red', 'yellow' or null (tied) — a forfeit on time loses whatever the score
+function matchWinner(match) {
+    if (match.forfeit) return match.forfeit === 'red' ? 'yellow' : 'red';
+    if (match.redScore > match.yellowScore) return 'red';
+    if (match.yellowScore > match.redScore) return 'yellow';
+    return null;
+}
+
+// The server's match just finished
+function broadcastGameOver(room) {
+    const match = room.match;
+    broadcast.publish(room.code, 'game_over', {
+        redScore: match.redScore,
+        yellowScore: match.yellowScore,
+        endScores: match.endScores.slice(),
+        winner: matchWinner(match),
+        forfeit: match.forfeit || null,
+    });
+}
+
+// --------------------------------------------------------
+// TOURNAMENTS
+// --------------------------------------------------------
+// tournaments.js keeps the draws; this opens a room for each game once
+// both players are online and not already in a game, and hands back
+// the result when its match is recorded. Tournament games are ranked.
+function isFreeForGame(ws) {
+    return !!ws && ws.readyState === WebSocket.OPEN && !playerRooms.has(ws);
+}
+
+async function runTournamentGames() {
+    for (const { tournament, game } of tournaments.activeGames()) {
+        if (game.status === 'playing') {
+            // Its room went away with nobody left to forfeit it — play it again
+            const room = rooms.get(game.roomCode);
+            if (!room || !room.tournament || room.tournament.game !== game) {
+                tournaments.gameAbandoned(tournament, game);
+                notifyTournament(tournament);
+            }
+            continue;
+        }
+        const [red, yellow] = game.players.map(userId => onlineUsers.get(userId));
+        if (!isFreeForGame(red) || !isFreeForGame(yellow)) continue;
+
+        removeFromQueue(red);
+        removeFromQueue(yellow);
+        const room = createRoom(red, tournament.totalEnds);
+        room.ranked = true;
+        room.lastStoneDraw = tournament.lastStoneDraw || 0;
+        room.tournament = {
+            id: tournament.id,
+            game,
+            players: game.players.slice(),
+            name: tournament.name,
+            label: tournaments.gameLabel(tournament, game),
+        };
+        room.players[1] = yellow;
+        playerRooms.set(yellow, room.code);
+        tournaments.gameStarted(tournament, game, room.code);
+        console.log(`[TOURNAMENT] ${tournament.name}: ${room.tournament.label} started (room ${room.code})`);
+        await startGame(room);
+        notifyTournament(tournament);
+    }
+}
+
+// The room's match was recorded: the winner goes on in the draw (or
+// the result goes in the table). A rematch in the same room is just a
+// friendly.
+function finishTournamentGame(room, gameId) {
+    const entry = room.tournament;
+    if (!entry) return;
+    room.tournament = null;
+    const tournament = tournaments.get(entry.id);
+    if (!tournament) return;
+
+    const match = room.match;
+    const winner = matchWinner(match);
+    const winnerId = winner === null ? null : entry.players[winner === 'red' ? 0 : 1];
+    const endsWon = team => match.endScores.filter(end => end.team === team && end.points > 0).length;
+    const draw = match.lastStoneDraw && match.lastStoneDraw.result;
+    // Results go in the draw's [red, yellow] order — the players may have
+    // changed colours after the Last Stone Draw
+    const swapped = entry.players[0] !== entry.game.players[0];
+    const sides = pair => pair && (swapped ? pair.slice().reverse() : pair);
+    tournaments.recordResult(tournament, entry.game, winnerId, {
+        score: sides([match.redScore, match.yellowScore]),
+        ends: sides([endsWon('red'), endsWon('yellow')]),
+        draws: sides(draw ? [draw.red, draw.yellow] : null), // Last Stone Draw totals, for DSC
+        gameId,
+    });
+    console.log(`[TOURNAMENT] ${tournament.name}: ${entry.label} ${match.redScore}-${match.yellowScore} (room ${room.code})`);
+    notifyTournament(tournament);
+}
+
+// Everyone in the event (and its organizer) sees the draw change
+function notifyTournament(tournament) {
+    const view = tournaments.view(tournament);
+    const userIds = new Set([tournament.organizer.userId, ...tournament.players.map(p => p.userId)]);
+    for (const userId of userIds) {
+        const ws = onlineUsers.get(userId);
+        if (ws) send(ws, { type: 'tournament', tournament: view });
+    }
+}
+
+async function startTournament(tournament, userId) {
+    const ratings = new Map();
+    for (const player of tournament.players) {
+        const profile = await auth.getProfile(player.userId);
+        ratings.set(player.userId, profile ? profile.rank.rating : null);
+    }
+    return tournaments.start(tournament, userId, ratings);
+}
+
+// --------------------------------------------------------
+// LAST STONE DRAW
+// --------------------------------------------------------
+// 1v1 rooms may open with a draw to the button for the hammer
+// (simulation.js). Draw stones go through the usual throw, sweep and
+// throw_settled messages; the server measures each one and the winner
+// sends draw_choice.
+
+// A draw stone came to rest: measure it and show everyone
+function settleDrawStone(room, pending) {
+    const shotSeed = simulation.nextThrowSeed(room.match);
+    const sweepTimeline = pendingSweepTimeline(room, pending);
+    const { stone, distance } = simulation.simulateDrawStone(room.match, pending.team, pending.params, sweepTimeline);
+    room.state.currentTeam = room.match.currentTeam;
+    room.gameSnapshot = simulation.getSnapshot(room.match);
+    const lastStoneDraw = room.gameSnapshot.lastStoneDraw;
+    console.log(`[DRAW] ${pending.team} ${distance} cm${lastStoneDraw.result ? `, ${lastStoneDraw.result.winner} chooses` : ''} (room ${room.code})`);
+
+    sendToRoom(room, {
+        type: 'draw_stone',
+        team: pending.team,
+        stone,
+        distance,
+        lastStoneDraw,
+        currentTeam: room.match.currentTeam,
+        iceWear: simulation.getIceWear(room.match),
+        shotSeed,
+        sweepTimeline,
+    });
+    broadcast.publish(room.code, 'draw', { team: pending.team, stone, distance, lastStoneDraw, currentTeam: room.match.currentTeam });
+}
+
+// The winner chose the other colour: the two players change seats
+// (and sides of the tournament game, if it is one)
+function swapSides(room) {
+    for (const list of [room.players, room.sessions, room.playerInfo]) {
+        [list[0], list[1]] = [list[1], list[0]];
+    }
+    if (room.tournament) room.tournament.players.reverse();
+}
+
+// --------------------------------------------------------
+// THINKING-TIME CLOCKS
+// --------------------------------------------------------
+// Fresh clocks for a new game in the room
+function startClock(room) {
+    if (room.clockTimer) clearTimeout(room.clockTimer);
+    room.clockTimer = null;
+    room.clock = clock.createClock(room.clockPreset, room.totalEnds || 6);
+    // The Last Stone Draw isn't timed — the clocks start with the first end
+    if (room.clock && !simulation.inLastStoneDraw(room.match)) {
+        clock.startTurn(room.clock, clockTeam(room.match), Date.now());
+    }
+}
+
+// Whose thinking time runs: the next thrower, or in mixed doubles the
+// hammer team while it decides on a power play
+function clockTeam(match) {
+    return match.placementPending ? match.hammer : match.currentTeam;
+}
+
+function getClockState(room) {
+    return room.clock ? clock.getClockState(room.clock, Date.now()) : null;
+}
+
+// Bring the room's clock up to date, forfeit a team whose time has run
+// out, re-arm the timer for the clock's next event and tell both players
+// where the clocks stand. Call after anything that changes the clock.
+function syncClock(room) {
+    if (room.clockTimer) clearTimeout(room.clockTimer);
+    room.clockTimer = null;
+    if (!room.clock || room.state.phase !== 'playing') return;
+
+    const now = Date.now();
+    const outOfTime = clock.advance(room.clock, now);
+    if (outOfTime) {
+        forfeitOnTime(room, outOfTime);
+        return;
+    }
+
+    const next = clock.nextEvent(room.clock);
+    if (next !== null) {
+        room.clockTimer = setTimeout(() => {
+            room.clockTimer = null;
+            syncClock(room);
+        }, Math.max(0, next - now) + 10);
+    }
+    const state = clock.getClockState(room.clock, now);
+    sendToRoom(room, { type: 'clock_update', clock: state });
+    broadcast.publish(room.code, 'clock', state);
+}
+
+// The match ends with `team` forfeiting, whatever the score. Resolves
+// once the result is recorded.
+function forfeitMatch(room, team) {
+    room.state.phase = 'finished';
+    clearPendingThrow(room);
+    room.match.finished = true;
+    room.match.forfeit = team;
+    broadcastGameOver(room);
+    return recordMatchResult(room);
+}
+
+// A team's thinking time ran out — they lose the game regardless of score
+function forfeitOnTime(room, team) {
+    console.log(`[CLOCK] ${team} ran out of thinking time — forfeit (room ${room.code})`);
+    const state = clock.getClockState(room.clock, Date.now());
+    sendToRoom(room, { type: 'time_expired', team, clock: state });
+    broadcast.publish(room.code, 'clock', state);
+    forfeitMatch(room, team).catch(err => console.error('[CLOCK] Record result error:', err.message));
+}
+
+// The player in `slot` walked out of a tournament game in progress, or
+// never came back to it: they forfeit, so leaving can't dodge a loss.
+// A game nobody is left in is abandoned instead (and replayed).
+async function forfeitTournamentGame(room, slot) {
+    if (!room.tournament || !room.match || room.match.finished || room.state.phase !== 'playing') return;
+    if (!room.players.some((player, i) => player && i !== slot)) return;
+    const team = slotTeam(slot);
+    console.log(`[TOURNAMENT] ${team} left a game in progress — forfeit (room ${room.code})`);
+    await forfeitMatch(room, team).catch(err => console.error('[TOURNAMENT] Record result error:', err.message));
+}
+
 // --------------------------------------------------------
 // MESSAGE HANDLING
 // --------------------------------------------------------
@@ -508,10 +1324,41 @@ async function handleMessage(ws, message) {
                 break;
             }
             const profile = await auth.getProfile(session.userId);
+            if (profile) profile.season = seasons.currentSeason();
             send(ws, { type: 'profile_data', profile });
             break;
         }
 
+        // A player's profile and rating after every rated game, for the
+        // profile chart — the requester's own unless `userId` is given
+        case 'get_rating_history': {
+            const session = playerSessions.get(ws);
+            const userId = data.userId ? parseInt(data.userId, 10) : session && session.userId;
+            const profile = userId ? await auth.getProfile(userId) : null;
+            const history = profile ? await auth.getRatingHistory(userId) : null;
+            send(ws, { type: 'rating_history', userId: profile ? userId : null, profile, history, tiers: auth.RANK_TIERS });
+            break;
+        }
+
+        case 'get_leaderboard': {
+            const session = playerSessions.get(ws);
+            const result = await leaderboard.getLeaderboard(data.board, data.page, {
+                country: String(data.country || '').toUpperCase(),
+                userId: session ? session.userId : null,
+                seasonId: data.season ? parseInt(data.season, 10) : null,
+            });
+            send(ws, { type: 'leaderboard', ...result });
+            break;
+        }
+
+        // A stored game for the replay viewer
+        case 'get_game_record': {
+            const gameId = parseInt(data.gameId, 10);
+            const record = Number.isInteger(gameId) ? await auth.getGameRecord(gameId) : null;
+            send(ws, { type: 'game_record', gameId: data.gameId, record });
+            break;
+        }
+
         case 'get_security_question': {
             const result = await auth.getSecurityQuestion(data.username);
             if (result.error) {
@@ -859,8 +1706,8 @@ async function handleMessage(ws, message) {
 
         // ---- LOBBY ----
         case 'create_room': {
-            const room = createRoom(ws, data.totalEnds);
-            send(ws, { type: 'room_created', code: room.code });
+            const room = createRoom(ws, data.totalEnds, data.ice, data.clock, data.format, data.ranked === true, data.teamSize, data.lastStoneDraw);
+            send(ws, { type: 'room_created', code: room.code, teamSize: room.teamSize });
             break;
         }
 
@@ -870,53 +1717,28 @@ async function handleMessage(ws, message) {
             if (result.error) {
                 send(ws, { type: result.error, code });
             } else {
-                send(ws, { type: 'room_joined', code });
-                await startGame(result.room);
+                send(ws, { type: 'room_joined', code, teamSize: result.room.teamSize });
+                // Team rooms wait until every seat is taken
+                if (result.room.players.includes(null)) await sendRoomUpdate(result.room);
+                else await startGame(result.room);
             }
             break;
         }
 
         case 'join_queue': {
             removeFromQueue(ws);
-            matchmakingQueue.push(ws);
-            send(ws, { type: 'queue_waiting' });
-
-            // Try to match
-            while (matchmakingQueue.length >= 2) {
-                const p1 = matchmakingQueue.shift();
-                const p2 = matchmakingQueue.shift();
-
-                // Verify both still connected
-                if (p1.readyState !== WebSocket.OPEN) {
-                    if (p2.readyState === WebSocket.OPEN) matchmakingQueue.unshift(p2);
-                    continue;
-                }
-                if (p2.readyState !== WebSocket.OPEN) {
-                    matchmakingQueue.unshift(p1);
-                    continue;
-                }
-
-                // Verify both have sessions (logged in)
-                const s1 = playerSessions.get(p1);
-                const s2 = playerSessions.get(p2);
-                if (!s1 || !s1.userId) {
-                    send(p1, { type: 'auth_error', error: 'Session expired' });
-                    matchmakingQueue.unshift(p2);
-                    continue;
-                }
-                if (!s2 || !s2.userId) {
-                    send(p2, { type: 'auth_error', error: 'Session expired' });
-                    matchmakingQueue.unshift(p1);
-                    continue;
-                }
-
-                // Randomly assign teams
-                const [red, yellow] = Math.random() < 0.5 ? [p1, p2] : [p2, p1];
-                const room = createRoom(red);
-                room.players[1] = yellow;
-                playerRooms.set(yellow, room.code);
-                await startGame(room);
+            stopSpectating(ws);
+            // Logged-in players are matched by rating in the ranked or casual
+            // pool they asked for; guests only with guests
+            const session = playerSessions.get(ws);
+            let rating = null;
+            if (session && session.userId) {
+                const profile = await auth.getProfile(session.userId);
+                rating = profile ? profile.rank.rating : 1200;
             }
+            if (ws.readyState !== WebSocket.OPEN) break;
+            matchmakingQueue.push(matchmaking.createEntry(ws, session, rating, Date.now(), data.ranked === true));
+            await runMatchmaking();
             break;
         }
 
@@ -925,18 +1747,123 @@ async function handleMessage(ws, message) {
             break;
         }
 
+        // ---- TOURNAMENTS ----
+        case 'get_tournaments': {
+            send(ws, { type: 'tournaments', tournaments: tournaments.list() });
+            break;
+        }
+
+        case 'get_tournament': {
+            const tournament = tournaments.get(data.id);
+            if (!tournament) { send(ws, { type: 'tournament_error', error: 'Tournament not found' }); break; }
+            send(ws, { type: 'tournament', tournament: tournaments.view(tournament) });
+            break;
+        }
+
+        case 'create_tournament': {
+            const session = playerSessions.get(ws);
+            if (!session || !session.userId) { send(ws, { type: 'tournament_error', error: 'Log in to organize a tournament' }); break; }
+            const result = await tournaments.createTournament(session, {
+                name: data.name,
+                format: data.format,
+                totalEnds: data.totalEnds,
+                lastStoneDraw: data.lastStoneDraw,
+            }).catch(err => {
+                console.error('Create tournament error:', err.message);
+                return { error: 'Could not create the tournament' };
+            });
+            if (result.error) { send(ws, { type: 'tournament_error', error: result.error }); break; }
+            send(ws, { type: 'tournament', tournament: tournaments.view(result.tournament) });
+            break;
+        }
+
+        case 'join_tournament':
+        case 'leave_tournament':
+        case 'start_tournament': {
+            const session = playerSessions.get(ws);
+            if (!session || !session.userId) { send(ws, { type: 'tournament_error', error: 'Log in to take part' }); break; }
+            const tournament = tournaments.get(data.id);
+            if (!tournament) { send(ws, { type: 'tournament_error', error: 'Tournament not found' }); break; }
+
+            const result = data.type === 'join_tournament' ? tournaments.register(tournament, session)
+                : data.type === 'leave_tournament' ? tournaments.withdraw(tournament, session.userId)
+                : await startTournament(tournament, session.userId);
+            if (result.error) { send(ws, { type: 'tournament_error', error: result.error }); break; }
+            notifyTournament(tournament);
+            // A player who just withdrew no longer hears about the event
+            if (data.type === 'leave_tournament' && tournament.organizer.userId !== session.userId) {
+                send(ws, { type: 'tournament', tournament: tournaments.view(tournament) });
+            }
+            if (data.type === 'start_tournament') {
+                console.log(`[TOURNAMENT] ${tournament.name} started: ${tournament.players.length} players, ${tournament.format}`);
+                await runTournamentGames();
+            }
+            break;
+        }
+
+        // ---- SPECTATORS ----
+        case 'spectate': {
+            const result = await findSpectateRoom(ws, data)
+                .catch(err => {
+                    console.error('Spectate error:', err.message);
+                    return { error: 'Could not watch that game' };
+                });
+            if (result.error) {
+                send(ws, { type: 'spectate_error', error: result.error });
+                break;
+            }
+            if (ws.readyState !== WebSocket.OPEN) break;
+            addSpectator(ws, result.room);
+            break;
+        }
+
+        case 'stop_spectating': {
+            stopSpectating(ws);
+            break;
+        }
+
         // ---- GAMEPLAY ----
         case 'throw': {
             const code = playerRooms.get(ws);
             if (!code) return;
             const room = rooms.get(code);
             if (!room) return;
+            // Nothing to throw into before the game starts or after it ends
+            if (!room.match || room.state.phase !== 'playing') {
+                console.log(`[THROW REJECTED] throw outside a game in progress (phase ${room.state.phase}, room ${code})`);
+                return;
+            }
 
             const team = getPlayerTeam(room, ws);
             if (team !== room.state.currentTeam) {
                 console.log(`[THROW REJECTED] ${team} tried to throw but currentTeam is ${room.state.currentTeam} (room ${code})`);
                 return; // not your turn
             }
+            if (room.match.placementPending) {
+                console.log(`[THROW REJECTED] ${team} tried to throw before the stones were placed (room ${code})`);
+                return;
+            }
+            if (simulation.awaitingDrawChoice(room.match)) {
+                console.log(`[THROW REJECTED] ${team} tried to throw before the hammer was chosen (room ${code})`);
+                return;
+            }
+            if (room.pendingThrow) {
+                console.log(`[THROW REJECTED] ${team} tried to throw while a ${room.pendingThrow.team} stone is still in flight (room ${code})`);
+                return;
+            }
+            // Team games: each position throws its own stones
+            const slot = getPlayerIndex(room, ws);
+            if (slot !== throwerSlot(room, team)) {
+                console.log(`[THROW REJECTED] ${team} seat ${slot >> 1} is not up to throw (room ${code})`);
+                return;
+            }
+
+            // Thinking time stops on release, until the stone settles (the
+            // server settles it itself past its deadline — see holdThrow)
+            if (room.clock) {
+                clock.stopTurn(room.clock, Date.now());
+                syncClock(room);
+            }
 
             const prevTeam = room.state.currentTeam;
             // Switch turns immediately when relaying the throw
@@ -944,22 +1871,38 @@ async function handleMessage(ws, message) {
             room.state.currentTeam = room.state.currentTeam === 'red' ? 'yellow' : 'red';
             console.log(`[THROW OK] ${team} threw, turn switched ${prevTeam} -> ${room.state.currentTeam} (room ${code})`);
 
-            const opponent = getOpponent(room, ws);
-            if (opponent && opponent.readyState === WebSocket.OPEN) {
-                send(opponent, {
-                    type: 'opponent_throw',
-                    aim: data.aim,
-                    weight: data.weight,
-                    spinDir: data.spinDir,
-                    spinAmount: data.spinAmount,
-                });
+            // Hold the throw until the thrower reports it settled, collecting
+            // the sweep timeline in the meantime — then simulate it ourselves.
+            const params = simulation.sanitizeThrow(data);
+            holdThrow(room, team, slot, params);
+
+            const relay = {
+                type: 'opponent_throw',
+                aim: params.aim,
+                weight: params.weight,
+                spinDir: params.spinDir,
+                spinAmount: params.spinAmount,
+                seed: simulation.nextThrowSeed(room.match),
+            };
+            const others = getOthers(room, ws);
+            if (others.some(p => p.readyState === WebSocket.OPEN)) {
+                for (const other of others) send(other, relay);
             } else {
                 console.log(`[THROW WARN] opponent not connected for relay (room ${code})`);
             }
+            sendToSpectators(room, relay);
+            broadcast.publish(code, 'throw', {
+                team,
+                end: room.match.currentEnd,
+                stone: (team === 'red' ? room.match.redThrown : room.match.yellowThrown) + 1,
+                aim: params.aim,
+                weight: params.weight,
+                spinDir: params.spinDir,
+                spinAmount: params.spinAmount,
+            });
 
             // Send push notification to the player whose turn it now is
-            const nextIdx = room.state.currentTeam === 'red' ? 0 : 1;
-            const nextWs = room.players[nextIdx];
+            const nextWs = room.players[throwerSlot(room, room.state.currentTeam)];
             const nextSession = nextWs ? playerSessions.get(nextWs) : null;
             if (nextSession?.userId && process.env.VAPID_PUBLIC_KEY) {
                 sendPushNotification(nextSession.userId, "It's your turn!", 'Your opponent has thrown. Time to deliver your stone!');
@@ -967,56 +1910,78 @@ async function handleMessage(ws, message) {
             break;
         }
 
-        case 'sweep_change': {
+        case 'sweep': {
             const code = playerRooms.get(ws);
             if (!code) return;
             const room = rooms.get(code);
             if (!room) return;
 
-            // Allow sweep from either player (current thrower's turn already switched)
-            const opponent = getOpponent(room, ws);
-            send(opponent, { type: 'opponent_sweep_change', level: data.level });
+            const sample = recordSweepSample(room, ws, data);
+            if (!sample) break;
+
+            // Let everyone else see the sweepers (visual only). In team games the
+            // thrower's client also folds the other brooms into its own run.
+            const slot = getPlayerIndex(room, ws);
+            const relay = {
+                type: 'opponent_sweep',
+                step: sample.step,
+                intensity: sample.intensity,
+                offset: sample.offset,
+                team: slotTeam(slot),
+                seat: slot >> 1,
+            };
+            for (const other of getOthers(room, ws)) send(other, relay);
+            sendToSpectators(room, relay);
             break;
         }
 
-        case 'sweep_start': {
+        // Team games: the shot caller (the skip, or the vice when the skip
+        // throws) sets the target before the thrower delivers. Advisory only —
+        // it goes to teammates, never to the other team.
+        case 'call_shot': {
             const code = playerRooms.get(ws);
             if (!code) return;
             const room = rooms.get(code);
-            if (!room) return;
+            if (!room || !room.match || room.teamSize < 2 || room.pendingThrow) return;
 
-            const opponent = getOpponent(room, ws);
-            send(opponent, { type: 'opponent_sweep_start' });
-            break;
-        }
-
-        case 'sweep_stop': {
-            const code = playerRooms.get(ws);
-            if (!code) return;
-            const room = rooms.get(code);
-            if (!room) return;
+            const team = getPlayerTeam(room, ws);
+            if (team !== room.state.currentTeam) return;
+            const thrower = throwerSlot(room, team) >> 1;
+            if (getPlayerIndex(room, ws) >> 1 !== CurlingPhysics.shotCallerSeat(room.teamSize, thrower)) return;
 
-            const opponent = getOpponent(room, ws);
-            send(opponent, { type: 'opponent_sweep_stop' });
+            const call = simulation.sanitizeThrow(data);
+            const session = playerSessions.get(ws);
+            const relay = {
+                type: 'shot_called',
+                aim: call.aim,
+                weight: call.weight,
+                spinDir: call.spinDir,
+                by: session ? session.username : 'Skip',
+            };
+            room.players.forEach((player, i) => {
+                if (player !== ws && slotTeam(i) === team) send(player, relay);
+            });
             break;
         }
 
         // Real-time stone position stream from thrower to opponent.
-        // The thrower is the single source of truth for physics.
+        // Visual only — the settled result comes from the server simulation.
         case 'stone_positions': {
             const code = playerRooms.get(ws);
             if (!code) return;
             const room = rooms.get(code);
             if (!room) return;
-
-            const opponent = getOpponent(room, ws);
-            if (opponent && opponent.readyState === WebSocket.OPEN) {
-                send(opponent, {
-                    type: 'opponent_stone_positions',
-                    stones: data.stones,
-                    sweep: data.sweep,
-                });
+            // Only the stone in flight is streamed, by whoever threw it
+            if (!room.pendingThrow || room.pendingThrow.slot !== getPlayerIndex(room, ws)) return;
+
+            const step = Number.isInteger(data.step) && data.step >= 0 ? data.step : undefined;
+            const stones = cleanStones(data.stones);
+            const relay = { type: 'opponent_stone_positions', stones, sweep: cleanSweep(data.sweep), step };
+            for (const other of getOthers(room, ws)) {
+                if (other.readyState === WebSocket.OPEN) send(other, relay);
             }
+            sendToSpectators(room, relay);
+            publishStones(room, stones);
             break;
         }
 
@@ -1027,9 +1992,10 @@ async function handleMessage(ws, message) {
             if (!code) break;
             const room = rooms.get(code);
             if (!room) break;
-            const opponent = getOpponent(room, ws);
             const session = playerSessions.get(ws);
-            send(opponent, { type: 'chat_message', text: data.text, from: session ? session.username : 'Opponent' });
+            for (const other of getOthers(room, ws)) {
+                send(other, { type: 'chat_message', text: data.text, from: session ? session.username : 'Opponent' });
+            }
             break;
         }
 
@@ -1041,51 +2007,114 @@ async function handleMessage(ws, message) {
 
         // ---- GAME STATE SYNC (for reconnection) ----
         case 'game_state_sync': {
+            // Reconnection snapshots are now built from the server's own match
+            // state after each throw, so a client can't rewrite the board.
+            // This message is kept for backward compatibility but is a no-op.
+            break;
+        }
+
+        // The thrower's stone has settled locally, so the sweep timeline is
+        // complete. Re-run the throw on the server and broadcast the result —
+        // the server simulation is the source of truth, not either client.
+        case 'throw_settled': {
             const code = playerRooms.get(ws);
             if (!code) return;
             const room = rooms.get(code);
-            if (!room) return;
-            // Store the latest game state snapshot for reconnection.
-            // IMPORTANT: Do NOT update room.state.currentTeam here!
-            // game_state_sync can be sent pre-throw (from deliverStone) with stale
-            // currentTeam that would revert the server's authoritative turn state.
-            // Only 'throw' and 'throw_settled' should update room.state.currentTeam.
-            room.gameSnapshot = data.snapshot;
+            if (!room || !room.match) return;
+
+            const pending = room.pendingThrow;
+            if (!pending || getPlayerIndex(room, ws) !== pending.slot) {
+                console.log(`[THROW_SETTLED] Ignored — no pending throw from ${getPlayerTeam(room, ws)} (room ${code})`);
+                return;
+            }
+            settlePendingThrow(room, data.stones);
             break;
         }
 
-        // Authoritative stone positions after a throw settles.
-        // The thrower's client is the source of truth — relay to opponent.
-        case 'throw_settled': {
+        // Mixed doubles: the hammer team decides whether this end is a power
+        // play; the positioned stones go down and the first thrower's turn starts
+        case 'placement': {
             const code = playerRooms.get(ws);
             if (!code) return;
             const room = rooms.get(code);
-            if (!room) return;
+            if (!room || !room.match || room.state.phase !== 'playing') return;
 
-            // Store as latest snapshot too
-            if (data.snapshot) room.gameSnapshot = data.snapshot;
+            const team = getPlayerTeam(room, ws);
+            if (!simulation.setPlacement(room.match, team, data.powerPlay)) {
+                console.log(`[PLACEMENT REJECTED] ${team} (room ${code})`);
+                return;
+            }
+            room.gameSnapshot = simulation.getSnapshot(room.match);
+            console.log(`[PLACEMENT] ${team} powerPlay=${room.match.powerPlay} end=${room.match.currentEnd} (room ${code})`);
+
+            sendToRoom(room, { type: 'placement', team, powerPlay: room.match.powerPlay });
+            broadcast.publish(code, 'placement', {
+                team,
+                powerPlay: room.match.powerPlay,
+                stones: room.gameSnapshot.stones,
+                currentTeam: room.match.currentTeam,
+            });
+            if (room.clock) {
+                clock.startTurn(room.clock, room.match.currentTeam, Date.now());
+                syncClock(room);
+            }
+            break;
+        }
 
-            // Keep server's currentTeam in sync with the thrower's authoritative state.
-            const prevTeam = room.state.currentTeam;
-            if (data.currentTeam) {
-                room.state.currentTeam = data.currentTeam;
-            }
-            console.log(`[THROW_SETTLED] currentTeam: ${prevTeam} -> ${room.state.currentTeam} redThrown=${data.redThrown} yellowThrown=${data.yellowThrown} (room ${code})`);
-
-            // Relay final stone positions to the opponent
-            const opponent = getOpponent(room, ws);
-            if (opponent && opponent.readyState === WebSocket.OPEN) {
-                send(opponent, {
-                    type: 'authoritative_state',
-                    stones: data.stones,
-                    currentTeam: data.currentTeam,
-                    redThrown: data.redThrown,
-                    yellowThrown: data.yellowThrown,
-                    redScore: data.redScore,
-                    yellowScore: data.yellowScore,
-                    currentEnd: data.currentEnd,
-                });
+        // The Last Stone Draw's winner takes the hammer or picks a colour;
+        // the first end (and the clocks) start
+        case 'draw_choice': {
+            const code = playerRooms.get(ws);
+            if (!code) return;
+            const room = rooms.get(code);
+            if (!room || !room.match || room.state.phase !== 'playing') return;
+
+            const team = getPlayerTeam(room, ws);
+            const choice = data.choice;
+            // Changing seats needs both players here to be told their new colour
+            const swapping = (choice === 'red' || choice === 'yellow') && choice !== team;
+            if (swapping && room.players.includes(null)) {
+                send(ws, { type: 'draw_choice_error', error: 'Your opponent is away — colours can\'t change until they\'re back' });
+                return;
+            }
+            const decided = simulation.chooseAfterDraw(room.match, team, choice);
+            if (!decided) {
+                console.log(`[DRAW CHOICE REJECTED] ${team} chose ${choice} (room ${code})`);
+                return;
+            }
+            if (decided.swap) swapSides(room);
+            room.state.currentTeam = room.match.currentTeam;
+            room.gameSnapshot = simulation.getSnapshot(room.match);
+            console.log(`[DRAW CHOICE] ${team} chose ${choice}: ${decided.hammer} has the hammer (room ${code})`);
+
+            const result = { type: 'draw_result', hammer: decided.hammer, swap: decided.swap, lastStoneDraw: room.gameSnapshot.lastStoneDraw };
+            room.players.forEach((player, slot) => {
+                send(player, { ...result, yourTeam: slotTeam(slot), opponent: room.playerInfo[slot === 0 ? 1 : 0] });
+            });
+            sendToSpectators(room, { ...result, red: room.playerInfo[0], yellow: room.playerInfo[1] });
+            broadcast.publish(code, 'state', getBroadcastState(room));
+            if (room.clock) {
+                clock.startTurn(room.clock, clockTeam(room.match), Date.now());
+                syncClock(room);
+            }
+            break;
+        }
+
+        // The team on the clock stops it for a timeout (clock.js limits how many)
+        case 'timeout': {
+            const code = playerRooms.get(ws);
+            if (!code) return;
+            const room = rooms.get(code);
+            if (!room || !room.clock || room.state.phase !== 'playing') return;
+
+            const team = getPlayerTeam(room, ws);
+            clock.advance(room.clock, Date.now());
+            if (!clock.callTimeout(room.clock, team, Date.now())) {
+                console.log(`[TIMEOUT REJECTED] ${team} (room ${code})`);
+                return;
             }
+            console.log(`[TIMEOUT] ${team} called a timeout, ${room.clock.timeoutsLeft[team]} left (room ${code})`);
+            syncClock(room);
             break;
         }
 
@@ -1096,33 +2125,14 @@ async function handleMessage(ws, message) {
             const room = rooms.get(code);
             if (!room) return;
 
-            // Only record once per game
-            if (room.resultRecorded) break;
-            room.resultRecorded = true;
-
-            const redSession = (room.players[0] ? playerSessions.get(room.players[0]) : null) || room.sessions[0];
-            const yellowSession = (room.players[1] ? playerSessions.get(room.players[1]) : null) || room.sessions[1];
-
-            // Only record if both players are logged in
-            if (redSession && yellowSession) {
-                const ratingResult = await auth.recordGameResult(
-                    redSession.userId,
-                    yellowSession.userId,
-                    data.redScore,
-                    data.yellowScore,
-                    data.endCount
-                );
-
-                // Send updated rating/rank to both players
-                if (ratingResult) {
-                    if (room.players[0] && room.players[0].readyState === WebSocket.OPEN) {
-                        send(room.players[0], { type: 'rating_update', rank: ratingResult.red.rank });
-                    }
-                    if (room.players[1] && room.players[1].readyState === WebSocket.OPEN) {
-                        send(room.players[1], { type: 'rating_update', rank: ratingResult.yellow.rank });
-                    }
-                }
+            // The server records the result itself when the last stone
+            // settles (recordMatchResult runs once), so this is only a
+            // fallback — and only for a match the server has finished.
+            if (!room.match || !room.match.finished) {
+                console.log(`[GAME_OVER] Ignored — server match not finished (room ${code})`);
+                break;
             }
+            await recordMatchResult(room);
             break;
         }
 
@@ -1133,24 +2143,30 @@ async function handleMessage(ws, message) {
             const room = rooms.get(code);
             if (!room) return;
 
-            const opponent = getOpponent(room, ws);
-            if (!room._rematchRequested) {
-                room._rematchRequested = ws;
-                send(opponent, { type: 'rematch_requested' });
-            } else if (room._rematchRequested !== ws) {
-                // Both players want rematch - restart
-                room._rematchRequested = null;
+            if (getPlayerIndex(room, ws) === -1) return;
+            if (room.rematchVotes.size === 0) {
+                for (const other of getOthers(room, ws)) send(other, { type: 'rematch_requested' });
+            }
+            room.rematchVotes.add(ws);
+            if (room.players.every(p => p && room.rematchVotes.has(p))) {
+                // Everyone wants a rematch - restart
+                room.rematchVotes.clear();
                 room.state.currentTeam = 'red';
                 room.state.phase = 'playing';
-                room.gameSnapshot = null;
+                room.match = simulation.createMatch(room.totalEnds || 6, newGameSeed(), room.ice, room.format, room.lastStoneDraw);
+                room.gameSnapshot = simulation.getSnapshot(room.match);
+                clearPendingThrow(room);
                 room.resultRecorded = false;
                 // Re-cache sessions
-                room.sessions[0] = playerSessions.get(room.players[0]) || room.sessions[0];
-                room.sessions[1] = playerSessions.get(room.players[1]) || room.sessions[1];
-                const redInfo = await getPlayerInfo(room.players[0]);
-                const yellowInfo = await getPlayerInfo(room.players[1]);
-                send(room.players[0], { type: 'rematch_accepted', yourTeam: 'red', opponent: yellowInfo, totalEnds: room.totalEnds || 6 });
-                send(room.players[1], { type: 'rematch_accepted', yourTeam: 'yellow', opponent: redInfo, totalEnds: room.totalEnds || 6 });
+                cacheSessions(room);
+                room.playerInfo = await Promise.all(room.players.map(getPlayerInfo));
+                startClock(room);
+                room.players.forEach((player, slot) => {
+                    send(player, { type: 'rematch_accepted', ...gameStartFields(room, slot) });
+                });
+                sendToSpectators(room, getSpectateState(room));
+                broadcast.publish(code, 'state', getBroadcastState(room));
+                syncClock(room);
             }
             break;
         }
@@ -1161,8 +2177,13 @@ async function handleMessage(ws, message) {
             const room = rooms.get(code);
             if (!room) return;
 
-            const opponent = getOpponent(room, ws);
-            if (opponent && opponent.readyState === WebSocket.OPEN) {
+            if (isWaitingTeamGuest(room, ws)) {
+                freeSeat(room, ws);
+                break;
+            }
+            await forfeitTournamentGame(room, getPlayerIndex(room, ws));
+            for (const opponent of getOthers(room, ws)) {
+                if (opponent.readyState !== WebSocket.OPEN) continue;
                 send(opponent, { type: 'opponent_left' });
                 playerRooms.delete(opponent);
                 // Broadcast opponent back to 'online' since they left the game
@@ -1185,10 +2206,11 @@ async function handleMessage(ws, message) {
                 return;
             }
 
-            // Client sends a team hint (from sessionStorage) so we can place them
-            // back in their ORIGINAL slot and avoid swapping team colors.
+            // Client sends a team (and, in team games, seat) hint from sessionStorage
+            // so we can place them back in their ORIGINAL slot and avoid swapping team colors.
             const teamHint = data.team; // 'red' or 'yellow' or undefined
-            const hintSlot = teamHint === 'red' ? 0 : teamHint === 'yellow' ? 1 : -1;
+            const seatHint = Number.isInteger(data.seat) && data.seat >= 0 && data.seat < room.teamSize ? data.seat : 0;
+            const hintSlot = teamHint === 'red' || teamHint === 'yellow' ? teamSlot(teamHint, seatHint) : -1;
 
             // Find the correct slot — prefer the hinted slot if it's available.
             let emptySlot = -1;
@@ -1213,12 +2235,12 @@ async function handleMessage(ws, message) {
             }
             // 4) Fallback: find any empty slot
             else {
-                emptySlot = room.players[0] === null ? 0 : room.players[1] === null ? 1 : -1;
+                emptySlot = room.players.indexOf(null);
             }
 
             // 5) If still no slot, check for dead sockets in any slot
             if (emptySlot === -1) {
-                for (let i = 0; i < 2; i++) {
+                for (let i = 0; i < room.players.length; i++) {
                     const existingWs = room.players[i];
                     if (existingWs && existingWs !== ws && existingWs.readyState !== WebSocket.OPEN) {
                         console.log(`[RECONNECT] Replacing dead socket in slot ${i} (readyState=${existingWs.readyState})`);
@@ -1236,7 +2258,7 @@ async function handleMessage(ws, message) {
             }
 
             if (emptySlot === -1) {
-                // Both sockets genuinely alive — can't join
+                // Every socket genuinely alive — can't join
                 send(ws, { type: 'reconnect_failed' });
                 return;
             }
@@ -1263,13 +2285,13 @@ async function handleMessage(ws, message) {
                 onlineUsers.set(room.sessions[emptySlot].userId, ws);
             }
 
-            const team = emptySlot === 0 ? 'red' : 'yellow';
+            const team = slotTeam(emptySlot);
             const opponentWs = getOpponent(room, ws);
             const opponentInfo = opponentWs ? await getPlayerInfo(opponentWs) : null;
 
             // Override snapshot's currentTeam with the server's authoritative value.
-            // The snapshot may have been stored pre-throw (from game_state_sync in
-            // deliverStone) with a stale currentTeam before the server switched turns.
+            // The snapshot is taken when a throw settles, but the server switches
+            // turns as soon as the next throw arrives, so its currentTeam can be stale.
             let snapshot = room.gameSnapshot || null;
             if (snapshot) {
                 snapshot = { ...snapshot, currentTeam: room.state.currentTeam };
@@ -1283,15 +2305,27 @@ async function handleMessage(ws, message) {
                 currentTeam: room.state.currentTeam, // authoritative turn from server
                 gameSnapshot: snapshot,
                 opponent: opponentInfo,
+                seed: room.match ? room.match.seed : undefined,
+                ice: room.match ? room.match.ice : undefined,
+                format: room.match ? room.match.format : undefined,
+                iceWear: room.match ? simulation.getIceWear(room.match) : undefined,
+                clock: getClockState(room),
+                ranked: room.ranked,
+                spectators: room.spectators.size,
+                teamSize: room.teamSize,
+                seat: emptySlot >> 1,
+                lineup: room.match ? getLineup(room) : undefined,
+                throwInFlight: !!room.pendingThrow, // false once the server has settled our last throw
             });
 
-            // Notify opponent — wait briefly for token_login to register our session
-            if (opponentWs && opponentWs.readyState === WebSocket.OPEN) {
+            // Notify the others — wait briefly for token_login to register our session
+            const others = getOthers(room, ws).filter(p => p.readyState === WebSocket.OPEN);
+            if (others.length > 0) {
                 // Small delay to let token_login set the session if it hasn't yet
                 await new Promise(r => setTimeout(r, 300));
                 room.sessions[emptySlot] = playerSessions.get(ws) || room.sessions[emptySlot];
                 const myInfo = await getPlayerInfo(ws);
-                send(opponentWs, { type: 'opponent_reconnected', opponent: myInfo });
+                for (const other of others) send(other, { type: 'opponent_reconnected', opponent: myInfo });
             }
             break;
         }
@@ -1357,10 +2391,10 @@ const heartbeatInterval = setInterval(() => {
 const cleanupInterval = setInterval(() => {
     const now = Date.now();
     for (const [code, room] of rooms) {
-        // Remove rooms older than 10 minutes with no second player
-        if (room.players[1] === null && room.state.phase === 'waiting' && now - room.createdAt > 10 * 60 * 1000) {
-            if (room.players[0] && room.players[0].readyState === WebSocket.OPEN) {
-                send(room.players[0], { type: 'room_expired' });
+        // Remove rooms older than 10 minutes that never filled up
+        if (room.players.includes(null) && room.state.phase === 'waiting' && now - room.createdAt > 10 * 60 * 1000) {
+            for (const player of room.players) {
+                if (player && player.readyState === WebSocket.OPEN) send(player, { type: 'room_expired' });
             }
             destroyRoom(code);
         }
@@ -1375,22 +2409,47 @@ const cleanupInterval = setInterval(() => {
             if (toWs) send(toWs, { type: 'game_invite_cancelled', inviteId });
         }
     }
+    checkSeasonRollover();
 }, 60000);
 
+// Widen search windows and refresh wait estimates while players queue
+const matchmakingInterval = setInterval(() => {
+    if (matchmakingQueue.length > 0) {
+        runMatchmaking().catch(err => console.error('Matchmaking error:', err.message));
+    }
+}, 5000);
+
+// Open rooms for tournament games whose players have come online or
+// finished their last game
+const tournamentInterval = setInterval(() => {
+    runTournamentGames().catch(err => console.error('Tournament games error:', err.message));
+}, 5000);
+
+// Close the season once the calendar moves past it (see seasons.js)
+function checkSeasonRollover() {
+    seasons.checkRollover()
+        .then(closed => { if (closed) leaderboard.invalidate(); })
+        .catch(err => console.error('Season rollover error:', err.message));
+}
+
 wss.on('close', () => {
     clearInterval(heartbeatInterval);
     clearInterval(cleanupInterval);
+    clearInterval(matchmakingInterval);
+    clearInterval(tournamentInterval);
 });
 
 // --------------------------------------------------------
 // START
 // --------------------------------------------------------
 db.init();
-db.initSchema().then(() => {
+db.initSchema().then(async () => {
+    await tournaments.load();
     httpServer.listen(PORT, () => {
         console.log(`Curling server running on port ${PORT}`);
         if (db.isAvailable()) {
             console.log('Database connected — accounts enabled');
+            checkSeasonRollover();
         } else {
             console.log('No database — guest mode only');
         }
@@ -0,0 +1,494 @@
+// ============================================================
+// SHEET - Drawing the ice, house and stones
+// Shared by the game and the broadcast overlay. Each canvas gets its
+// own renderer, drawn through its owner's view of the sheet: `camera`
+// is { view, toCanvasX, toCanvasY, toCanvasLen }, where view.currentYMin
+// and view.currentYMax are the stretch of sheet on screen.
+// ============================================================
+
+const CurlingSheet = (() => {
+    const P = CurlingPhysics.POSITIONS;
+    const HOUSE = CurlingPhysics.HOUSE;
+    const STONE_R = CurlingPhysics.STONE.radius;
+
+    // Ice texture colors
+    const ICE_COLOR = '#e8eef5';
+    const ICE_LIGHT = '#edf2f8';
+    const LINE_COLOR = '#c0392b';
+    const CENTER_LINE = '#444';
+
+    function createRenderer(canvas, camera) {
+        const ctx = canvas.getContext('2d');
+        const { view, toCanvasX, toCanvasY, toCanvasLen } = camera;
+
+        // `iceOverlay` (optional) draws over the bare ice, under the lines
+        function drawSheet(iceOverlay) {
+            // Background
+            ctx.fillStyle = '#1a1a2e';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            // Ice surface
+            const leftEdge = toCanvasX(-CurlingPhysics.SHEET.width / 2);
+            const rightEdge = toCanvasX(CurlingPhysics.SHEET.width / 2);
+            const topEdge = toCanvasY(view.currentYMax);
+            const bottomEdge = toCanvasY(view.currentYMin);
+
+            // Main ice with subtle gradient (cooler edges, warmer center)
+            const iceGrad = ctx.createRadialGradient(
+                toCanvasX(0), toCanvasY(P.farTeeLine), 0,
+                toCanvasX(0), toCanvasY(P.farTeeLine), Math.max(rightEdge - leftEdge, bottomEdge - topEdge) * 0.7
+            );
+            iceGrad.addColorStop(0, '#eef3fa');  // slightly brighter center
+            iceGrad.addColorStop(0.6, ICE_COLOR);
+            iceGrad.addColorStop(1, '#dde3ec');  // cooler edges
+            ctx.fillStyle = iceGrad;
+            ctx.fillRect(leftEdge, topEdge, rightEdge - leftEdge, bottomEdge - topEdge);
+
+            // Specular highlight — overhead arena light simulation
+            const specGrad = ctx.createRadialGradient(
+                toCanvasX(0), toCanvasY(P.farTeeLine), 0,
+                toCanvasX(0), toCanvasY(P.farTeeLine), toCanvasLen(4)
+            );
+            specGrad.addColorStop(0, 'rgba(255, 255, 255, 0.06)');
+            specGrad.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            ctx.fillStyle = specGrad;
+            ctx.fillRect(leftEdge, topEdge, rightEdge - leftEdge, bottomEdge - topEdge);
+
+            // Pebble texture (subtle dots)
+            drawPebbleTexture(leftEdge, topEdge, rightEdge - leftEdge, bottomEdge - topEdge);
+
+            // e.g. the ice map debug overlay (Shift+I in game.js)
+            if (iceOverlay) iceOverlay();
+
+            // Side boards (dark strips along left and right edges)
+            const boardWidth = toCanvasLen(0.15);
+            const boardGradL = ctx.createLinearGradient(leftEdge - boardWidth, 0, leftEdge, 0);
+            boardGradL.addColorStop(0, '#2a2a3e');
+            boardGradL.addColorStop(0.7, '#3a3a50');
+            boardGradL.addColorStop(1, '#555');
+            ctx.fillStyle = boardGradL;
+            ctx.fillRect(leftEdge - boardWidth, topEdge, boardWidth, bottomEdge - topEdge);
+
+            const boardGradR = ctx.createLinearGradient(rightEdge, 0, rightEdge + boardWidth, 0);
+            boardGradR.addColorStop(0, '#555');
+            boardGradR.addColorStop(0.3, '#3a3a50');
+            boardGradR.addColorStop(1, '#2a2a3e');
+            ctx.fillStyle = boardGradR;
+            ctx.fillRect(rightEdge, topEdge, boardWidth, bottomEdge - topEdge);
+
+            // Board top edge highlights
+            ctx.strokeStyle = '#777';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(leftEdge - boardWidth, topEdge);
+            ctx.lineTo(leftEdge - boardWidth, bottomEdge);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(rightEdge + boardWidth, topEdge);
+            ctx.lineTo(rightEdge + boardWidth, bottomEdge);
+            ctx.stroke();
+
+            // Sheet boundary
+            ctx.strokeStyle = '#bbb';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(leftEdge, topEdge, rightEdge - leftEdge, bottomEdge - topEdge);
+
+            // Ice logos (between the hog lines)
+            drawIceLogos();
+
+            // Center line
+            ctx.strokeStyle = CENTER_LINE;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([8, 4]);
+            ctx.beginPath();
+            ctx.moveTo(toCanvasX(0), topEdge);
+            ctx.lineTo(toCanvasX(0), bottomEdge);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Draw house
+            drawHouse();
+
+            // Hog lines
+            drawLine(P.farHogLine, '#c0392b', 3, 'Hog Line');
+            drawLine(P.nearHogLine, '#c0392b', 3);
+
+            // Tee line
+            drawLine(P.farTeeLine, '#c0392b', 2);
+
+            // Back line
+            drawLine(P.farBackLine, '#c0392b', 2);
+
+            // Hack
+            drawHack();
+        }
+
+        // Pre-generate pebble texture as offscreen canvas
+        let pebblePattern = null;
+        function getPebblePattern() {
+            if (pebblePattern) return pebblePattern;
+            const patSize = 128;
+            const offscreen = document.createElement('canvas');
+            offscreen.width = patSize;
+            offscreen.height = patSize;
+            const octx = offscreen.getContext('2d');
+            octx.fillStyle = 'rgba(180, 195, 215, 0.12)';
+            for (let i = 0; i < 400; i++) {
+                const px = (i * 37 + i * i * 13) % patSize;
+                const py = (i * 53 + i * i * 7) % patSize;
+                octx.beginPath();
+                octx.arc(px, py, 0.8, 0, Math.PI * 2);
+                octx.fill();
+            }
+            pebblePattern = ctx.createPattern(offscreen, 'repeat');
+            return pebblePattern;
+        }
+
+        function drawPebbleTexture(x, y, w, h) {
+            const pat = getPebblePattern();
+            if (!pat) return;
+            ctx.save();
+            ctx.fillStyle = pat;
+            ctx.fillRect(x, y, w, h);
+            ctx.restore();
+        }
+
+        // --------------------------------------------------------
+        // ICE LOGO (Olympic Rings)
+        // Drawn between the far hog line and the house
+        // --------------------------------------------------------
+        function drawIceLogos() {
+            ctx.save();
+            ctx.globalAlpha = 0.45; // painted-on-ice look
+
+            // Place the rings centered between the far hog line and the front of the house
+            const logoTopY = P.farHogLine + 0.3;
+            const logoBottomY = P.farTeeLine - HOUSE.twelveFoot - 0.3;
+            const logoMidY = (logoTopY + logoBottomY) / 2;
+            const logoHeight = logoBottomY - logoTopY;
+
+            // Ring dimensions — constrain to fit within the ice sheet width
+            const sheetWidthPx = toCanvasLen(CurlingPhysics.SHEET.width * 0.80);
+            const totalH = toCanvasLen(logoHeight);
+            // Olympic rings total width ≈ 6.44 * ringRadius (with gaps)
+            // Solve: 6.44 * r = sheetWidthPx → r = sheetWidthPx / 6.44
+            const radiusFromWidth = sheetWidthPx / 6.44;
+            // Also limit by available height (rings span ~2.9 * radius vertically)
+            const radiusFromHeight = totalH / 2.9;
+            const ringRadius = Math.min(radiusFromWidth, radiusFromHeight);
+            const strokeW = ringRadius * 0.18;
+            const gap = ringRadius * 0.22; // horizontal gap between ring centers in same row
+
+            const centerX = toCanvasX(0);
+            const centerY = toCanvasY(logoMidY);
+
+            // Top row y, bottom row y
+            const topY = centerY - ringRadius * 0.45;
+            const botY = centerY + ringRadius * 0.45;
+
+            // Horizontal spacing: rings overlap slightly
+            const dx = ringRadius * 2 + gap;
+
+            // Ring centers: top row (blue, black, red), bottom row (yellow, green)
+            const rings = [
+                { x: centerX - dx,     y: topY, color: '#0081C8' },  // blue
+                { x: centerX,          y: topY, color: '#222222' },  // black (slightly lighter for ice visibility)
+                { x: centerX + dx,     y: topY, color: '#EE334E' },  // red
+                { x: centerX - dx / 2, y: botY, color: '#FCB131' },  // yellow
+                { x: centerX + dx / 2, y: botY, color: '#00A651' },  // green
+            ];
+
+            ctx.lineWidth = strokeW;
+            ctx.lineCap = 'round';
+
+            // Draw all rings as simple overlapping circles (no interlocking needed at this scale)
+            // Draw bottom row first, then top row on top
+            // Bottom row
+            for (let i = 3; i <= 4; i++) {
+                ctx.beginPath();
+                ctx.arc(rings[i].x, rings[i].y, ringRadius, 0, Math.PI * 2);
+                ctx.strokeStyle = rings[i].color;
+                ctx.stroke();
+            }
+            // Top row
+            for (let i = 0; i <= 2; i++) {
+                ctx.beginPath();
+                ctx.arc(rings[i].x, rings[i].y, ringRadius, 0, Math.PI * 2);
+                ctx.strokeStyle = rings[i].color;
+                ctx.stroke();
+            }
+
+            // Draw interlocking weave: bottom rings pass IN FRONT of top rings on the right side
+            // For each bottom-top pair, redraw a small arc of the bottom ring over the top ring
+            const pairs = [
+                { bot: 3, top: 0 }, // yellow over blue (right intersection)
+                { bot: 3, top: 1 }, // yellow over black (left intersection)
+                { bot: 4, top: 1 }, // green over black (right intersection)
+                { bot: 4, top: 2 }, // green over red (left intersection)
+            ];
+
+            for (let p = 0; p < pairs.length; p++) {
+                const b = rings[pairs[p].bot];
+                const t = rings[pairs[p].top];
+                // Find the angle from bottom ring center to top ring center
+                const angle = Math.atan2(t.y - b.y, t.x - b.x);
+                // The "in front" arc is on the side closer to the top ring
+                // We draw a small arc segment of the bottom ring that overlaps
+                const arcSpan = 0.45; // radians of arc to redraw
+                // For even index pairs (right side), bottom goes in front
+                // For odd index pairs (left side), top goes in front
+                if (p % 2 === 0) {
+                    // Bottom ring in front on right side of intersection
+                    ctx.beginPath();
+                    ctx.arc(b.x, b.y, ringRadius, angle - arcSpan, angle + arcSpan);
+                    ctx.strokeStyle = b.color;
+                    ctx.stroke();
+                } else {
+                    // Top ring in front on left side of intersection
+                    const angle2 = Math.atan2(b.y - t.y, b.x - t.x);
+                    ctx.beginPath();
+                    ctx.arc(t.x, t.y, ringRadius, angle2 - arcSpan, angle2 + arcSpan);
+                    ctx.strokeStyle = t.color;
+                    ctx.stroke();
+                }
+            }
+
+            ctx.globalAlpha = 1.0;
+            ctx.restore();
+        }
+
+        function drawHouse() {
+            const cx = toCanvasX(0);
+            const cy = toCanvasY(P.farTeeLine);
+
+            // Spotlight glow behind the house (arena overhead lights)
+            const spotGrad = ctx.createRadialGradient(cx, cy, 0, cx, cy, toCanvasLen(HOUSE.twelveFoot * 1.5));
+            spotGrad.addColorStop(0, 'rgba(255, 255, 255, 0.05)');
+            spotGrad.addColorStop(0.6, 'rgba(255, 255, 255, 0.025)');
+            spotGrad.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            ctx.fillStyle = spotGrad;
+            ctx.beginPath();
+            ctx.arc(cx, cy, toCanvasLen(HOUSE.twelveFoot * 1.5), 0, Math.PI * 2);
+            ctx.fill();
+
+            // Draw from outermost to innermost (painter's algorithm)
+            // 12-foot ring - BLUE
+            ctx.fillStyle = '#2a6cb6';
+            ctx.beginPath();
+            ctx.arc(cx, cy, toCanvasLen(HOUSE.twelveFoot), 0, Math.PI * 2);
+            ctx.fill();
+
+            // 8-foot ring - WHITE
+            ctx.fillStyle = '#eef1f5';
+            ctx.beginPath();
+            ctx.arc(cx, cy, toCanvasLen(HOUSE.eightFoot), 0, Math.PI * 2);
+            ctx.fill();
+
+            // 4-foot ring - RED
+            ctx.fillStyle = '#cc3333';
+            ctx.beginPath();
+            ctx.arc(cx, cy, toCanvasLen(HOUSE.fourFoot), 0, Math.PI * 2);
+            ctx.fill();
+
+            // Button area - WHITE
+            ctx.fillStyle = '#eef1f5';
+            ctx.beginPath();
+            ctx.arc(cx, cy, toCanvasLen(HOUSE.button * 2.5), 0, Math.PI * 2);
+            ctx.fill();
+
+            // Ring outlines
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1.5;
+            for (const r of [HOUSE.twelveFoot, HOUSE.eightFoot, HOUSE.fourFoot]) {
+                ctx.beginPath();
+                ctx.arc(cx, cy, toCanvasLen(r), 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            // Tee line through house
+            const halfW = CurlingPhysics.SHEET.width / 2;
+            ctx.strokeStyle = LINE_COLOR;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(toCanvasX(-halfW), cy);
+            ctx.lineTo(toCanvasX(halfW), cy);
+            ctx.stroke();
+
+            // Center line through house
+            ctx.strokeStyle = LINE_COLOR;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(cx, toCanvasY(P.farTeeLine - HOUSE.twelveFoot - 0.5));
+            ctx.lineTo(cx, toCanvasY(P.farTeeLine + HOUSE.twelveFoot + 0.5));
+            ctx.stroke();
+        }
+
+        function drawLine(yPos, color, width, label) {
+            const halfW = CurlingPhysics.SHEET.width / 2;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.beginPath();
+            ctx.moveTo(toCanvasX(-halfW), toCanvasY(yPos));
+            ctx.lineTo(toCanvasX(halfW), toCanvasY(yPos));
+            ctx.stroke();
+
+            if (label) {
+                ctx.fillStyle = 'rgba(0,0,0,0.5)';
+                ctx.font = '11px sans-serif';
+                ctx.fillText(label, toCanvasX(halfW) + 5, toCanvasY(yPos) + 4);
+            }
+        }
+
+        function drawHack() {
+            const hackY = toCanvasY(P.hack);
+            const cx = toCanvasX(0);
+            const hackW = toCanvasLen(0.15);
+            const hackH = toCanvasLen(0.3);
+
+            ctx.fillStyle = '#333';
+            // Left hack
+            ctx.fillRect(cx - toCanvasLen(0.12) - hackW, hackY - hackH / 2, hackW, hackH);
+            // Right hack
+            ctx.fillRect(cx + toCanvasLen(0.12), hackY - hackH / 2, hackW, hackH);
+        }
+
+        function drawStone(stone) {
+            // Support fade-out: draw while fading, skip when fully gone
+            if (!stone.active && !(stone.fadeOut > 0)) return;
+
+            const cx = toCanvasX(stone.x);
+            const cy = toCanvasY(stone.y);
+            const r = toCanvasLen(STONE_R);
+
+            // Don't draw if off screen
+            if (cy < -r * 2 || cy > canvas.height + r * 2) return;
+            if (cx < -r * 2 || cx > canvas.width + r * 2) return;
+
+            ctx.save();
+
+            // Fade-out effect
+            if (stone.fadeOut > 0) {
+                ctx.globalAlpha = stone.fadeOut;
+            }
+
+            // Settle micro-bounce
+            let settleScale = 1.0;
+            if (stone.settleTime > 0) {
+                // Bounce from 1.06 down to 1.0 over 150ms
+                const t = stone.settleTime / 150;
+                settleScale = 1.0 + 0.06 * t * Math.cos(t * Math.PI);
+            }
+
+            ctx.translate(cx, cy);
+            if (settleScale !== 1.0) ctx.scale(settleScale, settleScale);
+            ctx.rotate(stone.angle);
+
+            // Stone body shadow (scaled with stone size)
+            const shadowOff = Math.max(2, r * 0.12);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.18)';
+            ctx.beginPath();
+            ctx.arc(shadowOff, shadowOff, r + 1, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Stone body
+            const bodyColor = stone.team === 'red' ? '#e53935' : '#fdd835';
+            const bodyDark = stone.team === 'red' ? '#b71c1c' : '#f9a825';
+            const bodyLight = stone.team === 'red' ? '#ef5350' : '#ffee58';
+
+            // Gradient for 3D effect
+            const grad = ctx.createRadialGradient(-r * 0.2, -r * 0.2, r * 0.1, 0, 0, r);
+            grad.addColorStop(0, bodyLight);
+            grad.addColorStop(0.6, bodyColor);
+            grad.addColorStop(1, bodyDark);
+
+            ctx.fillStyle = grad;
+            ctx.beginPath();
+            ctx.arc(0, 0, r, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Running band (darker ring)
+            ctx.strokeStyle = bodyDark;
+            ctx.lineWidth = Math.max(1, toCanvasLen(0.008));
+            ctx.beginPath();
+            ctx.arc(0, 0, r * 0.85, 0, Math.PI * 2);
+            ctx.stroke();
+
+            // Handle - curved goose-neck shape so rotation is clearly visible
+            const handleLen = r * 0.75;
+            const handleW = Math.max(2, r * 0.16);
+
+            // Handle bar
+            ctx.strokeStyle = '#555';
+            ctx.lineWidth = handleW;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(-handleLen * 0.5, 0);
+            ctx.lineTo(handleLen * 0.5, 0);
+            ctx.stroke();
+
+            // Handle highlight
+            ctx.strokeStyle = '#888';
+            ctx.lineWidth = handleW * 0.4;
+            ctx.beginPath();
+            ctx.moveTo(-handleLen * 0.4, 0);
+            ctx.lineTo(handleLen * 0.4, 0);
+            ctx.stroke();
+
+            // Grip dot on one side to show rotation clearly
+            ctx.fillStyle = '#333';
+            ctx.beginPath();
+            ctx.arc(handleLen * 0.4, 0, handleW * 0.5, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Direction indicator line (like the stripe on a curling stone handle)
+            ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+            ctx.lineWidth = Math.max(1, r * 0.04);
+            ctx.beginPath();
+            ctx.moveTo(0, -r * 0.3);
+            ctx.lineTo(0, -r * 0.6);
+            ctx.stroke();
+
+            // Stone edge highlight
+            ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(0, 0, r - 1, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.restore();
+
+            // Spin indicator (small arrow when moving)
+            if (stone.moving && Math.abs(stone.omega) > 0.1) {
+                const arrowR = r + 5;
+                const arrowAngle = stone.omega > 0 ? Math.PI * 0.25 : -Math.PI * 0.25;
+                ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(cx, cy, arrowR, arrowAngle - 0.8, arrowAngle + 0.8);
+                ctx.stroke();
+
+                // Arrow head
+                const endAngle = arrowAngle + (stone.omega > 0 ? 0.8 : -0.8);
+                const ax = cx + arrowR * Math.cos(endAngle);
+                const ay = cy + arrowR * Math.sin(endAngle);
+                const dir = stone.omega > 0 ? 1 : -1;
+                ctx.beginPath();
+                ctx.moveTo(ax, ay);
+                ctx.lineTo(ax + dir * 5, ay - 5);
+                ctx.moveTo(ax, ay);
+                ctx.lineTo(ax + dir * 5, ay + 5);
+                ctx.stroke();
+            }
+        }
+
+        return {
+            drawSheet,
+            drawHouse,
+            drawStone,
+            // Call when the canvas is resized
+            resetPattern() { pebblePattern = null; },
+        };
+    }
+
+    return { createRenderer };
+})();
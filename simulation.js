@@ -0,0 +1,485 @@
+// ============================================================
+// SIMULATION - Server-side physics referee for online rooms
+// Re-runs every throw with the shared physics.js so neither
+// client can dictate stone positions or scores
+// ============================================================
+
+const CurlingPhysics = require('./physics');
+
+const P = CurlingPhysics.POSITIONS;
+const HOUSE = CurlingPhysics.HOUSE;
+const STONE_R = CurlingPhysics.STONE.radius;
+const FORMATS = CurlingPhysics.FORMATS;
+
+const MAX_SWEEP_SAMPLES = 4000; // generous: a ramp sample every few steps for a long draw
+
+function clamp(val, min, max) {
+    return Math.max(min, Math.min(max, val));
+}
+
+function otherTeam(team) {
+    return team === 'red' ? 'yellow' : 'red';
+}
+
+// --------------------------------------------------------
+// MATCH STATE
+// --------------------------------------------------------
+function createMatch(totalEnds, seed, ice, format, drawStones) {
+    const iceName = normalizeIce(ice);
+    const formatName = normalizeFormat(format);
+    const powerPlays = FORMATS[formatName].powerPlays;
+    const match = {
+        format: formatName,     // game format (physics.js FORMATS)
+        seed: seed >>> 0,       // game seed — per-throw pebble seeds derive from it
+        ice: iceName,           // ice profile name (physics.js ICE_PROFILES)
+        iceMap: CurlingPhysics.createIceMap(seed >>> 0, iceName), // same map the clients build
+        stones: [],             // settled stones in play: [{ team, x, y, positioned? }]
+        currentTeam: 'red',
+        hammer: 'yellow',
+        redThrown: 0,
+        yellowThrown: 0,
+        currentEnd: 1,
+        totalEnds,
+        regulationEnds: totalEnds, // totalEnds before any extra ends
+        redScore: 0,
+        yellowScore: 0,
+        endScores: [],
+        powerPlays: { red: powerPlays, yellow: powerPlays }, // left to call (mixed doubles)
+        powerPlay: null,        // this end's power play side, if called
+        placementPending: false, // waiting on the hammer team's power play decision
+        history: [],            // per-end records with every throw (see getHistory)
+        lastStoneDraw: null,    // pre-game draw for the hammer, if played (see LAST STONE DRAW)
+        finished: false,
+    };
+    const stones = CurlingPhysics.normalizeDrawStones(drawStones);
+    if (stones) {
+        // The first end starts once the draw has decided the hammer
+        match.lastStoneDraw = { stones, distances: { red: [], yellow: [] }, result: null, choice: null };
+    } else {
+        startEnd(match);
+    }
+    return match;
+}
+
+// Mixed doubles ends start with positioned stones — straight away, or
+// once the team with the decision has said whether it's a power play
+function startEnd(match) {
+    match.powerPlay = null;
+    match.placementPending = false;
+    if (!FORMATS[match.format].positioned) return;
+    if (CurlingPhysics.canCallPowerPlay(match.format, match.powerPlays[match.hammer], match.currentEnd, match.regulationEnds)) {
+        match.placementPending = true;
+    } else {
+        placeStones(match, null);
+    }
+}
+
+function placeStones(match, powerPlay) {
+    match.powerPlay = powerPlay;
+    match.stones = CurlingPhysics.positionedStones(match.hammer, powerPlay)
+        .map(s => ({ team: s.team, x: s.x, y: s.y, positioned: true }));
+}
+
+// The hammer team's placement decision: 'left' / 'right' for a power
+// play, null for the standard positions. Returns false if not allowed.
+function setPlacement(match, team, powerPlay) {
+    if (!match.placementPending || team !== match.hammer) return false;
+    const side = powerPlay === 'left' || powerPlay === 'right' ? powerPlay : null;
+    if (side) match.powerPlays[team]--;
+    match.placementPending = false;
+    placeStones(match, side);
+    return true;
+}
+
+// --------------------------------------------------------
+// HISTORY
+// --------------------------------------------------------
+// The record for the end in play, started by its first throw so it
+// captures the board the end began with (mixed doubles positioned stones)
+function currentEndRecord(match) {
+    const last = match.history[match.history.length - 1];
+    if (last && last.end === match.currentEnd) return last;
+    const record = {
+        end: match.currentEnd,
+        hammer: match.hammer,
+        powerPlay: match.powerPlay,
+        startStones: match.stones.map(boardStone),
+        shots: [],
+        result: null,           // { team, points } once scored
+    };
+    match.history.push(record);
+    return record;
+}
+
+// Everything needed to review or re-simulate the game: each end's hammer
+// and result, and every throw's parameters, sweep timeline and the
+// stones left in play once it settled
+function getHistory(match) {
+    return {
+        seed: match.seed,
+        ice: match.ice,
+        format: match.format,
+        totalEnds: match.regulationEnds,
+        ends: match.history,
+    };
+}
+
+// Pebble wear so far, for clients to mirror — omitted when the ice doesn't wear
+function getIceWear(match) {
+    return match.iceMap.wearRate ? match.iceMap.wear.slice() : undefined;
+}
+
+// Same shape the client sends for reconnection snapshots
+function getSnapshot(match) {
+    return {
+        currentTeam: match.currentTeam,
+        redScore: match.redScore,
+        yellowScore: match.yellowScore,
+        currentEnd: match.currentEnd,
+        redThrown: match.redThrown,
+        yellowThrown: match.yellowThrown,
+        hammer: match.hammer,
+        endScores: match.endScores.slice(),
+        stones: match.stones.map(boardStone),
+        powerPlays: { red: match.powerPlays.red, yellow: match.powerPlays.yellow },
+        powerPlay: match.powerPlay,
+        placementPending: match.placementPending,
+        lastStoneDraw: getLastStoneDraw(match),
+    };
+}
+
+// Settled stone as sent to clients; positioned stones keep their flag
+function boardStone(s) {
+    return s.positioned ? { team: s.team, x: s.x, y: s.y, positioned: true } : { team: s.team, x: s.x, y: s.y };
+}
+
+// Unknown or missing formats fall back to the standard 8-stone game
+function normalizeFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format) ? format : 'standard';
+}
+
+// Unknown or missing ice profiles fall back to standard club ice
+function normalizeIce(ice) {
+    return Object.prototype.hasOwnProperty.call(CurlingPhysics.ICE_PROFILES, ice) ? ice : 'standard';
+}
+
+// Pebble seed for the next delivery (clients derive the same value)
+function nextThrowSeed(match) {
+    if (inLastStoneDraw(match)) {
+        return CurlingPhysics.throwSeed(match.seed, CurlingPhysics.LAST_STONE_DRAW.seedEnd, drawStonesThrown(match.lastStoneDraw));
+    }
+    return CurlingPhysics.throwSeed(match.seed, match.currentEnd, match.redThrown + match.yellowThrown);
+}
+
+// --------------------------------------------------------
+// LAST STONE DRAW
+// --------------------------------------------------------
+// Draw stones (physics.js LAST STONE DRAW) are thrown before the first
+// end and never stay on the sheet; the turn follows the draw until the
+// winner has chosen.
+function inLastStoneDraw(match) {
+    return !!match.lastStoneDraw && !match.lastStoneDraw.choice;
+}
+
+// Every draw stone is in and the winner has still to choose
+function awaitingDrawChoice(match) {
+    return inLastStoneDraw(match) && !!match.lastStoneDraw.result;
+}
+
+function drawStonesThrown(draw) {
+    return draw.distances.red.length + draw.distances.yellow.length;
+}
+
+// Plays one draw stone on a clear sheet and measures it. Returns where
+// it stopped ({ team, x, y, active }) and its distance in cm.
+function simulateDrawStone(match, team, params, sweepTimeline) {
+    const draw = match.lastStoneDraw;
+    useMatchIce(match);
+    const prediction = CurlingPhysics.predictShot([], { team, ...params }, {
+        sweepTimeline,
+        rng: CurlingPhysics.createRng(nextThrowSeed(match)),
+        pathEvery: CurlingPhysics.ICE_MAP.pathEvery,
+    });
+    CurlingPhysics.wearIceMap(match.iceMap, prediction.path);
+    const stone = prediction.stones[prediction.delivered];
+    const distance = CurlingPhysics.drawDistance(stone);
+    draw.distances[team].push(distance);
+
+    const thrown = drawStonesThrown(draw);
+    if (thrown >= draw.stones * 2) {
+        draw.result = CurlingPhysics.drawWinner(draw.distances, match.seed);
+        match.currentTeam = draw.result.winner; // theirs to choose
+    } else {
+        match.currentTeam = CurlingPhysics.drawThrower(thrown);
+    }
+    return { stone: { team, x: stone.x, y: stone.y, active: stone.active }, distance };
+}
+
+// The draw winner's choice: 'hammer', 'red' or 'yellow'. A colour swap
+// takes the draw's results along to the new colours. Starts the first
+// end; returns { hammer, swap }, or null if the choice isn't theirs.
+function chooseAfterDraw(match, team, choice) {
+    if (!awaitingDrawChoice(match) || team !== match.lastStoneDraw.result.winner) return null;
+    if (choice !== 'hammer' && choice !== 'red' && choice !== 'yellow') return null;
+    const draw = match.lastStoneDraw;
+    const { hammer, swap } = CurlingPhysics.drawChoice(team, choice);
+    if (swap) {
+        draw.distances = { red: draw.distances.yellow, yellow: draw.distances.red };
+        draw.result = { ...draw.result, red: draw.result.yellow, yellow: draw.result.red, winner: otherTeam(team) };
+    }
+    draw.choice = choice;
+    match.hammer = hammer;
+    match.currentTeam = otherTeam(hammer);
+    startEnd(match);
+    return { hammer, swap };
+}
+
+// The draw as clients see it (null when the game has none)
+function getLastStoneDraw(match) {
+    const draw = match.lastStoneDraw;
+    if (!draw) return null;
+    return {
+        stones: draw.stones,
+        distances: { red: draw.distances.red.slice(), yellow: draw.distances.yellow.slice() },
+        result: draw.result ? { ...draw.result } : null,
+        choice: draw.choice,
+    };
+}
+
+// --------------------------------------------------------
+// INPUT SANITIZING
+// --------------------------------------------------------
+// Clamp throw parameters to the same ranges as the UI sliders
+function sanitizeThrow(data) {
+    const num = (v, fallback) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+    return {
+        aim: clamp(num(data.aim, 0), -5, 5),
+        weight: clamp(num(data.weight, 35), 0, 100),
+        spinDir: data.spinDir === -1 ? -1 : 1,
+        spinAmount: clamp(num(data.spinAmount, 2.5), 2, 5),
+    };
+}
+
+// Append one sweep sample from the thrower to a throw's timeline.
+// `step` is the number of physics steps the thrower had run when the
+// sample was taken; the shared physics check keeps it physically sweepable.
+function addSweepSample(timeline, data) {
+    if (timeline.length >= MAX_SWEEP_SAMPLES) return null;
+    const prev = timeline.length > 0 ? timeline[timeline.length - 1] : null;
+    const sample = CurlingPhysics.sanitizeSweepSample(data, prev);
+    if (sample) timeline.push(sample);
+    return sample;
+}
+
+// Team games: every broom on a throw, merged into the one timeline
+// simulateThrow plays. `tracks` are the throwing team's players' sweep
+// timelines; `behindTee` is the other team's skip's, which only counts
+// once the delivered stone is past the far tee line. Where that happens
+// comes from playing the shot with the team's sweeping alone — sweeping
+// after the stone gets there can't change when it got there.
+function mergeSweepTracks(match, team, params, tracks, behindTee) {
+    const timeline = CurlingPhysics.mergeSweepTimelines(tracks);
+    if (!behindTee || behindTee.length === 0) return timeline;
+
+    useMatchIce(match);
+    const pass = CurlingPhysics.predictShot(match.stones, { team, ...params }, {
+        sweepTimeline: timeline,
+        rng: CurlingPhysics.createRng(nextThrowSeed(match)),
+        pathEvery: 1,
+    });
+    // path[i] is where the stone was after step i - 1
+    const teeStep = pass.path.findIndex(p => p.y > P.farTeeLine);
+    if (teeStep === -1) return timeline;
+
+    const merged = CurlingPhysics.mergeSweepTimelines([timeline, sweepFromStep(behindTee, teeStep)]);
+    return CurlingPhysics.sanitizeSweepTimeline(merged, MAX_SWEEP_SAMPLES);
+}
+
+// The part of a sweep timeline from `step` on (what was held then starts there)
+function sweepFromStep(timeline, step) {
+    const later = timeline.filter(sample => sample.step >= step);
+    const earlier = timeline.filter(sample => sample.step < step);
+    if (earlier.length > 0 && (later.length === 0 || later[0].step > step)) {
+        later.unshift({ ...earlier[earlier.length - 1], step });
+    }
+    return later;
+}
+
+// --------------------------------------------------------
+// RULES (mirror game.js)
+// --------------------------------------------------------
+// `stone` is a settled board stone ({ team, x, y })
+function isInFreeGuardZone(stone) {
+    const distToTee = Math.sqrt(stone.x * stone.x + (stone.y - P.farTeeLine) ** 2);
+    return stone.y >= P.farHogLine && distToTee > HOUSE.twelveFoot + STONE_R;
+}
+
+function calculateEndScore(stones) {
+    const teeX = 0;
+    const teeY = P.farTeeLine;
+
+    const inHouse = stones.map(s => ({
+        team: s.team,
+        dist: Math.sqrt((s.x - teeX) ** 2 + (s.y - teeY) ** 2),
+    })).sort((a, b) => a.dist - b.dist)
+        .filter(s => s.dist <= HOUSE.twelveFoot + STONE_R);
+
+    if (inHouse.length === 0) return { team: null, points: 0 };
+
+    const closestTeam = inHouse[0].team;
+    const otherTeamClosest = inHouse.find(s => s.team !== closestTeam);
+    const otherDist = otherTeamClosest ? otherTeamClosest.dist : Infinity;
+
+    let points = 0;
+    for (const s of inHouse) {
+        if (s.team === closestTeam && s.dist < otherDist) points++;
+    }
+    return { team: closestTeam, points };
+}
+
+function scoreEnd(match) {
+    const result = calculateEndScore(match.stones);
+    match.endScores.push(result);
+    currentEndRecord(match).result = result;
+    if (result.team === 'red') match.redScore += result.points;
+    else if (result.team === 'yellow') match.yellowScore += result.points;
+
+    if (match.currentEnd >= match.totalEnds) {
+        if (match.redScore === match.yellowScore) {
+            match.totalEnds++; // tied — extra end
+        } else {
+            match.finished = true;
+            return result;
+        }
+    }
+
+    match.currentEnd++;
+    // Scoring team throws first next end; blank end keeps the order,
+    // except in mixed doubles where a blank passes the hammer
+    if (result.team && result.points > 0) {
+        match.currentTeam = result.team;
+        match.hammer = otherTeam(result.team);
+    } else if (FORMATS[match.format].positioned) {
+        match.currentTeam = match.hammer;
+        match.hammer = otherTeam(match.hammer);
+    }
+    match.redThrown = 0;
+    match.yellowThrown = 0;
+    match.stones = [];
+    startEnd(match);
+    return result;
+}
+
+// --------------------------------------------------------
+// THROW SIMULATION
+// --------------------------------------------------------
+// Physics is shared by every room, so put this room's ice in place first
+function useMatchIce(match) {
+    CurlingPhysics.setIce(match.ice, CurlingPhysics.wearProgress(
+        match.currentEnd, match.regulationEnds, match.redThrown + match.yellowThrown,
+        FORMATS[match.format].stonesPerTeam * 2));
+    CurlingPhysics.setIceMap(match.iceMap);
+}
+
+// Physics steps a throw takes to come to rest, unswept and swept hard
+// all the way — the longer of the two bounds its time in flight, so
+// server.js knows when to stop waiting for the thrower's report
+function travelSteps(match, team, params) {
+    useMatchIce(match);
+    const board = inLastStoneDraw(match) ? [] : match.stones;
+    const shot = { team, ...params };
+    const unswept = CurlingPhysics.predictShot(board, shot);
+    const swept = CurlingPhysics.predictShot(board, shot, { sweepTimeline: [{ step: 0, intensity: 1, offset: 0 }] });
+    return Math.max(unswept.steps, swept.steps);
+}
+
+// Simulates one delivery from `team` against the current board and
+// advances the match. `sweepTimeline` is the sweep input (mergeSweepTracks)
+// ([{ step, intensity, offset }]). Returns the board as it stood when the throw
+// settled (before any end scoring) so clients can run their end
+// transition from the same stones the server scored.
+function simulateThrow(match, team, params, sweepTimeline) {
+    const endRecord = currentEndRecord(match);
+    const seed = nextThrowSeed(match);
+    const rng = CurlingPhysics.createRng(seed);
+    useMatchIce(match);
+
+    if (team === 'red') match.redThrown++;
+    else match.yellowThrown++;
+
+    // Free Guard Zone: opponent guards are protected during the first 5 stones.
+    // Mixed doubles: no stone at all may be removed before the 4th stone.
+    const rules = FORMATS[match.format];
+    const thrown = match.redThrown + match.yellowThrown;
+    const protectedStones = [];
+    match.stones.forEach((stone, i) => {
+        if (thrown <= rules.noTakeoutStones ||
+            (thrown <= rules.fgzStones && stone.team !== team && isInFreeGuardZone(stone))) {
+            protectedStones.push(i);
+        }
+    });
+
+    const prediction = CurlingPhysics.predictShot(match.stones, {
+        team,
+        aim: params.aim,
+        weight: params.weight,
+        spinDir: params.spinDir,
+        spinAmount: params.spinAmount,
+    }, {
+        sweepTimeline,
+        rng,
+        pathEvery: CurlingPhysics.ICE_MAP.pathEvery,
+    });
+    const stones = prediction.stones;
+    CurlingPhysics.wearIceMap(match.iceMap, prediction.path);
+
+    let fgzViolation = false;
+    for (const i of protectedStones) {
+        if (!stones[i].active) {
+            stones[i] = { ...match.stones[i], active: true };
+            fgzViolation = true;
+        }
+    }
+    if (fgzViolation) stones[prediction.delivered].active = false;
+
+    // Board stones come first in the prediction, so positioned flags carry over by index
+    match.stones = stones
+        .map((s, i) => ({ team: s.team, x: s.x, y: s.y, positioned: i < match.stones.length && match.stones[i].positioned }))
+        .filter((s, i) => stones[i].active)
+        .map(boardStone);
+
+    endRecord.shots.push({
+        team,
+        aim: params.aim,
+        weight: params.weight,
+        spinDir: params.spinDir,
+        spinAmount: params.spinAmount,
+        seed,
+        sweepTimeline: sweepTimeline || [],
+        stones: match.stones.map(boardStone),
+        fgzViolation,
+    });
+
+    // Advance the turn (mirrors nextTurn in game.js)
+    match.currentTeam = otherTeam(team);
+
+    const perTeam = rules.stonesPerTeam;
+    if (match.redThrown >= perTeam && match.yellowThrown >= perTeam) {
+        const settled = getSnapshot(match);
+        scoreEnd(match);
+        return settled;
+    }
+
+    if (match.currentTeam === 'red' && match.redThrown >= perTeam) {
+        match.currentTeam = 'yellow';
+    } else if (match.currentTeam === 'yellow' && match.yellowThrown >= perTeam) {
+        match.currentTeam = 'red';
+    }
+    return getSnapshot(match);
+}
+
+module.exports = {
+    createMatch, getSnapshot, getHistory, getIceWear, normalizeIce, normalizeFormat, nextThrowSeed,
+    sanitizeThrow, addSweepSample, mergeSweepTracks, setPlacement, simulateThrow, travelSteps,
+    inLastStoneDraw, awaitingDrawChoice, simulateDrawStone, chooseAfterDraw, getLastStoneDraw,
+};
@@ -1,12 +1,14 @@
 // Service Worker for Capital Curling Club PWA
-const CACHE_NAME = 'curling-v73';
+const CACHE_NAME = 'curling-v98';
 const ASSETS = [
     './',
     './index.html',
     './style.css',
     './physics.js',
+    './record.js',
     './bot.js',
     './network.js',
+    './sheet.js',
     './game.js',
     './olympic-rings.svg',
     './manifest.json'
@@ -41,6 +43,9 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('fetch', (event) => {
     const url = new URL(event.request.url);
 
+    // Live broadcast feeds stream straight from the server
+    if (url.pathname.startsWith('/broadcast/')) return;
+
     // HTML pages: try network first, fall back to cache
     if (event.request.mode === 'navigate') {
         event.respondWith(
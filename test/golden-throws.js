@@ -0,0 +1,140 @@
+// ============================================================
+// GOLDEN THROWS
+// Plays a fixed set of deliveries through CurlingPhysics.predictShot
+// and checks the final layouts bit-for-bit against the ones recorded
+// in golden-throws.json. Any change to the physics that moves a stone
+// by even the last bit of a double shows up here — if the change is
+// intended, re-record with:
+//   node test/golden-throws.js --record
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const CurlingPhysics = require('../physics.js');
+
+const FIXTURE = path.join(__dirname, 'golden-throws.json');
+const GAME_SEED = 0x5EED1234;
+const TEE = CurlingPhysics.POSITIONS.farTeeLine;
+
+// Each case fixes the ice, the board, the delivery and its pebble seed
+// (end / stone index through throwSeed, as the game derives them)
+const CASES = [
+    {
+        name: 'draw to the button, unswept',
+        ice: 'standard', progress: 0, iceMap: false, end: 1, stone: 0,
+        board: [],
+        shot: { team: 'red', aim: -2.5, weight: 31.5, spinDir: 1, spinAmount: 3 },
+    },
+    {
+        name: 'counter-turn draw, swept hard late',
+        ice: 'standard', progress: 0, iceMap: false, end: 1, stone: 1,
+        board: [],
+        shot: { team: 'yellow', aim: 2.5, weight: 27, spinDir: -1, spinAmount: 3 },
+        sweep: [{ step: 2400, intensity: 1, offset: 0 }, { step: 4200, intensity: 0, offset: 0 }],
+    },
+    {
+        name: 'short of the hog line',
+        ice: 'standard', progress: 0, iceMap: false, end: 2, stone: 3,
+        board: [],
+        shot: { team: 'red', aim: 0, weight: 5, spinDir: 1, spinAmount: 2 },
+    },
+    {
+        name: 'takeout on a stone at the tee',
+        ice: 'standard', progress: 0, iceMap: false, end: 3, stone: 6,
+        board: [{ team: 'yellow', x: 0.05, y: TEE }],
+        shot: { team: 'red', aim: -0.3, weight: 80, spinDir: 1, spinAmount: 2 },
+    },
+    {
+        name: 'raise through a guard',
+        ice: 'keen', progress: 0, iceMap: true, end: 4, stone: 9,
+        board: [
+            { team: 'red', x: 0.1, y: TEE - 4.5 },
+            { team: 'yellow', x: 0.15, y: TEE - 0.4 },
+            { team: 'red', x: -0.6, y: TEE + 0.3 },
+        ],
+        shot: { team: 'red', aim: 0.15, weight: 45, spinDir: -1, spinAmount: 3 },
+    },
+    {
+        name: 'come-around on worn, mapped ice',
+        ice: 'wearing', progress: 0.75, iceMap: true, end: 7, stone: 14,
+        board: [
+            { team: 'yellow', x: -0.3, y: TEE - 5 },
+            { team: 'red', x: 0.4, y: TEE + 0.9 },
+        ],
+        shot: { team: 'yellow', aim: 0.9, weight: 33, spinDir: -1, spinAmount: 4 },
+        sweep: [{ step: 1200, intensity: 0.5, offset: -0.1 }],
+    },
+    {
+        name: 'double takeout on heavy ice',
+        ice: 'heavy', progress: 0.3, iceMap: false, end: 5, stone: 15,
+        board: [
+            { team: 'yellow', x: -0.2, y: TEE - 0.5 },
+            { team: 'yellow', x: 0.4, y: TEE + 0.6 },
+            { team: 'red', x: 1.2, y: TEE + 1.0 },
+        ],
+        shot: { team: 'red', aim: -0.15, weight: 95, spinDir: 1, spinAmount: 2 },
+    },
+    {
+        name: 'through the house on frosty ice',
+        ice: 'frosty', progress: 0, iceMap: true, end: 8, stone: 2,
+        board: [],
+        shot: { team: 'yellow', aim: -0.4, weight: 60, spinDir: 1, spinAmount: 1 },
+    },
+];
+
+function play(c) {
+    CurlingPhysics.setIce(c.ice, c.progress);
+    CurlingPhysics.setIceMap(c.iceMap ? CurlingPhysics.createIceMap(GAME_SEED, c.ice) : null);
+    const result = CurlingPhysics.predictShot(c.board, c.shot, {
+        sweepTimeline: c.sweep,
+        rng: CurlingPhysics.createRng(CurlingPhysics.throwSeed(GAME_SEED, c.end, c.stone)),
+    });
+    return { stones: result.stones, removed: result.removed, steps: result.steps };
+}
+
+// Same stone count and every field identical (JSON round-trips doubles exactly)
+function diff(expected, actual) {
+    if (expected.steps !== actual.steps) return `steps ${expected.steps} -> ${actual.steps}`;
+    if (JSON.stringify(expected.removed) !== JSON.stringify(actual.removed)) {
+        return `removed ${JSON.stringify(expected.removed)} -> ${JSON.stringify(actual.removed)}`;
+    }
+    if (expected.stones.length !== actual.stones.length) {
+        return `${expected.stones.length} stones -> ${actual.stones.length}`;
+    }
+    for (let i = 0; i < expected.stones.length; i++) {
+        const e = expected.stones[i];
+        const a = actual.stones[i];
+        if (e.team !== a.team || e.x !== a.x || e.y !== a.y || e.active !== a.active) {
+            return `stone ${i} ${JSON.stringify(e)} -> ${JSON.stringify(a)}`;
+        }
+    }
+    return null;
+}
+
+function main() {
+    const results = CASES.map(c => ({ name: c.name, ...play(c) }));
+
+    if (process.argv.includes('--record')) {
+        fs.writeFileSync(FIXTURE, JSON.stringify(results, null, 2) + '\n');
+        console.log(`Recorded ${results.length} golden throws to ${path.relative(process.cwd(), FIXTURE)}`);
+        return;
+    }
+
+    const golden = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+    let failed = 0;
+    for (const result of results) {
+        const expected = golden.find(g => g.name === result.name);
+        const problem = expected ? diff(expected, result) : 'not recorded';
+        if (problem) {
+            failed++;
+            console.log(`FAIL  ${result.name}: ${problem}`);
+        } else {
+            console.log(`ok    ${result.name}`);
+        }
+    }
+
+    console.log(`\n${results.length - failed}/${results.length} golden throws match`);
+    if (failed) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,513 @@
+// ============================================================
+// TOURNAMENTS - Club bonspiels
+// An organizer creates an event, logged-in players register, and
+// starting it seeds them by rating and makes the draw: single or
+// double elimination, or a round robin — or a league, a round robin
+// played a round a week. Each game is a 1v1 room server.js opens once
+// both players are online and free; the finished match comes back
+// here and moves the winner (and, in double elimination, the loser)
+// on, or counts in the standings. Events live in memory and are saved
+// as one JSON draw each, so a restart picks them back up.
+// ============================================================
+
+const db = require('./db');
+const CurlingPhysics = require('./physics');
+
+const FORMATS = ['single', 'double', 'round_robin', 'league'];
+const ALLOWED_ENDS = [4, 6, 8, 10];
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 32;
+const KEEP_FINISHED_DAYS = 30; // finished events still listed this long
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const tournaments = new Map(); // id -> tournament
+const saving = new Map();      // id -> promise of the last save (saves run in order)
+let nextLocalId = 1;           // ids when there's no database
+
+// A game in the draw. `players` are user ids [red, yellow]; a side fed
+// by another game (`from`: { game, take: 'winner' | 'loser' }) is
+// filled in once that game is done. A side with no player and no feed
+// is a bye.
+function newGame(t, fields) {
+    const game = {
+        id: t.games.length,
+        bracket: fields.bracket,
+        round: fields.round,
+        players: fields.players || [null, null],
+        from: fields.from || [null, null],
+        ifNeeded: !!fields.ifNeeded,
+        status: 'waiting', // waiting | ready | playing | done
+        winner: null,
+        loser: null,
+        score: null,       // [red, yellow]
+        ends: null,        // ends won [red, yellow]
+        draws: null,       // Last Stone Draw totals in cm [red, yellow], for DSC
+        playableFrom: fields.playableFrom || null, // league week start (ms); not before
+        bye: false,
+        roomCode: null,
+        gameId: null,      // game_history row, for the replay viewer
+    };
+    t.games.push(game);
+    return game;
+}
+
+// --------------------------------------------------------
+// DRAWS
+// --------------------------------------------------------
+// Seed order down a bracket of `size` lines, so 1 and 2 can only meet
+// in the final: 4 -> [1, 4, 2, 3], 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+function bracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const lines = order.length * 2;
+        order = order.flatMap(seed => [seed, lines + 1 - seed]);
+    }
+    return order;
+}
+
+// Winners' side of an elimination draw. Returns its games by round.
+function drawBracket(t, bracket) {
+    let size = 1;
+    while (size < t.players.length) size *= 2;
+    const order = bracketOrder(size);
+    const bySeed = seed => (seed <= t.players.length ? t.players[seed - 1].userId : null);
+
+    const rounds = [];
+    let previous = [];
+    for (let i = 0; i < size / 2; i++) {
+        previous.push(newGame(t, { bracket, round: 1, players: [bySeed(order[2 * i]), bySeed(order[2 * i + 1])] }));
+    }
+    rounds.push(previous);
+    for (let round = 2; previous.length > 1; round++) {
+        const games = [];
+        for (let i = 0; i < previous.length / 2; i++) {
+            games.push(newGame(t, { bracket, round, from: [winnerOf(previous[2 * i]), winnerOf(previous[2 * i + 1])] }));
+        }
+        rounds.push(games);
+        previous = games;
+    }
+    return rounds;
+}
+
+function winnerOf(game) {
+    return { game: game.id, take: 'winner' };
+}
+
+function loserOf(game) {
+    return { game: game.id, take: 'loser' };
+}
+
+function drawSingle(t) {
+    drawBracket(t, 'A');
+}
+
+// The A bracket as in single elimination; its losers drop into the B
+// bracket, whose rounds alternate between B winners meeting the next
+// A round's losers and B winners meeting each other. The A champion
+// plays the B champion, and only has to lose twice: a second final is
+// played if the B champion wins the first.
+function drawDouble(t) {
+    const aRounds = drawBracket(t, 'A');
+    const aFinal = aRounds[aRounds.length - 1][0];
+    let bChampion = loserOf(aFinal); // two players: the A final's loser gets a second chance
+
+    if (aRounds.length > 1) {
+        let round = 1;
+        let previous = [];
+        const firstLosers = aRounds[0];
+        for (let i = 0; i < firstLosers.length / 2; i++) {
+            previous.push(newGame(t, { bracket: 'B', round, from: [loserOf(firstLosers[2 * i]), loserOf(firstLosers[2 * i + 1])] }));
+        }
+        for (let r = 1; r < aRounds.length; r++) {
+            // Losers dropping in meet B players from the other half of the
+            // draw every other round, so first-round opponents don't meet again
+            const dropping = r % 2 === 0 ? aRounds[r] : aRounds[r].slice().reverse();
+            round++;
+            previous = previous.map((game, i) => newGame(t, { bracket: 'B', round, from: [winnerOf(game), loserOf(dropping[i])] }));
+            if (previous.length > 1) {
+                round++;
+                const halved = [];
+                for (let i = 0; i < previous.length / 2; i++) {
+                    halved.push(newGame(t, { bracket: 'B', round, from: [winnerOf(previous[2 * i]), winnerOf(previous[2 * i + 1])] }));
+                }
+                previous = halved;
+            }
+        }
+        bChampion = winnerOf(previous[0]);
+    }
+
+    const final = newGame(t, { bracket: 'final', round: 1, from: [winnerOf(aFinal), bChampion] });
+    newGame(t, { bracket: 'final', round: 2, from: [winnerOf(final), loserOf(final)], ifNeeded: true });
+}
+
+// Everyone plays everyone once (circle method); with an odd number of
+// players one sits out each round
+function drawRoundRobin(t) {
+    const lines = t.players.map(p => p.userId);
+    if (lines.length % 2 === 1) lines.push(null);
+    const rounds = lines.length - 1;
+    for (let round = 1; round <= rounds; round++) {
+        for (let i = 0; i < lines.length / 2; i++) {
+            const a = lines[i];
+            const b = lines[lines.length - 1 - i];
+            if (a === null || b === null) continue;
+            // Alternate who has red so nobody is always first to throw
+            const players = (round + i) % 2 === 0 ? [a, b] : [b, a];
+            newGame(t, { bracket: 'RR', round, players });
+        }
+        lines.splice(1, 0, lines.pop());
+    }
+}
+
+// A round robin with a round a week from the draw; a game missed in
+// its week can still be made up later
+function drawLeague(t) {
+    drawRoundRobin(t);
+    for (const game of t.games) game.playableFrom = t.startedAt + (game.round - 1) * WEEK_MS;
+}
+
+const DRAWS = { single: drawSingle, double: drawDouble, round_robin: drawRoundRobin, league: drawLeague };
+
+// Round robins and leagues: everyone's games count in a table
+function isRoundRobin(t) {
+    return t.format === 'round_robin' || t.format === 'league';
+}
+
+// --------------------------------------------------------
+// ADVANCING
+// --------------------------------------------------------
+function fedPlayer(t, feed) {
+    const game = t.games[feed.game];
+    return feed.take === 'winner' ? game.winner : game.loser;
+}
+
+// Fill in every game whose feeders are done, settle byes, and finish
+// the event once nothing is left to play
+function advance(t) {
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const game of t.games) {
+            if (game.status !== 'waiting') continue;
+            if (!game.from.every(feed => !feed || t.games[feed.game].status === 'done')) continue;
+            game.players = game.players.map((player, i) => (game.from[i] ? fedPlayer(t, game.from[i]) : player));
+            changed = true;
+
+            const first = game.from[0] && t.games[game.from[0].game];
+            const present = game.players.filter(player => player !== null);
+            if (game.ifNeeded && first && first.winner === first.players[0]) {
+                // The A champion won the first final: not needed
+                settle(game, first.winner, null);
+                game.bye = true;
+            } else if (present.length === 2) {
+                game.status = 'ready';
+            } else {
+                settle(game, present.length ? present[0] : null, null);
+                game.bye = true;
+            }
+        }
+    }
+
+    if (t.status === 'running' && t.games.every(game => game.status === 'done')) {
+        t.status = 'finished';
+        t.finishedAt = Date.now();
+        t.winner = isRoundRobin(t)
+            ? (standings(t)[0] || {}).userId || null
+            : t.games[t.games.length - 1].winner;
+    }
+}
+
+function settle(game, winner, score) {
+    game.status = 'done';
+    game.winner = winner;
+    game.loser = winner === null ? null : game.players.find(player => player !== null && player !== winner) ?? null;
+    game.score = score;
+    game.roomCode = null;
+}
+
+function playedGames(t) {
+    return t.games.filter(game => game.status === 'done' && !game.bye && game.score);
+}
+
+// Round robin table: 2 points a win, 1 a tie. Players level on points
+// are split by their games against each other, then by draw shot
+// challenge — the average of their Last Stone Draw totals (every table
+// game opens with one), lowest first; anyone with no draw on record,
+// e.g. only forfeits, goes after — then by seed.
+function standings(t) {
+    const rows = new Map(t.players.map(p => [p.userId, {
+        userId: p.userId, seed: p.seed, played: 0, wins: 0, losses: 0, ties: 0,
+        pointsFor: 0, pointsAgainst: 0, endsWon: 0, draws: [],
+    }]));
+    const played = playedGames(t);
+    for (const game of played) {
+        game.players.forEach((player, i) => {
+            const row = rows.get(player);
+            if (!row) return;
+            row.played++;
+            row.pointsFor += game.score[i];
+            row.pointsAgainst += game.score[1 - i];
+            if (game.ends) row.endsWon += game.ends[i];
+            if (game.draws && Number.isFinite(game.draws[i])) row.draws.push(game.draws[i]);
+            if (game.winner === null) row.ties++;
+            else if (game.winner === player) row.wins++;
+            else row.losses++;
+        });
+    }
+    const table = [...rows.values()].map(({ draws, ...row }) => ({
+        ...row,
+        standingPoints: row.wins * 2 + row.ties,
+        dsc: draws.length ? Math.round(draws.reduce((sum, d) => sum + d, 0) / draws.length * 10) / 10 : null,
+    }));
+
+    // Points among each group of players level on standing points
+    const headToHead = new Map();
+    for (const row of table) {
+        const level = new Set(table.filter(other => other.standingPoints === row.standingPoints).map(other => other.userId));
+        let points = 0;
+        for (const game of played) {
+            if (!game.players.includes(row.userId) || !game.players.every(player => level.has(player))) continue;
+            points += game.winner === null ? 1 : game.winner === row.userId ? 2 : 0;
+        }
+        headToHead.set(row.userId, points);
+    }
+    return table.sort((a, b) => b.standingPoints - a.standingPoints ||
+        headToHead.get(b.userId) - headToHead.get(a.userId) ||
+        (a.dsc ?? Infinity) - (b.dsc ?? Infinity) ||
+        a.seed - b.seed);
+}
+
+// --------------------------------------------------------
+// EVENTS
+// --------------------------------------------------------
+async function createTournament(organizer, options) {
+    const name = String(options.name || '').trim().slice(0, 40);
+    if (!name) return { error: 'Give the tournament a name' };
+    if (!FORMATS.includes(options.format)) return { error: 'Unknown format' };
+
+    const t = {
+        id: null,
+        name,
+        format: options.format,
+        totalEnds: ALLOWED_ENDS.includes(options.totalEnds) ? options.totalEnds : 6,
+        lastStoneDraw: CurlingPhysics.normalizeDrawStones(options.lastStoneDraw), // draw stones a side before each game
+        status: 'registering', // registering | running | finished
+        organizer: { userId: organizer.userId, username: organizer.username },
+        players: [],           // { userId, username, rating, seed } — seeded on start
+        games: [],
+        winner: null,
+        createdAt: Date.now(),
+        startedAt: null,       // when the draw was made (league weeks count from it)
+        finishedAt: null,
+    };
+    // The table breaks ties on DSC, so every table game opens with a draw
+    if (isRoundRobin(t) && !t.lastStoneDraw) t.lastStoneDraw = 1;
+    if (db.isAvailable()) {
+        const result = await db.query(
+            `INSERT INTO tournaments (name, format, status, organizer_id, draw)
+             VALUES ($1, $2, $3, $4, '{}') RETURNING id`,
+            [t.name, t.format, t.status, organizer.userId]
+        );
+        t.id = result.rows[0].id;
+    } else {
+        t.id = nextLocalId++;
+    }
+    tournaments.set(t.id, t);
+    save(t);
+    return { tournament: t };
+}
+
+function register(t, user) {
+    if (t.status !== 'registering') return { error: 'Registration is closed' };
+    if (t.players.some(p => p.userId === user.userId)) return { error: 'Already registered' };
+    if (t.players.length >= MAX_PLAYERS) return { error: `The event is full (${MAX_PLAYERS} players)` };
+    t.players.push({ userId: user.userId, username: user.username, rating: null, seed: null });
+    save(t);
+    return {};
+}
+
+function withdraw(t, userId) {
+    if (t.status !== 'registering') return { error: 'The draw is already made' };
+    const index = t.players.findIndex(p => p.userId === userId);
+    if (index === -1) return { error: 'Not registered' };
+    t.players.splice(index, 1);
+    save(t);
+    return {};
+}
+
+// Seed by rating (`ratings`: userId -> current rating) and make the draw
+function start(t, userId, ratings) {
+    if (t.organizer.userId !== userId) return { error: 'Only the organizer can start the event' };
+    if (t.status !== 'registering') return { error: 'Already started' };
+    if (t.players.length < MIN_PLAYERS) return { error: `Needs at least ${MIN_PLAYERS} players` };
+
+    for (const player of t.players) player.rating = ratings.get(player.userId) ?? null;
+    t.players.sort((a, b) => (b.rating ?? 0) - (a.rating ?? 0) || a.username.localeCompare(b.username));
+    t.players.forEach((player, i) => { player.seed = i + 1; });
+
+    t.status = 'running';
+    t.startedAt = Date.now();
+    DRAWS[t.format](t);
+    advance(t);
+    save(t);
+    return {};
+}
+
+// A room was opened for `game`
+function gameStarted(t, game, roomCode) {
+    game.status = 'playing';
+    game.roomCode = roomCode;
+    save(t);
+}
+
+// Its room closed before the game got going, or with both players gone
+// (one who walks out alone forfeits — see server.js): it gets a new one
+function gameAbandoned(t, game) {
+    game.status = 'ready';
+    game.roomCode = null;
+    save(t);
+}
+
+// A finished game: `winner` is a user id (null for a tie); `result` has
+// the `score` and `ends` won ([red, yellow]), the players' `draws` to
+// the button if any, and the recorded `gameId`. A tie can't decide a
+// knockout game, so it is replayed.
+function recordResult(t, game, winner, result) {
+    if (game.status === 'done') return;
+    if (winner === null && !isRoundRobin(t)) {
+        gameAbandoned(t, game);
+        return;
+    }
+    settle(game, winner, result.score);
+    game.ends = result.ends || null;
+    game.draws = result.draws || null;
+    game.gameId = result.gameId ?? null;
+    advance(t);
+    save(t);
+}
+
+// Games that need a room or have one: [{ tournament, game }]. League
+// games wait for their week.
+function activeGames() {
+    const active = [];
+    const now = Date.now();
+    for (const t of tournaments.values()) {
+        if (t.status !== 'running') continue;
+        for (const game of t.games) {
+            if (game.status === 'ready' && game.playableFrom > now) continue;
+            if (game.status === 'ready' || game.status === 'playing') active.push({ tournament: t, game });
+        }
+    }
+    return active;
+}
+
+function get(id) {
+    return tournaments.get(parseInt(id, 10)) || null;
+}
+
+// Round names for the bracket view
+function gameLabel(t, game) {
+    if (game.bracket === 'RR') return t.format === 'league' ? `Week ${game.round}` : `Round ${game.round}`;
+    if (game.bracket === 'final') return game.ifNeeded ? 'Final (if needed)' : 'Final';
+    const rounds = Math.max(...t.games.filter(g => g.bracket === game.bracket).map(g => g.round));
+    if (game.bracket === 'B') return game.round === rounds ? 'B Final' : `B Round ${game.round}`;
+    if (t.format === 'double') return game.round === rounds ? 'A Final' : `A Round ${game.round}`;
+    const fromEnd = rounds - game.round;
+    return ['Final', 'Semifinal', 'Quarterfinal'][fromEnd] || `Round ${game.round}`;
+}
+
+// --------------------------------------------------------
+// VIEWS (what clients get)
+// --------------------------------------------------------
+function summary(t) {
+    return {
+        id: t.id,
+        name: t.name,
+        format: t.format,
+        status: t.status,
+        totalEnds: t.totalEnds,
+        lastStoneDraw: t.lastStoneDraw || 0,
+        organizer: t.organizer.username,
+        players: t.players.length,
+        winner: t.winner === null ? null : nameOf(t, t.winner),
+    };
+}
+
+function view(t) {
+    return {
+        ...summary(t),
+        players: t.players.map(p => ({ username: p.username, rating: p.rating, seed: p.seed })),
+        games: t.games.map(game => ({
+            id: game.id,
+            bracket: game.bracket,
+            round: game.round,
+            label: gameLabel(t, game),
+            red: game.players[0] === null ? null : nameOf(t, game.players[0]),
+            yellow: game.players[1] === null ? null : nameOf(t, game.players[1]),
+            status: game.status,
+            winner: game.winner === null ? null : nameOf(t, game.winner),
+            score: game.score,
+            ends: game.ends,
+            draws: game.draws,
+            playableFrom: game.playableFrom,
+            bye: game.bye,
+            roomCode: game.roomCode,
+            gameId: game.gameId,
+        })),
+        standings: isRoundRobin(t) && t.status !== 'registering'
+            ? standings(t).map(({ userId, ...row }) => ({ ...row, username: nameOf(t, userId) }))
+            : null,
+    };
+}
+
+function nameOf(t, userId) {
+    const player = t.players.find(p => p.userId === userId);
+    return player ? player.username : '?';
+}
+
+// Open events first, then the newest finished ones
+function list() {
+    const rank = { running: 0, registering: 1, finished: 2 };
+    return [...tournaments.values()]
+        .sort((a, b) => rank[a.status] - rank[b.status] || b.createdAt - a.createdAt)
+        .map(summary);
+}
+
+// --------------------------------------------------------
+// STORAGE
+// --------------------------------------------------------
+function save(t) {
+    if (!db.isAvailable()) return;
+    const previous = saving.get(t.id) || Promise.resolve();
+    const next = previous.then(() => db.query(
+        `UPDATE tournaments SET status = $2, draw = $3,
+                finished_at = CASE WHEN $2 = 'finished' THEN COALESCE(finished_at, NOW()) END
+         WHERE id = $1`,
+        [t.id, t.status, JSON.stringify(t)]
+    )).catch(err => console.error('[TOURNAMENT] Save error:', err.message));
+    saving.set(t.id, next);
+}
+
+// Open events and recently finished ones, at startup
+async function load() {
+    if (!db.isAvailable()) return;
+    try {
+        const result = await db.query(
+            `SELECT id, draw FROM tournaments
+             WHERE status <> 'finished' OR finished_at > NOW() - ($1::integer * INTERVAL '1 day')`,
+            [KEEP_FINISHED_DAYS]
+        );
+        for (const row of result.rows) {
+            if (!row.draw || !row.draw.format) continue;
+            tournaments.set(row.id, { ...row.draw, id: row.id });
+        }
+        console.log(`[TOURNAMENT] Loaded ${result.rows.length} tournaments`);
+    } catch (err) {
+        console.error('[TOURNAMENT] Load error:', err.message);
+    }
+}
+
+module.exports = {
+    FORMATS, createTournament, register, withdraw, start, gameStarted, gameAbandoned, recordResult,
+    activeGames, get, gameLabel, list, view, load,
+};